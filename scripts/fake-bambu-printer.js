@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+// Stand-in for a Bambu Lab printer in LAN mode: an MQTT broker over TLS that answers
+// like the printer does, plus an implicit-FTPS server for uploads. Point a printer entry
+// in config/fabrication.json at it to exercise the driver and print queue without hardware:
+//   { "id": "fake", "name": "Fake P1S", "ip": "127.0.0.1", "accessCode": "12345678",
+//     "serialNumber": "FAKE0000000001", "mqttPort": 8883, "ftpPort": 9990 }
+
+const tls = require('tls');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const selfsigned = require('selfsigned');
+const { FtpSrv } = require('ftp-srv');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const settings = {
+    host: option('host', '127.0.0.1'),
+    serial: option('serial', 'FAKE0000000001'),
+    accessCode: option('access-code', '12345678'),
+    mqttPort: parseInt(option('mqtt-port', '8883')),
+    ftpPort: parseInt(option('ftp-port', '9990')),
+    printSeconds: parseInt(option('print-seconds', '60')),
+    material: option('material', 'PLA'),
+    storage: option('storage', path.join(os.tmpdir(), 'fake-bambu-sdcard'))
+};
+
+class FakeBambuPrinter {
+    constructor(options) {
+        this.options = options;
+        this.reportTopic = `device/${options.serial}/report`;
+        this.requestTopic = `device/${options.serial}/request`;
+        this.broker = null;
+        this.mqttServer = null;
+        this.ftpServer = null;
+        this.printTimer = null;
+        this.state = {
+            gcode_state: 'IDLE',
+            mc_percent: 0,
+            mc_remaining_time: 0,
+            layer_num: 0,
+            total_layer_num: 0,
+            subtask_name: '',
+            gcode_file: '',
+            nozzle_temper: 25,
+            nozzle_target_temper: 0,
+            bed_temper: 25,
+            bed_target_temper: 0,
+            chamber_temper: 25,
+            print_error: 0,
+            hw_switch_state: 1,
+            vt_tray: { id: '254', tray_type: options.material, tray_color: 'FFFFFFFF' },
+            hms: []
+        };
+    }
+
+    async start() {
+        fs.mkdirSync(this.options.storage, { recursive: true });
+
+        const pems = selfsigned.generate([{ name: 'commonName', value: this.options.serial }], { days: 365, keySize: 2048 });
+        const credentials = { key: pems.private, cert: pems.cert };
+
+        await this.startMqtt(credentials);
+        await this.startFtp(credentials);
+
+        console.log(`🖨️ Fake Bambu printer ${this.options.serial} listening on ${this.options.host}`);
+        console.log(`   MQTT (TLS) port ${this.options.mqttPort}, FTPS port ${this.options.ftpPort}, access code ${this.options.accessCode}`);
+        console.log(`   Uploaded files are stored in ${this.options.storage}`);
+    }
+
+    startMqtt(credentials) {
+        const broker = require('aedes')();
+        this.broker = broker;
+
+        broker.authenticate = (client, username, password, callback) => {
+            const ok = username === 'bblp' && password && password.toString() === this.options.accessCode;
+            callback(ok ? null : Object.assign(new Error('Bad username or password'), { returnCode: 4 }), ok);
+        };
+
+        broker.on('publish', (packet, client) => {
+            // Packets without a client are the ones this fake publishes itself
+            if (!client || packet.topic !== this.requestTopic) return;
+
+            try {
+                this.handleRequest(JSON.parse(packet.payload.toString()));
+            } catch (error) {
+                console.warn('⚠️ Ignoring malformed request:', error.message);
+            }
+        });
+
+        this.mqttServer = tls.createServer(credentials, broker.handle);
+        return new Promise(resolve => this.mqttServer.listen(this.options.mqttPort, this.options.host, resolve));
+    }
+
+    startFtp(credentials) {
+        this.ftpServer = new FtpSrv({
+            url: `ftps://${this.options.host}:${this.options.ftpPort}`,
+            pasv_url: this.options.host,
+            tls: credentials,
+            anonymous: false,
+            greeting: 'Fake Bambu FTPS'
+        });
+
+        this.ftpServer.on('login', ({ username, password }, resolve, reject) => {
+            if (username === 'bblp' && password === this.options.accessCode) {
+                resolve({ root: this.options.storage });
+            } else {
+                reject(new Error('Bad username or password'));
+            }
+        });
+
+        return this.ftpServer.listen();
+    }
+
+    report(fields) {
+        this.broker.publish({
+            topic: this.reportTopic,
+            payload: JSON.stringify({ print: { command: 'push_status', ...fields } }),
+            qos: 0,
+            retain: false
+        }, () => {});
+    }
+
+    reply(section, request, fields = {}) {
+        this.broker.publish({
+            topic: this.reportTopic,
+            payload: JSON.stringify({ [section]: { command: request.command, sequence_id: request.sequence_id, ...fields } }),
+            qos: 0,
+            retain: false
+        }, () => {});
+    }
+
+    setState(fields) {
+        Object.assign(this.state, fields);
+        // Like P1 firmware, only the changed fields are pushed
+        this.report(fields);
+    }
+
+    handleRequest(message) {
+        if (message.pushing && message.pushing.command === 'pushall') {
+            this.report({ ...this.state, sequence_id: message.pushing.sequence_id });
+            return;
+        }
+
+        if (message.info && message.info.command === 'get_version') {
+            this.reply('info', message.info, {
+                module: [
+                    { name: 'ota', sw_ver: '01.00.00.00', sn: this.options.serial },
+                    { name: 'mc', sw_ver: '00.00.00.00', sn: this.options.serial }
+                ]
+            });
+            return;
+        }
+
+        const request = message.print;
+        if (!request) return;
+
+        console.log(`📨 ${request.command}${request.param ? ` ${request.param}` : ''}`);
+
+        switch (request.command) {
+            case 'project_file':
+            case 'gcode_file':
+                this.startPrint(request);
+                break;
+            case 'pause':
+                if (this.state.gcode_state === 'RUNNING') this.setState({ gcode_state: 'PAUSE' });
+                this.reply('print', request, { result: 'success' });
+                break;
+            case 'resume':
+                if (this.state.gcode_state === 'PAUSE') this.setState({ gcode_state: 'RUNNING' });
+                this.reply('print', request, { result: 'success' });
+                break;
+            case 'stop':
+                this.stopPrint('FAILED');
+                this.reply('print', request, { result: 'success' });
+                break;
+            case 'gcode_line':
+                this.reply('print', request, { result: 'success' });
+                break;
+            default:
+                this.reply('print', request, { result: 'fail', reason: `unsupported command ${request.command}` });
+        }
+    }
+
+    startPrint(request) {
+        if (['PREPARE', 'RUNNING', 'PAUSE'].includes(this.state.gcode_state)) {
+            this.reply('print', request, { result: 'fail', reason: 'printer is busy' });
+            return;
+        }
+
+        const fileName = request.command === 'project_file' ?
+            request.subtask_name || path.basename(request.url || '') :
+            path.basename(request.param || '');
+
+        if (!fs.existsSync(path.join(this.options.storage, fileName))) {
+            this.setState({ gcode_state: 'FAILED', print_error: 0x0500400e });
+            this.reply('print', request, { result: 'fail', reason: `file ${fileName} not found` });
+            return;
+        }
+
+        const totalLayers = 100;
+        this.reply('print', request, { result: 'success' });
+        this.setState({
+            gcode_state: 'PREPARE',
+            subtask_name: fileName,
+            gcode_file: fileName,
+            mc_percent: 0,
+            mc_remaining_time: Math.ceil(this.options.printSeconds / 60),
+            layer_num: 0,
+            total_layer_num: totalLayers,
+            print_error: 0,
+            nozzle_target_temper: 220,
+            bed_target_temper: 60
+        });
+
+        let elapsed = 0;
+        this.printTimer = setInterval(() => {
+            if (this.state.gcode_state === 'PAUSE') return;
+
+            if (this.state.gcode_state === 'PREPARE') {
+                this.setState({ gcode_state: 'RUNNING', nozzle_temper: 220, bed_temper: 60 });
+                return;
+            }
+
+            elapsed += 1;
+            const percent = Math.min(100, Math.round((elapsed / this.options.printSeconds) * 100));
+            this.setState({
+                mc_percent: percent,
+                mc_remaining_time: Math.ceil((this.options.printSeconds - elapsed) / 60),
+                layer_num: Math.round(totalLayers * percent / 100)
+            });
+
+            if (percent >= 100) {
+                this.stopPrint('FINISH');
+            }
+        }, 1000);
+    }
+
+    stopPrint(finalState) {
+        if (this.printTimer) {
+            clearInterval(this.printTimer);
+            this.printTimer = null;
+        }
+
+        this.setState({
+            gcode_state: finalState,
+            mc_remaining_time: 0,
+            nozzle_target_temper: 0,
+            bed_target_temper: 0,
+            nozzle_temper: 25,
+            bed_temper: 25
+        });
+    }
+
+    async stop() {
+        if (this.printTimer) clearInterval(this.printTimer);
+        if (this.ftpServer) await this.ftpServer.close();
+        if (this.mqttServer) await new Promise(resolve => this.mqttServer.close(resolve));
+        if (this.broker) await new Promise(resolve => this.broker.close(resolve));
+    }
+}
+
+if (require.main === module) {
+    const printer = new FakeBambuPrinter(settings);
+    printer.start().catch(error => {
+        console.error('❌ Failed to start fake printer:', error);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', async () => {
+        await printer.stop();
+        process.exit(0);
+    });
+}
+
+module.exports = FakeBambuPrinter;
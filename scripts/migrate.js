@@ -0,0 +1,51 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+const MigrationRunner = require('../src/projects/migration-runner');
+
+// Usage: npm run migrate [-- --dry-run] [-- --db path/to/projects.db]
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const dbIndex = args.indexOf('--db');
+    const dbPath = dbIndex !== -1 && args[dbIndex + 1] ?
+        path.resolve(args[dbIndex + 1]) :
+        path.join(__dirname, '../database/projects.db');
+
+    if (!fs.existsSync(path.dirname(dbPath))) {
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    const db = new sqlite3.Database(dbPath);
+    const runner = new MigrationRunner(db);
+
+    try {
+        console.log(`🗄️ Database: ${dbPath}`);
+        const result = await runner.migrate({ dryRun });
+
+        if (result.applied.length === 0) {
+            console.log(`✅ Schema is up to date (version ${result.currentVersion})`);
+            return;
+        }
+
+        console.log(dryRun ? '\n🔍 Dry run - these migrations would be applied:' : '\n✅ Applied migrations:');
+        result.applied.forEach(migration => console.log(`   ${migration.version}. ${migration.name}`));
+
+        if (dryRun) {
+            console.log('\nStatements:');
+            result.statements.forEach(statement => console.log(`   ${statement};`));
+            console.log('\nNo changes were written.');
+        }
+
+        console.log(`\nVersion ${result.currentVersion} → ${result.targetVersion}`);
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
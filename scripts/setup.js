@@ -195,6 +195,9 @@ class SetupWizard {
                 minimizeToTray: true,
                 startMinimized: false
             },
+            reminders: {
+                snoozeMinutes: [15, 60, 1440]
+            },
             debug: false
         };
         
@@ -76,6 +76,62 @@ class ComputerController {
         }
     }
 
+    registerActions(registry) {
+        registry.defineFamily('computer_operation', {
+            title: 'Computer',
+            description: 'Open or close applications, create, move or delete files and folders, or read system information.',
+            capability: 'computer_operations'
+        });
+        registry.defineFamily('file_management', {
+            title: 'Files',
+            description: 'Create, read, copy, move or delete a file.'
+        });
+        registry.defineFamily('browser_control', {
+            title: 'Browser',
+            description: 'Drive the automated browser: open a URL, click or type into an element, or take a screenshot.'
+        });
+
+        const target = { target: 'string - Application name or file/folder path' };
+        const operation = (name, description, params = target) => registry.register('computer_operation', name, {
+            description: description,
+            params: params,
+            handler: async (args) => await this.executeOperation({ operation: name, target: args.target, options: args.options || {} })
+        });
+        operation('open_application', 'Start an application');
+        operation('close_application', 'Close an application');
+        operation('create_file', 'Create a file', { ...target, 'options?': 'object - { content }' });
+        operation('create_folder', 'Create a folder');
+        operation('move_file', 'Move a file', { ...target, options: 'object - { destination }' });
+        operation('delete_file', 'Delete a file');
+        operation('get_system_info', 'Platform, CPU and memory details', {});
+
+        const file = (name, description, params) => registry.register('file_management', name, {
+            description: description,
+            params: params,
+            handler: async (args) => await this.manageFiles({ ...args, action: name })
+        });
+        const source = { source: 'string - Path of the file to act on' };
+        const destination = { destination: 'string - Target path for copy and move' };
+        file('create', 'Create a file', { ...source, 'content?': 'string' });
+        file('read', 'Read a file', source);
+        file('copy', 'Copy a file', { ...source, ...destination });
+        file('move', 'Move a file', { ...source, ...destination });
+        file('delete', 'Delete a file', source);
+
+        const browser = (name, description, params) => registry.register('browser_control', name, {
+            description: description,
+            params: params,
+            handler: async (args) => await this.controlBrowser({ ...args, action: name })
+        });
+        const selector = { selector: 'string - CSS selector' };
+        browser('navigate', 'Open a URL', { url: 'string' });
+        browser('click', 'Click an element', selector);
+        browser('type', 'Type text into an element', { ...selector, text: 'string' });
+        browser('screenshot', 'Save a screenshot of the page', {});
+
+        return registry;
+    }
+
     async openApplication(appName, options = {}) {
         try {
             let command;
@@ -0,0 +1,290 @@
+// Everything the assistant can do, in one place. Managers register their actions with a description,
+// parameter list, required capability and handler; the system prompt, the OpenAI tool schemas, the
+// permission checks and the help text are all generated from these registrations.
+//
+// Actions are grouped into families (project_management, fabrication_control, ...), one tool each.
+// The family's selector field ("action", "command", "operation") names the action to run. Families
+// with a dataKey take the arguments nested ({ action, data: {...} }), the others flat ({ action, source }).
+const PARAMETER_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'string[]', 'number[]', 'integer[]'];
+
+class ActionRegistry {
+    constructor(options = {}) {
+        // authorize(user, resource, capability) resolves to { authorized, reason }
+        this.authorize = options.authorize || null;
+        this.families = new Map();
+    }
+
+    defineFamily(name, definition = {}) {
+        if (this.families.has(name)) {
+            throw new Error(`Action family "${name}" is already defined`);
+        }
+
+        this.families.set(name, {
+            name: name,
+            title: definition.title || name,
+            description: definition.description || '',
+            // null for a family that is a single action, like get_system_status
+            selector: definition.selector === undefined ? 'action' : definition.selector,
+            dataKey: definition.dataKey || null,
+            // Top-level fields next to the selector, e.g. printerId; handlers get them merged into their arguments
+            properties: this.parseParams(definition.properties || {}),
+            capability: definition.capability === undefined ? name : definition.capability,
+            actions: new Map(),
+            aliases: new Map()
+        });
+        return this;
+    }
+
+    // params maps names to types, optionally followed by " - description"; a trailing "?" marks a name
+    // optional. oneOf lists groups of names where at least one has to be given.
+    register(familyName, actionName, definition) {
+        const family = this.getFamily(familyName);
+        if (family.actions.has(actionName) || family.aliases.has(actionName)) {
+            throw new Error(`Action ${familyName}.${actionName} is already registered`);
+        }
+        if (typeof definition.handler !== 'function') {
+            throw new Error(`Action ${familyName}.${actionName} needs a handler`);
+        }
+
+        const action = {
+            family: familyName,
+            name: actionName,
+            description: definition.description || '',
+            params: this.parseParams(definition.params || {}),
+            oneOf: definition.oneOf || [],
+            capability: definition.capability === undefined ? family.capability : definition.capability,
+            aliases: definition.aliases || [],
+            handler: definition.handler
+        };
+
+        family.actions.set(actionName, action);
+        action.aliases.forEach(alias => family.aliases.set(alias, actionName));
+        return this;
+    }
+
+    parseParams(params) {
+        return Object.entries(params).map(([key, spec]) => {
+            const [type, ...description] = String(spec).split(' - ');
+            if (!PARAMETER_TYPES.includes(type.trim())) {
+                throw new Error(`Unknown parameter type "${type}" for ${key}`);
+            }
+            return {
+                name: key.replace(/\?$/, ''),
+                type: type.trim(),
+                required: !key.endsWith('?'),
+                description: description.join(' - ').trim() || null
+            };
+        });
+    }
+
+    getFamily(name) {
+        const family = this.families.get(name);
+        if (!family) {
+            throw new Error(`Unknown action family "${name}"`);
+        }
+        return family;
+    }
+
+    hasFamily(name) {
+        return this.families.has(name);
+    }
+
+    getAction(familyName, actionName) {
+        const family = this.families.get(familyName);
+        if (!family) return null;
+
+        if (!family.selector) {
+            return family.actions.values().next().value || null;
+        }
+        return family.actions.get(actionName) || family.actions.get(family.aliases.get(actionName)) || null;
+    }
+
+    listActions(familyName = null) {
+        const families = familyName ? [this.getFamily(familyName)] : Array.from(this.families.values());
+        return families.flatMap(family => Array.from(family.actions.values()));
+    }
+
+    async execute(familyName, parameters = {}, context = {}) {
+        const family = this.families.get(familyName);
+        if (!family) {
+            return { success: false, error: `Unknown action type: ${familyName}` };
+        }
+
+        parameters = parameters || {};
+        const requested = family.selector ? parameters[family.selector] : null;
+        const action = this.getAction(familyName, requested);
+        if (!action) {
+            return {
+                success: false,
+                error: `Unknown ${familyName} ${family.selector}: ${requested}. Available: ${Array.from(family.actions.keys()).join(', ')}`
+            };
+        }
+
+        const args = this.argumentsFor(family, parameters);
+        const problem = this.validate(action, args);
+        if (problem) {
+            return { success: false, error: `${action.name} ${problem}` };
+        }
+
+        if (action.capability && this.authorize) {
+            const authorization = await this.authorize(context.user || 'system', `${familyName}.${action.name}`, action.capability);
+            if (!authorization.authorized) {
+                return { success: false, error: authorization.reason, permissionDenied: true };
+            }
+        }
+
+        try {
+            return await action.handler(args, { ...context, family: familyName, action: action.name, requested: requested });
+        } catch (error) {
+            if (error.needsDisambiguation) {
+                // Not a failure as such - GptCore asks the user which candidate they meant
+                return {
+                    success: false,
+                    error: error.message,
+                    needsDisambiguation: true,
+                    candidates: error.candidates
+                };
+            }
+
+            console.error(`❌ ${familyName}.${action.name} failed:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    argumentsFor(family, parameters) {
+        const args = family.dataKey ? { ...(parameters[family.dataKey] || {}) } : { ...parameters };
+        if (family.selector && !family.dataKey) {
+            delete args[family.selector];
+        }
+        family.properties.forEach(property => {
+            if (parameters[property.name] !== undefined && parameters[property.name] !== null && parameters[property.name] !== '') {
+                args[property.name] = parameters[property.name];
+            }
+        });
+        return args;
+    }
+
+    validate(action, args) {
+        const isMissing = (name) => args[name] === undefined || args[name] === null || args[name] === '';
+
+        const missing = action.params.filter(param => param.required && isMissing(param.name)).map(param => param.name);
+        action.oneOf
+            .filter(group => group.every(isMissing))
+            .forEach(group => missing.push(group.join(' or ')));
+
+        return missing.length > 0 ? `needs ${missing.join(', ')}` : null;
+    }
+
+    // "{ projectId OR projectName, title, dueDate? }", the notation the system prompt has always used
+    describeParams(action) {
+        const grouped = new Set(action.oneOf.flat());
+        const parts = action.oneOf.map(group => group.join(' OR '));
+        action.params
+            .filter(param => !grouped.has(param.name))
+            .forEach(param => parts.push(param.required ? param.name : `${param.name}?`));
+        return parts.length > 0 ? `{ ${parts.join(', ')} }` : '{}';
+    }
+
+    // The generated part of the system prompt: every family with the shape of its calls and its actions
+    describe() {
+        return Array.from(this.families.values()).map(family => {
+            const actions = Array.from(family.actions.values());
+            const extra = family.properties.map(property => `"${property.name}"`).join(', ');
+            let shape;
+            if (!family.selector) {
+                shape = `Call with ${this.describeParams(actions[0])}.`;
+            } else if (family.dataKey) {
+                shape = `Call with { "${family.selector}": name, "${family.dataKey}": {...}${extra ? `, optional ${extra}` : ''} }:`;
+            } else {
+                shape = `Call with { "${family.selector}": name, ...arguments }:`;
+            }
+
+            const lines = family.selector ? actions.map(action => {
+                const aliases = action.aliases.length > 0 ? ` (also ${action.aliases.join(', ')})` : '';
+                return `- ${action.name}${aliases}: ${action.description} ${this.describeParams(action)}`;
+            }) : [];
+
+            return [`${family.name} - ${family.description}`, shape, ...lines].join('\n');
+        }).join('\n\n');
+    }
+
+    // Tool definitions in the shape chat.completions.create() takes for "tools"
+    toolDefinitions() {
+        return Array.from(this.families.values()).map(family => ({
+            type: 'function',
+            function: {
+                name: family.name,
+                description: family.description,
+                parameters: this.toolParameters(family)
+            }
+        }));
+    }
+
+    toolParameters(family) {
+        const actions = Array.from(family.actions.values());
+        const properties = {};
+        const required = [];
+
+        if (family.selector) {
+            properties[family.selector] = {
+                type: 'string',
+                enum: actions.map(action => action.name),
+                description: `Which ${family.title} action to run`
+            };
+            required.push(family.selector);
+        }
+
+        if (family.dataKey) {
+            properties[family.dataKey] = {
+                type: 'object',
+                description: `Arguments for the ${family.selector}, as listed for it under AVAILABLE ACTIONS`,
+                properties: this.unionProperties(actions)
+            };
+        } else {
+            Object.assign(properties, this.unionProperties(actions));
+            if (!family.selector) {
+                actions[0].params.filter(param => param.required).forEach(param => required.push(param.name));
+            }
+        }
+
+        family.properties.forEach(property => {
+            properties[property.name] = this.toJsonSchema(property);
+        });
+
+        return { type: 'object', properties: properties, required: required };
+    }
+
+    // Every argument any of the actions takes; which ones an action needs is left to validate()
+    unionProperties(actions) {
+        const properties = {};
+        actions.forEach(action => action.params.forEach(param => {
+            if (!properties[param.name]) {
+                properties[param.name] = this.toJsonSchema(param);
+            }
+        }));
+        return properties;
+    }
+
+    toJsonSchema(param) {
+        const schema = param.type.endsWith('[]') ?
+            { type: 'array', items: { type: param.type.slice(0, -2) } } :
+            { type: param.type };
+        if (param.description) {
+            schema.description = param.description;
+        }
+        return schema;
+    }
+
+    // Plain text for "help" in the chat, grouped by family
+    help(familyName = null) {
+        const families = familyName ? [this.getFamily(familyName)] : Array.from(this.families.values());
+        return families.map(family => {
+            const lines = Array.from(family.actions.values()).map(action =>
+                `  • ${family.selector ? action.name.replace(/_/g, ' ') : family.title}: ${action.description}`
+            );
+            return `${family.title}\n${lines.join('\n')}`;
+        }).join('\n\n');
+    }
+}
+
+module.exports = ActionRegistry;
@@ -0,0 +1,254 @@
+// Chat sessions and their messages, kept in the project database so conversations survive restarts
+const TITLE_LENGTH = 60;
+const SNIPPET_TOKENS = 12;
+
+class ConversationStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    run(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ lastID: this.lastID, changes: this.changes });
+                }
+            });
+        });
+    }
+
+    get(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    all(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async createSession(options = {}) {
+        const result = await this.run(
+            'INSERT INTO chat_sessions (title, project_id) VALUES (?, ?)',
+            [options.title || null, options.projectId || null]
+        );
+        return await this.getSession(result.lastID);
+    }
+
+    async getSession(sessionId) {
+        return await this.get(`
+            SELECT s.*, p.name as project_name,
+                (SELECT COUNT(*) FROM chat_messages m WHERE m.session_id = s.id AND m.role != 'system') as message_count
+            FROM chat_sessions s
+            LEFT JOIN projects p ON s.project_id = p.id
+            WHERE s.id = ?
+        `, [sessionId]);
+    }
+
+    // Most recently used first
+    async listSessions(options = {}) {
+        const conditions = [];
+        const params = [];
+        if (options.projectId) {
+            conditions.push('s.project_id = ?');
+            params.push(options.projectId);
+        }
+
+        return await this.all(`
+            SELECT s.*, p.name as project_name,
+                (SELECT COUNT(*) FROM chat_messages m WHERE m.session_id = s.id AND m.role != 'system') as message_count
+            FROM chat_sessions s
+            LEFT JOIN projects p ON s.project_id = p.id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY s.updated_at DESC, s.id DESC
+            LIMIT ?
+        `, [...params, options.limit || 50]);
+    }
+
+    async getLatestSession() {
+        const sessions = await this.listSessions({ limit: 1 });
+        return sessions[0] || null;
+    }
+
+    async renameSession(sessionId, title) {
+        const cleanTitle = String(title || '').trim();
+        if (!cleanTitle) {
+            return { success: false, error: 'A session needs a title' };
+        }
+
+        const result = await this.run(
+            'UPDATE chat_sessions SET title = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [cleanTitle.slice(0, 200), sessionId]
+        );
+        return result.changes > 0 ?
+            { success: true, message: `Session renamed to "${cleanTitle}"` } :
+            { success: false, error: `Session ${sessionId} not found` };
+    }
+
+    // projectId null unpins the session
+    async pinSession(sessionId, projectId) {
+        const result = await this.run(
+            'UPDATE chat_sessions SET project_id = ? WHERE id = ?',
+            [projectId || null, sessionId]
+        );
+        if (result.changes === 0) {
+            return { success: false, error: `Session ${sessionId} not found` };
+        }
+
+        const session = await this.getSession(sessionId);
+        return {
+            success: true,
+            data: session,
+            message: session.project_name ? `Session pinned to ${session.project_name}` : 'Session unpinned'
+        };
+    }
+
+    async deleteSession(sessionId) {
+        // foreign_keys is off, so the messages (and their search index rows, via trigger) go explicitly
+        await this.run('DELETE FROM chat_messages WHERE session_id = ?', [sessionId]);
+        const result = await this.run('DELETE FROM chat_sessions WHERE id = ?', [sessionId]);
+        return result.changes > 0 ?
+            { success: true, message: 'Session deleted' } :
+            { success: false, error: `Session ${sessionId} not found` };
+    }
+
+    // The first user message names an untitled session
+    async addMessage(sessionId, message) {
+        const content = message.content === null || message.content === undefined ? '' : String(message.content);
+        const result = await this.run(`
+            INSERT INTO chat_messages (session_id, role, content, in_context, metadata)
+            VALUES (?, ?, ?, ?, ?)
+        `, [
+            sessionId,
+            message.role,
+            content,
+            message.inContext === false ? 0 : 1,
+            message.metadata ? JSON.stringify(message.metadata) : null
+        ]);
+
+        await this.run(`
+            UPDATE chat_sessions SET
+                title = CASE WHEN title IS NULL AND ? = 'user' THEN ? ELSE title END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [message.role, this.titleFrom(content), sessionId]);
+
+        return result.lastID;
+    }
+
+    // The summary replaces every context message up to and including throughMessageId
+    async saveSummary(sessionId, summary, throughMessageId) {
+        await this.run(
+            'UPDATE chat_sessions SET summary = ?, summarized_through = ? WHERE id = ?',
+            [summary, throughMessageId, sessionId]
+        );
+    }
+
+    titleFrom(content) {
+        const line = content.replace(/\s+/g, ' ').trim();
+        return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 1)}…` : line || null;
+    }
+
+    // options.contextOnly leaves out transcript-only messages, options.after skips everything up to that
+    // message id; limit keeps the newest ones
+    async getMessages(sessionId, options = {}) {
+        const rows = await this.all(`
+            SELECT * FROM (
+                SELECT * FROM chat_messages
+                WHERE session_id = ? AND id > ? ${options.contextOnly ? 'AND in_context = 1' : ''}
+                ORDER BY id DESC
+                LIMIT ?
+            ) ORDER BY id ASC
+        `, [sessionId, options.after || 0, options.limit || -1]);
+
+        return rows.map(row => ({
+            ...row,
+            in_context: Boolean(row.in_context),
+            metadata: row.metadata ? JSON.parse(row.metadata) : null
+        }));
+    }
+
+    // Every word has to appear (as a prefix), so FTS syntax in what the user typed cannot break the query
+    toMatchQuery(text) {
+        const terms = String(text || '').match(/[\p{L}\p{N}_]+/gu) || [];
+        return terms.map(term => `"${term}"*`).join(' ');
+    }
+
+    async search(text, options = {}) {
+        const match = this.toMatchQuery(text);
+        if (!match) {
+            return [];
+        }
+
+        const params = [match];
+        let projectFilter = '';
+        if (options.projectId) {
+            projectFilter = 'AND s.project_id = ?';
+            params.push(options.projectId);
+        }
+        params.push(options.limit || 50);
+
+        return await this.all(`
+            SELECT m.id, m.session_id, m.role, m.created_at,
+                snippet(chat_messages_fts, 0, '[', ']', '…', ${SNIPPET_TOKENS}) as snippet,
+                s.title as session_title, s.project_id, p.name as project_name
+            FROM chat_messages_fts
+            JOIN chat_messages m ON m.id = chat_messages_fts.rowid
+            JOIN chat_sessions s ON s.id = m.session_id
+            LEFT JOIN projects p ON s.project_id = p.id
+            WHERE chat_messages_fts MATCH ? AND m.role != 'system' ${projectFilter}
+            ORDER BY rank
+            LIMIT ?
+        `, params);
+    }
+
+    async exportMarkdown(sessionId) {
+        const session = await this.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Session ${sessionId} not found`);
+        }
+
+        const messages = await this.getMessages(sessionId);
+        const names = { user: 'You', assistant: 'GPT' };
+        const lines = [
+            `# ${session.title || 'Untitled chat'}`,
+            '',
+            `- Started: ${session.created_at} UTC`,
+            `- Last active: ${session.updated_at} UTC`
+        ];
+        if (session.project_name) {
+            lines.push(`- Project: ${session.project_name}`);
+        }
+
+        messages
+            .filter(message => names[message.role])
+            .forEach(message => {
+                lines.push('', `## ${names[message.role]} · ${message.created_at}`, '', message.content);
+                const actions = (message.metadata && message.metadata.actions) || [];
+                if (actions.length > 0) {
+                    lines.push('');
+                    actions.forEach(action => lines.push(`> ${action.success ? '✅' : '❌'} ${action.action}${action.name ? `: ${action.name}` : ''}`));
+                }
+            });
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = ConversationStore;
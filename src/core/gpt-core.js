@@ -3,6 +3,26 @@ const ComputerController = require('../computer/computer-controller');
 const ProjectManager = require('../projects/project-manager');
 const FabricationManager = require('../fabrication/fabrication-manager');
 const SecurityManager = require('../security/security-manager');
+const ActionRegistry = require('./action-registry');
+const ConversationStore = require('./conversation-store');
+const TokenCounter = require('./token-counter');
+
+// Model turns per command, so a tool chain cannot loop forever
+const MAX_TOOL_ROUNDS = 6;
+// Tool results are sent back to the model; long listings are cut to keep the request small
+const TOOL_RESULT_LIMIT = 8000;
+// Messages loaded back into context when a session is resumed; the token budget trims further
+const HISTORY_LIMIT = 50;
+// Tokens of conversation sent with each request, unless a model config sets historyTokens. Past that,
+// older turns are folded into the rolling summary.
+const HISTORY_TOKENS = 3000;
+// Recent turns stay verbatim up to this share of the budget when the rest is summarized
+const RECENT_SHARE = 0.5;
+const SUMMARY_TOKENS = 500;
+// Each message is cut to this many characters in the text the summarizer reads
+const SUMMARY_INPUT_CHARS = 2000;
+// A tool round with less room than this for the reply is not started
+const MIN_REPLY_TOKENS = 256;
 
 class GptCore {
     constructor(apiKey, modelConfig = null) {
@@ -35,8 +55,17 @@ class GptCore {
         this.fabricationManager = null;
         this.securityManager = null;
         this.codeRewriter = null;
+        this.actions = null;
+        // Permissions of this user apply to everything the assistant runs; see config/permissions.json
+        this.assistantUser = 'system';
         
         this.conversationHistory = [];
+        // What older turns of the current session said, once they no longer fit the history budget
+        this.conversationSummary = null;
+        this.tokenCounter = new TokenCounter();
+        // The chat session new messages are saved to; created on the first message when null
+        this.conversations = null;
+        this.session = null;
         this.systemContext = '';
         this.isInitialized = false;
         this.activeFeatureRequest = null;
@@ -49,14 +78,24 @@ class GptCore {
             // Initialize subsystems
             this.computerController = new ComputerController();
             this.projectManager = new ProjectManager();
-            this.fabricationManager = new FabricationManager();
+            this.fabricationManager = new FabricationManager(this.projectManager);
             this.securityManager = new SecurityManager();
 
             await this.computerController.initialize();
             await this.projectManager.initialize();
+            // Needs the project database to be open for the print queue
             await this.fabricationManager.initialize();
             await this.securityManager.initialize();
 
+            this.actions = this.registerActions();
+
+            // Pick up the last conversation where it left off
+            this.conversations = new ConversationStore(this.projectManager.db);
+            const latestSession = await this.conversations.getLatestSession();
+            if (latestSession) {
+                await this.resumeSession(latestSession.id);
+            }
+
             // Set up system context
             this.systemContext = await this.buildSystemContext();
             
@@ -69,6 +108,39 @@ class GptCore {
         }
     }
 
+    // Every action the assistant can take, checked against the assistant user's permissions
+    registerActions() {
+        const registry = new ActionRegistry({
+            authorize: (user, resource, capability) => this.securityManager.authorizeAction(user, resource, capability)
+        });
+
+        this.projectManager.registerActions(registry);
+        this.fabricationManager.registerActions(registry);
+        this.computerController.registerActions(registry);
+        this.securityManager.registerActions(registry);
+
+        registry.defineFamily('get_system_status', {
+            title: 'System status',
+            description: 'Report system health: CPU, memory, disk, uptime, active projects and printer status.',
+            selector: null,
+            capability: null
+        });
+        registry.register('get_system_status', 'get_system_status', {
+            description: 'CPU, memory, disk, uptime, active projects and printer status',
+            handler: async () => {
+                const statusMessage = await this.getSystemStatus();
+                return { success: true, message: statusMessage, data: statusMessage };
+            }
+        });
+
+        return registry;
+    }
+
+    setAssistantUser(user) {
+        this.assistantUser = user || 'system';
+        console.log(`🔐 Assistant actions run as "${this.assistantUser}"`);
+    }
+
     async buildSystemContext() {
         const context = `
 You are GPT, an advanced AI assistant inspired by Tony Stark's AI from Iron Man. You have the following capabilities and responsibilities:
@@ -84,7 +156,7 @@ CAPABILITIES:
 - Computer operations (file management, application control)
 - Project management and timeline tracking
 - 3D modeling assistance and OnShape integration
-- 3D printer control (Bambu Lab)
+- 3D printer control (Bambu Lab, OctoPrint, Klipper/Moonraker)
 - Note-taking and context awareness
 - Error detection and optimization suggestions
 - Simulation API integration
@@ -92,6 +164,15 @@ CAPABILITIES:
 - Secure access management
 - Version control automation
 
+TOOLS:
+Actions are run by calling tools. In the examples below, "action" is the tool name and "parameters" are its
+arguments. Call the tool rather than describing the action. Tools can be called one after another, for
+example to look something up before changing it. Base your answer on the results: if a tool reports an
+error, say so instead of claiming success.
+
+AVAILABLE ACTIONS:
+${this.actions ? this.actions.describe() : ''}
+
 PROJECT MANAGEMENT ACTIONS:
 When users ask to create projects, use:
 {
@@ -107,27 +188,8 @@ When users ask to create projects, use:
     }
 }
 
-Available project_management actions:
-- create_project: Create new projects { name, description?, type?, priority?, deadline? }
-- edit_project: Edit/update existing projects { projectId OR projectName, name?, description?, type?, priority?, deadline?, status? }
-- update_project: Update existing projects { projectId, name?, description?, type?, priority?, deadline?, status? }
-- delete_project: Delete/remove projects { projectId OR projectName }
-- get_projects: List all projects { status?, limit? }
-- add_note: Add notes to projects { projectId, content, type? }
-- add_project_note: Add project-specific notes { projectId, content, tags?, createdBy? }
-- get_project_notes: Get project notes { projectId, limit? }
-- add_reminder: Add project reminders { projectId, title, description?, reminderDate, isRecurring?, recurrencePattern?, priority? }
-- get_reminders: Get project reminders { projectId?, includeInactive? }
-- update_reminder: Update reminder { id, title?, description?, reminderDate?, isRecurring?, recurrencePattern?, priority? }
-- delete_reminder: Delete reminder { id }
-- snooze_reminder: Snooze reminder { id, snoozeUntil }
-- get_due_reminders: Get due/overdue reminders { }
-- add_timeline_event: Add timeline events { title, description?, type?, project_id?, date? }
-- get_timeline: Get project timeline { projectId?, limit? }
-- move_project_stage: Move project between stages { projectId OR projectName, targetStage/targetStatus }
-  Valid stages: planning, in_progress, active, testing, review, completed, on_hold, cancelled
-- add_inventory: Add inventory items { name, category, quantity?, location?, notes? }
-- update_inventory: Update inventory { itemId, name?, category?, quantity?, location?, notes? }
+Item and project names are matched loosely (case, plurals, partial names, synonyms), so pass the name the user said.
+If a result says a name matches several items or projects, ask the user which one they meant, then retry with its id.
 
 REMINDER MANAGEMENT:
 When users want to create reminders, use:
@@ -153,6 +215,11 @@ Reminder patterns:
 - Weekly: { "type": "weekly", "interval": 1 }  
 - Monthly: { "type": "monthly", "interval": 1 }
 - Yearly: { "type": "yearly", "interval": 1 }
+- Specific days/time: { "type": "weekly", "daysOfWeek": ["MO", "WE"], "time": "09:00" }
+- Last Friday of each month: { "type": "rrule", "rule": "FREQ=MONTHLY;BYDAY=-1FR;BYHOUR=17;BYMINUTE=0" }
+- Cron-style: { "type": "cron", "expression": "0 9 * * 1-5" }
+- Limit a series with "count": 10 or "until": "2025-06-30" (or recurrenceEndDate)
+The first occurrence is reminderDate; later ones keep its local time of day.
 
 PROJECT NOTES:
 When users want to add project notes, use:
@@ -181,8 +248,94 @@ When user asks to move/change/update project status or stage, use:
     }
 }
 
+TASK MANAGEMENT:
+When users want to add a task to a project (e.g. "add a task to Drone Frame to order motors"), use:
+{
+    "action": "project_management",
+    "parameters": {
+        "action": "create_task",
+        "data": {
+            "projectName": "Drone Frame",
+            "title": "Order motors",
+            "dueDate": "2024-12-25T17:00:00Z",
+            "priority": 1-5,
+            "dependencies": [12, 14]
+        }
+    }
+}
+Dependencies are task IDs; a dependency that would create a cycle, or link tasks from different projects without allowCrossProject, is rejected.
+
 You can identify projects by ID or name. Be flexible with stage names (e.g., "done" = "completed").
 
+PRINT QUEUE:
+When users want to print something later or "queue" a print, use:
+{
+    "action": "fabrication_control",
+    "parameters": {
+        "command": "queue_print",
+        "printerId": "optional printer id - omit for any compatible printer",
+        "data": {
+            "fileName": "bracket.gcode.3mf",
+            "filePath": "optional local path to upload first",
+            "material": "PLA",
+            "priority": 1-5,
+            "projectName": "Drone Frame"
+        }
+    }
+}
+Queued jobs start automatically when a matching printer is idle and has filament loaded.
+
+PRE-FLIGHT CHECKS:
+Local G-code/3MF files are analyzed before they are queued, uploaded or started: print time, filament
+length/weight, temperatures, bounding box and layer count are checked against the printer's bed, the
+material's temperature range and the maximum print time. To check a file without printing it:
+{
+    "action": "fabrication_control",
+    "parameters": {
+        "command": "preflight_check",
+        "printerId": "optional printer id",
+        "data": { "filePath": "C:/prints/bracket.gcode.3mf", "material": "optional, e.g. PETG" }
+    }
+}
+When a result includes a failed pre-flight, tell the user which checks failed instead of retrying.
+
+FILAMENT SPOOLS:
+Spools are tracked by weight and can be loaded on a printer. Finished, failed and cancelled queue jobs
+deduct the filament they used from the loaded spool and from its linked inventory item.
+If start_print comes back with lowFilament, tell the user how much is left versus needed, and only resend
+start_print with data.allowLowFilament = true once the user says to print anyway.
+
+PRINT HISTORY:
+Every print that reaches a printer (queued or started directly) is kept with its printer, material, times,
+outcome, filament used and project. Prints linked to a project also appear on that project's timeline.
+start_print accepts data.projectName and data.notes to link a direct print.
+For "how did my prints go this month" use get_print_stats with days: 30.
+
+SLICING:
+Models (.stl, .3mf, .obj, .step) are sliced with the slicer configured in config/fabrication.json, using
+the profiles for the printer, material and quality. printerId may be a printer id, name or model ("P1S").
+For "print bracket.stl in PETG on the P1S" use:
+{
+    "action": "fabrication_control",
+    "parameters": {
+        "command": "print_model",
+        "printerId": "P1S",
+        "data": {
+            "filePath": "C:/models/bracket.stl",
+            "material": "PETG",
+            "quality": "optional, e.g. fine, standard or draft",
+            "projectName": "optional",
+            "priority": 1-5
+        }
+    }
+}
+print_model slices, runs the pre-flight check and queues the result. To only slice and check a model, use
+slice_model with the same data. If slicing fails because a profile is missing, tell the user which one.
+
+SIMULATED PRINTERS:
+Printers with type "simulator" are for testing without hardware. Use simulate_fault on them to try out
+the safety rules or the queue; refill loads filament again after a runout.
+
 TRIGGER PHRASES:
 - "GPT" - General commands and requests
 - "GPT, log that instance" - Note-taking with context awareness
@@ -200,28 +353,8 @@ EXAMPLES:
 - "what reminders are due?"
 
 RESPONSE FORMAT:
-Always respond with a JSON object containing:
-{
-    "message": "Your response to the user",
-    "action": "action_type" | null,
-    "parameters": {...} | null,
-    "shouldSpeak": true/false,
-    "needsClarification": true/false,
-    "clarifyingQuestions": ["question1", "question2"] | null,
-    "confidence": 0.0-1.0
-}
-
-ACTION TYPES:
-- "computer_operation"
-- "project_management"
-- "fabrication_control"
-- "note_taking"
-- "browser_control"
-- "file_management"
-- "simulation_request"
-- "optimization_analysis"
-- "security_check"
-- "get_system_status" (for system health and status requests)
+Reply to the user in plain text, not JSON. When a request is ambiguous, ask a clarifying question instead
+of calling a tool.
 
 SYSTEM STATUS REQUESTS:
 When users ask for system status, health, or local machine information, use:
@@ -237,7 +370,7 @@ Examples of system status requests:
 - "check system status"
 - "how is my computer running"
 
-ALWAYS use "get_system_status" action (NOT computer_operation) for system health queries.
+ALWAYS use the "get_system_status" tool (NOT computer_operation) for system health queries.
 
 Note: System status available on request - use "get my local system status" to check current health.
 `;
@@ -323,137 +456,85 @@ Note: System status available on request - use "get my local system status" to c
         }
     }
 
-    async processCommand(userInput, modelType = 'chat') {
+    // options.onToken(text) receives the answer as it streams in; options.signal (an AbortSignal) cancels
+    // the request, and whatever had streamed by then is returned with cancelled: true
+    async processCommand(userInput, modelType = 'chat', options = {}) {
         console.log(`🎯 Processing command: "${userInput}" with model type: ${modelType}`);
+        let streamed = '';
+        const streamOptions = {
+            signal: options.signal,
+            onToken: options.onToken ? (token) => {
+                streamed += token;
+                options.onToken(token);
+            } : null
+        };
         
         try {
-            // Check for specific trigger phrases
-            const lowerInput = userInput.toLowerCase();
-            
-            if (lowerInput.includes('gpt, log that instance')) {
-                return await this.handleNoteLogging(userInput);
+            // Reminders, notes, help and feature requests are handled without the tool loop
+            const quickResponse = await this.handleQuickCommand(userInput);
+            if (quickResponse) {
+                await this.recordTranscript(userInput, quickResponse);
+                return quickResponse;
             }
             
-            // Check for reminder creation patterns
-            if (lowerInput.includes('remind me') || lowerInput.includes('set reminder') || 
-                lowerInput.includes('reminder to') || lowerInput.includes('schedule reminder')) {
-                return await this.handleReminderCreation(userInput);
-            }
-            
-            // Check for note-taking patterns
-            if (lowerInput.includes('note this') || lowerInput.includes('add note') || 
-                lowerInput.includes('take note') || lowerInput.includes('log this')) {
-                return await this.handleProjectNoteCreation(userInput);
-            }
-            
-            // Check for reminder queries
-            if (lowerInput.includes('show reminders') || lowerInput.includes('what reminders') || 
-                lowerInput.includes('due reminders') || lowerInput.includes('upcoming reminders')) {
-                return await this.handleReminderQuery(userInput);
-            }
-            
-            // Check if we're in an active feature request workflow
-            if (this.activeFeatureRequest) {
-                return await this.handleFeatureWorkflow(userInput);
-            }
-            
-            // Check for feature requests using AI detection
-            console.log('🔍 Checking for feature patterns in:', userInput);
-            const isFeatureRequest = await this.detectFeatureRequest(userInput);
-            
-            if (isFeatureRequest) {
-                console.log('🚀 Feature request detected by AI:', userInput);
-                console.log('🎯 Detection result:', isFeatureRequest);
-                
-                return await this.startConversationalWorkflow(userInput, isFeatureRequest);
-            }
-            
-            // Add user input to conversation history
-            this.conversationHistory.push({
-                role: 'user',
-                content: userInput,
-                timestamp: new Date().toISOString()
-            });
-            
-            // Keep conversation history manageable
-            if (this.conversationHistory.length > 20) {
-                this.conversationHistory = this.conversationHistory.slice(-20);
-            }
+            await this.remember('user', userInput);
             
             // Select model configuration based on type
             const config = this.getModelConfig(modelType);
             
-            // Create the prompt for OpenAI
-            const messages = [
-                {
-                    role: 'system',
-                    content: this.systemContext
-                },
-                ...this.conversationHistory.slice(-10) // Last 10 messages for context
-            ];
-            
-            // Get response from OpenAI with selected model
-            const completion = await this.openai.chat.completions.create({
-                model: config.model,
-                messages: messages,
-                temperature: config.temperature,
-                max_tokens: config.maxTokens
-            });
-            
-            const aiResponse = completion.choices[0].message.content;
-            
-            // For code generation, return raw response without JSON parsing
+            // For code generation, return the raw response without offering any tools
             if (modelType === 'codeGeneration') {
+                const messages = await this.buildMessages(config, [], options.signal);
+                const completion = await this.openai.chat.completions.create({
+                    model: config.model,
+                    messages: messages,
+                    temperature: config.temperature,
+                    max_tokens: this.replyTokens(config, messages)
+                }, { signal: options.signal });
+                const aiResponse = completion.choices[0].message.content;
                 console.log(`🤖 GPT response: ${aiResponse}`);
+                await this.saveMessage({ role: 'assistant', content: aiResponse, inContext: false });
                 return aiResponse;
             }
             
-            // Parse the JSON response for other model types
-            let parsedResponse;
-            try {
-                parsedResponse = JSON.parse(aiResponse);
-            } catch (parseError) {
-                // Fallback if AI doesn't return valid JSON
-                parsedResponse = {
-                    message: aiResponse,
-                    action: null,
-                    parameters: null,
-                    shouldSpeak: true,
-                    needsClarification: false,
-                    clarifyingQuestions: null,
-                    confidence: 0.8
-                };
+            const messages = await this.buildMessages(config, this.actions.toolDefinitions(), options.signal);
+            const { message, actions, cancelled } = await this.runToolLoop(messages, config, streamOptions);
+            if (cancelled) {
+                return await this.cancelledResponse(streamed, actions);
             }
+
+            const lastAction = actions.length > 0 ? actions[actions.length - 1] : null;
+            const response = {
+                message: message || this.summarizeActions(actions),
+                action: lastAction ? lastAction.action : null,
+                parameters: lastAction ? lastAction.parameters : null,
+                actions: actions,
+                shouldSpeak: true,
+                needsClarification: false,
+                clarifyingQuestions: null
+            };
             
             // Add AI response to conversation history
-            this.conversationHistory.push({
-                role: 'assistant',
-                content: aiResponse,
-                timestamp: new Date().toISOString()
-            });
+            await this.remember('assistant', response.message, this.actionMetadata(actions));
             
-            // Execute any requested actions
-            if (parsedResponse.action && parsedResponse.parameters) {
-                console.log('🔧 Executing action:', parsedResponse.action, 'with parameters:', parsedResponse.parameters);
-                const actionResult = await this.executeAction(
-                    parsedResponse.action, 
-                    parsedResponse.parameters
-                );
-                
-                console.log('🔧 Action result:', actionResult);
-                
-                // Update response with action result
-                if (actionResult.success) {
-                    parsedResponse.message += `\n\n✅ Action completed: ${actionResult.message || 'Successfully completed'}`;
-                } else {
-                    parsedResponse.message += `\n\n❌ Action failed: ${actionResult.error}`;
-                }
+            // Keep the candidate ids in context so the follow-up answer can be resolved
+            const ambiguous = actions.find(action => action.result.needsDisambiguation);
+            if (ambiguous) {
+                response.needsClarification = true;
+                response.clarifyingQuestions = ambiguous.result.candidates.map(candidate => `Did you mean "${candidate.name}"?`);
+                await this.remember('system',
+                    `The ${ambiguous.parameters.action || ambiguous.parameters.command || ambiguous.action} action was not run because the name was ambiguous. ` +
+                    `Candidates: ${JSON.stringify(ambiguous.result.candidates)}. Once the user picks one, retry the same action using its id.`);
             }
             
-            console.log(`🤖 GPT response: ${parsedResponse.message}`);
-            return parsedResponse;
+            console.log(`🤖 GPT response: ${response.message}`);
+            return response;
             
         } catch (error) {
+            if (options.signal && options.signal.aborted) {
+                return await this.cancelledResponse(streamed);
+            }
+
             console.error('❌ Error processing command:', error);
             return {
                 message: "I apologize, but I encountered an error processing your request. Could you please try rephrasing or provide more details?",
@@ -467,6 +548,75 @@ Note: System status available on request - use "get my local system status" to c
         }
     }
 
+    // Trigger phrases and the feature request workflow; null when the command is for the model
+    async handleQuickCommand(userInput) {
+        // Check for specific trigger phrases
+        const lowerInput = userInput.toLowerCase();
+        
+        if (lowerInput.includes('gpt, log that instance')) {
+            return await this.handleNoteLogging(userInput);
+        }
+        
+        // Check for reminder creation patterns
+        if (lowerInput.includes('remind me') || lowerInput.includes('set reminder') || 
+            lowerInput.includes('reminder to') || lowerInput.includes('schedule reminder')) {
+            return await this.handleReminderCreation(userInput);
+        }
+        
+        // Check for note-taking patterns
+        if (lowerInput.includes('note this') || lowerInput.includes('add note') || 
+            lowerInput.includes('take note') || lowerInput.includes('log this')) {
+            return await this.handleProjectNoteCreation(userInput);
+        }
+        
+        // Check for reminder queries
+        if (lowerInput.includes('show reminders') || lowerInput.includes('what reminders') || 
+            lowerInput.includes('due reminders') || lowerInput.includes('upcoming reminders')) {
+            return await this.handleReminderQuery(userInput);
+        }
+        
+        // "help", "what can you do?" or "help with printers" lists the registered actions
+        const helpMatch = lowerInput.trim().match(/^(?:help|what can you do)(?:\s+(?:with|on|for)?\s*(.+?))?[?.!]*$/);
+        if (helpMatch && this.actions) {
+            return this.handleHelp(helpMatch[1]);
+        }
+        
+        // Check if we're in an active feature request workflow
+        if (this.activeFeatureRequest) {
+            return await this.handleFeatureWorkflow(userInput);
+        }
+        
+        // Check for feature requests using AI detection
+        console.log('🔍 Checking for feature patterns in:', userInput);
+        const isFeatureRequest = await this.detectFeatureRequest(userInput);
+        
+        if (isFeatureRequest) {
+            console.log('🚀 Feature request detected by AI:', userInput);
+            console.log('🎯 Detection result:', isFeatureRequest);
+            
+            return await this.startConversationalWorkflow(userInput, isFeatureRequest);
+        }
+        
+        return null;
+    }
+
+    handleHelp(topic = null) {
+        const wanted = topic ? topic.trim() : null;
+        const family = wanted ? Array.from(this.actions.families.values()).find(entry =>
+            entry.name === wanted.replace(/\s+/g, '_') || entry.title.toLowerCase() === wanted) : null;
+
+        return {
+            message: family ?
+                this.actions.help(family.name) :
+                `${wanted ? `I don't have a "${wanted}" section, so here is everything I can do:\n\n` : ''}${this.actions.help()}`,
+            action: null,
+            parameters: null,
+            shouldSpeak: false,
+            needsClarification: false,
+            clarifyingQuestions: null
+        };
+    }
+
     async handleNoteLogging(userInput) {
         try {
             // Extract the note content
@@ -511,6 +661,174 @@ Note: System status available on request - use "get my local system status" to c
         }
     }
 
+    // Whatever had streamed, plus the actions that ran before Stop, so the user knows what did happen
+    async cancelledResponse(streamed, actions = []) {
+        console.log(`⏹️ Command cancelled${actions.length > 0 ? ` after ${actions.length} action(s)` : ''}`);
+        const message = [streamed, this.summarizeActions(actions)].filter(Boolean).join('\n');
+        if (message) {
+            await this.remember('assistant', `${message} [cancelled]`, this.actionMetadata(actions));
+        }
+
+        const lastAction = actions.length > 0 ? actions[actions.length - 1] : null;
+        return {
+            message: message,
+            action: lastAction ? lastAction.action : null,
+            parameters: lastAction ? lastAction.parameters : null,
+            actions: actions,
+            cancelled: true,
+            shouldSpeak: false,
+            needsClarification: false,
+            clarifyingQuestions: null
+        };
+    }
+
+    summarizeActions(actions) {
+        return actions.map(action => action.result.success ?
+            `✅ ${action.result.message || 'Action completed'}` :
+            `❌ ${action.result.error}`).join('\n');
+    }
+
+    actionMetadata(actions) {
+        return {
+            actions: actions.map(action => ({
+                action: action.action,
+                name: action.parameters ? action.parameters.action || action.parameters.command || action.parameters.operation : null,
+                success: Boolean(action.result.success)
+            }))
+        };
+    }
+
+    // Lets the model run actions as tools until it answers in text. Every result goes back to the model,
+    // so it can chain calls (find a project, then add a task to it) and report what actually happened.
+    async runToolLoop(messages, config, options = {}) {
+        const actions = [];
+        const tools = this.actions.toolDefinitions();
+        const aborted = () => Boolean(options.signal && options.signal.aborted);
+
+        for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+            // Tool results pile up over the rounds; stop before they crowd out the answer
+            const replyTokens = this.replyTokens(config, messages, tools);
+            if (replyTokens < MIN_REPLY_TOKENS) {
+                console.warn(`⚠️ Stopping the tool chain after ${round} rounds - ${config.model}'s context window is full`);
+                break;
+            }
+
+            const request = {
+                model: config.model,
+                messages: messages,
+                temperature: config.temperature,
+                max_tokens: replyTokens,
+                tools: tools,
+                // The last round has to produce an answer
+                tool_choice: round === MAX_TOOL_ROUNDS - 1 ? 'none' : 'auto'
+            };
+
+            let reply;
+            try {
+                reply = options.onToken ?
+                    await this.streamCompletion(request, options) :
+                    (await this.openai.chat.completions.create(request, { signal: options.signal })).choices[0].message;
+            } catch (error) {
+                // Actions from earlier rounds did run; the caller reports them with the cancellation
+                if (aborted()) {
+                    return { message: '', actions: actions, cancelled: true };
+                }
+                throw error;
+            }
+            if (!reply.tool_calls || reply.tool_calls.length === 0) {
+                return { message: reply.content || '', actions: actions };
+            }
+
+            messages.push({ role: 'assistant', content: reply.content || null, tool_calls: reply.tool_calls });
+            for (const toolCall of reply.tool_calls) {
+                // Calls the model asked for are not run once the user has pressed Stop
+                if (aborted()) {
+                    return { message: '', actions: actions, cancelled: true };
+                }
+                const action = await this.runToolCall(toolCall);
+                actions.push(action);
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: toolCall.id,
+                    content: this.formatToolResult(action.result)
+                });
+            }
+        }
+
+        return { message: '', actions: actions };
+    }
+
+    // Streams one completion, handing text to onToken as it arrives. Tool calls come in pieces keyed by
+    // index and are put back together into the shape a non-streamed reply has.
+    async streamCompletion(request, options) {
+        const stream = await this.openai.chat.completions.create({ ...request, stream: true }, { signal: options.signal });
+        const reply = { role: 'assistant', content: '', tool_calls: [] };
+
+        for await (const chunk of stream) {
+            const delta = chunk.choices[0] && chunk.choices[0].delta;
+            if (!delta) continue;
+
+            if (delta.content) {
+                reply.content += delta.content;
+                options.onToken(delta.content);
+            }
+            (delta.tool_calls || []).forEach(part => {
+                if (!reply.tool_calls[part.index]) {
+                    reply.tool_calls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+                }
+                const toolCall = reply.tool_calls[part.index];
+                if (part.id) toolCall.id = part.id;
+                if (part.function && part.function.name) toolCall.function.name += part.function.name;
+                if (part.function && part.function.arguments) toolCall.function.arguments += part.function.arguments;
+            });
+        }
+
+        reply.tool_calls = reply.tool_calls.filter(Boolean);
+        return reply;
+    }
+
+    async runToolCall(toolCall) {
+        const name = toolCall.function.name;
+        const parsed = this.parseToolArguments(toolCall);
+        if (parsed.error) {
+            return { action: name, parameters: null, result: { success: false, error: parsed.error } };
+        }
+
+        const parameters = parsed.arguments;
+        // executeAction() treats unknown action types as feature requests, which a tool call must never trigger
+        if (!this.actions.hasFamily(name)) {
+            return { action: name, parameters: parameters, result: { success: false, error: `Unknown tool: ${name}` } };
+        }
+
+        console.log('🔧 Executing action:', name, 'with parameters:', parameters);
+        const result = await this.executeAction(name, parameters) || { success: false, error: 'No result' };
+        console.log('🔧 Action result:', result);
+
+        return { action: name, parameters: parameters, result: result };
+    }
+
+    // Tool arguments arrive as a JSON string; a malformed one becomes an error the model can correct
+    parseToolArguments(toolCall) {
+        try {
+            const parsed = JSON.parse(toolCall.function.arguments || '{}');
+            return { arguments: parsed && typeof parsed === 'object' ? parsed : {} };
+        } catch (error) {
+            return { error: `Arguments for ${toolCall.function.name} are not valid JSON: ${error.message}` };
+        }
+    }
+
+    formatToolResult(result) {
+        let content;
+        try {
+            content = JSON.stringify(result);
+        } catch (error) {
+            content = JSON.stringify({ success: result.success, message: result.message, error: result.error });
+        }
+        return content.length > TOOL_RESULT_LIMIT ?
+            `${content.slice(0, TOOL_RESULT_LIMIT)}... (truncated, ${content.length} characters in total)` :
+            content;
+    }
+
     extractTags(content) {
         // Simple tag extraction based on keywords
         const keywords = ['error', 'bug', 'optimization', 'idea', 'todo', 'meeting', 'design', '3d', 'print'];
@@ -531,6 +849,125 @@ Note: System status available on request - use "get my local system status" to c
         return config;
     }
 
+    // The request for one command: system context, the pinned project, the rolling summary and as much of
+    // the conversation as the model's budget allows. Older turns are summarized first when they don't fit.
+    async buildMessages(config, tools = [], signal = null) {
+        const fixed = [{ role: 'system', content: this.systemContext }];
+        if (this.session && this.session.project_id) {
+            fixed.push({
+                role: 'system',
+                content: `This conversation is pinned to the project "${this.session.project_name}" (id ${this.session.project_id}). ` +
+                    'Unless the user names another project, requests are about this one.'
+            });
+        }
+
+        const fixedTokens = this.tokenCounter.countMessages(fixed, config) + this.tokenCounter.countTools(tools, config);
+        const contextWindow = this.tokenCounter.getContextWindow(config);
+        const available = contextWindow - fixedTokens - (config.maxTokens || 0);
+        const budget = Math.min(config.historyTokens || HISTORY_TOKENS, available);
+
+        if (this.countHistory(config) > budget) {
+            await this.summarizeHistory(config, budget, signal);
+        }
+
+        // The summarizer may have failed, or the newest message alone may be too long: drop what doesn't fit
+        while (this.conversationHistory.length > 1 && this.countHistory(config) > available) {
+            this.conversationHistory.shift();
+        }
+        if (this.countHistory(config) > available) {
+            throw new Error(`The conversation does not fit in ${config.model}'s context window of ${contextWindow} tokens`);
+        }
+
+        return [
+            ...fixed,
+            ...this.summaryMessages(),
+            ...this.conversationHistory.map(entry => ({ role: entry.role, content: entry.content }))
+        ];
+    }
+
+    summaryMessages() {
+        return this.conversationSummary ? [{
+            role: 'system',
+            content: `Summary of the earlier part of this conversation:\n${this.conversationSummary}`
+        }] : [];
+    }
+
+    countHistory(config) {
+        const history = this.conversationHistory.map(entry => ({ role: entry.role, content: entry.content }));
+        return this.tokenCounter.countMessages([...this.summaryMessages(), ...history], config);
+    }
+
+    // Whatever room the prompt leaves, up to the configured reply length
+    replyTokens(config, messages, tools = []) {
+        const used = this.tokenCounter.countMessages(messages, config) + this.tokenCounter.countTools(tools, config);
+        return Math.min(config.maxTokens || Infinity, this.tokenCounter.getContextWindow(config) - used);
+    }
+
+    // Folds the older turns into the rolling summary, keeping the newest ones verbatim. The summary is saved
+    // with the session, so a resumed session remembers what was decided before the cut.
+    async summarizeHistory(config, budget, signal = null) {
+        const keep = [];
+        let kept = 0;
+        for (let i = this.conversationHistory.length - 1; i >= 0; i--) {
+            const tokens = this.tokenCounter.countMessages([this.conversationHistory[i]], config);
+            if (keep.length > 0 && kept + tokens > budget * RECENT_SHARE) break;
+            keep.unshift(this.conversationHistory[i]);
+            kept += tokens;
+        }
+
+        const older = this.conversationHistory.slice(0, this.conversationHistory.length - keep.length);
+        if (older.length === 0) return;
+
+        const summaryConfig = this.modelConfig.summary || this.getModelConfig('chat');
+        const transcript = older.map(entry => {
+            const content = entry.content.length > SUMMARY_INPUT_CHARS ? `${entry.content.slice(0, SUMMARY_INPUT_CHARS)}…` : entry.content;
+            return `${entry.role.toUpperCase()}: ${content}`;
+        });
+        const instructions = 'You maintain the memory of a conversation between a user and their assistant. ' +
+            'Merge the previous summary and the new turns into one updated summary. Keep decisions, preferences, ' +
+            'names, ids, numbers and open questions; drop small talk. Write plain sentences, at most 250 words.';
+        const prompt = () => [
+            { role: 'system', content: instructions },
+            {
+                role: 'user',
+                content: `PREVIOUS SUMMARY:\n${this.conversationSummary || '(none)'}\n\nNEW TURNS:\n${transcript.join('\n\n')}`
+            }
+        ];
+
+        // The oldest turns go unread if even the summarizer's window is too small for all of them
+        const room = this.tokenCounter.getContextWindow(summaryConfig) - SUMMARY_TOKENS;
+        while (transcript.length > 1 && this.tokenCounter.countMessages(prompt(), summaryConfig) > room) {
+            transcript.shift();
+        }
+
+        try {
+            const completion = await this.openai.chat.completions.create({
+                model: summaryConfig.model,
+                messages: prompt(),
+                temperature: 0.2,
+                max_tokens: SUMMARY_TOKENS
+            }, { signal: signal });
+            const summary = (completion.choices[0].message.content || '').trim();
+            if (!summary) {
+                throw new Error('empty summary');
+            }
+
+            this.conversationSummary = summary;
+            this.conversationHistory = keep;
+            console.log(`🧾 Summarized ${older.length} older messages into the conversation memory`);
+
+            const lastId = older.map(entry => entry.id).filter(Boolean).pop();
+            if (this.conversations && this.session && lastId) {
+                await this.conversations.saveSummary(this.session.id, summary, lastId);
+            }
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            // The request still has to fit, so the oldest turns are dropped unsummarized
+            console.error('❌ Failed to summarize the conversation, dropping older messages:', error.message);
+            this.conversationHistory = keep;
+        }
+    }
+
     // Method to update model configuration (useful for settings changes)
     updateModelConfig(newConfig) {
         this.modelConfig = { ...this.modelConfig, ...newConfig };
@@ -540,59 +977,19 @@ Note: System status available on request - use "get my local system status" to c
     async executeAction(actionType, parameters) {
         console.log('🔧 executeAction called with:', { actionType, parameters });
         try {
+            // Older callers pass a bare note without an action
+            if (actionType === 'note_taking' && parameters && !parameters.action) {
+                parameters = { action: 'add_note', data: parameters };
+            }
+            if (actionType === 'system_status') {
+                actionType = 'get_system_status';
+            }
+
+            if (this.actions && this.actions.hasFamily(actionType)) {
+                return await this.actions.execute(actionType, parameters, { user: this.assistantUser });
+            }
+
             switch (actionType) {
-                case 'computer_operation':
-                    // Transform action parameter to operation for computer controller
-                    const computerParams = {
-                        operation: parameters.action || parameters.operation,
-                        target: parameters.target,
-                        options: parameters.options || {}
-                    };
-                    return await this.computerController.executeOperation(computerParams);
-                
-                case 'project_management':
-                    return await this.projectManager.executeAction(parameters);
-                
-                case 'fabrication_control':
-                    return await this.fabricationManager.executeCommand(parameters);
-                
-                case 'browser_control':
-                    return await this.computerController.controlBrowser(parameters);
-                
-                case 'file_management':
-                    return await this.computerController.manageFiles(parameters);
-                
-                case 'note_taking':
-                    // Handle different note operations
-                    try {
-                        let result;
-                        if (parameters.action === 'add_note') {
-                            result = await this.projectManager.addNote(parameters.data);
-                        } else if (parameters.action === 'edit_note') {
-                            result = await this.projectManager.updateNote(parameters.data);
-                        } else if (parameters.action === 'delete_note') {
-                            result = await this.projectManager.deleteNote(parameters.data);
-                        } else {
-                            // Default to add_note if no specific action
-                            result = await this.projectManager.addNote(parameters);
-                        }
-                        
-                        // Return standardized success format
-                        return {
-                            success: true,
-                            message: `Note operation completed successfully`,
-                            data: result
-                        };
-                    } catch (error) {
-                        return {
-                            success: false,
-                            error: error.message
-                        };
-                    }
-                
-                case 'security_check':
-                    return await this.securityManager.performSecurityCheck(parameters);
-                
                 case 'feature_request':
                     // Enhanced feature implementation using the comprehensive global system
                     console.log('🚀 Processing comprehensive feature request:', parameters);
@@ -697,23 +1094,6 @@ ${applicationResult.failureCount > 0 ? `⚠️ Failed changes: ${applicationResu
                         };
                     }
                 
-                case 'get_system_status':
-                case 'system_status':
-                    // Handle system status requests
-                    try {
-                        const statusMessage = await this.getSystemStatus();
-                        return {
-                            success: true,
-                            message: statusMessage,
-                            data: statusMessage
-                        };
-                    } catch (error) {
-                        return {
-                            success: false,
-                            error: error.message
-                        };
-                    }
-                
                 default:
                     // Trigger adaptive code rewriting for unknown actions
                     console.log(`🔧 Unknown action "${actionType}" - triggering adaptive rewrite`);
@@ -762,11 +1142,137 @@ ${applicationResult.failureCount > 0 ? `⚠️ Failed changes: ${applicationResu
         return this.conversationHistory;
     }
 
+    // The old session stays saved; the next message starts a new one
     async clearConversationHistory() {
         this.conversationHistory = [];
+        this.conversationSummary = null;
+        this.session = null;
+        this.activeFeatureRequest = null;
         console.log('🗑️ Conversation history cleared');
     }
 
+    // Adds a message to the model's context and saves it to the current session
+    // Old turns are trimmed by buildMessages(), which summarizes them once they outgrow the token budget
+    async remember(role, content, metadata = null) {
+        const entry = {
+            role: role,
+            content: content,
+            timestamp: new Date().toISOString()
+        };
+        this.conversationHistory.push(entry);
+
+        // The id tells the summary which saved messages it covers
+        entry.id = await this.saveMessage({ role: role, content: content, metadata: metadata });
+    }
+
+    // Quick commands are saved for the transcript but never become model context
+    async recordTranscript(userInput, response) {
+        await this.saveMessage({ role: 'user', content: userInput, inContext: false });
+        await this.saveMessage({
+            role: 'assistant',
+            content: typeof response === 'string' ? response : response.message || '',
+            inContext: false
+        });
+    }
+
+    // A failed save must not fail the chat, so errors are only logged
+    async saveMessage(message) {
+        if (!this.conversations) return null;
+
+        try {
+            if (!this.session) {
+                this.session = await this.conversations.createSession();
+            }
+            return await this.conversations.addMessage(this.session.id, message);
+        } catch (error) {
+            console.error('❌ Failed to save chat message:', error);
+            return null;
+        }
+    }
+
+    async listSessions(options = {}) {
+        return await this.conversations.listSessions(options);
+    }
+
+    async getActiveSession() {
+        return this.session ? await this.conversations.getSession(this.session.id) : null;
+    }
+
+    async newSession(options = {}) {
+        await this.clearConversationHistory();
+        this.session = await this.conversations.createSession(options);
+        console.log(`💬 Started chat session ${this.session.id}`);
+        return this.session;
+    }
+
+    // Makes a saved session current and loads its recent messages back into the model's context
+    async resumeSession(sessionId) {
+        const session = await this.conversations.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Session ${sessionId} not found`);
+        }
+
+        const messages = await this.conversations.getMessages(sessionId, {
+            contextOnly: true,
+            after: session.summarized_through,
+            limit: HISTORY_LIMIT
+        });
+        this.conversationHistory = messages.map(message => ({
+            id: message.id,
+            role: message.role,
+            content: message.content,
+            timestamp: new Date(message.created_at + 'Z').toISOString()
+        }));
+        this.conversationSummary = session.summary || null;
+        this.session = session;
+        this.activeFeatureRequest = null;
+        console.log(`💬 Resumed chat session ${session.id} (${messages.length} messages in context)`);
+        return session;
+    }
+
+    // Everything shown in the chat, including quick commands that were not model context
+    async getSessionMessages(sessionId = null) {
+        const id = sessionId || (this.session && this.session.id);
+        if (!id) return [];
+
+        const messages = await this.conversations.getMessages(id);
+        return messages.filter(message => message.role !== 'system');
+    }
+
+    async renameSession(sessionId, title) {
+        const result = await this.conversations.renameSession(sessionId, title);
+        await this.refreshSession(sessionId);
+        return result;
+    }
+
+    async pinSession(sessionId, projectId) {
+        const result = await this.conversations.pinSession(sessionId, projectId);
+        await this.refreshSession(sessionId);
+        return result;
+    }
+
+    async deleteSession(sessionId) {
+        const result = await this.conversations.deleteSession(sessionId);
+        if (result.success && this.session && this.session.id === sessionId) {
+            await this.clearConversationHistory();
+        }
+        return result;
+    }
+
+    async refreshSession(sessionId) {
+        if (this.session && this.session.id === sessionId) {
+            this.session = await this.conversations.getSession(sessionId);
+        }
+    }
+
+    async searchConversations(query, options = {}) {
+        return await this.conversations.search(query, options);
+    }
+
+    async exportSession(sessionId) {
+        return await this.conversations.exportMarkdown(sessionId);
+    }
+
     async updateSystemContext() {
         this.systemContext = await this.buildSystemContext();
         console.log('🔄 System context updated');
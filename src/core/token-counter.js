@@ -0,0 +1,77 @@
+// Token estimates for fitting requests into a model's context window. There is no tokenizer in the
+// dependencies, so text is measured by characters per token for the model's encoding, rounded up and
+// with non-ASCII characters counted as a token each - this overestimates, which is the safe side.
+const ENCODINGS = {
+    o200k_base: { charsPerToken: 3.8 },
+    cl100k_base: { charsPerToken: 3.5 }
+};
+
+// Longest matching prefix wins, so "gpt-4o-mini" is not mistaken for "gpt-4"
+const MODELS = [
+    { prefix: 'gpt-4.1', contextWindow: 1047576, encoding: 'o200k_base' },
+    { prefix: 'gpt-4o', contextWindow: 128000, encoding: 'o200k_base' },
+    { prefix: 'o1-preview', contextWindow: 128000, encoding: 'o200k_base' },
+    { prefix: 'o1-mini', contextWindow: 128000, encoding: 'o200k_base' },
+    { prefix: 'o1', contextWindow: 200000, encoding: 'o200k_base' },
+    { prefix: 'o3', contextWindow: 200000, encoding: 'o200k_base' },
+    { prefix: 'o4-mini', contextWindow: 200000, encoding: 'o200k_base' },
+    { prefix: 'gpt-4-turbo', contextWindow: 128000, encoding: 'cl100k_base' },
+    { prefix: 'gpt-4-1106', contextWindow: 128000, encoding: 'cl100k_base' },
+    { prefix: 'gpt-4-0125', contextWindow: 128000, encoding: 'cl100k_base' },
+    { prefix: 'gpt-4-32k', contextWindow: 32768, encoding: 'cl100k_base' },
+    { prefix: 'gpt-4', contextWindow: 8192, encoding: 'cl100k_base' },
+    { prefix: 'gpt-3.5-turbo-instruct', contextWindow: 4096, encoding: 'cl100k_base' },
+    { prefix: 'gpt-3.5-turbo', contextWindow: 16385, encoding: 'cl100k_base' }
+];
+
+// Models nobody told us about get a small window
+const DEFAULT_MODEL = { contextWindow: 8192, encoding: 'cl100k_base' };
+// Every message carries role and separator tokens; every reply is primed with a few more
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+
+class TokenCounter {
+    // config is an entry from getModelConfig(); contextWindow and encoding there override the table
+    getModelInfo(config = {}) {
+        const model = String(config.model || '').toLowerCase();
+        const known = MODELS
+            .filter(entry => model.startsWith(entry.prefix))
+            .sort((a, b) => b.prefix.length - a.prefix.length)[0] || DEFAULT_MODEL;
+
+        const encoding = ENCODINGS[config.encoding] ? config.encoding : known.encoding;
+        return {
+            contextWindow: config.contextWindow || known.contextWindow,
+            encoding: encoding,
+            charsPerToken: ENCODINGS[encoding].charsPerToken
+        };
+    }
+
+    getContextWindow(config) {
+        return this.getModelInfo(config).contextWindow;
+    }
+
+    countText(text, config) {
+        if (!text) return 0;
+
+        const value = typeof text === 'string' ? text : JSON.stringify(text);
+        const nonAscii = (value.match(/[^\x00-\x7F]/g) || []).length;
+        return Math.ceil((value.length - nonAscii) / this.getModelInfo(config).charsPerToken) + nonAscii;
+    }
+
+    // Chat messages as sent to the API, including assistant tool calls and tool results
+    countMessages(messages, config) {
+        return messages.reduce((total, message) => total +
+            TOKENS_PER_MESSAGE +
+            this.countText(message.content, config) +
+            (message.tool_calls ? this.countText(message.tool_calls, config) : 0) +
+            (message.name ? this.countText(message.name, config) : 0),
+        TOKENS_PER_REPLY);
+    }
+
+    // Tool schemas count against the context like any other prompt text
+    countTools(tools, config) {
+        return tools && tools.length > 0 ? this.countText(tools, config) : 0;
+    }
+}
+
+module.exports = TokenCounter;
@@ -0,0 +1,432 @@
+const mqtt = require('mqtt');
+const ftp = require('basic-ftp');
+const path = require('path');
+const PrinterDriver = require('./printer-driver');
+
+// LAN-mode protocol: MQTT over TLS for reports/commands, implicit FTPS for files.
+// Both authenticate as "bblp" with the access code shown on the printer's screen.
+const DEFAULT_MQTT_PORT = 8883;
+const DEFAULT_FTP_PORT = 990;
+const USERNAME = 'bblp';
+const CONNECT_TIMEOUT_MS = 10000;
+const REPLY_TIMEOUT_MS = 5000;
+
+// gcode_state values reported by the printer, mapped to the states FabricationManager understands
+const GCODE_STATES = {
+    IDLE: 'idle',
+    PREPARE: 'preparing',
+    SLICING: 'preparing',
+    RUNNING: 'printing',
+    PAUSE: 'paused',
+    FINISH: 'finished',
+    FAILED: 'failed'
+};
+
+class BambuLabPrinter extends PrinterDriver {
+    constructor(config) {
+        super({ ...config, type: 'bambu' });
+        this.ip = config.ip;
+        this.accessCode = config.accessCode;
+        this.serialNumber = config.serialNumber;
+        this.mqttPort = config.mqttPort || DEFAULT_MQTT_PORT;
+        this.ftpPort = config.ftpPort || DEFAULT_FTP_PORT;
+        this.client = null;
+        this.report = {};
+        this.lastReportAt = null;
+        this.sequenceId = 0;
+        this.pendingReplies = new Map();
+    }
+
+    get reportTopic() {
+        return `device/${this.serialNumber}/report`;
+    }
+
+    get requestTopic() {
+        return `device/${this.serialNumber}/request`;
+    }
+
+    async connect() {
+        if (!this.ip || !this.accessCode || !this.serialNumber) {
+            throw new Error(`Printer ${this.name} needs ip, accessCode and serialNumber for LAN mode`);
+        }
+
+        await new Promise((resolve, reject) => {
+            const client = mqtt.connect(`mqtts://${this.ip}:${this.mqttPort}`, {
+                username: USERNAME,
+                password: this.accessCode,
+                clientId: `gpt_${this.id}_${Math.random().toString(16).slice(2, 10)}`,
+                // Printers use a self-signed certificate
+                rejectUnauthorized: false,
+                connectTimeout: CONNECT_TIMEOUT_MS,
+                reconnectPeriod: 5000
+            });
+
+            const fail = (error) => {
+                clearTimeout(timer);
+                client.removeListener('error', fail);
+                client.end(true);
+                reject(new Error(`Failed to connect to ${this.name}: ${error.message}`));
+            };
+            // mqtt.js keeps retrying on its own, so give up on the first attempt explicitly
+            const timer = setTimeout(() => fail(new Error('connection timed out')), CONNECT_TIMEOUT_MS);
+
+            client.once('error', fail);
+            client.once('connect', () => {
+                clearTimeout(timer);
+                client.removeListener('error', fail);
+                client.subscribe(this.reportTopic, (err) => {
+                    if (err) {
+                        client.end(true);
+                        reject(new Error(`Failed to subscribe to ${this.name} reports: ${err.message}`));
+                        return;
+                    }
+
+                    this.client = client;
+                    this.isConnected = true;
+                    resolve();
+                });
+            });
+
+            client.on('message', (topic, payload) => this.handleMessage(topic, payload));
+            client.on('close', () => { this.isConnected = false; });
+            client.on('connect', () => { this.isConnected = true; });
+            client.on('error', (error) => console.warn(`⚠️ ${this.name} MQTT error:`, error.message));
+        });
+
+        // Ask for a full report so getStatus() has something to return straight away
+        await this.pushAll();
+        await this.waitForReport(CONNECT_TIMEOUT_MS).catch(() => {
+            console.warn(`⚠️ ${this.name} connected but has not sent a status report yet`);
+        });
+
+        return { success: true, message: `Connected to ${this.name}` };
+    }
+
+    handleMessage(topic, payload) {
+        if (topic !== this.reportTopic) return;
+
+        let message;
+        try {
+            message = JSON.parse(payload.toString());
+        } catch (error) {
+            console.warn(`⚠️ Ignoring malformed report from ${this.name}`);
+            return;
+        }
+
+        // P1/A1 printers only send the fields that changed, so merge into the cached report
+        if (message.print) {
+            this.report = { ...this.report, ...message.print };
+            this.lastReportAt = new Date();
+        }
+
+        Object.keys(message).forEach(section => {
+            const sequenceId = message[section] && message[section].sequence_id;
+            const key = `${section}:${sequenceId}`;
+            if (sequenceId !== undefined && this.pendingReplies.has(key)) {
+                this.pendingReplies.get(key)(message[section]);
+                this.pendingReplies.delete(key);
+            }
+        });
+
+        if (this.reportWaiter && message.print) {
+            this.reportWaiter();
+            this.reportWaiter = null;
+        }
+    }
+
+    waitForReport(timeout) {
+        if (this.lastReportAt) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.reportWaiter = null;
+                reject(new Error(`No status report from ${this.name}`));
+            }, timeout);
+
+            this.reportWaiter = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    nextSequenceId() {
+        this.sequenceId += 1;
+        return String(this.sequenceId);
+    }
+
+    publish(section, command, fields = {}, sequenceId = this.nextSequenceId()) {
+        if (!this.client || !this.isConnected) {
+            return Promise.reject(new Error(`${this.name} is not connected`));
+        }
+
+        const payload = { [section]: { sequence_id: sequenceId, command: command, ...fields } };
+
+        return new Promise((resolve, reject) => {
+            this.client.publish(this.requestTopic, JSON.stringify(payload), { qos: 1 }, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(sequenceId);
+                }
+            });
+        });
+    }
+
+    // Publishes and waits for the printer to answer with the same sequence_id
+    async request(section, command, fields = {}) {
+        const sequenceId = this.nextSequenceId();
+        const key = `${section}:${sequenceId}`;
+
+        let timer = null;
+
+        // Register before publishing so a fast reply cannot slip past
+        const reply = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                this.pendingReplies.delete(key);
+                reject(new Error(`${this.name} did not answer "${command}"`));
+            }, REPLY_TIMEOUT_MS);
+
+            this.pendingReplies.set(key, (message) => {
+                clearTimeout(timer);
+                resolve(message);
+            });
+        });
+
+        try {
+            await this.publish(section, command, fields, sequenceId);
+        } catch (error) {
+            clearTimeout(timer);
+            this.pendingReplies.delete(key);
+            throw error;
+        }
+
+        return reply;
+    }
+
+    async pushAll() {
+        await this.publish('pushing', 'pushall', { version: 1, push_target: 1 });
+    }
+
+    async getStatus() {
+        if (!this.isConnected) {
+            return this.disconnectedStatus();
+        }
+
+        return this.parseReport(this.report);
+    }
+
+    parseReport(report) {
+        const externalSpool = report.vt_tray || {};
+        const activeTray = this.findActiveAmsTray(report.ams);
+        // hw_switch_state is the filament runout sensor on printers without an AMS
+        const filamentSensor = report.hw_switch_state;
+
+        return {
+            printer_name: this.name,
+            printer_id: this.id,
+            printer_type: this.type,
+            connection_status: 'connected',
+            state: GCODE_STATES[report.gcode_state] || (report.gcode_state ? report.gcode_state.toLowerCase() : 'unknown'),
+            gcode_state: report.gcode_state || null,
+            progress: report.mc_percent ?? null,
+            remaining_minutes: report.mc_remaining_time ?? null,
+            layer: report.layer_num ?? null,
+            total_layers: report.total_layer_num ?? null,
+            file_name: report.subtask_name || report.gcode_file || null,
+            nozzle_temperature: report.nozzle_temper || 0,
+            nozzle_target_temperature: report.nozzle_target_temper || 0,
+            bed_temperature: report.bed_temper || 0,
+            bed_target_temperature: report.bed_target_temper || 0,
+            chamber_temperature: report.chamber_temper ?? null,
+            print_error: report.print_error || 0,
+            hms: report.hms || [],
+            current_material: (activeTray && activeTray.tray_type) || externalSpool.tray_type || this.material,
+            filament_detected: filamentSensor === undefined ? true : filamentSensor === 1,
+            has_filament: filamentSensor === undefined ? true : filamentSensor === 1,
+            filament_sensor_enabled: filamentSensor !== undefined,
+            last_report_at: this.lastReportAt ? this.lastReportAt.toISOString() : null
+        };
+    }
+
+    findActiveAmsTray(ams) {
+        if (!ams || !Array.isArray(ams.ams) || ams.tray_now === undefined || ams.tray_now === '255') {
+            return null;
+        }
+
+        // tray_now counts across units, four trays each
+        const trayIndex = parseInt(ams.tray_now);
+        const unit = ams.ams[Math.floor(trayIndex / 4)];
+        return unit && Array.isArray(unit.tray) ? unit.tray.find(tray => parseInt(tray.id) === trayIndex % 4) : null;
+    }
+
+    async getInfo() {
+        try {
+            const reply = await this.request('info', 'get_version');
+            return {
+                success: true,
+                data: {
+                    modules: reply.module || [],
+                    configured_name: this.name,
+                    configured_id: this.id,
+                    serial_number: this.serialNumber,
+                    ip_address: this.ip
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    async startPrint(fileName, options = {}) {
+        try {
+            if (/\.3mf$/i.test(fileName)) {
+                // Sliced project files carry the plate's G-code inside the archive
+                await this.publish('print', 'project_file', {
+                    param: `Metadata/plate_${options.plate || 1}.gcode`,
+                    subtask_name: fileName,
+                    url: `file:///sdcard/${fileName}`,
+                    bed_type: 'auto',
+                    timelapse: Boolean(options.timelapse),
+                    bed_leveling: options.bedLeveling !== false,
+                    flow_cali: Boolean(options.flowCalibration),
+                    vibration_cali: options.vibrationCalibration !== false,
+                    layer_inspect: false,
+                    use_ams: Boolean(options.useAms),
+                    profile_id: '0',
+                    project_id: '0',
+                    subtask_id: '0',
+                    task_id: '0'
+                });
+            } else {
+                await this.publish('print', 'gcode_file', { param: `/sdcard/${fileName}` });
+            }
+
+            return {
+                success: true,
+                message: `Print started on ${this.name}: ${fileName}`,
+                jobId: fileName
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to start print: ${error.message}`
+            };
+        }
+    }
+
+    async pausePrint() {
+        try {
+            await this.publish('print', 'pause');
+            return {
+                success: true,
+                message: `Print paused on ${this.name}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to pause print: ${error.message}`
+            };
+        }
+    }
+
+    async resumePrint() {
+        try {
+            await this.publish('print', 'resume');
+            return {
+                success: true,
+                message: `Print resumed on ${this.name}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to resume print: ${error.message}`
+            };
+        }
+    }
+
+    async cancelPrint() {
+        try {
+            await this.publish('print', 'stop');
+            return {
+                success: true,
+                message: `Print cancelled on ${this.name}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to cancel print: ${error.message}`
+            };
+        }
+    }
+
+    async sendGcode(gcode) {
+        try {
+            await this.publish('print', 'gcode_line', { param: gcode.endsWith('\n') ? gcode : `${gcode}\n` });
+            return {
+                success: true,
+                message: `G-code sent to ${this.name}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to send G-code: ${error.message}`
+            };
+        }
+    }
+
+    async uploadFile(filePath) {
+        const client = new ftp.Client(30000);
+        const fileName = path.basename(filePath);
+
+        try {
+            await client.access({
+                host: this.ip,
+                port: this.ftpPort,
+                user: USERNAME,
+                password: this.accessCode,
+                secure: 'implicit',
+                secureOptions: { rejectUnauthorized: false }
+            });
+            await client.uploadFrom(filePath, fileName);
+
+            return {
+                success: true,
+                message: `File uploaded to ${this.name}: ${fileName}`,
+                fileName: fileName,
+                fileId: fileName
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to upload file: ${error.message}`
+            };
+        } finally {
+            client.close();
+        }
+    }
+
+    async disconnect() {
+        if (this.client) {
+            await new Promise(resolve => this.client.end(false, {}, resolve));
+            this.client = null;
+        }
+        this.isConnected = false;
+        return { success: true, message: `Disconnected from ${this.name}` };
+    }
+}
+
+BambuLabPrinter.GCODE_STATES = GCODE_STATES;
+
+module.exports = BambuLabPrinter;
@@ -0,0 +1,364 @@
+const axios = require('axios');
+const WebSocket = require('ws');
+const fs = require('fs');
+const path = require('path');
+const PrinterDriver = require('./printer-driver');
+
+// Klipper printers through Moonraker: JSON-RPC over its websocket for status and commands,
+// plain HTTP for uploads (there is no JSON-RPC upload method)
+const DEFAULT_PORT = 7125;
+const CONNECT_TIMEOUT_MS = 10000;
+const REQUEST_TIMEOUT_MS = 10000;
+const UPLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+const RECONNECT_DELAY_MS = 5000;
+
+// print_stats.state values, mapped to the states FabricationManager understands
+const PRINT_STATES = {
+    standby: 'idle',
+    printing: 'printing',
+    paused: 'paused',
+    complete: 'finished',
+    cancelled: 'cancelled',
+    error: 'failed'
+};
+
+class MoonrakerPrinter extends PrinterDriver {
+    constructor(config) {
+        super({ ...config, type: 'moonraker' });
+        this.baseUrl = config.url ?
+            config.url.replace(/\/+$/, '') :
+            (config.ip ? `http://${config.ip}:${config.port || DEFAULT_PORT}` : null);
+        this.apiKey = config.apiKey || null;
+        // Name of a [filament_switch_sensor] section, if the printer has one
+        this.filamentSensor = config.filamentSensor || null;
+        this.socket = null;
+        this.objects = {};
+        this.lastReportAt = null;
+        this.requestId = 0;
+        this.pendingRequests = new Map();
+        this.reconnectTimer = null;
+        this.shouldReconnect = false;
+    }
+
+    get websocketUrl() {
+        return `${this.baseUrl.replace(/^http/, 'ws')}/websocket`;
+    }
+
+    get subscribedObjects() {
+        const objects = {
+            webhooks: ['state', 'state_message'],
+            print_stats: null,
+            display_status: ['progress'],
+            virtual_sdcard: ['progress'],
+            extruder: ['temperature', 'target'],
+            heater_bed: ['temperature', 'target']
+        };
+        if (this.filamentSensor) {
+            objects[`filament_switch_sensor ${this.filamentSensor}`] = null;
+        }
+        return objects;
+    }
+
+    async connect() {
+        if (!this.baseUrl) {
+            throw new Error(`Printer ${this.name} needs url or ip for Moonraker`);
+        }
+
+        this.shouldReconnect = true;
+
+        try {
+            await this.openSocket();
+            const subscription = await this.request('printer.objects.subscribe', { objects: this.subscribedObjects });
+            this.mergeStatus(subscription.status);
+            return { success: true, message: `Connected to ${this.name}` };
+        } catch (error) {
+            this.shouldReconnect = false;
+            this.closeSocket();
+            throw new Error(`Failed to connect to ${this.name}: ${error.message}`);
+        }
+    }
+
+    openSocket() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.websocketUrl, {
+                headers: this.apiKey ? { 'X-Api-Key': this.apiKey } : {},
+                handshakeTimeout: CONNECT_TIMEOUT_MS
+            });
+
+            socket.once('open', () => {
+                this.socket = socket;
+                this.isConnected = true;
+                resolve();
+            });
+            socket.once('error', reject);
+
+            socket.on('message', (data) => this.handleMessage(data));
+            socket.on('error', (error) => console.warn(`⚠️ ${this.name} Moonraker error:`, error.message));
+            socket.on('close', () => {
+                if (this.socket !== socket) return;
+
+                this.isConnected = false;
+                this.socket = null;
+                this.rejectPending(new Error('connection closed'));
+                this.scheduleReconnect();
+            });
+        });
+    }
+
+    scheduleReconnect() {
+        if (!this.shouldReconnect || this.reconnectTimer) return;
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            try {
+                await this.openSocket();
+                const subscription = await this.request('printer.objects.subscribe', { objects: this.subscribedObjects });
+                this.mergeStatus(subscription.status);
+                console.log(`✅ Reconnected to ${this.name}`);
+            } catch (error) {
+                this.scheduleReconnect();
+            }
+        }, RECONNECT_DELAY_MS);
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            return;
+        }
+
+        if (message.id !== undefined && this.pendingRequests.has(message.id)) {
+            const pending = this.pendingRequests.get(message.id);
+            this.pendingRequests.delete(message.id);
+            clearTimeout(pending.timer);
+
+            if (message.error) {
+                pending.reject(new Error(message.error.message || `Moonraker error ${message.error.code}`));
+            } else {
+                pending.resolve(message.result);
+            }
+            return;
+        }
+
+        if (message.method === 'notify_status_update' && Array.isArray(message.params)) {
+            this.mergeStatus(message.params[0]);
+        } else if (message.method === 'notify_klippy_shutdown' || message.method === 'notify_klippy_disconnected') {
+            this.mergeStatus({ webhooks: { state: 'shutdown' } });
+        } else if (message.method === 'notify_klippy_ready') {
+            this.mergeStatus({ webhooks: { state: 'ready' } });
+        }
+    }
+
+    // Status notifications only carry the fields that changed
+    mergeStatus(status) {
+        if (!status) return;
+
+        Object.entries(status).forEach(([object, fields]) => {
+            this.objects[object] = { ...(this.objects[object] || {}), ...fields };
+        });
+        this.lastReportAt = new Date();
+    }
+
+    request(method, params = {}) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new Error(`${this.name} is not connected`));
+        }
+
+        const id = ++this.requestId;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(id);
+                reject(new Error(`${method} timed out`));
+            }, REQUEST_TIMEOUT_MS);
+
+            this.pendingRequests.set(id, { resolve, reject, timer });
+            this.socket.send(JSON.stringify({ jsonrpc: '2.0', method: method, params: params, id: id }), (error) => {
+                if (error) {
+                    clearTimeout(timer);
+                    this.pendingRequests.delete(id);
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    rejectPending(error) {
+        for (const pending of this.pendingRequests.values()) {
+            clearTimeout(pending.timer);
+            pending.reject(error);
+        }
+        this.pendingRequests.clear();
+    }
+
+    async getStatus() {
+        if (!this.isConnected) {
+            return this.disconnectedStatus();
+        }
+
+        return this.parseStatus(this.objects);
+    }
+
+    parseStatus(objects) {
+        const webhooks = objects.webhooks || {};
+        const stats = objects.print_stats || {};
+        const extruder = objects.extruder || {};
+        const bed = objects.heater_bed || {};
+        const info = stats.info || {};
+        const sensor = this.filamentSensor ? objects[`filament_switch_sensor ${this.filamentSensor}`] : null;
+
+        // display_status follows M73 from the slicer when present; virtual_sdcard is file position
+        const rawProgress = (objects.display_status && objects.display_status.progress) ||
+            (objects.virtual_sdcard && objects.virtual_sdcard.progress) || 0;
+
+        let remainingMinutes = null;
+        if (stats.state === 'printing' && rawProgress > 0 && stats.print_duration) {
+            remainingMinutes = Math.round((stats.print_duration / rawProgress - stats.print_duration) / 60);
+        }
+
+        const klippyReady = !webhooks.state || webhooks.state === 'ready';
+        const sensorActive = Boolean(sensor && sensor.enabled !== false);
+
+        return {
+            printer_name: this.name,
+            printer_id: this.id,
+            printer_type: this.type,
+            connection_status: 'connected',
+            state: klippyReady ? (PRINT_STATES[stats.state] || 'unknown') : 'error',
+            state_text: klippyReady ? stats.state || null : webhooks.state_message || webhooks.state,
+            progress: Math.round(rawProgress * 100),
+            remaining_minutes: remainingMinutes,
+            layer: info.current_layer ?? null,
+            total_layers: info.total_layer ?? null,
+            file_name: stats.filename || null,
+            filament_used_mm: stats.filament_used ?? null,
+            nozzle_temperature: extruder.temperature || 0,
+            nozzle_target_temperature: extruder.target || 0,
+            bed_temperature: bed.temperature || 0,
+            bed_target_temperature: bed.target || 0,
+            chamber_temperature: null,
+            print_error: stats.state === 'error' ? stats.message || 'error' : 0,
+            current_material: this.material,
+            filament_detected: sensorActive ? Boolean(sensor.filament_detected) : true,
+            has_filament: sensorActive ? Boolean(sensor.filament_detected) : true,
+            filament_sensor_enabled: sensorActive,
+            last_report_at: this.lastReportAt ? this.lastReportAt.toISOString() : null
+        };
+    }
+
+    async uploadFile(filePath) {
+        const fileName = path.basename(filePath);
+
+        try {
+            const form = new FormData();
+            form.append('root', 'gcodes');
+            form.append('file', new Blob([fs.readFileSync(filePath)]), fileName);
+
+            await axios.post(`${this.baseUrl}/server/files/upload`, form, {
+                headers: this.apiKey ? { 'X-Api-Key': this.apiKey } : {},
+                timeout: UPLOAD_TIMEOUT_MS
+            });
+            return {
+                success: true,
+                message: `File uploaded to ${this.name}: ${fileName}`,
+                fileName: fileName,
+                fileId: fileName
+            };
+
+        } catch (error) {
+            const detail = error.response && error.response.data && error.response.data.error;
+            return {
+                success: false,
+                error: `Failed to upload file: ${detail ? detail.message || detail : error.message}`
+            };
+        }
+    }
+
+    async startPrint(fileName) {
+        return this.command('printer.print.start', { filename: fileName }, `Print started on ${this.name}: ${fileName}`, 'start print', { jobId: fileName });
+    }
+
+    async pausePrint() {
+        return this.command('printer.print.pause', {}, `Print paused on ${this.name}`, 'pause print');
+    }
+
+    async resumePrint() {
+        return this.command('printer.print.resume', {}, `Print resumed on ${this.name}`, 'resume print');
+    }
+
+    async cancelPrint() {
+        return this.command('printer.print.cancel', {}, `Print cancelled on ${this.name}`, 'cancel print');
+    }
+
+    async sendGcode(gcode) {
+        return this.command('printer.gcode.script', { script: gcode }, `G-code sent to ${this.name}`, 'send G-code');
+    }
+
+    async command(method, params, message, action, extra = {}) {
+        try {
+            await this.request(method, params);
+            return {
+                success: true,
+                message: message,
+                ...extra
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to ${action}: ${error.message}`
+            };
+        }
+    }
+
+    async getInfo() {
+        try {
+            const [printerInfo, serverInfo] = await Promise.all([
+                this.request('printer.info'),
+                this.request('server.info')
+            ]);
+
+            return {
+                success: true,
+                data: {
+                    klipper_version: printerInfo.software_version,
+                    klippy_state: printerInfo.state,
+                    hostname: printerInfo.hostname,
+                    moonraker_version: serverInfo.moonraker_version,
+                    configured_name: this.name,
+                    configured_id: this.id,
+                    url: this.baseUrl
+                }
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    closeSocket() {
+        const socket = this.socket;
+        this.socket = null;
+        this.isConnected = false;
+        this.rejectPending(new Error('connection closed'));
+        if (socket) socket.close();
+    }
+
+    async disconnect() {
+        this.shouldReconnect = false;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.closeSocket();
+        return { success: true, message: `Disconnected from ${this.name}` };
+    }
+}
+
+MoonrakerPrinter.PRINT_STATES = PRINT_STATES;
+
+module.exports = MoonrakerPrinter;
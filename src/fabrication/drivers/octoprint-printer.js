@@ -0,0 +1,235 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const PrinterDriver = require('./printer-driver');
+
+// OctoPrint REST API, authenticated with an application key sent as X-Api-Key
+const REQUEST_TIMEOUT_MS = 10000;
+const UPLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+
+class OctoPrintPrinter extends PrinterDriver {
+    constructor(config) {
+        super({ ...config, type: 'octoprint' });
+        this.baseUrl = config.url ?
+            config.url.replace(/\/+$/, '') :
+            (config.ip ? `http://${config.ip}${config.port ? `:${config.port}` : ''}` : null);
+        this.apiKey = config.apiKey;
+        this.http = axios.create({
+            baseURL: this.baseUrl,
+            timeout: REQUEST_TIMEOUT_MS,
+            headers: { 'X-Api-Key': this.apiKey }
+        });
+        this.version = null;
+    }
+
+    async connect() {
+        if (!this.baseUrl || !this.apiKey) {
+            throw new Error(`Printer ${this.name} needs url (or ip) and apiKey for OctoPrint`);
+        }
+
+        try {
+            const response = await this.http.get('/api/version');
+            this.version = response.data;
+            this.isConnected = true;
+            return { success: true, message: `Connected to ${this.name} (OctoPrint ${response.data.server})` };
+        } catch (error) {
+            this.isConnected = false;
+            throw new Error(`Failed to connect to ${this.name}: ${this.describeError(error)}`);
+        }
+    }
+
+    async getStatus() {
+        if (!this.isConnected) {
+            return this.disconnectedStatus();
+        }
+
+        try {
+            const [printer, job] = await Promise.all([
+                // 409 means OctoPrint is up but has no serial connection to the printer
+                this.http.get('/api/printer', { validateStatus: status => status === 200 || status === 409 }),
+                this.http.get('/api/job')
+            ]);
+
+            if (printer.status === 409) {
+                return this.disconnectedStatus(`OctoPrint on ${this.name} is not connected to the printer`);
+            }
+
+            return this.parseStatus(printer.data, job.data);
+
+        } catch (error) {
+            return this.disconnectedStatus(`Cannot reach ${this.name}: ${this.describeError(error)}`);
+        }
+    }
+
+    parseStatus(printer, job) {
+        const flags = (printer.state && printer.state.flags) || {};
+        const temperature = printer.temperature || {};
+        const tool = temperature.tool0 || {};
+        const bed = temperature.bed || {};
+        const progress = job.progress || {};
+        const file = (job.job && job.job.file) || {};
+
+        let state = 'idle';
+        if (flags.error || flags.closedOrError) {
+            state = 'error';
+        } else if (flags.paused || flags.pausing) {
+            state = 'paused';
+        } else if (flags.printing || flags.cancelling) {
+            state = 'printing';
+        } else if (!flags.ready && !flags.operational) {
+            state = 'unknown';
+        } else if (progress.completion !== null && progress.completion !== undefined && progress.completion < 100) {
+            // OctoPrint goes back to Operational after a cancel too; the job's progress stays where it stopped
+            state = 'cancelled';
+        }
+
+        return {
+            printer_name: this.name,
+            printer_id: this.id,
+            printer_type: this.type,
+            connection_status: 'connected',
+            state: state,
+            state_text: printer.state ? printer.state.text : null,
+            progress: progress.completion !== null && progress.completion !== undefined ? Math.round(progress.completion) : null,
+            remaining_minutes: progress.printTimeLeft ? Math.round(progress.printTimeLeft / 60) : null,
+            layer: null,
+            total_layers: null,
+            file_name: file.name || null,
+            nozzle_temperature: tool.actual || 0,
+            nozzle_target_temperature: tool.target || 0,
+            bed_temperature: bed.actual || 0,
+            bed_target_temperature: bed.target || 0,
+            chamber_temperature: temperature.chamber ? temperature.chamber.actual : null,
+            print_error: printer.state && flags.error ? printer.state.error || printer.state.text : 0,
+            current_material: this.material,
+            // OctoPrint has no standard filament sensor report
+            filament_detected: true,
+            has_filament: true,
+            filament_sensor_enabled: false,
+            last_report_at: new Date().toISOString()
+        };
+    }
+
+    async uploadFile(filePath) {
+        const fileName = path.basename(filePath);
+
+        try {
+            const form = new FormData();
+            form.append('file', new Blob([fs.readFileSync(filePath)]), fileName);
+
+            await this.http.post('/api/files/local', form, { timeout: UPLOAD_TIMEOUT_MS });
+            return {
+                success: true,
+                message: `File uploaded to ${this.name}: ${fileName}`,
+                fileName: fileName,
+                fileId: fileName
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to upload file: ${this.describeError(error)}`
+            };
+        }
+    }
+
+    async startPrint(fileName) {
+        try {
+            await this.http.post(`/api/files/local/${encodeURIComponent(fileName)}`, { command: 'select', print: true });
+            return {
+                success: true,
+                message: `Print started on ${this.name}: ${fileName}`,
+                jobId: fileName
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to start print: ${this.describeError(error)}`
+            };
+        }
+    }
+
+    async pausePrint() {
+        return this.jobCommand({ command: 'pause', action: 'pause' }, 'paused', 'pause');
+    }
+
+    async resumePrint() {
+        return this.jobCommand({ command: 'pause', action: 'resume' }, 'resumed', 'resume');
+    }
+
+    async cancelPrint() {
+        return this.jobCommand({ command: 'cancel' }, 'cancelled', 'cancel');
+    }
+
+    async jobCommand(body, pastTense, verb) {
+        try {
+            await this.http.post('/api/job', body);
+            return {
+                success: true,
+                message: `Print ${pastTense} on ${this.name}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to ${verb} print: ${this.describeError(error)}`
+            };
+        }
+    }
+
+    async sendGcode(gcode) {
+        try {
+            await this.http.post('/api/printer/command', { commands: gcode.split('\n').filter(line => line.trim()) });
+            return {
+                success: true,
+                message: `G-code sent to ${this.name}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to send G-code: ${this.describeError(error)}`
+            };
+        }
+    }
+
+    async getInfo() {
+        try {
+            const [version, connection] = await Promise.all([
+                this.http.get('/api/version'),
+                this.http.get('/api/connection')
+            ]);
+
+            return {
+                success: true,
+                data: {
+                    server: version.data.server,
+                    api: version.data.api,
+                    connection: connection.data.current || {},
+                    configured_name: this.name,
+                    configured_id: this.id,
+                    url: this.baseUrl
+                }
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: this.describeError(error)
+            };
+        }
+    }
+
+    // OctoPrint explains most refusals (e.g. 409 "Printer is not operational") in the response body
+    describeError(error) {
+        if (error.response) {
+            const body = error.response.data;
+            const detail = body && typeof body === 'object' ? body.error : body;
+            return `HTTP ${error.response.status}${detail ? ` - ${detail}` : ''}`;
+        }
+        return error.message;
+    }
+}
+
+module.exports = OctoPrintPrinter;
@@ -0,0 +1,57 @@
+const PrinterDriver = require('./printer-driver');
+const BambuLabPrinter = require('./bambu-lab-printer');
+const OctoPrintPrinter = require('./octoprint-printer');
+const MoonrakerPrinter = require('./moonraker-printer');
+const SimulatedPrinter = require('./simulated-printer');
+
+// Printer "type" values accepted in config/fabrication.json
+const DRIVERS = new Map([
+    ['bambu', BambuLabPrinter],
+    ['octoprint', OctoPrintPrinter],
+    ['moonraker', MoonrakerPrinter],
+    ['simulator', SimulatedPrinter]
+]);
+
+const ALIASES = {
+    bambulab: 'bambu',
+    bambu_lab: 'bambu',
+    klipper: 'moonraker',
+    prusa: 'octoprint',
+    simulated: 'simulator',
+    sim: 'simulator'
+};
+
+class PrinterDriverRegistry {
+    static register(type, Driver) {
+        if (!(Driver.prototype instanceof PrinterDriver)) {
+            throw new Error(`Printer driver "${type}" must extend PrinterDriver`);
+        }
+        // disconnect() has a usable default; everything else has to be provided by the driver
+        const missing = PrinterDriver.METHODS
+            .filter(method => method !== 'disconnect' && Driver.prototype[method] === PrinterDriver.prototype[method]);
+        if (missing.length > 0) {
+            throw new Error(`Printer driver "${type}" is missing: ${missing.join(', ')}`);
+        }
+        DRIVERS.set(type.toLowerCase(), Driver);
+    }
+
+    static normalizeType(type) {
+        const key = String(type || 'bambu').toLowerCase();
+        return ALIASES[key] || key;
+    }
+
+    static create(config) {
+        const type = PrinterDriverRegistry.normalizeType(config.type);
+        const Driver = DRIVERS.get(type);
+        if (!Driver) {
+            throw new Error(`Unknown printer type "${config.type}" for ${config.name || config.id}. Supported: ${PrinterDriverRegistry.types().join(', ')}`);
+        }
+        return new Driver(config);
+    }
+
+    static types() {
+        return Array.from(DRIVERS.keys());
+    }
+}
+
+module.exports = PrinterDriverRegistry;
@@ -0,0 +1,97 @@
+// Base class for printer backends. FabricationManager only talks to printers through these methods,
+// so a new kind of printer needs a subclass and an entry in PrinterDriverRegistry, nothing more.
+//
+// Commands resolve to { success, message } or { success: false, error }. getStatus() resolves to a
+// status object with at least: printer_id, printer_name, connection_status, state (idle, preparing,
+// printing, paused, finished, failed, error or disconnected), progress, remaining_minutes, file_name,
+// nozzle/bed temperatures, current_material and filament_detected/has_filament, plus filament_used_mm
+// when the printer reports consumption itself. A printer that cannot be reached returns the same shape
+// with an error field instead of throwing.
+const DRIVER_METHODS = [
+    'connect',
+    'getStatus',
+    'uploadFile',
+    'startPrint',
+    'pausePrint',
+    'resumePrint',
+    'cancelPrint',
+    'getInfo',
+    'disconnect'
+];
+
+class PrinterDriver {
+    constructor(config) {
+        this.id = config.id;
+        this.name = config.name || config.id;
+        this.type = config.type;
+        this.model = config.model || null;
+        // Most backends cannot tell what filament is loaded, so it can be set per printer in the config
+        this.material = config.material ? String(config.material).toUpperCase() : null;
+        this.isConnected = false;
+    }
+
+    async connect() {
+        throw this.notImplemented('connect');
+    }
+
+    async getStatus() {
+        throw this.notImplemented('getStatus');
+    }
+
+    async uploadFile(filePath) {
+        throw this.notImplemented('uploadFile');
+    }
+
+    async startPrint(fileName, options = {}) {
+        throw this.notImplemented('startPrint');
+    }
+
+    async pausePrint() {
+        throw this.notImplemented('pausePrint');
+    }
+
+    async resumePrint() {
+        throw this.notImplemented('resumePrint');
+    }
+
+    async cancelPrint() {
+        throw this.notImplemented('cancelPrint');
+    }
+
+    async getInfo() {
+        throw this.notImplemented('getInfo');
+    }
+
+    async disconnect() {
+        this.isConnected = false;
+        return { success: true, message: `Disconnected from ${this.name}` };
+    }
+
+    async sendGcode(gcode) {
+        return {
+            success: false,
+            error: `${this.name} does not accept raw G-code`
+        };
+    }
+
+    disconnectedStatus(error = `${this.name} is not connected`) {
+        return {
+            error: error,
+            state: 'disconnected',
+            printer_name: this.name,
+            printer_id: this.id,
+            printer_type: this.type,
+            connection_status: 'error',
+            filament_detected: false,
+            has_filament: false
+        };
+    }
+
+    notImplemented(method) {
+        return new Error(`${this.constructor.name} does not implement ${method}()`);
+    }
+}
+
+PrinterDriver.METHODS = DRIVER_METHODS;
+
+module.exports = PrinterDriver;
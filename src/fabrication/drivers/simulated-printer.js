@@ -0,0 +1,392 @@
+const path = require('path');
+const PrinterDriver = require('./printer-driver');
+const GCodeAnalyzer = require('../gcode-analyzer');
+
+// A printer that only exists in memory, for development and tests. Time is simulated: every status
+// read or command advances the model by the wall-clock time since the last one, multiplied by
+// "speed", so a 2 hour print with speed 120 finishes in a minute. advance(seconds) steps it directly.
+const DEFAULT_PRINT_MINUTES = 30;
+const DEFAULT_TOTAL_LAYERS = 100;
+const AMBIENT_C = 25;
+// Printing starts once both heaters are this close to their targets
+const AT_TEMPERATURE_C = 2;
+// Longest simulated step, so heating, runout and failures land close to where they would really happen
+const MAX_STEP_SECONDS = 1;
+const MAX_STEPS_PER_UPDATE = 5000;
+
+// Time constants (seconds) of the first-order heating and cooling curves
+const HEATERS = {
+    nozzle: { heatTau: 25, coolTau: 90, runawayC: 60 },
+    bed: { heatTau: 120, coolTau: 600, runawayC: 40 }
+};
+
+const MATERIAL_TEMPERATURES = {
+    PLA: { nozzle: 210, bed: 60 },
+    PETG: { nozzle: 235, bed: 80 },
+    ABS: { nozzle: 250, bed: 100 },
+    ASA: { nozzle: 255, bed: 100 },
+    TPU: { nozzle: 225, bed: 40 }
+};
+
+const FAULTS = {
+    thermal_runaway: 'Nozzle heater stuck on',
+    heater_failure: 'Nozzle heater stopped heating',
+    bed_drop: 'Bed heater stopped heating',
+    stall: 'Progress frozen',
+    runout: 'Filament ran out',
+    failure: 'Print failed'
+};
+
+const RUNNING_STATES = ['preparing', 'printing', 'paused'];
+
+class SimulatedPrinter extends PrinterDriver {
+    constructor(config) {
+        super({ ...config, type: 'simulator' });
+        this.material = this.material || 'PLA';
+        this.speed = config.speed > 0 ? config.speed : 1;
+        this.printMinutes = config.printMinutes || DEFAULT_PRINT_MINUTES;
+        // Chance (0-1) that any one print fails part way through
+        this.failureRate = Math.min(Math.max(config.failureRate || 0, 0), 1);
+        // Grams left on the simulated spool; null never runs out
+        this.filamentGrams = config.filamentGrams ?? null;
+        this.random = config.seed !== undefined ? seededRandom(config.seed) : Math.random;
+        this.gcodeAnalyzer = new GCodeAnalyzer();
+        // Uploaded files by name, with what the analyzer could read from them
+        this.files = new Map();
+        this.faults = new Set();
+        this.lastUpdate = null;
+        this.resetState();
+    }
+
+    resetState() {
+        this.state = 'idle';
+        this.job = null;
+        this.error = null;
+        this.temperatures = {
+            nozzle: { actual: AMBIENT_C, target: 0 },
+            bed: { actual: AMBIENT_C, target: 0 }
+        };
+    }
+
+    async connect() {
+        this.isConnected = true;
+        this.lastUpdate = Date.now();
+        return { success: true, message: `Connected to ${this.name} (simulated, ${this.speed}x speed)` };
+    }
+
+    // Catches the model up with the wall clock
+    update() {
+        const now = Date.now();
+        if (this.lastUpdate === null) {
+            this.lastUpdate = now;
+            return;
+        }
+        const elapsedSeconds = (now - this.lastUpdate) / 1000 * this.speed;
+        this.lastUpdate = now;
+        this.advance(elapsedSeconds);
+    }
+
+    advance(seconds) {
+        if (!(seconds > 0)) return;
+
+        const stepSeconds = Math.max(MAX_STEP_SECONDS, seconds / MAX_STEPS_PER_UPDATE);
+        let remaining = seconds;
+        while (remaining > 0) {
+            const step = Math.min(stepSeconds, remaining);
+            this.step(step);
+            remaining -= step;
+        }
+    }
+
+    step(seconds) {
+        Object.entries(HEATERS).forEach(([name, heater]) => {
+            const temperature = this.temperatures[name];
+            let goal = temperature.target > 0 ? temperature.target : AMBIENT_C;
+            let tau = temperature.target > 0 ? heater.heatTau : heater.coolTau;
+
+            if (name === 'nozzle' && this.faults.has('thermal_runaway')) {
+                goal = Math.max(temperature.target, AMBIENT_C) + heater.runawayC;
+                tau = heater.heatTau;
+            } else if ((name === 'nozzle' && this.faults.has('heater_failure')) || (name === 'bed' && this.faults.has('bed_drop'))) {
+                goal = AMBIENT_C;
+                tau = heater.coolTau;
+            }
+            temperature.actual = goal + (temperature.actual - goal) * Math.exp(-seconds / tau);
+        });
+
+        if (this.state === 'preparing') {
+            const heated = Object.values(this.temperatures)
+                .every(temperature => Math.abs(temperature.actual - temperature.target) <= AT_TEMPERATURE_C);
+            if (heated) {
+                this.state = 'printing';
+            }
+        } else if (this.state === 'printing' && !this.faults.has('stall')) {
+            const job = this.job;
+            job.elapsedSeconds = Math.min(job.elapsedSeconds + seconds, job.totalSeconds);
+
+            if (this.filamentGrams !== null && this.usedGrams() - job.startGrams >= this.filamentGrams) {
+                this.runOut();
+            } else if (job.failAt !== null && this.fraction() >= job.failAt) {
+                this.fail(`Print failed at ${Math.round(this.fraction() * 100)}% (simulated)`);
+            } else if (job.elapsedSeconds >= job.totalSeconds) {
+                this.settleFilament();
+                this.state = 'finished';
+                this.heatersOff();
+                console.log(`✅ ${this.name} finished ${job.fileName} (simulated)`);
+            }
+        }
+    }
+
+    fraction() {
+        return this.job ? this.job.elapsedSeconds / this.job.totalSeconds : 0;
+    }
+
+    usedGrams() {
+        return this.job ? this.job.grams * this.fraction() : 0;
+    }
+
+    heatersOff() {
+        this.temperatures.nozzle.target = 0;
+        this.temperatures.bed.target = 0;
+    }
+
+    runOut() {
+        this.settleFilament();
+        this.filamentGrams = 0;
+        this.state = 'paused';
+        this.error = 'Filament runout';
+        console.warn(`⚠️ ${this.name} ran out of filament during ${this.job.fileName} (simulated)`);
+    }
+
+    fail(error) {
+        this.settleFilament();
+        this.state = 'failed';
+        this.error = error;
+        this.heatersOff();
+        console.warn(`⚠️ ${this.name}: ${error}`);
+    }
+
+    async getStatus() {
+        if (!this.isConnected) {
+            return this.disconnectedStatus();
+        }
+
+        this.update();
+        const job = this.job;
+        const fraction = this.fraction();
+        const hasFilament = this.filamentGrams === null || this.filamentGrams > 0;
+
+        return {
+            printer_name: this.name,
+            printer_id: this.id,
+            printer_type: this.type,
+            connection_status: 'connected',
+            state: this.state,
+            progress: job ? Math.floor(fraction * 100) : 0,
+            remaining_minutes: job && RUNNING_STATES.includes(this.state) ?
+                Math.ceil((job.totalSeconds - job.elapsedSeconds) / 60) :
+                0,
+            layer: job ? Math.min(Math.floor(fraction * job.totalLayers) + 1, job.totalLayers) : null,
+            total_layers: job ? job.totalLayers : null,
+            file_name: job ? job.fileName : null,
+            filament_used_mm: job ? Math.round(job.lengthMm * fraction) : null,
+            nozzle_temperature: round(this.temperatures.nozzle.actual),
+            nozzle_target_temperature: this.temperatures.nozzle.target,
+            bed_temperature: round(this.temperatures.bed.actual),
+            bed_target_temperature: this.temperatures.bed.target,
+            chamber_temperature: null,
+            print_error: this.error || 0,
+            current_material: this.material,
+            filament_detected: hasFilament,
+            has_filament: hasFilament,
+            filament_remaining_g: this.filamentGrams === null ? null : round(Math.max(this.filamentGrams - this.usedGrams() + (job ? job.startGrams : 0), 0)),
+            simulated: true,
+            speed: this.speed,
+            faults: Array.from(this.faults)
+        };
+    }
+
+    async uploadFile(filePath) {
+        const fileName = path.basename(filePath);
+
+        try {
+            const analysis = await this.gcodeAnalyzer.analyzeFile(filePath);
+            this.files.set(fileName, analysis);
+        } catch (error) {
+            // Files the analyzer cannot read still print, with the default duration
+            this.files.set(fileName, null);
+        }
+
+        return {
+            success: true,
+            message: `File uploaded to ${this.name}: ${fileName}`,
+            fileName: fileName,
+            fileId: fileName
+        };
+    }
+
+    async startPrint(fileName) {
+        this.update();
+        if (RUNNING_STATES.includes(this.state)) {
+            return { success: false, error: `Failed to start print: ${this.name} is busy` };
+        }
+        if (this.filamentGrams !== null && this.filamentGrams <= 0) {
+            return { success: false, error: `Failed to start print: ${this.name} has no filament loaded` };
+        }
+
+        // Files that were not uploaded count as already on the printer's storage
+        const analysis = this.files.get(fileName) || null;
+        const temperatures = MATERIAL_TEMPERATURES[this.material] || MATERIAL_TEMPERATURES.PLA;
+        const totalSeconds = (analysis && analysis.estimatedSeconds) || this.printMinutes * 60;
+        const grams = (analysis && analysis.filamentWeightG) || totalSeconds / 60 * 0.5;
+
+        this.job = {
+            fileName: fileName,
+            totalSeconds: totalSeconds,
+            elapsedSeconds: 0,
+            totalLayers: (analysis && analysis.layerCount) || DEFAULT_TOTAL_LAYERS,
+            grams: grams,
+            lengthMm: (analysis && analysis.filamentLengthMm) || Math.round(grams / 2.98 * 1000),
+            // filamentGrams counts down from what was on the spool when this print started
+            startGrams: 0,
+            failAt: this.random() < this.failureRate ? 0.05 + this.random() * 0.9 : null
+        };
+        this.error = null;
+        this.state = 'preparing';
+        this.temperatures.nozzle.target = (analysis && analysis.firstLayerNozzleTemp) || temperatures.nozzle;
+        this.temperatures.bed.target = (analysis && analysis.firstLayerBedTemp) || temperatures.bed;
+
+        console.log(`🖨️ ${this.name} started ${fileName} (simulated, ${Math.round(totalSeconds / 60)} min at 1x)`);
+        return {
+            success: true,
+            message: `Print started on ${this.name}: ${fileName}`,
+            jobId: fileName
+        };
+    }
+
+    async pausePrint() {
+        this.update();
+        if (!['preparing', 'printing'].includes(this.state)) {
+            return { success: false, error: `Failed to pause print: ${this.name} is ${this.state}` };
+        }
+        this.state = 'paused';
+        return { success: true, message: `Print paused on ${this.name}` };
+    }
+
+    async resumePrint() {
+        this.update();
+        if (this.state !== 'paused') {
+            return { success: false, error: `Failed to resume print: ${this.name} is ${this.state}` };
+        }
+        if (this.filamentGrams !== null && this.filamentGrams <= 0) {
+            return { success: false, error: `Failed to resume print: ${this.name} is out of filament` };
+        }
+        this.state = 'printing';
+        this.error = null;
+        return { success: true, message: `Print resumed on ${this.name}` };
+    }
+
+    async cancelPrint() {
+        this.update();
+        if (!RUNNING_STATES.includes(this.state)) {
+            return { success: false, error: `Failed to cancel print: ${this.name} is ${this.state}` };
+        }
+        this.settleFilament();
+        this.state = 'idle';
+        this.heatersOff();
+        return { success: true, message: `Print cancelled on ${this.name}` };
+    }
+
+    // Takes what the current job used off the simulated spool
+    settleFilament() {
+        if (this.filamentGrams !== null && this.job) {
+            this.filamentGrams = Math.max(this.filamentGrams - (this.usedGrams() - this.job.startGrams), 0);
+            this.job.startGrams = this.usedGrams();
+        }
+    }
+
+    // Faults for exercising the queue and safety rules. "clear" removes them all and "refill" loads
+    // options.grams of filament (or an endless spool) after a runout.
+    injectFault(fault, options = {}) {
+        this.update();
+
+        if (fault === 'clear') {
+            this.faults.clear();
+            return { success: true, message: `Cleared simulated faults on ${this.name}` };
+        }
+        if (fault === 'refill') {
+            return this.loadFilament(options.grams ?? null);
+        }
+        if (!FAULTS[fault]) {
+            return { success: false, error: `Unknown fault "${fault}". Available: ${SimulatedPrinter.FAULTS.join(', ')}` };
+        }
+
+        if (fault === 'runout' || fault === 'failure') {
+            if (!['printing', 'paused'].includes(this.state)) {
+                return { success: false, error: `${this.name} is not printing` };
+            }
+            if (fault === 'runout') {
+                this.runOut();
+            } else {
+                this.fail('Print failed (simulated fault)');
+            }
+        } else {
+            this.faults.add(fault);
+        }
+
+        return { success: true, message: `${FAULTS[fault]} on ${this.name} (simulated)` };
+    }
+
+    loadFilament(grams = null) {
+        this.filamentGrams = grams;
+        if (this.job) {
+            this.job.startGrams = this.usedGrams();
+        }
+        if (this.error === 'Filament runout') {
+            this.error = null;
+        }
+        return {
+            success: true,
+            message: `Loaded ${grams === null ? 'an endless spool' : `${grams} g of ${this.material}`} on ${this.name} (simulated)`
+        };
+    }
+
+    async getInfo() {
+        return {
+            success: true,
+            data: {
+                simulated: true,
+                speed: this.speed,
+                failure_rate: this.failureRate,
+                material: this.material,
+                uploaded_files: Array.from(this.files.keys()),
+                configured_name: this.name,
+                configured_id: this.id
+            }
+        };
+    }
+
+    async sendGcode(gcode) {
+        return { success: true, message: `G-code sent to ${this.name} (ignored by the simulator)` };
+    }
+}
+
+// mulberry32, so a seeded simulator fails the same prints every run
+function seededRandom(seed) {
+    let state = Number(seed) >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+SimulatedPrinter.FAULTS = [...Object.keys(FAULTS), 'clear', 'refill'];
+
+module.exports = SimulatedPrinter;
@@ -1,12 +1,59 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const PrintQueue = require('./print-queue');
+const GCodeAnalyzer = require('./gcode-analyzer');
+const PreflightCheck = require('./preflight-check');
+const SpoolManager = require('./spool-manager');
+const SafetyMonitor = require('./safety-monitor');
+const SlicerService = require('./slicer-service');
+const PrinterDriverRegistry = require('./drivers/printer-driver-registry');
+const ActionRegistry = require('../core/action-registry');
+
+// Recommended temperatures per material; entries under "materials" in config/fabrication.json override these
+const DEFAULT_MATERIALS = {
+    PLA: {
+        nozzle_temp: 210,
+        bed_temp: 60,
+        speed_modifier: 1.0,
+        density: 1.24
+    },
+    PETG: {
+        nozzle_temp: 235,
+        bed_temp: 80,
+        speed_modifier: 0.8,
+        density: 1.27
+    },
+    ABS: {
+        nozzle_temp: 250,
+        bed_temp: 100,
+        speed_modifier: 0.9,
+        density: 1.04
+    }
+};
+
+// Printer states that mean a job we started has run its course
+const FINISHED_PRINTER_STATES = ['finish', 'finished', 'idle', 'ready', 'standby'];
+const FAILED_PRINTER_STATES = ['error', 'fault', 'failed'];
+// A print stopped on the printer itself rather than through cancelPrint()
+const CANCELLED_PRINTER_STATES = ['cancelled'];
+// Ignore "idle" right after starting a job, before the printer has picked it up
+const START_GRACE_MS = 2 * 60 * 1000;
 
 class FabricationManager {
-    constructor() {
-        this.bambuPrinters = new Map();
-        this.printQueue = [];
-        this.currentPrintJob = null;
+    constructor(projectManager = null) {
+        this.projectManager = projectManager;
+        this.printers = new Map();
+        this.printQueue = null;
+        this.spools = null;
+        // Queued jobs already reported as waiting for a fuller spool, so the dispatcher only logs them once
+        this.lowSpoolWarnings = new Set();
+        // Last progress seen per printing job; some printers reset it when a print is cancelled
+        this.jobProgress = new Map();
+        this.gcodeAnalyzer = new GCodeAnalyzer();
+        this.preflight = new PreflightCheck();
+        this.slicer = null;
+        this.dispatchTimer = null;
+        this.isDispatching = false;
         this.isInitialized = false;
         this.config = null;
     }
@@ -17,12 +64,24 @@ class FabricationManager {
         try {
             // Load fabrication configuration
             this.config = await this.loadConfig();
+            this.slicer = new SlicerService(this.config);
+            
+            // The print queue lives in the project database so it survives restarts
+            if (this.projectManager && this.projectManager.db) {
+                this.printQueue = new PrintQueue(this.projectManager.db);
+                await this.printQueue.recoverInterruptedJobs();
+                this.spools = new SpoolManager(this.projectManager);
+            } else {
+                console.warn('⚠️ No project database available, print queue disabled');
+            }
             
-            // Initialize Bambu Lab printers (non-blocking)
-            this.initializeBambuPrinters().catch(error => {
+            // Connect to the configured printers (non-blocking)
+            this.initializePrinters().catch(error => {
                 console.warn('⚠️ Printer initialization failed (non-critical):', error.message);
             });
             
+            this.startDispatcher();
+            
             this.isInitialized = true;
             console.log('✅ Fabrication Manager initialized successfully');
             
@@ -40,6 +99,7 @@ class FabricationManager {
             } else {
                 // Create default config
                 const defaultConfig = {
+                    printers: [],
                     bambuLab: {
                         printers: [],
                         defaultSettings: {
@@ -51,27 +111,33 @@ class FabricationManager {
                             nozzle_temperature: 210
                         }
                     },
-                    materials: {
-                        PLA: {
-                            nozzle_temp: 210,
-                            bed_temp: 60,
-                            speed_modifier: 1.0
-                        },
-                        PETG: {
-                            nozzle_temp: 235,
-                            bed_temp: 80,
-                            speed_modifier: 0.8
-                        },
-                        ABS: {
-                            nozzle_temp: 250,
-                            bed_temp: 100,
-                            speed_modifier: 0.9
-                        }
-                    },
+                    materials: DEFAULT_MATERIALS,
                     safety: {
                         max_print_time_hours: 24,
                         require_confirmation: true,
-                        auto_shutdown_enabled: true
+                        auto_shutdown_enabled: true,
+                        temperature_monitoring: true,
+                        rules: SafetyMonitor.DEFAULT_RULES
+                    },
+                    workflow: {
+                        auto_slice: true,
+                        preferred_slicer: 'bambu_studio',
+                        auto_upload_after_slice: false
+                    },
+                    slicer: {
+                        type: 'bambu_studio',
+                        executable: '',
+                        default_quality: 'standard',
+                        timeout_seconds: 600,
+                        profiles: {
+                            printers: {},
+                            materials: {},
+                            qualities: {}
+                        }
+                    },
+                    queue: {
+                        auto_dispatch: true,
+                        dispatch_interval_seconds: 30
                     }
                 };
                 
@@ -85,75 +151,202 @@ class FabricationManager {
         }
     }
 
-    async initializeBambuPrinters() {
-        if (!this.config || !this.config.bambuLab || !this.config.bambuLab.printers) {
-            console.log('ℹ️ No Bambu Lab printers configured');
+    async initializePrinters() {
+        const printerConfigs = this.getConfiguredPrinters();
+        if (printerConfigs.length === 0) {
+            console.log('ℹ️ No printers configured');
             return;
         }
 
-        for (const printerConfig of this.config.bambuLab.printers) {
+        for (const printerConfig of printerConfigs) {
             try {
-                const printer = new BambuLabPrinter(printerConfig);
+                const printer = PrinterDriverRegistry.create(printerConfig);
                 await printer.connect();
-                this.bambuPrinters.set(printerConfig.id, printer);
-                console.log(`✅ Connected to Bambu Lab printer: ${printerConfig.name}`);
+                this.printers.set(printerConfig.id, printer);
+                console.log(`✅ Connected to ${printer.type} printer: ${printerConfig.name}`);
             } catch (error) {
-                console.error(`❌ Failed to connect to printer ${printerConfig.name}:`, error);
+                console.error(`❌ Failed to connect to printer ${printerConfig.name}:`, error.message);
             }
         }
     }
 
+    // Runs a fabrication_control command; the assistant goes through the shared registry in GptCore instead
     async executeCommand(parameters) {
-        try {
-            const { command, printerId, data } = parameters;
-            
-            switch (command) {
-                case 'get_printer_status':
-                    return await this.getPrinterStatus(printerId);
-                
-                case 'upload_gcode':
-                    return await this.uploadGCode(printerId, data.filePath);
-                
-                case 'start_print':
-                    return await this.startPrint(printerId, data.fileName);
-                
-                case 'pause_print':
-                    return await this.pausePrint(printerId);
-                
-                case 'resume_print':
-                    return await this.resumePrint(printerId);
-                
-                case 'cancel_print':
-                    return await this.cancelPrint(printerId);
-                
-                case 'get_print_queue':
-                    return { success: true, data: this.printQueue };
-                
-                case 'get_printer_info':
-                    return await this.getPrinterInfo(printerId);
-                
-                case 'check_filament':
-                    return await this.checkFilament(printerId);
-                
-                default:
-                    return {
-                        success: false,
-                        error: `Unknown fabrication command: ${command}. Available commands: get_printer_status, upload_gcode, start_print, pause_print, resume_print, cancel_print, check_filament`
-                    };
-            }
-            
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message
-            };
+        if (!this.actions) {
+            this.actions = this.registerActions(new ActionRegistry());
         }
+        return await this.actions.execute('fabrication_control', parameters);
+    }
+
+    registerActions(registry) {
+        registry.defineFamily('fabrication_control', {
+            title: 'Printers',
+            description: 'Control 3D printers: status, slicing, printing, the print queue, print history and filament spools.',
+            selector: 'command',
+            dataKey: 'data',
+            properties: { 'printerId?': 'string - Printer id (or name/model for slicing); omit for any printer' }
+        });
+
+        const command = (name, definition) => registry.register('fabrication_control', name, definition);
+        const jobParams = { jobId: 'integer' };
+
+        // Printers
+        command('get_printer_status', {
+            description: 'Status of one printer, or of all of them without printerId',
+            handler: async (data) => await this.getPrinterStatus(data.printerId)
+        });
+        command('get_printer_info', {
+            description: 'Model, capabilities and firmware of a printer',
+            params: { printerId: 'string' },
+            handler: async (data) => await this.getPrinterInfo(data.printerId)
+        });
+        command('check_filament', {
+            description: 'Filament loaded on a printer and how much is left',
+            params: { printerId: 'string' },
+            handler: async (data) => await this.checkFilament(data.printerId)
+        });
+        command('upload_gcode', {
+            description: 'Upload a local file to a printer without starting it',
+            params: { printerId: 'string', filePath: 'string' },
+            handler: async (data) => await this.uploadGCode(data.printerId, data.filePath)
+        });
+        command('preflight_check', {
+            description: 'Check a G-code/3MF file against the printer and material without printing it',
+            aliases: ['analyze_gcode'],
+            params: { filePath: 'string', 'material?': 'string' },
+            handler: async (data) => await this.preflightCheck(data.filePath, data)
+        });
+        command('slice_model', {
+            description: 'Slice a model and pre-flight the result',
+            params: { filePath: 'string', 'material?': 'string', 'quality?': 'string - e.g. fine, standard or draft' },
+            handler: async (data) => await this.sliceModel(data.filePath, data)
+        });
+        command('print_model', {
+            description: 'Slice a model, pre-flight it and queue it',
+            params: { filePath: 'string', 'material?': 'string', 'quality?': 'string', 'projectName?': 'string', 'priority?': 'integer' },
+            handler: async (data) => await this.sliceModel(data.filePath, { ...data, queue: true })
+        });
+        command('start_print', {
+            description: 'Start a file on a printer right away',
+            params: { printerId: 'string', fileName: 'string', 'filePath?': 'string', 'allowLowFilament?': 'boolean', 'projectName?': 'string', 'notes?': 'string' },
+            handler: async (data) => await this.startPrint(data.printerId, data.fileName, {
+                filePath: data.filePath,
+                allowLowFilament: data.allowLowFilament,
+                projectId: data.projectId,
+                projectName: data.projectName,
+                notes: data.notes,
+                createdBy: data.createdBy || 'gpt'
+            })
+        });
+        command('pause_print', {
+            description: 'Pause the current print',
+            params: { printerId: 'string' },
+            handler: async (data) => await this.pausePrint(data.printerId)
+        });
+        command('resume_print', {
+            description: 'Resume a paused print',
+            params: { printerId: 'string' },
+            handler: async (data) => await this.resumePrint(data.printerId)
+        });
+        command('cancel_print', {
+            description: 'Cancel the current print',
+            params: { printerId: 'string' },
+            handler: async (data) => await this.cancelPrint(data.printerId)
+        });
+
+        // Print queue
+        command('queue_print', {
+            description: 'Queue a print for the next compatible idle printer',
+            aliases: ['add_to_queue'],
+            params: { fileName: 'string', 'filePath?': 'string - local path to upload first', 'material?': 'string', 'priority?': 'integer', 'projectName?': 'string' },
+            handler: async (data) => await this.addToPrintQueue({ ...data, createdBy: data.createdBy || 'gpt' })
+        });
+        command('get_print_queue', {
+            description: 'List queued jobs',
+            handler: async () => await this.getPrintQueue()
+        });
+        command('move_queue_job', {
+            description: 'Move a queued job (position 1 = next to print)',
+            params: { ...jobParams, position: 'integer' },
+            handler: async (data) => await this.moveQueueJob(data.jobId, data.position)
+        });
+        command('cancel_queue_job', {
+            description: 'Remove a job from the queue',
+            params: jobParams,
+            handler: async (data) => await this.cancelQueueJob(data.jobId)
+        });
+        command('retry_print_job', {
+            description: 'Queue a failed or cancelled job again',
+            params: jobParams,
+            handler: async (data) => await this.retryPrintJob(data.jobId)
+        });
+        command('dispatch_queue', {
+            description: 'Send queued jobs to idle printers now',
+            handler: async () => await this.dispatchQueue()
+        });
+
+        // Print history
+        command('get_print_history', {
+            description: 'Past prints',
+            params: { 'days?': 'integer', 'status?': 'string - done, failed or cancelled', 'material?': 'string', 'projectName?': 'string', 'limit?': 'integer' },
+            handler: async (data) => await this.getPrintHistory(data)
+        });
+        command('get_print_stats', {
+            description: 'Success rate, printer hours and filament per material',
+            params: { 'days?': 'integer', 'projectName?': 'string', 'material?': 'string' },
+            handler: async (data) => await this.getPrintStats(data)
+        });
+        command('annotate_print_job', {
+            description: 'Add notes or a failure reason to a past print',
+            params: { ...jobParams, 'operatorNotes?': 'string', 'failureReason?': 'string' },
+            handler: async (data) => await this.annotatePrintJob(data.jobId, data)
+        });
+
+        // Filament spools
+        command('list_spools', {
+            description: 'List filament spools',
+            params: { 'material?': 'string' },
+            handler: async (data) => await this.listSpools(data)
+        });
+        command('add_spool', {
+            description: 'Register a new spool',
+            params: { material: 'string', 'color?': 'string', 'brand?': 'string', 'initialGrams?': 'number - default 1000', 'remainingGrams?': 'number', 'inventoryItemName?': 'string' },
+            handler: async (data) => await this.addSpool(data)
+        });
+        command('update_spool', {
+            description: 'Correct a spool\'s weight, status (active, empty, archived), color or brand',
+            params: { spoolId: 'integer', 'remainingGrams?': 'number', 'status?': 'string', 'color?': 'string', 'brand?': 'string' },
+            handler: async (data) => await this.updateSpool(data.spoolId, data)
+        });
+        command('load_spool', {
+            description: 'Load a spool on a printer',
+            params: { spoolId: 'integer', printerId: 'string' },
+            handler: async (data) => await this.loadSpool(data.spoolId, data.printerId)
+        });
+        command('unload_spool', {
+            description: 'Take a spool off its printer',
+            params: { spoolId: 'integer' },
+            handler: async (data) => await this.unloadSpool(data.spoolId)
+        });
+        command('record_filament_usage', {
+            description: 'Deduct filament for prints that did not go through the queue',
+            params: { spoolId: 'integer', grams: 'number', 'reason?': 'string' },
+            handler: async (data) => await this.recordFilamentUsage(data.spoolId, data.grams, data)
+        });
+
+        command('simulate_fault', {
+            description: 'Inject a fault into a simulator printer: thermal_runaway, heater_failure, bed_drop, stall, runout, failure, clear (remove faults) or refill (optional grams)',
+            params: { printerId: 'string', fault: 'string', 'grams?': 'number' },
+            handler: async (data) => await this.simulateFault(data.printerId, data.fault, data)
+        });
+
+        return registry;
     }
 
     async getPrinterStatus(printerId = null) {
         try {
             if (printerId) {
-                const printer = this.bambuPrinters.get(printerId);
+                const printer = this.printers.get(printerId);
                 if (!printer) {
                     return {
                         success: false,
@@ -169,7 +362,7 @@ class FabricationManager {
             } else {
                 // Get status of all printers
                 const allStatus = {};
-                for (const [id, printer] of this.bambuPrinters) {
+                for (const [id, printer] of this.printers) {
                     try {
                         allStatus[id] = await printer.getStatus();
                     } catch (error) {
@@ -199,7 +392,7 @@ class FabricationManager {
         ).length;
         
         const availablePrinters = printers.filter(id => 
-            allStatus[id].state === 'idle' || allStatus[id].state === 'ready'
+            ['idle', 'ready', 'cancelled'].includes(allStatus[id].state)
         ).length;
         
         return {
@@ -210,9 +403,9 @@ class FabricationManager {
         };
     }
 
-    async startPrint(printerId, fileName) {
+    async startPrint(printerId, fileName, options = {}) {
         try {
-            const printer = this.bambuPrinters.get(printerId);
+            const printer = this.printers.get(printerId);
             if (!printer) {
                 return {
                     success: false,
@@ -257,6 +450,33 @@ class FabricationManager {
                 };
             }
 
+            // With a local copy of the file we can check it before the printer ever sees it
+            let neededGrams = options.estimatedGrams || null;
+            if (options.filePath) {
+                const preflight = await this.preflightCheck(options.filePath, { printerId: printerId, loadedMaterial: status.current_material });
+                if (!preflight.success || !preflight.data.passed) {
+                    return {
+                        success: false,
+                        error: preflight.success ? preflight.data.summary : preflight.error,
+                        preflight: preflight.data
+                    };
+                }
+                neededGrams = preflight.data.analysis.filamentWeightG;
+            }
+
+            // Running out mid-print wastes the whole job, so a short spool needs an explicit go-ahead
+            if (this.spools && !options.allowLowFilament) {
+                const spoolCheck = await this.spools.checkSpoolForJob(printerId, neededGrams);
+                if (!spoolCheck.sufficient) {
+                    return {
+                        success: false,
+                        error: `${spoolCheck.message}. Load a fuller spool, or start again with allowLowFilament to print anyway.`,
+                        lowFilament: true,
+                        spoolCheck: spoolCheck
+                    };
+                }
+            }
+
             // Safety confirmation for any print job
             if (this.config.safety.require_confirmation) {
                 return {
@@ -272,14 +492,22 @@ class FabricationManager {
             // Start the print - let Bambu Studio/printer handle material settings, time estimation, etc.
             const result = await printer.startPrint(fileName);
             
-            if (result.success) {
-                this.currentPrintJob = {
-                    printerId: printerId,
+            // The dispatcher settles this row like any queued job once the printer reports it done
+            if (result.success && this.printQueue) {
+                const spool = this.spools ? await this.spools.getLoadedSpool(printerId) : null;
+                const job = await this.printQueue.addStartedJob({
                     fileName: fileName,
-                    startTime: new Date(),
-                    status: 'printing',
-                    filamentType: filamentCheck.detectedMaterial || 'unknown'
-                };
+                    filePath: options.filePath || null,
+                    printerId: printerId,
+                    printerName: printer.name,
+                    material: filamentCheck.detectedMaterial || (spool ? spool.material : null),
+                    projectId: await this.resolveProjectId(options),
+                    notes: options.notes || '',
+                    createdBy: options.createdBy || 'manual',
+                    spoolId: spool ? spool.id : null,
+                    estimatedGrams: neededGrams
+                });
+                result.jobId = job.id;
             }
 
             return result;
@@ -292,6 +520,184 @@ class FabricationManager {
         }
     }
 
+    async uploadGCode(printerId, filePath) {
+        const printer = this.printers.get(printerId);
+        if (!printer) {
+            return {
+                success: false,
+                error: `Printer ${printerId} not found`
+            };
+        }
+
+        if (!filePath || !fs.existsSync(filePath)) {
+            return {
+                success: false,
+                error: `File not found: ${filePath}`
+            };
+        }
+
+        const status = await printer.getStatus();
+        const preflight = await this.preflightCheck(filePath, { printerId: printerId, loadedMaterial: status.current_material });
+        if (!preflight.success || !preflight.data.passed) {
+            return {
+                success: false,
+                error: preflight.success ? preflight.data.summary : preflight.error,
+                preflight: preflight.data
+            };
+        }
+
+        const result = await printer.uploadFile(filePath);
+        return { ...result, preflight: preflight.data };
+    }
+
+    // Analyzes a local G-code/3MF file and checks it against the printer, material and safety limits
+    async preflightCheck(filePath, options = {}) {
+        try {
+            const printerConfig = options.printerId ?
+                this.getConfiguredPrinters().find(printer => printer.id === options.printerId) :
+                null;
+            if (options.printerId && !printerConfig) {
+                return { success: false, error: `Printer ${options.printerId} not found` };
+            }
+
+            let loadedMaterial = options.loadedMaterial || null;
+            const printer = printerConfig ? this.printers.get(printerConfig.id) : null;
+            if (!loadedMaterial && printer && options.checkLoadedMaterial !== false) {
+                const status = await printer.getStatus();
+                loadedMaterial = status.error ? null : status.current_material;
+            }
+
+            const analysis = await this.gcodeAnalyzer.analyzeFile(filePath, { plate: options.plate });
+            const report = this.preflight.validate(analysis, {
+                printer: printerConfig,
+                printerName: printerConfig ? printerConfig.name : null,
+                loadedMaterial: loadedMaterial,
+                material: options.material,
+                materials: this.getMaterialProfiles(),
+                safety: (this.config && this.config.safety) || {}
+            });
+
+            return {
+                success: true,
+                data: report,
+                message: report.summary
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: `Pre-flight check failed: ${error.message}`
+            };
+        }
+    }
+
+    async needsSlicing(filePath) {
+        if (!this.slicer || !this.slicer.isModelFile(filePath) || /\.gcode\.3mf$/i.test(filePath)) {
+            return false;
+        }
+        if (path.extname(filePath).toLowerCase() !== '.3mf') {
+            return true;
+        }
+        try {
+            return !(await this.gcodeAnalyzer.isSliced3mf(filePath));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Accepts a printer id, or a name or model as people say it ("the P1S")
+    findPrinterConfig(idOrName) {
+        if (!idOrName) return null;
+
+        const printers = this.getConfiguredPrinters();
+        const wanted = String(idOrName).toLowerCase();
+        return printers.find(printer => printer.id === idOrName) ||
+            printers.find(printer => [printer.name, printer.model].some(value => value && value.toLowerCase() === wanted)) ||
+            printers.find(printer => [printer.name, printer.model].some(value => value && value.toLowerCase().includes(wanted))) ||
+            null;
+    }
+
+    // Slices a model for a printer and material, checks the result and queues it when asked
+    // (or always, with workflow.auto_upload_after_slice)
+    async sliceModel(modelPath, options = {}) {
+        if (!this.slicer) {
+            return { success: false, error: 'Slicing is not available' };
+        }
+
+        const printers = this.getConfiguredPrinters();
+        const printer = options.printerId ?
+            this.findPrinterConfig(options.printerId) :
+            (printers.length === 1 ? printers[0] : null);
+        if (!printer) {
+            return {
+                success: false,
+                error: options.printerId ?
+                    `Printer ${options.printerId} not found` :
+                    `Which printer should ${path.basename(modelPath || 'the model')} be sliced for? Configured: ${printers.map(p => p.name).join(', ') || 'none'}`
+            };
+        }
+
+        // Without a material, slice for whatever is loaded
+        let material = options.material || null;
+        if (!material) {
+            const spool = this.spools ? await this.spools.getLoadedSpool(printer.id) : null;
+            const connected = this.printers.get(printer.id);
+            const status = connected ? await connected.getStatus() : null;
+            material = (status && !status.error && status.current_material) || (spool ? spool.material : null) || printer.material || null;
+        }
+        if (!material) {
+            return { success: false, error: `Which material should ${path.basename(modelPath || 'the model')} be sliced in?` };
+        }
+
+        let sliced;
+        try {
+            sliced = await this.slicer.slice(modelPath, {
+                printer: printer,
+                material: material,
+                quality: options.quality,
+                outputDir: options.outputDir
+            });
+        } catch (error) {
+            return { success: false, error: `Slicing failed: ${error.message}` };
+        }
+
+        const fileName = path.basename(sliced.outputPath);
+        const workflow = (this.config && this.config.workflow) || {};
+        if (options.queue ?? workflow.auto_upload_after_slice ?? false) {
+            const queued = await this.addToPrintQueue({
+                ...options,
+                filePath: sliced.outputPath,
+                fileName: fileName,
+                printerId: printer.id,
+                material: material
+            });
+            return {
+                ...queued,
+                sliced: sliced,
+                ...(queued.success ?
+                    { message: `Sliced ${path.basename(modelPath)} with ${sliced.slicer} (${material.toUpperCase()}, ${sliced.quality}). ${queued.message}` } :
+                    { error: `Sliced ${fileName} but could not queue it: ${queued.error}` })
+            };
+        }
+
+        const preflight = await this.preflightCheck(sliced.outputPath, { printerId: printer.id, material: material, checkLoadedMaterial: false });
+        return {
+            success: true,
+            data: { ...sliced, preflight: preflight.data || null },
+            preflight: preflight.data || null,
+            message: `Sliced ${path.basename(modelPath)} with ${sliced.slicer} to ${sliced.outputPath}. ` +
+                (preflight.success ? preflight.data.summary : preflight.error)
+        };
+    }
+
+    getMaterialProfiles() {
+        const profiles = {};
+        Object.entries({ ...DEFAULT_MATERIALS, ...((this.config && this.config.materials) || {}) }).forEach(([name, profile]) => {
+            profiles[name.toUpperCase()] = profile;
+        });
+        return profiles;
+    }
+
     checkFilamentStatus(printerStatus) {
         // For P1S without AMS, check direct filament sensor
         const filamentDetected = printerStatus.filament_detected !== false; // Default to true if not specified
@@ -311,8 +717,9 @@ class FabricationManager {
     }
 
     isPrinterReady(status) {
-        const readyStates = ['idle', 'ready', 'standby'];
-        const busyStates = ['printing', 'paused', 'heating', 'homing'];
+        // A Bambu printer stays in "finished" until the next job is started
+        const readyStates = ['idle', 'ready', 'standby', 'finished', 'cancelled'];
+        const busyStates = ['printing', 'paused', 'heating', 'homing', 'preparing'];
         const errorStates = ['error', 'offline', 'fault'];
         
         if (errorStates.includes(status.state)) {
@@ -328,7 +735,7 @@ class FabricationManager {
 
     async pausePrint(printerId) {
         try {
-            const printer = this.bambuPrinters.get(printerId);
+            const printer = this.printers.get(printerId);
             if (!printer) {
                 return {
                     success: false,
@@ -338,11 +745,6 @@ class FabricationManager {
 
             const result = await printer.pausePrint();
             
-            if (result.success && this.currentPrintJob && this.currentPrintJob.printerId === printerId) {
-                this.currentPrintJob.status = 'paused';
-                this.currentPrintJob.pausedAt = new Date();
-            }
-
             return result;
             
         } catch (error) {
@@ -355,7 +757,7 @@ class FabricationManager {
 
     async resumePrint(printerId) {
         try {
-            const printer = this.bambuPrinters.get(printerId);
+            const printer = this.printers.get(printerId);
             if (!printer) {
                 return {
                     success: false,
@@ -365,11 +767,6 @@ class FabricationManager {
 
             const result = await printer.resumePrint();
             
-            if (result.success && this.currentPrintJob && this.currentPrintJob.printerId === printerId) {
-                this.currentPrintJob.status = 'printing';
-                this.currentPrintJob.resumedAt = new Date();
-            }
-
             return result;
             
         } catch (error) {
@@ -382,7 +779,7 @@ class FabricationManager {
 
     async cancelPrint(printerId) {
         try {
-            const printer = this.bambuPrinters.get(printerId);
+            const printer = this.printers.get(printerId);
             if (!printer) {
                 return {
                     success: false,
@@ -390,11 +787,18 @@ class FabricationManager {
                 };
             }
 
+            // Progress before stopping tells how much filament the cancelled job used
+            const statusBefore = await printer.getStatus();
             const result = await printer.cancelPrint();
             
-            if (result.success && this.currentPrintJob && this.currentPrintJob.printerId === printerId) {
-                this.currentPrintJob.status = 'cancelled';
-                this.currentPrintJob.cancelledAt = new Date();
+            if (result.success && this.printQueue) {
+                const activeJob = await this.printQueue.getActiveJob(printerId);
+                if (activeJob) {
+                    await this.finishJob(activeJob, 'cancelled', {
+                        status: statusBefore.error ? null : statusBefore,
+                        fraction: (statusBefore.progress || 0) / 100
+                    });
+                }
             }
 
             return result;
@@ -409,7 +813,7 @@ class FabricationManager {
 
     async getPrinterInfo(printerId) {
         try {
-            const printer = this.bambuPrinters.get(printerId);
+            const printer = this.printers.get(printerId);
             if (!printer) {
                 return {
                     success: false,
@@ -427,9 +831,28 @@ class FabricationManager {
         }
     }
 
+    // Only simulator printers (type "simulator") can have faults injected
+    async simulateFault(printerId, fault, options = {}) {
+        const printer = this.printers.get(printerId);
+        if (!printer) {
+            return {
+                success: false,
+                error: `Printer ${printerId} not found`
+            };
+        }
+        if (typeof printer.injectFault !== 'function') {
+            return {
+                success: false,
+                error: `${printer.name} is not a simulated printer`
+            };
+        }
+
+        return printer.injectFault(fault, options);
+    }
+
     async checkFilament(printerId) {
         try {
-            const printer = this.bambuPrinters.get(printerId);
+            const printer = this.printers.get(printerId);
             if (!printer) {
                 return {
                     success: false,
@@ -446,16 +869,25 @@ class FabricationManager {
             }
 
             const filamentCheck = this.checkFilamentStatus(status);
+            const spool = this.spools ? await this.spools.getLoadedSpool(printerId) : null;
             
             return {
                 success: true,
                 data: {
                     printerName: printer.name,
                     hasFilament: filamentCheck.hasFilament,
-                    detectedMaterial: filamentCheck.detectedMaterial,
+                    detectedMaterial: filamentCheck.detectedMaterial || (spool ? spool.material : null),
                     recommendation: filamentCheck.recommendation,
                     filamentSensorWorking: filamentCheck.filamentSensorWorking,
-                    readyToPrint: this.isPrinterReady(status) && filamentCheck.hasFilament
+                    readyToPrint: this.isPrinterReady(status) && filamentCheck.hasFilament,
+                    spool: spool ? {
+                        id: spool.id,
+                        material: spool.material,
+                        color: spool.color,
+                        brand: spool.brand,
+                        remainingGrams: spool.remaining_grams,
+                        percentRemaining: Math.round((spool.remaining_grams / spool.initial_grams) * 100)
+                    } : null
                 }
             };
             
@@ -467,256 +899,577 @@ class FabricationManager {
         }
     }
 
-    async addToPrintQueue(printJob) {
-        this.printQueue.push({
-            ...printJob,
-            id: Date.now(),
-            addedAt: new Date(),
-            status: 'queued'
-        });
-        
+    async listSpools(options = {}) {
+        if (!this.spools) {
+            return { success: false, error: 'Spool tracking is not available' };
+        }
+
+        const spools = await this.spools.getSpools(options);
         return {
             success: true,
-            message: `Print job added to queue. Position: ${this.printQueue.length}`
+            data: spools,
+            message: spools.length === 0 ? 'No spools are being tracked' :
+                spools.map(spool => `${this.spools.describeSpool(spool)}: ${Math.round(spool.remaining_grams)} g` +
+                    (spool.printer_id ? ` on ${spool.printer_id}` : '')).join(', ')
         };
     }
 
-    async cleanup() {
-        for (const [id, printer] of this.bambuPrinters) {
-            try {
-                await printer.disconnect();
-            } catch (error) {
-                console.error(`Error disconnecting printer ${id}:`, error);
-            }
+    async addSpool(spoolData) {
+        if (!this.spools) {
+            return { success: false, error: 'Spool tracking is not available' };
         }
+
+        const spool = await this.spools.addSpool(spoolData);
+        return {
+            success: true,
+            data: spool,
+            message: `Added ${this.spools.describeSpool(spool)} with ${spool.remaining_grams} g` +
+                (spool.printer_id ? `, loaded on ${spool.printer_id}` : '')
+        };
     }
-}
 
-// Bambu Lab Printer API wrapper for P1S
-class BambuLabPrinter {
-    constructor(config) {
-        this.id = config.id;
-        this.name = config.name;
-        this.ip = config.ip;
-        this.accessCode = config.accessCode;
-        this.serialNumber = config.serialNumber;
-        this.baseURL = `http://${this.ip}`;
-        this.isConnected = false;
+    async updateSpool(spoolId, updates) {
+        if (!this.spools) {
+            return { success: false, error: 'Spool tracking is not available' };
+        }
+
+        const spool = await this.spools.updateSpool(spoolId, updates);
+        return { success: true, data: spool, message: `Updated ${this.spools.describeSpool(spool)}` };
     }
 
-    async connect() {
-        try {
-            // Test connection to printer using Bambu Lab's actual API endpoint
-            const response = await axios.get(`${this.baseURL}/v1/status`, {
-                timeout: 5000,
-                headers: {
-                    'Authorization': `Bearer ${this.accessCode}`
-                }
-            });
-            
-            this.isConnected = true;
-            return { success: true, message: `Connected to ${this.name}` };
-            
-        } catch (error) {
-            this.isConnected = false;
-            throw new Error(`Failed to connect to ${this.name}: ${error.message}`);
+    async loadSpool(spoolId, printerId) {
+        if (!this.spools) {
+            return { success: false, error: 'Spool tracking is not available' };
+        }
+        if (!printerId || !this.getConfiguredPrinters().some(printer => printer.id === printerId)) {
+            return { success: false, error: `Printer ${printerId} not found` };
         }
+
+        const spool = await this.spools.loadSpool(spoolId, printerId);
+        // A different filament may let queued jobs run that were waiting on this printer
+        this.lowSpoolWarnings.clear();
+        this.dispatchQueue().catch(error => console.error('❌ Print queue dispatch failed:', error));
+        return { success: true, data: spool, message: `Loaded ${this.spools.describeSpool(spool)} on ${printerId}` };
     }
 
-    async getStatus() {
-        try {
-            const response = await axios.get(`${this.baseURL}/v1/status`, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessCode}`
-                }
-            });
-            
-            // For P1S without AMS, enhance status with filament detection
-            const status = response.data;
-            
-            // Return the printer's actual status with enhanced filament info
-            return {
-                ...status,
-                printer_name: this.name,
-                printer_id: this.id,
-                connection_status: 'connected',
-                // P1S filament detection fields (these may vary based on actual API)
-                filament_detected: status.filament_detected ?? true, // Default to true if not reported
-                has_filament: status.has_filament ?? true,
-                current_material: status.current_material || null,
-                filament_sensor_enabled: status.filament_sensor_enabled ?? true,
-                // Additional helpful status
-                bed_temperature: status.bed_temperature || 0,
-                nozzle_temperature: status.nozzle_temperature || 0,
-                state: status.state || 'unknown'
-            };
-            
-        } catch (error) {
-            return {
-                error: error.message,
-                state: 'disconnected',
-                printer_name: this.name,
-                printer_id: this.id,
-                connection_status: 'error',
-                filament_detected: false,
-                has_filament: false
-            };
+    async unloadSpool(spoolId) {
+        if (!this.spools) {
+            return { success: false, error: 'Spool tracking is not available' };
         }
+
+        const spool = await this.spools.unloadSpool(spoolId);
+        return { success: true, data: spool, message: `Unloaded ${this.spools.describeSpool(spool)}` };
     }
 
-    async getInfo() {
-        try {
-            const response = await axios.get(`${this.baseURL}/v1/info`, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessCode}`
-                }
-            });
-            
-            return {
-                success: true,
-                data: {
-                    ...response.data,
-                    configured_name: this.name,
-                    configured_id: this.id,
-                    ip_address: this.ip
-                }
-            };
-            
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message
-            };
+    async recordFilamentUsage(spoolId, grams, context = {}) {
+        if (!this.spools) {
+            return { success: false, error: 'Spool tracking is not available' };
         }
+
+        const result = await this.spools.recordUsage(spoolId, grams, { ...context, source: context.source || 'manual' });
+        return {
+            success: true,
+            data: result,
+            message: `Recorded ${Math.round(result.usedGrams)} g used, ${result.spool.remaining_grams} g left on ${this.spools.describeSpool(result.spool)}`
+        };
     }
 
-    async startPrint(fileName) {
+    // Printer-reported usage (Moonraker reports millimetres) wins; otherwise the G-code estimate scaled by progress
+    async recordJobFilamentUsage(job, status = {}, fraction = 1) {
+        if (!this.spools || !job.spool_id) {
+            return null;
+        }
+
+        let grams = null;
+        let source = 'estimate';
+        if (status.filament_used_mm) {
+            const spool = await this.spools.getSpool(job.spool_id);
+            grams = this.gramsFromLength(status.filament_used_mm, spool);
+            source = 'printer';
+        } else if (job.estimated_grams) {
+            grams = job.estimated_grams * Math.min(Math.max(fraction, 0), 1);
+        }
+
+        if (!grams || grams <= 0) {
+            return null;
+        }
+
+        grams = Math.round(grams * 10) / 10;
         try {
-            // Start print using file already on the printer
-            const response = await axios.post(`${this.baseURL}/v1/print`, {
-                filename: fileName,
-                // Let the printer use its own settings
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessCode}`,
-                    'Content-Type': 'application/json'
-                }
+            const result = await this.spools.recordUsage(job.spool_id, grams, {
+                projectId: job.project_id,
+                source: 'print',
+                reason: `Print job #${job.id} ${job.file_name}: ${grams} g (${source === 'printer' ? 'reported by printer' : 'G-code estimate'})`
             });
-            
-            return {
-                success: true,
-                message: `Print started on ${this.name}: ${fileName}`,
-                jobId: response.data?.jobId || 'unknown'
-            };
-            
+            await this.printQueue.setUsedGrams(job.id, grams);
+            return result;
         } catch (error) {
-            return {
-                success: false,
-                error: `Failed to start print: ${error.message}`
-            };
+            console.error(`❌ Failed to record filament used by print job ${job.id}:`, error.message);
+            return null;
         }
     }
 
-    async pausePrint() {
-        try {
-            await axios.post(`${this.baseURL}/v1/print/pause`, {}, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessCode}`
-                }
-            });
-            
-            return {
-                success: true,
-                message: `Print paused on ${this.name}`
-            };
-            
-        } catch (error) {
-            return {
-                success: false,
-                error: `Failed to pause print: ${error.message}`
-            };
+    gramsFromLength(lengthMm, spool) {
+        const profile = this.getMaterialProfiles()[spool.material] || {};
+        const diameter = spool.diameter || 1.75;
+        const volumeCm3 = lengthMm * Math.PI * Math.pow(diameter / 2, 2) / 1000;
+        return volumeCm3 * (profile.density || 1.24);
+    }
+
+    async addToPrintQueue(printJob) {
+        if (!this.printQueue) {
+            return { success: false, error: 'Print queue is not available' };
+        }
+
+        // Models are sliced first; the sliced file comes back through here to be queued
+        if (printJob.filePath && await this.needsSlicing(printJob.filePath)) {
+            const workflow = (this.config && this.config.workflow) || {};
+            if ((workflow.auto_slice ?? workflow.auto_slice_in_bambu_studio) === false) {
+                return { success: false, error: `${path.basename(printJob.filePath)} is a model, not a sliced file. Slice it first or turn on workflow.auto_slice` };
+            }
+            return this.sliceModel(printJob.filePath, { ...printJob, queue: true });
+        }
+
+        const projectId = await this.resolveProjectId(printJob);
+        const printerId = printJob.printerId || null;
+        if (printerId && !this.printers.has(printerId) && !this.getConfiguredPrinters().some(printer => printer.id === printerId)) {
+            return { success: false, error: `Printer ${printerId} not found` };
+        }
+
+        // Local files are checked now so a bad slice is rejected before it waits in the queue
+        let preflight = null;
+        if (printJob.filePath) {
+            // The filament may well be swapped before the job's turn comes, so that is checked at dispatch
+            const result = await this.preflightCheck(printJob.filePath, { printerId: printerId, material: printJob.material, checkLoadedMaterial: false });
+            if (!result.success) {
+                return result;
+            }
+            if (!result.data.passed) {
+                return { success: false, error: result.data.summary, preflight: result.data };
+            }
+            preflight = result.data;
         }
+
+        const { job, position } = await this.printQueue.addJob({
+            fileName: printJob.fileName || (printJob.filePath ? path.basename(printJob.filePath) : null),
+            filePath: printJob.filePath || null,
+            printerId: printerId,
+            material: printJob.material || (preflight && preflight.analysis.material) || null,
+            priority: printJob.priority || 3,
+            projectId: projectId,
+            notes: printJob.notes || '',
+            createdBy: printJob.createdBy || 'manual',
+            estimatedGrams: preflight ? preflight.analysis.filamentWeightG : (printJob.estimatedGrams || null)
+        });
+
+        // Try straight away rather than waiting for the next dispatcher tick
+        this.dispatchQueue().catch(error => console.error('❌ Print queue dispatch failed:', error));
+
+        return {
+            success: true,
+            data: job,
+            preflight: preflight,
+            message: `${job.file_name} added to the print queue at position ${position}` +
+                (printerId ? ` for ${printerId}` : ' for any compatible printer') +
+                (preflight ? `. ${preflight.summary}` : '')
+        };
     }
 
-    async resumePrint() {
-        try {
-            await axios.post(`${this.baseURL}/v1/print/resume`, {}, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessCode}`
-                }
+    async getPrintQueue() {
+        if (!this.printQueue) {
+            return { success: false, error: 'Print queue is not available' };
+        }
+
+        const queue = await this.printQueue.getQueue();
+        return {
+            success: true,
+            data: queue,
+            message: queue.queued.length === 0 && queue.active.length === 0 ?
+                'The print queue is empty' :
+                `${queue.active.length} printing, ${queue.queued.length} waiting: ` +
+                    queue.queued.map((job, index) => `${index + 1}. ${job.file_name}`).join(', ')
+        };
+    }
+
+    async moveQueueJob(jobId, position) {
+        if (!this.printQueue) {
+            return { success: false, error: 'Print queue is not available' };
+        }
+
+        await this.printQueue.moveJob(jobId, position);
+        return { success: true, message: `Print job ${jobId} moved to position ${position}` };
+    }
+
+    async reorderPrintQueue(orderedIds) {
+        if (!this.printQueue) {
+            return { success: false, error: 'Print queue is not available' };
+        }
+
+        const ids = await this.printQueue.reorder(orderedIds);
+        return { success: true, data: ids, message: 'Print queue reordered' };
+    }
+
+    async cancelQueueJob(jobId) {
+        if (!this.printQueue) {
+            return { success: false, error: 'Print queue is not available' };
+        }
+
+        const job = await this.printQueue.getJob(jobId);
+        if (!job) {
+            return { success: false, error: `Print job ${jobId} not found` };
+        }
+        if (PrintQueue.FINISHED_STATES.includes(job.status)) {
+            return { success: false, error: `Print job ${jobId} has already ${job.status === 'done' ? 'finished' : job.status}` };
+        }
+
+        // A job already on a printer has to be stopped there too
+        if (job.status === 'printing' && job.assigned_printer_id) {
+            const result = await this.cancelPrint(job.assigned_printer_id);
+            if (!result.success) {
+                return result;
+            }
+        }
+
+        await this.printQueue.updateStatus(jobId, 'cancelled');
+        return { success: true, message: `Print job ${job.file_name} cancelled` };
+    }
+
+    async retryPrintJob(jobId) {
+        if (!this.printQueue) {
+            return { success: false, error: 'Print queue is not available' };
+        }
+
+        const job = await this.printQueue.retryJob(jobId);
+        this.dispatchQueue().catch(error => console.error('❌ Print queue dispatch failed:', error));
+        return { success: true, data: job, message: `Print job ${job.file_name} queued again` };
+    }
+
+    async resolveProjectId(options = {}) {
+        if (options.projectId) {
+            return options.projectId;
+        }
+        if (options.projectName && this.projectManager) {
+            const project = await this.projectManager.findProjectByName(options.projectName);
+            return project ? project.id : null;
+        }
+        return null;
+    }
+
+    async getPrintHistory(options = {}) {
+        if (!this.printQueue) {
+            return { success: false, error: 'Print history is not available' };
+        }
+
+        const projectId = await this.resolveProjectId(options);
+        if (options.projectName && !projectId) {
+            return { success: false, error: `Project "${options.projectName}" not found` };
+        }
+
+        const history = await this.printQueue.getHistory({ ...options, projectId: projectId });
+        return {
+            success: true,
+            data: history,
+            message: history.length === 0 ? 'No finished prints match' :
+                history.slice(0, 10).map(job => `#${job.id} ${job.file_name}: ${job.status}` +
+                    ` on ${job.printer_name || job.assigned_printer_id || 'unknown printer'}` +
+                    (job.failure_reason || job.error ? ` (${job.failure_reason || job.error})` : '')).join('; ')
+        };
+    }
+
+    async getPrintStats(options = {}) {
+        if (!this.printQueue) {
+            return { success: false, error: 'Print history is not available' };
+        }
+
+        const projectId = await this.resolveProjectId(options);
+        if (options.projectName && !projectId) {
+            return { success: false, error: `Project "${options.projectName}" not found` };
+        }
+
+        const stats = await this.printQueue.getStats({ ...options, projectId: projectId });
+        const period = options.days ? ` in the last ${options.days} days` : '';
+        return {
+            success: true,
+            data: stats,
+            message: stats.jobs === 0 ? `No finished prints${period}` :
+                `${stats.jobs} prints${period}: ${stats.done} done, ${stats.failed} failed, ${stats.cancelled} cancelled` +
+                (stats.successRate !== null ? ` (${stats.successRate}% success)` : '') +
+                `, ${stats.hours} printer hours, ${stats.grams} g of filament. ` +
+                stats.printers.map(printer => `${printer.printer_name || printer.printer_id}: ${printer.hours} h`).join(', ') +
+                (stats.grams > 0 ? `. ${stats.materials.filter(material => material.grams > 0).map(material => `${material.material} ${material.grams} g`).join(', ')}` : '')
+        };
+    }
+
+    async annotatePrintJob(jobId, annotations = {}) {
+        if (!this.printQueue) {
+            return { success: false, error: 'Print history is not available' };
+        }
+
+        const job = await this.printQueue.annotateJob(jobId, annotations);
+        return { success: true, data: job, message: `Notes saved for print job ${job.file_name}` };
+    }
+
+    async getPrinterSummaries() {
+        const summaries = [];
+        for (const printerConfig of this.getConfiguredPrinters()) {
+            const printer = this.printers.get(printerConfig.id);
+            const status = printer ? await printer.getStatus() : null;
+
+            summaries.push({
+                id: printerConfig.id,
+                name: printerConfig.name,
+                type: printerConfig.type,
+                model: printerConfig.model || null,
+                connected: Boolean(printer && status && !status.error),
+                state: status ? status.state : 'offline',
+                material: status ? status.current_material : null,
+                ready: Boolean(status && !status.error && this.isPrinterReady(status))
             });
-            
-            return {
-                success: true,
-                message: `Print resumed on ${this.name}`
-            };
-            
-        } catch (error) {
-            return {
-                success: false,
-                error: `Failed to resume print: ${error.message}`
-            };
         }
+        return summaries;
     }
 
-    async cancelPrint() {
+    // Printers of any type live under "printers"; entries under "bambuLab.printers" are Bambu printers
+    getConfiguredPrinters() {
+        if (!this.config) {
+            return [];
+        }
+
+        const printers = (this.config.printers || []).map(printer => ({
+            ...printer,
+            type: PrinterDriverRegistry.normalizeType(printer.type)
+        }));
+        const bambuPrinters = ((this.config.bambuLab && this.config.bambuLab.printers) || [])
+            .map(printer => ({ ...printer, type: 'bambu' }));
+
+        return [...printers, ...bambuPrinters];
+    }
+
+    startDispatcher() {
+        const queueConfig = (this.config && this.config.queue) || {};
+        if (!this.printQueue) {
+            return;
+        }
+
+        // Without auto_dispatch the timer still settles running jobs so the history stays complete
+        const settleOnly = queueConfig.auto_dispatch === false;
+        const intervalSeconds = queueConfig.dispatch_interval_seconds || 30;
+        this.dispatchTimer = setInterval(() => {
+            this.dispatchQueue({ settleOnly: settleOnly }).catch(error => console.error('❌ Print queue dispatch failed:', error));
+        }, intervalSeconds * 1000);
+
+        console.log(`🖨️ Print queue ${settleOnly ? 'monitor' : 'dispatcher'} running every ${intervalSeconds}s`);
+    }
+
+    stopDispatcher() {
+        if (this.dispatchTimer) {
+            clearInterval(this.dispatchTimer);
+            this.dispatchTimer = null;
+        }
+    }
+
+    // Settles jobs that have finished and hands the next queued job to every idle printer
+    async dispatchQueue(options = {}) {
+        if (!this.printQueue || this.isDispatching) {
+            return { success: true, data: [] };
+        }
+
+        this.isDispatching = true;
+        const started = [];
+
         try {
-            await axios.post(`${this.baseURL}/v1/print/cancel`, {}, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessCode}`
+            for (const [printerId, printer] of this.printers) {
+                // One unreachable or misbehaving printer must not hold up the others
+                try {
+                    const job = await this.dispatchToPrinter(printerId, printer, options);
+                    if (job) started.push(job.id);
+                } catch (error) {
+                    console.error(`❌ Print queue dispatch failed for ${printer.name}:`, error.message);
                 }
+            }
+        } finally {
+            this.isDispatching = false;
+        }
+
+        return {
+            success: true,
+            data: started,
+            message: started.length > 0 ? `Started ${started.length} queued print(s)` : 'No queued prints could be started'
+        };
+    }
+
+    // Settles the printer's running job, or starts its next queued one; returns the job it started
+    async dispatchToPrinter(printerId, printer, options = {}) {
+        const status = await printer.getStatus();
+        const activeJob = await this.printQueue.getActiveJob(printerId);
+
+        if (activeJob) {
+            await this.settleActiveJob(activeJob, status);
+            return null;
+        }
+
+        if (options.settleOnly) {
+            return null;
+        }
+
+        if (!this.isPrinterReady(status) || !this.checkFilamentStatus(status).hasFilament) {
+            return null;
+        }
+
+        // Printers that can't report their filament fall back to the tracked spool loaded on them
+        const spool = this.spools ? await this.spools.getLoadedSpool(printerId) : null;
+        const material = status.current_material || (spool ? spool.material : null);
+        const job = await this.printQueue.getNextJobFor(printerId, material);
+        if (!job) {
+            return null;
+        }
+
+        if (spool && job.estimated_grams && spool.remaining_grams < job.estimated_grams) {
+            if (!this.lowSpoolWarnings.has(job.id)) {
+                this.lowSpoolWarnings.add(job.id);
+                console.warn(`⚠️ Print job ${job.file_name} is waiting: ${this.spools.describeSpool(spool)} on ${printer.name} only has ${Math.round(spool.remaining_grams)} g of the ~${Math.round(job.estimated_grams)} g needed`);
+            }
+            return null;
+        }
+
+        const result = await this.dispatchJob(job, printer, { ...status, current_material: material }, spool);
+        return result.success ? job : null;
+    }
+
+    async settleActiveJob(job, status) {
+        if (job.status !== 'printing' || status.error) {
+            return;
+        }
+
+        const startedAt = new Date(job.started_at + 'Z').getTime();
+        if (status.progress !== null && status.progress !== undefined && ['printing', 'paused'].includes(status.state)) {
+            this.jobProgress.set(job.id, Math.max(this.jobProgress.get(job.id) || 0, status.progress));
+        }
+        const progress = Math.max(status.progress || 0, this.jobProgress.get(job.id) || 0);
+
+        if (FAILED_PRINTER_STATES.includes(status.state)) {
+            const error = status.print_error && status.print_error !== 0 ?
+                `Printer reported ${status.state}: ${status.print_error}` :
+                `Printer reported ${status.state}`;
+            console.log(`❌ Print job ${job.file_name} failed on ${job.assigned_printer_id}`);
+            // A failed print still used filament up to the point it stopped
+            await this.finishJob(job, 'failed', { error: error, status: status, fraction: progress / 100 });
+        } else if (CANCELLED_PRINTER_STATES.includes(status.state) && Date.now() - startedAt > START_GRACE_MS) {
+            // Like cancelPrint(): only what was printed before the stop counts as used
+            console.log(`⏹️ Print job ${job.file_name} was cancelled on ${job.assigned_printer_id}`);
+            await this.finishJob(job, 'cancelled', { status: status, fraction: progress / 100 });
+        } else if (FINISHED_PRINTER_STATES.includes(status.state) && Date.now() - startedAt > START_GRACE_MS) {
+            console.log(`✅ Print job ${job.file_name} finished on ${job.assigned_printer_id}`);
+            await this.finishJob(job, 'done', { status: status, fraction: 1 });
+        }
+    }
+
+    // Every print that reached a printer ends here: the outcome is stored, filament is deducted
+    // and the linked project gets a timeline entry
+    async finishJob(job, outcome, details = {}) {
+        this.jobProgress.delete(job.id);
+        await this.printQueue.updateStatus(job.id, outcome, details.error !== undefined ? { error: details.error } : {});
+        if (details.status) {
+            await this.recordJobFilamentUsage(job, details.status, details.fraction);
+        }
+
+        const finished = await this.printQueue.getJob(job.id);
+        if (finished.project_id && this.projectManager) {
+            await this.logJobToProject(finished).catch(error => {
+                console.warn(`⚠️ Could not add print job ${job.id} to the project timeline:`, error.message);
             });
-            
-            return {
-                success: true,
-                message: `Print cancelled on ${this.name}`
-            };
-            
-        } catch (error) {
-            return {
-                success: false,
-                error: `Failed to cancel print: ${error.message}`
-            };
         }
+        return finished;
+    }
+
+    async logJobToProject(job) {
+        const titles = {
+            done: `Printed ${job.file_name}`,
+            failed: `Print failed: ${job.file_name}`,
+            cancelled: `Print cancelled: ${job.file_name}`
+        };
+        const details = [
+            `Print job #${job.id} on ${job.printer_name || job.assigned_printer_id}`,
+            job.material,
+            job.used_grams ? `${job.used_grams} g` : null,
+            job.started_at && job.finished_at ?
+                this.preflight.formatDuration((new Date(job.finished_at + 'Z') - new Date(job.started_at + 'Z')) / 1000) :
+                null
+        ].filter(Boolean).join(', ');
+
+        return this.projectManager.addTimelineEvent({
+            projectId: job.project_id,
+            eventType: 'print',
+            title: titles[job.status],
+            description: details + (job.error ? `. ${job.error}` : ''),
+            startDate: job.started_at,
+            endDate: job.finished_at,
+            status: job.status === 'done' ? 'completed' : job.status
+        });
     }
 
-    async uploadFile(filePath) {
+    // Queuing a job is the user's go-ahead, so this skips the interactive confirmation in startPrint()
+    async dispatchJob(job, printer, status = {}, spool = null) {
+        console.log(`🖨️ Dispatching print job ${job.file_name} to ${printer.name}`);
+        await this.printQueue.updateStatus(job.id, 'uploading', { printerId: printer.id, printerName: printer.name });
+
+        // Past this point the job holds the printer, so anything that goes wrong has to release it
         try {
-            // Upload G-code file to the printer's storage
-            const fileData = fs.readFileSync(filePath);
-            const fileName = path.basename(filePath);
-            
-            // Use form data for file upload
-            const FormData = require('form-data');
-            const formData = new FormData();
-            formData.append('file', fileData, fileName);
-            
-            const response = await axios.post(`${this.baseURL}/v1/upload`, formData, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessCode}`,
-                    ...formData.getHeaders()
-                },
-                timeout: 30000 // 30 second timeout for file uploads
+            let fileName = job.file_name;
+            if (job.file_path) {
+                // Checked again now that the printer, its bed and the loaded filament are known
+                const preflight = await this.preflightCheck(job.file_path, {
+                    printerId: printer.id,
+                    material: job.material,
+                    loadedMaterial: status.current_material
+                });
+                if (!preflight.success || !preflight.data.passed) {
+                    const error = preflight.success ? preflight.data.summary : preflight.error;
+                    await this.printQueue.updateStatus(job.id, 'failed', { error: error });
+                    return { success: false, error: error, preflight: preflight.data };
+                }
+                job.estimated_grams = preflight.data.analysis.filamentWeightG;
+
+                const upload = await printer.uploadFile(job.file_path);
+                if (!upload.success) {
+                    await this.printQueue.updateStatus(job.id, 'failed', { error: upload.error });
+                    return upload;
+                }
+                // The job may be named differently from the file that was sent
+                fileName = upload.fileName || fileName;
+            }
+
+            const result = await printer.startPrint(fileName);
+            if (!result.success) {
+                await this.printQueue.updateStatus(job.id, 'failed', { error: result.error });
+                return result;
+            }
+
+            await this.printQueue.updateStatus(job.id, 'printing', {
+                spoolId: spool ? spool.id : null,
+                estimatedGrams: job.estimated_grams || null
             });
-            
-            return {
-                success: true,
-                message: `File uploaded to ${this.name}: ${fileName}`,
-                fileName: fileName,
-                fileId: response.data?.fileId || fileName
-            };
-            
+            this.lowSpoolWarnings.delete(job.id);
+
+            return result;
+
         } catch (error) {
-            return {
-                success: false,
-                error: `Failed to upload file: ${error.message}`
-            };
+            console.error(`❌ Print job ${job.file_name} could not be started on ${printer.name}:`, error.message);
+            await this.printQueue.updateStatus(job.id, 'failed', { error: `Failed to start print: ${error.message}` });
+            return { success: false, error: `Failed to start print: ${error.message}` };
         }
     }
 
-    async disconnect() {
-        this.isConnected = false;
-        return { success: true, message: `Disconnected from ${this.name}` };
+    async cleanup() {
+        this.stopDispatcher();
+        
+        for (const [id, printer] of this.printers) {
+            try {
+                await printer.disconnect();
+            } catch (error) {
+                console.error(`Error disconnecting printer ${id}:`, error);
+            }
+        }
     }
 }
 
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const DEFAULT_FILAMENT_DIAMETER = 1.75;
+const DEFAULT_FILAMENT_DENSITY = 1.24;
+
+// Header comments written by the common slicers (BambuStudio/OrcaSlicer, PrusaSlicer/SuperSlicer, Cura).
+// Values found here win over what is worked out from the moves themselves.
+const HEADER_PATTERNS = [
+    // Bambu puts this after the model time on the same line
+    { field: 'printTimeSeconds', pattern: /;\s*total estimated time:\s*([^;]+)$/i, parse: 'duration' },
+    { field: 'printTimeSeconds', pattern: /^;\s*estimated printing time(?: \(normal mode\))?\s*=\s*(.+)$/i, parse: 'duration' },
+    { field: 'printTimeSeconds', pattern: /^;TIME:(\d+(?:\.\d+)?)$/, parse: 'number' },
+    { field: 'filamentLengthMm', pattern: /^;\s*total filament length \[mm\]\s*:\s*([\d.]+)/i, parse: 'number' },
+    { field: 'filamentLengthMm', pattern: /^;\s*filament used \[mm\]\s*=\s*([\d.]+)/i, parse: 'number' },
+    { field: 'filamentLengthMm', pattern: /^;Filament used:\s*([\d.]+)m/i, parse: 'meters' },
+    { field: 'filamentWeightG', pattern: /^;\s*total filament weight \[g\]\s*:\s*([\d.]+)/i, parse: 'number' },
+    { field: 'filamentWeightG', pattern: /^;\s*filament used \[g\]\s*=\s*([\d.]+)/i, parse: 'number' },
+    { field: 'layerCount', pattern: /^;\s*total layer(?:s count| number)\s*[:=]\s*(\d+)/i, parse: 'number' },
+    { field: 'layerCount', pattern: /^;LAYER_COUNT:(\d+)/, parse: 'number' },
+    { field: 'material', pattern: /^;\s*filament_type\s*=\s*([^;,\s]+)/i, parse: 'string' },
+    { field: 'filamentDiameter', pattern: /^;\s*filament_diameter\s*[:=]\s*([\d.]+)/i, parse: 'number' },
+    { field: 'filamentDensity', pattern: /^;\s*filament_density\s*[:=]\s*([\d.]+)/i, parse: 'number' },
+    { field: 'slicer', pattern: /^;\s*(BambuStudio [\d.]+|OrcaSlicer [\d.]+)/i, parse: 'string' },
+    { field: 'slicer', pattern: /^;\s*generated by (\S+ [\d.]+\S*)/i, parse: 'string' },
+    { field: 'slicer', pattern: /^;Generated with (Cura_SteamEngine [\d.]+)/, parse: 'string' }
+];
+
+class GCodeAnalyzer {
+    async analyzeFile(filePath, options = {}) {
+        if (!filePath || !fs.existsSync(filePath)) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+
+        const buffer = await fs.promises.readFile(filePath);
+        const gcode = /\.3mf$/i.test(filePath) ?
+            this.extractGcodeFrom3mf(buffer, options.plate || 1) :
+            buffer.toString('utf8');
+
+        const analysis = this.analyze(gcode);
+        analysis.file = path.basename(filePath);
+        analysis.fileSizeBytes = buffer.length;
+        return analysis;
+    }
+
+    analyze(gcode) {
+        const header = {};
+        const state = {
+            absolute: true,
+            absoluteExtrusion: true,
+            x: 0, y: 0, z: 0, e: 0,
+            feedrate: 1500
+        };
+        const bounds = { minX: Infinity, minY: Infinity, minZ: Infinity, maxX: -Infinity, maxY: -Infinity, maxZ: -Infinity };
+        const extrusionHeights = new Set();
+        const temps = { maxNozzle: 0, maxBed: 0, firstNozzle: null, firstBed: null };
+        let extrudedMm = 0;
+        let movingSeconds = 0;
+        let layerMarkers = 0;
+        let lineCount = 0;
+
+        let start = 0;
+        while (start < gcode.length) {
+            let end = gcode.indexOf('\n', start);
+            if (end === -1) end = gcode.length;
+            const line = gcode.slice(start, end).trim();
+            start = end + 1;
+            if (!line) continue;
+            lineCount++;
+
+            if (line.startsWith(';')) {
+                if (/^;\s*(LAYER_CHANGE|LAYER:\d+|CHANGE_LAYER)\s*$/.test(line)) {
+                    layerMarkers++;
+                }
+                this.readHeaderLine(line, header);
+                continue;
+            }
+
+            const code = line.split(';')[0].trim().toUpperCase();
+            const words = this.parseWords(code);
+            const command = code.split(/\s+/)[0];
+
+            switch (command) {
+                case 'G90': state.absolute = true; state.absoluteExtrusion = true; break;
+                case 'G91': state.absolute = false; state.absoluteExtrusion = false; break;
+                case 'M82': state.absoluteExtrusion = true; break;
+                case 'M83': state.absoluteExtrusion = false; break;
+                case 'G92':
+                    if (words.E !== undefined) state.e = words.E;
+                    if (words.X !== undefined) state.x = words.X;
+                    if (words.Y !== undefined) state.y = words.Y;
+                    if (words.Z !== undefined) state.z = words.Z;
+                    break;
+                case 'M104':
+                case 'M109':
+                    if (words.S !== undefined) {
+                        temps.maxNozzle = Math.max(temps.maxNozzle, words.S);
+                        if (temps.firstNozzle === null && words.S > 0) temps.firstNozzle = words.S;
+                    }
+                    break;
+                case 'M140':
+                case 'M190':
+                    if (words.S !== undefined) {
+                        temps.maxBed = Math.max(temps.maxBed, words.S);
+                        if (temps.firstBed === null && words.S > 0) temps.firstBed = words.S;
+                    }
+                    break;
+                case 'G4':
+                    movingSeconds += (words.S || 0) + (words.P || 0) / 1000;
+                    break;
+                case 'G0':
+                case 'G1':
+                case 'G2':
+                case 'G3': {
+                    const next = {
+                        x: words.X === undefined ? state.x : (state.absolute ? words.X : state.x + words.X),
+                        y: words.Y === undefined ? state.y : (state.absolute ? words.Y : state.y + words.Y),
+                        z: words.Z === undefined ? state.z : (state.absolute ? words.Z : state.z + words.Z)
+                    };
+                    let extrusion = 0;
+                    if (words.E !== undefined) {
+                        extrusion = state.absoluteExtrusion ? words.E - state.e : words.E;
+                        state.e = state.absoluteExtrusion ? words.E : state.e + words.E;
+                    }
+                    if (words.F !== undefined && words.F > 0) {
+                        state.feedrate = words.F;
+                    }
+
+                    const distance = Math.hypot(next.x - state.x, next.y - state.y, next.z - state.z);
+                    // Pure retract/prime moves still take time
+                    movingSeconds += (distance || Math.abs(extrusion)) / (state.feedrate / 60);
+                    extrudedMm += extrusion;
+
+                    if (extrusion > 0 && distance > 0) {
+                        bounds.minX = Math.min(bounds.minX, state.x, next.x);
+                        bounds.maxX = Math.max(bounds.maxX, state.x, next.x);
+                        bounds.minY = Math.min(bounds.minY, state.y, next.y);
+                        bounds.maxY = Math.max(bounds.maxY, state.y, next.y);
+                        bounds.minZ = Math.min(bounds.minZ, next.z);
+                        bounds.maxZ = Math.max(bounds.maxZ, next.z);
+                        extrusionHeights.add(Math.round(next.z * 100));
+                    }
+
+                    state.x = next.x;
+                    state.y = next.y;
+                    state.z = next.z;
+                    break;
+                }
+            }
+        }
+
+        const diameter = header.filamentDiameter || DEFAULT_FILAMENT_DIAMETER;
+        const filamentLengthMm = header.filamentLengthMm ?? Math.max(extrudedMm, 0);
+        const density = header.filamentDensity || null;
+
+        return {
+            slicer: header.slicer || null,
+            material: header.material ? header.material.toUpperCase() : null,
+            estimatedSeconds: Math.round(header.printTimeSeconds ?? movingSeconds),
+            estimateSource: header.printTimeSeconds !== undefined ? 'slicer' : 'moves',
+            filamentLengthMm: Math.round(filamentLengthMm * 10) / 10,
+            filamentWeightG: header.filamentWeightG ?? this.filamentWeight(filamentLengthMm, diameter, density || DEFAULT_FILAMENT_DENSITY),
+            filamentDiameter: diameter,
+            filamentDensity: density,
+            maxNozzleTemp: temps.maxNozzle,
+            maxBedTemp: temps.maxBed,
+            firstLayerNozzleTemp: temps.firstNozzle,
+            firstLayerBedTemp: temps.firstBed,
+            boundingBox: bounds.minX === Infinity ? null : {
+                min: { x: this.round(bounds.minX), y: this.round(bounds.minY), z: this.round(bounds.minZ) },
+                max: { x: this.round(bounds.maxX), y: this.round(bounds.maxY), z: this.round(bounds.maxZ) },
+                size: {
+                    x: this.round(bounds.maxX - bounds.minX),
+                    y: this.round(bounds.maxY - bounds.minY),
+                    z: this.round(bounds.maxZ)
+                }
+            },
+            layerCount: header.layerCount || layerMarkers || extrusionHeights.size,
+            lineCount: lineCount
+        };
+    }
+
+    readHeaderLine(line, header) {
+        for (const { field, pattern, parse } of HEADER_PATTERNS) {
+            if (header[field] !== undefined) continue;
+
+            const match = line.match(pattern);
+            if (!match) continue;
+
+            const value = match[1].trim();
+            if (parse === 'duration') {
+                const seconds = this.parseDuration(value);
+                if (seconds !== null) header[field] = seconds;
+            } else if (parse === 'number') {
+                header[field] = parseFloat(value);
+            } else if (parse === 'meters') {
+                header[field] = parseFloat(value) * 1000;
+            } else {
+                header[field] = value;
+            }
+        }
+    }
+
+    parseWords(code) {
+        const words = {};
+        const pattern = /([A-Z])\s*(-?\d*\.?\d+)/g;
+        let match;
+        // Skip the command itself (G1, M104...) so its number is not read as a parameter
+        pattern.lastIndex = code.search(/\s|$/);
+        while ((match = pattern.exec(code)) !== null) {
+            words[match[1]] = parseFloat(match[2]);
+        }
+        return words;
+    }
+
+    // "1d 2h 3m 4s", "2h 5m", "45m 12s"
+    parseDuration(text) {
+        const units = { d: 86400, h: 3600, m: 60, s: 1 };
+        let seconds = 0;
+        let matched = false;
+        text.replace(/(\d+(?:\.\d+)?)\s*([dhms])/gi, (_, amount, unit) => {
+            seconds += parseFloat(amount) * units[unit.toLowerCase()];
+            matched = true;
+        });
+        return matched ? seconds : null;
+    }
+
+    filamentWeight(lengthMm, diameter, density) {
+        const volumeCm3 = lengthMm * Math.PI * Math.pow(diameter / 2, 2) / 1000;
+        return Math.round(volumeCm3 * density * 10) / 10;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // A 3MF straight out of CAD holds only meshes; one exported by a slicer also carries plate G-code
+    async isSliced3mf(filePath) {
+        const buffer = await fs.promises.readFile(filePath);
+        return this.readZipDirectory(buffer).some(entry => /\.gcode$/i.test(entry.name));
+    }
+
+    // Sliced .3mf projects are zip archives with one G-code file per plate under Metadata/
+    extractGcodeFrom3mf(buffer, plate = 1) {
+        const entries = this.readZipDirectory(buffer);
+        const entry = entries.find(item => item.name === `Metadata/plate_${plate}.gcode`) ||
+            entries.find(item => /\.gcode$/i.test(item.name));
+
+        if (!entry) {
+            throw new Error('This 3MF file has no sliced G-code; slice and export it before printing');
+        }
+
+        const nameLength = buffer.readUInt16LE(entry.localHeaderOffset + 26);
+        const extraLength = buffer.readUInt16LE(entry.localHeaderOffset + 28);
+        const dataStart = entry.localHeaderOffset + 30 + nameLength + extraLength;
+        const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === 0) return data.toString('utf8');
+        if (entry.method === 8) return zlib.inflateRawSync(data).toString('utf8');
+        throw new Error(`Unsupported compression method ${entry.method} in 3MF file`);
+    }
+
+    readZipDirectory(buffer) {
+        // The end-of-central-directory record sits in the last 64KB (22 bytes plus an optional comment)
+        let eocd = -1;
+        for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+            if (buffer.readUInt32LE(offset) === 0x06054b50) {
+                eocd = offset;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('Not a valid 3MF (zip) file');
+        }
+
+        const count = buffer.readUInt16LE(eocd + 10);
+        let offset = buffer.readUInt32LE(eocd + 16);
+        const entries = [];
+
+        for (let index = 0; index < count && buffer.readUInt32LE(offset) === 0x02014b50; index++) {
+            const nameLength = buffer.readUInt16LE(offset + 28);
+            const extraLength = buffer.readUInt16LE(offset + 30);
+            const commentLength = buffer.readUInt16LE(offset + 32);
+
+            entries.push({
+                name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+                method: buffer.readUInt16LE(offset + 10),
+                compressedSize: buffer.readUInt32LE(offset + 20),
+                localHeaderOffset: buffer.readUInt32LE(offset + 42)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+}
+
+module.exports = GCodeAnalyzer;
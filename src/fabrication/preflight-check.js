@@ -0,0 +1,184 @@
+// Build volumes (mm) for printers that don't set bedSize in config/fabrication.json
+const MODEL_BED_SIZES = {
+    X1C: { x: 256, y: 256, z: 256 },
+    X1: { x: 256, y: 256, z: 256 },
+    X1E: { x: 256, y: 256, z: 256 },
+    P1S: { x: 256, y: 256, z: 256 },
+    P1P: { x: 256, y: 256, z: 256 },
+    A1: { x: 256, y: 256, z: 256 },
+    'A1 MINI': { x: 180, y: 180, z: 180 },
+    MK4: { x: 250, y: 210, z: 220 },
+    MK3S: { x: 250, y: 210, z: 210 },
+    MINI: { x: 180, y: 180, z: 180 }
+};
+
+// Purge lines and wipes may run slightly off the nominal bed
+const BED_MARGIN_MM = 2;
+// How far the G-code may stray from the material's recommended temperatures
+const NOZZLE_TOLERANCE = 25;
+const BED_TOLERANCE = 15;
+
+class PreflightCheck {
+    // context: { printer, printerName, loadedMaterial, material, materials, safety }
+    validate(analysis, context = {}) {
+        const checks = [];
+        const bedSize = this.getBedSize(context.printer);
+        const slicedMaterial = analysis.material || null;
+        const loadedMaterial = context.loadedMaterial ? String(context.loadedMaterial).toUpperCase() : null;
+        const requestedMaterial = context.material ? String(context.material).toUpperCase() : null;
+        const material = requestedMaterial || slicedMaterial || loadedMaterial;
+
+        checks.push(this.checkHasExtrusion(analysis));
+        checks.push(this.checkPrintTime(analysis, context.safety || {}));
+        checks.push(this.checkBedFit(analysis, bedSize));
+        checks.push(this.checkMaterialMatch(slicedMaterial, loadedMaterial, requestedMaterial));
+        checks.push(...this.checkTemperatures(analysis, material, context.materials || {}));
+
+        const failures = checks.filter(check => check.status === 'fail');
+        const warnings = checks.filter(check => check.status === 'warn');
+
+        return {
+            passed: failures.length === 0,
+            file: analysis.file || null,
+            printer: context.printerName || null,
+            material: material,
+            analysis: analysis,
+            checks: checks,
+            failures: failures.length,
+            warnings: warnings.length,
+            summary: this.summarize(analysis, material, failures, warnings)
+        };
+    }
+
+    getBedSize(printer) {
+        if (!printer) return null;
+
+        const size = printer.bedSize;
+        if (Array.isArray(size) && size.length >= 2) {
+            return { x: size[0], y: size[1], z: size[2] || null };
+        }
+        if (typeof size === 'string') {
+            const [x, y, z] = size.toLowerCase().split('x').map(value => parseFloat(value));
+            if (x && y) return { x, y, z: z || null };
+        }
+        if (size && size.x && size.y) {
+            return { x: size.x, y: size.y, z: size.z || null };
+        }
+
+        return MODEL_BED_SIZES[String(printer.model || '').toUpperCase()] || null;
+    }
+
+    checkHasExtrusion(analysis) {
+        if (!analysis.boundingBox || analysis.filamentLengthMm <= 0) {
+            return { check: 'gcode', status: 'fail', message: 'No extruding moves found - is this a sliced G-code file?' };
+        }
+        return { check: 'gcode', status: 'pass', message: `${analysis.layerCount} layers, ${analysis.lineCount} lines${analysis.slicer ? ` from ${analysis.slicer}` : ''}` };
+    }
+
+    checkPrintTime(analysis, safety) {
+        const duration = this.formatDuration(analysis.estimatedSeconds);
+        const source = analysis.estimateSource === 'slicer' ? 'slicer estimate' : 'rough estimate from moves';
+        const maxHours = safety.max_print_time_hours;
+
+        if (maxHours && analysis.estimatedSeconds > maxHours * 3600) {
+            return { check: 'print_time', status: 'fail', message: `Estimated ${duration} (${source}) exceeds the ${maxHours}h limit` };
+        }
+        return { check: 'print_time', status: 'pass', message: `Estimated ${duration} (${source})` };
+    }
+
+    checkBedFit(analysis, bedSize) {
+        if (!analysis.boundingBox) {
+            return { check: 'bed_fit', status: 'warn', message: 'No printed area to check against the bed' };
+        }
+        if (!bedSize) {
+            return { check: 'bed_fit', status: 'warn', message: 'Printer bed size unknown - set bedSize in config/fabrication.json to check it' };
+        }
+
+        const { min, max, size } = analysis.boundingBox;
+        const problems = [];
+        if (min.x < -BED_MARGIN_MM || max.x > bedSize.x + BED_MARGIN_MM) problems.push(`X ${min.x}..${max.x} mm`);
+        if (min.y < -BED_MARGIN_MM || max.y > bedSize.y + BED_MARGIN_MM) problems.push(`Y ${min.y}..${max.y} mm`);
+        if (bedSize.z && max.z > bedSize.z) problems.push(`height ${max.z} mm`);
+
+        const bed = `${bedSize.x}×${bedSize.y}${bedSize.z ? `×${bedSize.z}` : ''} mm`;
+        if (problems.length > 0) {
+            return { check: 'bed_fit', status: 'fail', message: `Print extends outside the ${bed} build volume: ${problems.join(', ')}` };
+        }
+        return { check: 'bed_fit', status: 'pass', message: `${size.x}×${size.y}×${size.z} mm fits the ${bed} build volume` };
+    }
+
+    checkMaterialMatch(slicedMaterial, loadedMaterial, requestedMaterial) {
+        if (slicedMaterial && loadedMaterial && slicedMaterial !== loadedMaterial) {
+            return { check: 'material', status: 'fail', message: `Sliced for ${slicedMaterial} but ${loadedMaterial} is loaded` };
+        }
+        if (slicedMaterial && requestedMaterial && slicedMaterial !== requestedMaterial) {
+            return { check: 'material', status: 'warn', message: `Sliced for ${slicedMaterial} but the job asks for ${requestedMaterial}` };
+        }
+
+        const material = requestedMaterial || slicedMaterial || loadedMaterial;
+        if (!material) {
+            return { check: 'material', status: 'warn', message: 'Material unknown' };
+        }
+        return { check: 'material', status: 'pass', message: loadedMaterial ? `${material}, matches the loaded filament` : material };
+    }
+
+    checkTemperatures(analysis, material, materials) {
+        const profile = material ? materials[material] : null;
+        if (!profile) {
+            return [{
+                check: 'temperature',
+                status: 'warn',
+                message: `No temperature profile for ${material || 'unknown material'} - nozzle ${analysis.maxNozzleTemp}°C, bed ${analysis.maxBedTemp}°C not checked`
+            }];
+        }
+
+        const checks = [];
+        const nozzleMin = profile.nozzle_min ?? profile.nozzle_temp - NOZZLE_TOLERANCE;
+        const nozzleMax = profile.nozzle_max ?? profile.nozzle_temp + NOZZLE_TOLERANCE;
+        const bedMax = profile.bed_max ?? profile.bed_temp + BED_TOLERANCE;
+        const nozzle = analysis.maxNozzleTemp;
+
+        if (!nozzle) {
+            checks.push({ check: 'nozzle_temperature', status: 'warn', message: 'G-code never sets a nozzle temperature' });
+        } else if (nozzle > nozzleMax) {
+            checks.push({ check: 'nozzle_temperature', status: 'fail', message: `Nozzle ${nozzle}°C is above the ${nozzleMax}°C limit for ${material}` });
+        } else if (nozzle < nozzleMin) {
+            checks.push({ check: 'nozzle_temperature', status: 'fail', message: `Nozzle ${nozzle}°C is below the ${nozzleMin}°C minimum for ${material}` });
+        } else {
+            checks.push({ check: 'nozzle_temperature', status: 'pass', message: `Nozzle ${nozzle}°C is within ${nozzleMin}-${nozzleMax}°C for ${material}` });
+        }
+
+        if (analysis.maxBedTemp > bedMax) {
+            checks.push({ check: 'bed_temperature', status: 'fail', message: `Bed ${analysis.maxBedTemp}°C is above the ${bedMax}°C limit for ${material}` });
+        } else {
+            checks.push({ check: 'bed_temperature', status: 'pass', message: `Bed ${analysis.maxBedTemp}°C (max ${bedMax}°C for ${material})` });
+        }
+
+        return checks;
+    }
+
+    summarize(analysis, material, failures, warnings) {
+        const facts = [
+            this.formatDuration(analysis.estimatedSeconds),
+            `${analysis.filamentWeightG} g${material ? ` ${material}` : ''}`,
+            `${analysis.layerCount} layers`
+        ].join(', ');
+
+        if (failures.length > 0) {
+            return `Pre-flight failed for ${analysis.file || 'the file'}: ${failures.map(check => check.message).join('; ')}`;
+        }
+        return `Pre-flight passed for ${analysis.file || 'the file'} (${facts})` +
+            (warnings.length > 0 ? `. Warnings: ${warnings.map(check => check.message).join('; ')}` : '');
+    }
+
+    formatDuration(seconds) {
+        if (seconds < 60) return `${Math.round(seconds)}s`;
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.round((seconds % 3600) / 60);
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+}
+
+PreflightCheck.MODEL_BED_SIZES = MODEL_BED_SIZES;
+
+module.exports = PreflightCheck;
@@ -0,0 +1,409 @@
+const JOB_STATES = ['queued', 'uploading', 'printing', 'done', 'failed', 'cancelled'];
+const ACTIVE_STATES = ['uploading', 'printing'];
+const FINISHED_STATES = ['done', 'failed', 'cancelled'];
+
+class PrintQueue {
+    constructor(db) {
+        this.db = db;
+    }
+
+    run(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ lastID: this.lastID, changes: this.changes });
+                }
+            });
+        });
+    }
+
+    get(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    all(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // An upload cut short by a restart never reached the printer, so it can simply be queued again
+    async recoverInterruptedJobs() {
+        const result = await this.run(`
+            UPDATE print_jobs SET status = 'queued', assigned_printer_id = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'uploading'
+        `);
+        if (result.changes > 0) {
+            console.log(`🖨️ Re-queued ${result.changes} print job(s) interrupted during upload`);
+        }
+    }
+
+    async addJob(jobData) {
+        const {
+            fileName,
+            filePath = null,
+            printerId = null,
+            material = null,
+            priority = 3,
+            projectId = null,
+            notes = '',
+            createdBy = 'manual',
+            estimatedGrams = null
+        } = jobData;
+
+        if (!fileName) {
+            throw new Error('A file name is required to queue a print');
+        }
+
+        const result = await this.run(`
+            INSERT INTO print_jobs (file_name, file_path, printer_id, material, priority, project_id, notes, created_by, estimated_grams)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [fileName, filePath, printerId, material ? material.toUpperCase() : null, priority, projectId, notes, createdBy, estimatedGrams]);
+
+        // Slot the job in after everything of equal or higher priority
+        const queued = await this.getQueuedJobs();
+        const others = queued.filter(job => job.id !== result.lastID);
+        const insertAt = others.findIndex(job => job.priority < priority);
+        const ordered = others.map(job => job.id);
+        ordered.splice(insertAt === -1 ? ordered.length : insertAt, 0, result.lastID);
+        await this.reorder(ordered);
+
+        const job = await this.getJob(result.lastID);
+        return { job: job, position: ordered.indexOf(result.lastID) + 1 };
+    }
+
+    async getJob(jobId) {
+        return this.get(`
+            SELECT j.*, p.name as project_name
+            FROM print_jobs j
+            LEFT JOIN projects p ON j.project_id = p.id
+            WHERE j.id = ?
+        `, [jobId]);
+    }
+
+    async getQueuedJobs() {
+        return this.all(`
+            SELECT j.*, p.name as project_name
+            FROM print_jobs j
+            LEFT JOIN projects p ON j.project_id = p.id
+            WHERE j.status = 'queued'
+            ORDER BY j.position ASC, j.id ASC
+        `);
+    }
+
+    // Active jobs first, then the queue in dispatch order, then the most recent finished jobs
+    async getQueue(options = {}) {
+        const { finishedLimit = 20 } = options;
+
+        const active = await this.all(`
+            SELECT j.*, p.name as project_name
+            FROM print_jobs j
+            LEFT JOIN projects p ON j.project_id = p.id
+            WHERE j.status IN ('uploading', 'printing')
+            ORDER BY j.started_at ASC
+        `);
+        const queued = await this.getQueuedJobs();
+        const finished = finishedLimit > 0 ? await this.all(`
+            SELECT j.*, p.name as project_name
+            FROM print_jobs j
+            LEFT JOIN projects p ON j.project_id = p.id
+            WHERE j.status IN ('done', 'failed', 'cancelled')
+            ORDER BY j.finished_at DESC
+            LIMIT ?
+        `, [finishedLimit]) : [];
+
+        return { active: active, queued: queued, finished: finished };
+    }
+
+    async reorder(orderedIds) {
+        const queued = await this.getQueuedJobs();
+        const queuedIds = new Set(queued.map(job => job.id));
+
+        // Ids that are no longer queued are ignored; queued jobs left out keep their relative order at the end
+        const ids = orderedIds.map(id => parseInt(id)).filter(id => queuedIds.has(id));
+        queued.forEach(job => {
+            if (!ids.includes(job.id)) ids.push(job.id);
+        });
+
+        for (let index = 0; index < ids.length; index++) {
+            await this.run('UPDATE print_jobs SET position = ? WHERE id = ?', [index + 1, ids[index]]);
+        }
+
+        return ids;
+    }
+
+    async moveJob(jobId, newPosition) {
+        const ids = (await this.getQueuedJobs()).map(job => job.id);
+        const currentIndex = ids.indexOf(parseInt(jobId));
+        if (currentIndex === -1) {
+            throw new Error(`Print job ${jobId} is not waiting in the queue`);
+        }
+
+        ids.splice(currentIndex, 1);
+        const targetIndex = Math.min(Math.max(parseInt(newPosition) - 1, 0), ids.length);
+        ids.splice(targetIndex, 0, parseInt(jobId));
+
+        return this.reorder(ids);
+    }
+
+    async updateStatus(jobId, status, extra = {}) {
+        if (!JOB_STATES.includes(status)) {
+            throw new Error(`Invalid print job status "${status}". Valid: ${JOB_STATES.join(', ')}`);
+        }
+
+        const fields = ['status = ?', 'updated_at = CURRENT_TIMESTAMP'];
+        const values = [status];
+
+        if (status === 'uploading') {
+            fields.push('started_at = CURRENT_TIMESTAMP', 'attempts = attempts + 1', 'error = NULL');
+        }
+        // Restarted once the upload is through, so print time and the start grace period don't include the upload
+        if (status === 'printing') {
+            fields.push('started_at = CURRENT_TIMESTAMP');
+        }
+        if (FINISHED_STATES.includes(status)) {
+            fields.push('finished_at = CURRENT_TIMESTAMP');
+        }
+        if (status === 'queued') {
+            fields.push('assigned_printer_id = NULL', 'started_at = NULL', 'finished_at = NULL', 'spool_id = NULL', 'used_grams = NULL');
+        }
+        if (extra.printerId !== undefined) {
+            fields.push('assigned_printer_id = ?');
+            values.push(extra.printerId);
+        }
+        if (extra.printerName !== undefined) {
+            fields.push('printer_name = ?');
+            values.push(extra.printerName);
+        }
+        if (extra.error !== undefined) {
+            fields.push('error = ?');
+            values.push(extra.error);
+        }
+        if (extra.spoolId !== undefined) {
+            fields.push('spool_id = ?');
+            values.push(extra.spoolId);
+        }
+        if (extra.estimatedGrams !== undefined) {
+            fields.push('estimated_grams = ?');
+            values.push(extra.estimatedGrams);
+        }
+
+        await this.run(`UPDATE print_jobs SET ${fields.join(', ')} WHERE id = ?`, [...values, jobId]);
+        return this.getJob(jobId);
+    }
+
+    // Prints started directly on a printer skip the queue but still belong in the history
+    async addStartedJob(jobData) {
+        const {
+            fileName,
+            filePath = null,
+            printerId,
+            printerName = null,
+            material = null,
+            projectId = null,
+            notes = '',
+            createdBy = 'manual',
+            spoolId = null,
+            estimatedGrams = null
+        } = jobData;
+
+        const result = await this.run(`
+            INSERT INTO print_jobs (file_name, file_path, printer_id, assigned_printer_id, printer_name, material, status, project_id,
+                                    notes, created_by, spool_id, estimated_grams, attempts, started_at)
+            VALUES (?, ?, ?, ?, ?, ?, 'printing', ?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP)
+        `, [fileName, filePath, printerId, printerId, printerName, material ? material.toUpperCase() : null, projectId,
+            notes, createdBy, spoolId, estimatedGrams]);
+
+        return this.getJob(result.lastID);
+    }
+
+    async setUsedGrams(jobId, grams) {
+        await this.run('UPDATE print_jobs SET used_grams = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [grams, jobId]);
+    }
+
+    async retryJob(jobId) {
+        const job = await this.getJob(jobId);
+        if (!job) {
+            throw new Error(`Print job ${jobId} not found`);
+        }
+        if (!['failed', 'cancelled'].includes(job.status)) {
+            throw new Error(`Only failed or cancelled jobs can be retried (job ${jobId} is ${job.status})`);
+        }
+
+        // Retried jobs go to the back of the queue
+        const last = await this.get("SELECT MAX(position) as position FROM print_jobs WHERE status = 'queued'");
+        await this.run('UPDATE print_jobs SET position = ? WHERE id = ?', [(last.position || 0) + 1, jobId]);
+        return this.updateStatus(jobId, 'queued', { error: null });
+    }
+
+    async annotateJob(jobId, annotations = {}) {
+        const job = await this.getJob(jobId);
+        if (!job) {
+            throw new Error(`Print job ${jobId} not found`);
+        }
+
+        const fields = [];
+        const values = [];
+        if (annotations.operatorNotes !== undefined) {
+            fields.push('operator_notes = ?');
+            values.push(annotations.operatorNotes);
+        }
+        if (annotations.failureReason !== undefined) {
+            fields.push('failure_reason = ?');
+            values.push(annotations.failureReason);
+        }
+        if (fields.length === 0) {
+            return job;
+        }
+
+        await this.run(`UPDATE print_jobs SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [...values, jobId]);
+        return this.getJob(jobId);
+    }
+
+    // Shared WHERE clause for history and stats: finished jobs, optionally narrowed down
+    historyFilter(options = {}) {
+        const conditions = ["j.status IN ('done', 'failed', 'cancelled')"];
+        const params = [];
+
+        if (options.status) {
+            conditions.push('j.status = ?');
+            params.push(options.status);
+        }
+        if (options.printerId) {
+            conditions.push('j.assigned_printer_id = ?');
+            params.push(options.printerId);
+        }
+        if (options.projectId) {
+            conditions.push('j.project_id = ?');
+            params.push(options.projectId);
+        }
+        if (options.material) {
+            conditions.push('j.material = ?');
+            params.push(String(options.material).toUpperCase());
+        }
+        if (options.days) {
+            conditions.push("j.finished_at >= datetime('now', ?)");
+            params.push(`-${parseInt(options.days)} days`);
+        }
+
+        return { where: conditions.join(' AND '), params: params };
+    }
+
+    async getHistory(options = {}) {
+        const { limit = 50, offset = 0 } = options;
+        const { where, params } = this.historyFilter(options);
+
+        return this.all(`
+            SELECT j.*, p.name as project_name,
+                   CASE WHEN j.started_at IS NOT NULL
+                        THEN ROUND((julianday(j.finished_at) - julianday(j.started_at)) * 1440)
+                   END as duration_minutes
+            FROM print_jobs j
+            LEFT JOIN projects p ON j.project_id = p.id
+            WHERE ${where}
+            ORDER BY j.finished_at DESC, j.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+    }
+
+    // Success rate leaves cancelled jobs out: stopping a print on purpose says nothing about the printer
+    async getStats(options = {}) {
+        const { where, params } = this.historyFilter(options);
+        const hours = '(julianday(j.finished_at) - julianday(j.started_at)) * 24';
+
+        const totals = await this.get(`
+            SELECT COUNT(*) as jobs,
+                   SUM(CASE WHEN j.status = 'done' THEN 1 ELSE 0 END) as done,
+                   SUM(CASE WHEN j.status = 'failed' THEN 1 ELSE 0 END) as failed,
+                   SUM(CASE WHEN j.status = 'cancelled' THEN 1 ELSE 0 END) as cancelled,
+                   SUM(CASE WHEN j.started_at IS NOT NULL THEN ${hours} ELSE 0 END) as hours,
+                   SUM(COALESCE(j.used_grams, 0)) as grams
+            FROM print_jobs j
+            WHERE ${where}
+        `, params);
+
+        const printers = await this.all(`
+            SELECT j.assigned_printer_id as printer_id, MAX(j.printer_name) as printer_name,
+                   COUNT(*) as jobs,
+                   SUM(CASE WHEN j.status = 'done' THEN 1 ELSE 0 END) as done,
+                   SUM(CASE WHEN j.status = 'failed' THEN 1 ELSE 0 END) as failed,
+                   SUM(CASE WHEN j.started_at IS NOT NULL THEN ${hours} ELSE 0 END) as hours
+            FROM print_jobs j
+            WHERE ${where} AND j.assigned_printer_id IS NOT NULL
+            GROUP BY j.assigned_printer_id
+            ORDER BY hours DESC
+        `, params);
+
+        const materials = await this.all(`
+            SELECT COALESCE(j.material, 'UNKNOWN') as material, COUNT(*) as jobs, SUM(COALESCE(j.used_grams, 0)) as grams
+            FROM print_jobs j
+            WHERE ${where}
+            GROUP BY COALESCE(j.material, 'UNKNOWN')
+            ORDER BY grams DESC
+        `, params);
+
+        const successRate = (rows) => rows.done + rows.failed > 0 ?
+            Math.round((rows.done / (rows.done + rows.failed)) * 1000) / 10 :
+            null;
+
+        return {
+            jobs: totals.jobs,
+            done: totals.done || 0,
+            failed: totals.failed || 0,
+            cancelled: totals.cancelled || 0,
+            successRate: successRate({ done: totals.done || 0, failed: totals.failed || 0 }),
+            hours: Math.round((totals.hours || 0) * 10) / 10,
+            grams: Math.round(totals.grams || 0),
+            printers: printers.map(printer => ({
+                ...printer,
+                hours: Math.round((printer.hours || 0) * 10) / 10,
+                successRate: successRate(printer)
+            })),
+            materials: materials.map(material => ({ ...material, grams: Math.round(material.grams) }))
+        };
+    }
+
+    async getActiveJob(printerId) {
+        return this.get(`
+            SELECT * FROM print_jobs
+            WHERE assigned_printer_id = ? AND status IN ('uploading', 'printing')
+            ORDER BY started_at DESC
+            LIMIT 1
+        `, [printerId]);
+    }
+
+    // First queued job this printer may take: targeted at it, or at any printer with a matching material
+    async getNextJobFor(printerId, loadedMaterial = null) {
+        const queued = await this.getQueuedJobs();
+        const material = loadedMaterial ? String(loadedMaterial).toUpperCase() : null;
+
+        return queued.find(job => {
+            if (job.printer_id && job.printer_id !== printerId) {
+                return false;
+            }
+            return !job.material || !material || job.material === material;
+        }) || null;
+    }
+}
+
+PrintQueue.JOB_STATES = JOB_STATES;
+PrintQueue.ACTIVE_STATES = ACTIVE_STATES;
+PrintQueue.FINISHED_STATES = FINISHED_STATES;
+
+module.exports = PrintQueue;
@@ -0,0 +1,147 @@
+const DEFAULT_INTERVAL_MS = 5000;
+const DEFAULT_HISTORY_MINUTES = 30;
+// Lower bound so a tiny refreshInterval in settings cannot hammer printers that are polled over HTTP
+const MIN_INTERVAL_MS = 1000;
+
+const RUNNING_STATES = ['printing', 'paused', 'preparing'];
+const FAILED_STATES = ['failed', 'error', 'fault'];
+const DONE_STATES = ['finished', 'idle', 'ready', 'standby'];
+
+// Samples every connected printer on a fixed interval, keeps a rolling temperature history per printer
+// and reports when a running print finishes or fails. Printers are sampled independently, so one slow
+// or unreachable printer does not hold up the others.
+class PrinterTelemetry {
+    constructor(fabricationManager, options = {}) {
+        this.fabricationManager = fabricationManager;
+        this.intervalMs = Math.max(options.intervalMs || DEFAULT_INTERVAL_MS, MIN_INTERVAL_MS);
+        this.historyMs = (options.historyMinutes || DEFAULT_HISTORY_MINUTES) * 60 * 1000;
+        this.onSample = options.onSample || null;
+        this.onPrintEvent = options.onPrintEvent || null;
+        this.timer = null;
+        this.latest = new Map();
+        this.history = new Map();
+        this.polling = new Set();
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.pollAll(), this.intervalMs);
+        this.pollAll();
+        console.log(`📡 Printer telemetry sampling every ${this.intervalMs / 1000}s`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    pollAll() {
+        for (const [printerId, printer] of this.fabricationManager.printers) {
+            if (this.polling.has(printerId)) continue;
+
+            this.polling.add(printerId);
+            this.poll(printerId, printer)
+                .catch(error => console.warn(`⚠️ Telemetry for ${printer.name} failed:`, error.message))
+                .finally(() => this.polling.delete(printerId));
+        }
+    }
+
+    async poll(printerId, printer) {
+        const status = await printer.getStatus();
+        const sample = this.toSample(printerId, printer, status);
+        const previous = this.latest.get(printerId);
+
+        this.latest.set(printerId, sample);
+        this.addToHistory(printerId, sample);
+
+        if (this.onSample) {
+            this.onSample(sample);
+        }
+
+        const event = previous ? this.detectPrintEvent(previous, sample) : null;
+        if (event && this.onPrintEvent) {
+            this.onPrintEvent(event);
+        }
+
+        return sample;
+    }
+
+    toSample(printerId, printer, status) {
+        const connected = !status.error;
+
+        return {
+            printerId: printerId,
+            printerName: printer.name,
+            timestamp: new Date().toISOString(),
+            connected: connected,
+            state: status.state || 'unknown',
+            progress: status.progress ?? null,
+            layer: status.layer ?? null,
+            totalLayers: status.total_layers ?? null,
+            remainingMinutes: status.remaining_minutes ?? null,
+            fileName: status.file_name || null,
+            nozzleTemperature: status.nozzle_temperature ?? null,
+            nozzleTarget: status.nozzle_target_temperature ?? null,
+            bedTemperature: status.bed_temperature ?? null,
+            bedTarget: status.bed_target_temperature ?? null,
+            chamberTemperature: status.chamber_temperature ?? null,
+            // print_error is 0 on Bambu printers when all is well
+            error: !connected ? status.error : (status.print_error && status.print_error !== 0 ? String(status.print_error) : null)
+        };
+    }
+
+    addToHistory(printerId, sample) {
+        if (!sample.connected) return;
+
+        const points = this.history.get(printerId) || [];
+        const time = Date.parse(sample.timestamp);
+        points.push({
+            time: time,
+            nozzle: sample.nozzleTemperature,
+            nozzleTarget: sample.nozzleTarget,
+            bed: sample.bedTemperature,
+            bedTarget: sample.bedTarget
+        });
+
+        const cutoff = time - this.historyMs;
+        while (points.length > 0 && points[0].time < cutoff) {
+            points.shift();
+        }
+        this.history.set(printerId, points);
+    }
+
+    // A print that goes back to idle short of 100% was cancelled, which is not worth a notification
+    detectPrintEvent(previous, sample) {
+        if (!previous.connected || !sample.connected || !RUNNING_STATES.includes(previous.state)) {
+            return null;
+        }
+
+        const base = {
+            printerId: sample.printerId,
+            printerName: sample.printerName,
+            fileName: previous.fileName || sample.fileName,
+            timestamp: sample.timestamp
+        };
+
+        if (FAILED_STATES.includes(sample.state)) {
+            return { ...base, type: 'failed', error: sample.error || `Printer reported ${sample.state}`, progress: previous.progress };
+        }
+        if (sample.state === 'finished' || (DONE_STATES.includes(sample.state) && (previous.progress || 0) >= 99)) {
+            return { ...base, type: 'finished', progress: 100 };
+        }
+        return null;
+    }
+
+    getSnapshot(printerId = null) {
+        const printerIds = printerId ? [printerId] : [...this.latest.keys()];
+        return printerIds.filter(id => this.latest.has(id)).map(id => ({
+            latest: this.latest.get(id),
+            history: this.history.get(id) || []
+        }));
+    }
+}
+
+module.exports = PrinterTelemetry;
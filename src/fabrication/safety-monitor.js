@@ -0,0 +1,316 @@
+// Built-in rules; entries under safety.rules in config/fabrication.json override any of these fields.
+// action is what happens when a rule trips: alert only, pause the print, or cancel it.
+const DEFAULT_RULES = {
+    thermal_runaway: {
+        enabled: true,
+        action: 'cancel',
+        overshoot_c: 15,
+        duration_seconds: 10,
+        idle_rise_c: 10,
+        window_seconds: 60
+    },
+    nozzle_deviation: {
+        enabled: true,
+        action: 'pause',
+        deviation_c: 15,
+        duration_seconds: 90
+    },
+    bed_temperature_drop: {
+        enabled: true,
+        action: 'alert',
+        drop_c: 10,
+        duration_seconds: 120
+    },
+    progress_stalled: {
+        enabled: true,
+        action: 'alert',
+        minutes: 20
+    },
+    max_print_time: {
+        enabled: true,
+        action: 'pause'
+    }
+};
+
+const ACTIONS = ['alert', 'pause', 'cancel'];
+const TEMPERATURE_RULES = ['thermal_runaway', 'nozzle_deviation', 'bed_temperature_drop'];
+const HEATERS = [
+    { label: 'Nozzle', actual: 'nozzleTemperature', target: 'nozzleTarget' },
+    { label: 'Bed', actual: 'bedTemperature', target: 'bedTarget' }
+];
+// A heater within this of its target counts as having reached it
+const AT_TARGET_C = 3;
+// Temperature samples kept per printer, enough for the longest window a rule looks back over
+const SAMPLE_WINDOW_MS = 10 * 60 * 1000;
+
+// Evaluates telemetry samples against the safety rules and steps in when one trips. A rule fires once
+// and can only fire again after its condition has cleared, so a stuck condition does not repeat alerts.
+class SafetyMonitor {
+    constructor(fabricationManager, options = {}) {
+        this.fabricationManager = fabricationManager;
+        this.onAlert = options.onAlert || null;
+        // audit(action, description, metadata) records automated interventions
+        this.audit = options.audit || null;
+        this.printers = new Map();
+    }
+
+    getSafetyConfig() {
+        return (this.fabricationManager.config && this.fabricationManager.config.safety) || {};
+    }
+
+    // temperature_monitoring: false turns off every temperature rule at once
+    getRules() {
+        const safety = this.getSafetyConfig();
+        const overrides = safety.rules || {};
+        const rules = {};
+
+        Object.entries(DEFAULT_RULES).forEach(([name, defaults]) => {
+            const rule = { ...defaults, ...(overrides[name] || {}) };
+            if (!ACTIONS.includes(rule.action)) {
+                console.warn(`⚠️ Unknown action "${rule.action}" for safety rule ${name}, alerting instead`);
+                rule.action = 'alert';
+            }
+            if (TEMPERATURE_RULES.includes(name) && safety.temperature_monitoring === false) {
+                rule.enabled = false;
+            }
+            rules[name] = rule;
+        });
+
+        return rules;
+    }
+
+    stateFor(printerId) {
+        if (!this.printers.has(printerId)) {
+            this.printers.set(printerId, {
+                samples: [],
+                runningSince: null,
+                startChecked: false,
+                progressKey: null,
+                progressSince: null,
+                heldSince: {},
+                reachedTarget: {},
+                triggered: new Set()
+            });
+        }
+        return this.printers.get(printerId);
+    }
+
+    async evaluate(sample) {
+        if (!sample.connected) {
+            return [];
+        }
+
+        const state = this.stateFor(sample.printerId);
+        const now = Date.parse(sample.timestamp);
+        await this.track(state, sample, now);
+
+        const findings = [];
+        Object.entries(this.getRules()).forEach(([name, rule]) => {
+            const message = rule.enabled ? this.check(name, rule, sample, state, now) : null;
+            if (!message) {
+                state.triggered.delete(name);
+            } else if (!state.triggered.has(name)) {
+                state.triggered.add(name);
+                findings.push({ rule: name, message: message, action: rule.action });
+            }
+        });
+
+        // The strongest action wins; the print can only be stopped once, the rest are reported
+        findings.sort((a, b) => ACTIONS.indexOf(b.action) - ACTIONS.indexOf(a.action));
+        const interventions = [];
+        let stopped = false;
+        for (const finding of findings) {
+            const intervention = await this.intervene(sample, finding, stopped);
+            stopped = stopped || intervention.action !== 'alert';
+            interventions.push(intervention);
+        }
+        return interventions;
+    }
+
+    async track(state, sample, now) {
+        state.samples.push({ time: now, ...sample });
+        while (state.samples.length > 0 && state.samples[0].time < now - SAMPLE_WINDOW_MS) {
+            state.samples.shift();
+        }
+
+        const running = ['printing', 'paused'].includes(sample.state);
+        if (!running) {
+            state.runningSince = null;
+            state.startChecked = false;
+        } else if (!state.runningSince) {
+            state.runningSince = now;
+        }
+
+        // After a restart the print may have been running long before telemetry saw it
+        if (running && !state.startChecked && this.fabricationManager.printQueue) {
+            state.startChecked = true;
+            const job = await this.fabricationManager.printQueue.getActiveJob(sample.printerId);
+            if (job && job.started_at) {
+                state.runningSince = Math.min(state.runningSince, Date.parse(job.started_at + 'Z'));
+            }
+        }
+
+        // Deviation only counts once a heater has reached its current target, so heating up is not a fault
+        HEATERS.forEach(heater => {
+            const target = sample[heater.target];
+            const tracked = state.reachedTarget[heater.label];
+            if (!tracked || tracked.target !== target) {
+                state.reachedTarget[heater.label] = { target: target, reached: false };
+            }
+            if (target > 0 && Math.abs(sample[heater.actual] - target) <= AT_TARGET_C) {
+                state.reachedTarget[heater.label].reached = true;
+            }
+        });
+
+        // Progress only counts as stalled while actually printing; a pause restarts the clock
+        const progressKey = `${sample.progress}:${sample.layer}`;
+        if (sample.state !== 'printing') {
+            state.progressKey = null;
+            state.progressSince = null;
+        } else if (progressKey !== state.progressKey) {
+            state.progressKey = progressKey;
+            state.progressSince = now;
+        }
+    }
+
+    check(name, rule, sample, state, now) {
+        const printing = sample.state === 'printing';
+
+        switch (name) {
+            case 'thermal_runaway':
+                return this.checkThermalRunaway(rule, sample, state, now);
+
+            case 'nozzle_deviation': {
+                const deviation = Math.abs((sample.nozzleTemperature || 0) - (sample.nozzleTarget || 0));
+                const deviating = printing && state.reachedTarget.Nozzle.reached && deviation > rule.deviation_c;
+                const held = this.heldFor(state, name, deviating, now);
+                return held >= rule.duration_seconds ?
+                    `Nozzle at ${Math.round(sample.nozzleTemperature)}°C has been more than ${rule.deviation_c}°C off its ${sample.nozzleTarget}°C target for ${Math.round(held)}s` :
+                    null;
+            }
+
+            case 'bed_temperature_drop': {
+                const dropped = printing && state.reachedTarget.Bed.reached && sample.bedTemperature < sample.bedTarget - rule.drop_c;
+                const held = this.heldFor(state, name, dropped, now);
+                return held >= rule.duration_seconds ?
+                    `Bed dropped to ${Math.round(sample.bedTemperature)}°C, more than ${rule.drop_c}°C under its ${sample.bedTarget}°C target` :
+                    null;
+            }
+
+            case 'progress_stalled': {
+                const stalledMinutes = state.progressSince ? (now - state.progressSince) / 60000 : 0;
+                return stalledMinutes >= rule.minutes ?
+                    `Progress has been stuck at ${sample.progress ?? '?'}% for ${Math.round(stalledMinutes)} minutes` :
+                    null;
+            }
+
+            case 'max_print_time': {
+                const maxHours = this.getSafetyConfig().max_print_time_hours;
+                const hours = state.runningSince ? (now - state.runningSince) / 3600000 : 0;
+                return maxHours && hours > maxHours ?
+                    `Print has been running for ${Math.round(hours * 10) / 10}h, over the ${maxHours}h limit` :
+                    null;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    // Suspected runaway: a heater well past its target, or heating up while its target is off
+    checkThermalRunaway(rule, sample, state, now) {
+        for (const heater of HEATERS) {
+            const actual = sample[heater.actual];
+            const target = sample[heater.target];
+            if (actual === null || actual === undefined) continue;
+
+            const key = `thermal_runaway_${heater.label}`;
+            const held = this.heldFor(state, key, target > 0 && actual > target + rule.overshoot_c, now);
+            if (held >= rule.duration_seconds) {
+                return `${heater.label} at ${Math.round(actual)}°C is more than ${rule.overshoot_c}°C over its ${target}°C target`;
+            }
+
+            if (!target) {
+                const earliest = state.samples.find(point => point.time >= now - rule.window_seconds * 1000 && !point[heater.target]);
+                if (earliest && earliest.time < now && actual - earliest[heater.actual] >= rule.idle_rise_c) {
+                    return `${heater.label} rose from ${Math.round(earliest[heater.actual])}°C to ${Math.round(actual)}°C ` +
+                        `in ${Math.round((now - earliest.time) / 1000)}s with its heater off`;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Seconds a condition has held without interruption; 0 as soon as it stops holding
+    heldFor(state, key, condition, now) {
+        if (!condition) {
+            delete state.heldSince[key];
+            return 0;
+        }
+        if (!state.heldSince[key]) {
+            state.heldSince[key] = now;
+        }
+        return (now - state.heldSince[key]) / 1000;
+    }
+
+    async intervene(sample, finding, alreadyStopped = false) {
+        const safety = this.getSafetyConfig();
+        let action = finding.action;
+        let reason = null;
+
+        if (action !== 'alert') {
+            if (alreadyStopped) {
+                action = 'alert';
+                reason = 'print already stopped by another rule';
+            } else if (safety.auto_shutdown_enabled === false) {
+                action = 'alert';
+                reason = 'auto_shutdown_enabled is off';
+            } else if (action === 'pause' && sample.state !== 'printing') {
+                action = 'alert';
+                reason = `printer is ${sample.state}`;
+            } else if (action === 'cancel' && !['printing', 'paused'].includes(sample.state)) {
+                action = 'alert';
+                reason = `printer is ${sample.state}`;
+            }
+        }
+
+        let result = null;
+        if (action === 'pause') {
+            result = await this.fabricationManager.pausePrint(sample.printerId);
+        } else if (action === 'cancel') {
+            result = await this.fabricationManager.cancelPrint(sample.printerId);
+        }
+
+        const intervention = {
+            printerId: sample.printerId,
+            printerName: sample.printerName,
+            fileName: sample.fileName,
+            rule: finding.rule,
+            message: finding.message,
+            action: action,
+            requestedAction: finding.action,
+            reason: reason,
+            success: result ? result.success : true,
+            error: result && !result.success ? result.error : null,
+            timestamp: sample.timestamp
+        };
+
+        const verb = { alert: 'Alert', pause: 'Paused print', cancel: 'Cancelled print' }[action];
+        console.warn(`🚨 ${verb} on ${sample.printerName} (${finding.rule}): ${finding.message}` +
+            (intervention.error ? ` - ${intervention.error}` : ''));
+
+        if (this.audit) {
+            this.audit(`PRINTER_SAFETY_${action.toUpperCase()}`, `${sample.printerName}: ${finding.message}`, intervention);
+        }
+        if (this.onAlert) {
+            this.onAlert(intervention);
+        }
+
+        return intervention;
+    }
+}
+
+SafetyMonitor.DEFAULT_RULES = DEFAULT_RULES;
+SafetyMonitor.ACTIONS = ACTIONS;
+
+module.exports = SafetyMonitor;
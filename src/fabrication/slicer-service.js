@@ -0,0 +1,208 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const SLICER_ALIASES = {
+    prusaslicer: 'prusaslicer',
+    prusa_slicer: 'prusaslicer',
+    prusa: 'prusaslicer',
+    orcaslicer: 'orcaslicer',
+    orca_slicer: 'orcaslicer',
+    orca: 'orcaslicer',
+    bambustudio: 'bambustudio',
+    bambu_studio: 'bambustudio',
+    bambu: 'bambustudio'
+};
+
+const SLICER_NAMES = {
+    prusaslicer: 'PrusaSlicer',
+    orcaslicer: 'OrcaSlicer',
+    bambustudio: 'Bambu Studio'
+};
+
+const MODEL_EXTENSIONS = ['.stl', '.3mf', '.obj', '.step', '.stp', '.amf'];
+const DEFAULT_TIMEOUT_SECONDS = 10 * 60;
+const OUTPUT_LIMIT = 64 * 1024;
+// Relative profile paths in config/fabrication.json are relative to the config folder
+const CONFIG_DIR = path.join(__dirname, '../../config');
+
+// Turns models into printable files by running a slicer's command line. Which profiles to load comes
+// from slicer.profiles in config/fabrication.json, keyed by printer id or model, material and quality.
+class SlicerService {
+    constructor(config = {}) {
+        this.config = config || {};
+    }
+
+    get settings() {
+        return this.config.slicer || {};
+    }
+
+    get type() {
+        const workflow = this.config.workflow || {};
+        const type = String(this.settings.type || workflow.preferred_slicer || '').toLowerCase().replace(/[\s-]/g, '_');
+        return SLICER_ALIASES[type] || SLICER_ALIASES[type.replace(/_/g, '')] || null;
+    }
+
+    get name() {
+        return SLICER_NAMES[this.type] || 'slicer';
+    }
+
+    isConfigured() {
+        return Boolean(this.type && this.settings.executable);
+    }
+
+    isModelFile(filePath) {
+        return MODEL_EXTENSIONS.includes(path.extname(filePath || '').toLowerCase());
+    }
+
+    resolvePath(filePath) {
+        return path.isAbsolute(filePath) ? filePath : path.resolve(CONFIG_DIR, filePath);
+    }
+
+    // Printer profiles may be keyed by printer id or by model ("P1S"), with "default" as a fallback
+    getProfiles(printer, material, quality) {
+        const profiles = this.settings.profiles || {};
+        const printers = profiles.printers || {};
+        const materials = profiles.materials || {};
+        const qualities = profiles.qualities || {};
+        const qualityName = quality || this.settings.default_quality || 'standard';
+
+        const printerProfile = (printer && (printers[printer.id] || printers[printer.model])) || printers.default;
+        const materialProfile = material ? materials[String(material).toUpperCase()] || materials[material] : null;
+        const qualityProfile = qualities[qualityName];
+
+        const missing = [];
+        if (!printerProfile) missing.push(`slicer.profiles.printers["${printer ? printer.model || printer.id : 'default'}"]`);
+        if (!materialProfile) missing.push(material ? `slicer.profiles.materials["${String(material).toUpperCase()}"]` : 'a material');
+        if (!qualityProfile) missing.push(`slicer.profiles.qualities["${qualityName}"]`);
+
+        return {
+            printer: printerProfile ? this.resolvePath(printerProfile) : null,
+            material: materialProfile ? this.resolvePath(materialProfile) : null,
+            quality: qualityProfile ? this.resolvePath(qualityProfile) : null,
+            qualityName: qualityName,
+            missing: missing
+        };
+    }
+
+    // Bambu printers take sliced 3MF projects; PrusaSlicer writes plain G-code
+    getOutputPath(modelPath, material, qualityName, outputDir = null) {
+        const directory = outputDir || (this.settings.outputDir ? this.resolvePath(this.settings.outputDir) : path.dirname(modelPath));
+        const baseName = path.basename(modelPath, path.extname(modelPath));
+        const extension = this.type === 'prusaslicer' ? '.gcode' : '.gcode.3mf';
+        return path.join(directory, `${baseName}_${String(material).toUpperCase()}_${qualityName}${extension}`);
+    }
+
+    buildArguments(modelPath, outputPath, profiles) {
+        if (this.type === 'prusaslicer') {
+            return [
+                '--export-gcode',
+                '--load', profiles.printer,
+                '--load', profiles.quality,
+                '--load', profiles.material,
+                '--output', outputPath,
+                modelPath
+            ];
+        }
+
+        // OrcaSlicer kept Bambu Studio's command line
+        return [
+            '--slice', '0',
+            '--load-settings', `${profiles.printer};${profiles.quality}`,
+            '--load-filaments', profiles.material,
+            '--outputdir', path.dirname(outputPath),
+            '--export-3mf', path.basename(outputPath),
+            modelPath
+        ];
+    }
+
+    async slice(modelPath, options = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('No slicer configured - set slicer.type and slicer.executable in config/fabrication.json');
+        }
+        if (!modelPath || !fs.existsSync(modelPath)) {
+            throw new Error(`Model not found: ${modelPath}`);
+        }
+        if (!this.isModelFile(modelPath)) {
+            throw new Error(`${path.basename(modelPath)} is not a model the slicer can read (${MODEL_EXTENSIONS.join(', ')})`);
+        }
+
+        const executable = this.resolvePath(this.settings.executable);
+        if (!fs.existsSync(executable)) {
+            throw new Error(`${this.name} not found at ${executable}`);
+        }
+
+        const profiles = this.getProfiles(options.printer, options.material, options.quality);
+        if (profiles.missing.length > 0) {
+            throw new Error(`Cannot slice for ${options.printer ? options.printer.name : 'this printer'}: set ${profiles.missing.join(', ')} in config/fabrication.json`);
+        }
+        for (const profile of [profiles.printer, profiles.material, profiles.quality]) {
+            if (!fs.existsSync(profile)) {
+                throw new Error(`Slicer profile not found: ${profile}`);
+            }
+        }
+
+        const outputPath = this.getOutputPath(modelPath, options.material, profiles.qualityName, options.outputDir);
+        await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+
+        console.log(`🔪 Slicing ${path.basename(modelPath)} with ${this.name} (${String(options.material).toUpperCase()}, ${profiles.qualityName})`);
+        const startedAt = Date.now();
+        const result = await this.run(executable, this.buildArguments(modelPath, outputPath, profiles));
+
+        if (result.code !== 0 || !fs.existsSync(outputPath)) {
+            const detail = (result.stderr || result.stdout).trim().split('\n').slice(-5).join(' ').trim();
+            throw new Error(`${this.name} failed${result.code !== 0 ? ` with exit code ${result.code}` : ' to write its output'}${detail ? `: ${detail}` : ''}`);
+        }
+
+        console.log(`✅ Sliced ${path.basename(outputPath)} in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+        return {
+            outputPath: outputPath,
+            slicer: this.name,
+            quality: profiles.qualityName,
+            profiles: {
+                printer: profiles.printer,
+                material: profiles.material,
+                quality: profiles.quality
+            },
+            durationMs: Date.now() - startedAt
+        };
+    }
+
+    run(executable, args) {
+        const timeoutMs = (this.settings.timeout_seconds || DEFAULT_TIMEOUT_SECONDS) * 1000;
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(executable, args, { windowsHide: true });
+            let stdout = '';
+            let stderr = '';
+            let timedOut = false;
+
+            const timer = setTimeout(() => {
+                timedOut = true;
+                child.kill();
+            }, timeoutMs);
+
+            // Only the tail is ever reported, and slicers can be chatty
+            child.stdout.on('data', (data) => { stdout = (stdout + data.toString()).slice(-OUTPUT_LIMIT); });
+            child.stderr.on('data', (data) => { stderr = (stderr + data.toString()).slice(-OUTPUT_LIMIT); });
+
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(new Error(`Could not run ${this.name}: ${error.message}`));
+            });
+
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                if (timedOut) {
+                    reject(new Error(`${this.name} did not finish within ${timeoutMs / 1000}s`));
+                } else {
+                    resolve({ code: code, stdout: stdout, stderr: stderr });
+                }
+            });
+        });
+    }
+}
+
+SlicerService.MODEL_EXTENSIONS = MODEL_EXTENSIONS;
+
+module.exports = SlicerService;
@@ -0,0 +1,303 @@
+const SPOOL_STATES = ['active', 'empty', 'archived'];
+
+// Grams per unit for inventory rows tracked by weight; anything else is counted in whole spools
+const WEIGHT_UNITS = {
+    g: 1,
+    gram: 1,
+    grams: 1,
+    kg: 1000,
+    kgs: 1000,
+    kilogram: 1000,
+    kilograms: 1000
+};
+
+class SpoolManager {
+    constructor(projectManager) {
+        this.projectManager = projectManager;
+        this.db = projectManager.db;
+    }
+
+    run(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ lastID: this.lastID, changes: this.changes });
+                }
+            });
+        });
+    }
+
+    get(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    all(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async addSpool(spoolData) {
+        const {
+            material,
+            color = null,
+            brand = null,
+            diameter = 1.75,
+            initialGrams = 1000,
+            remainingGrams = null,
+            printerId = null,
+            notes = ''
+        } = spoolData;
+
+        if (!material) {
+            throw new Error('A material is required to add a spool');
+        }
+
+        const item = await this.resolveInventoryItem(spoolData);
+        const remaining = remainingGrams === null || remainingGrams === undefined ? initialGrams : remainingGrams;
+
+        const result = await this.run(`
+            INSERT INTO filament_spools (inventory_item_id, material, color, brand, diameter, initial_grams, remaining_grams, notes)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [item ? item.id : null, String(material).toUpperCase(), color, brand, diameter, initialGrams, remaining, notes]);
+
+        if (printerId) {
+            await this.loadSpool(result.lastID, printerId);
+        }
+
+        return this.getSpool(result.lastID);
+    }
+
+    // Linking to inventory is optional; accepts inventoryItemId or inventoryItemName
+    async resolveInventoryItem(spoolData) {
+        if (spoolData.inventoryItemId) {
+            const item = await this.projectManager.findInventoryItem({ itemId: spoolData.inventoryItemId });
+            if (!item) {
+                throw new Error(`Inventory item ${spoolData.inventoryItemId} not found`);
+            }
+            return item;
+        }
+        if (spoolData.inventoryItemName) {
+            const item = await this.projectManager.findInventoryItem({ itemName: spoolData.inventoryItemName });
+            if (!item) {
+                throw new Error(`No inventory item matches "${spoolData.inventoryItemName}"`);
+            }
+            return item;
+        }
+        return null;
+    }
+
+    async getSpool(spoolId) {
+        return this.get(`
+            SELECT s.*, i.name as inventory_item_name, i.unit as inventory_unit
+            FROM filament_spools s
+            LEFT JOIN inventory i ON s.inventory_item_id = i.id
+            WHERE s.id = ?
+        `, [spoolId]);
+    }
+
+    async getSpools(options = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (options.status) {
+            conditions.push('s.status = ?');
+            params.push(options.status);
+        } else if (!options.includeArchived) {
+            conditions.push("s.status != 'archived'");
+        }
+        if (options.material) {
+            conditions.push('s.material = ?');
+            params.push(String(options.material).toUpperCase());
+        }
+        if (options.printerId) {
+            conditions.push('s.printer_id = ?');
+            params.push(options.printerId);
+        }
+
+        return this.all(`
+            SELECT s.*, i.name as inventory_item_name, i.unit as inventory_unit
+            FROM filament_spools s
+            LEFT JOIN inventory i ON s.inventory_item_id = i.id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY s.printer_id IS NULL, s.material, s.remaining_grams DESC
+        `, params);
+    }
+
+    async updateSpool(spoolId, updates) {
+        const spool = await this.getSpool(spoolId);
+        if (!spool) {
+            throw new Error(`Spool ${spoolId} not found`);
+        }
+
+        const columns = {
+            material: 'material',
+            color: 'color',
+            brand: 'brand',
+            diameter: 'diameter',
+            initialGrams: 'initial_grams',
+            remainingGrams: 'remaining_grams',
+            status: 'status',
+            notes: 'notes'
+        };
+        const fields = [];
+        const values = [];
+
+        Object.entries(columns).forEach(([key, column]) => {
+            if (updates[key] === undefined) return;
+            if (key === 'status' && !SPOOL_STATES.includes(updates.status)) {
+                throw new Error(`Invalid spool status "${updates.status}". Valid: ${SPOOL_STATES.join(', ')}`);
+            }
+            fields.push(`${column} = ?`);
+            values.push(key === 'material' ? String(updates[key]).toUpperCase() : updates[key]);
+        });
+
+        if (updates.inventoryItemId !== undefined || updates.inventoryItemName !== undefined) {
+            const item = await this.resolveInventoryItem(updates);
+            fields.push('inventory_item_id = ?');
+            values.push(item ? item.id : null);
+        }
+
+        // Archived or emptied spools are no longer on a printer
+        if (updates.status && updates.status !== 'active') {
+            fields.push('printer_id = NULL', 'loaded_at = NULL');
+        }
+
+        if (fields.length === 0) {
+            return spool;
+        }
+
+        await this.run(`UPDATE filament_spools SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [...values, spoolId]);
+        return this.getSpool(spoolId);
+    }
+
+    // A printer holds one spool at a time, so loading one unloads whatever was there
+    async loadSpool(spoolId, printerId) {
+        const spool = await this.getSpool(spoolId);
+        if (!spool) {
+            throw new Error(`Spool ${spoolId} not found`);
+        }
+        if (spool.status !== 'active') {
+            throw new Error(`Spool ${spoolId} is ${spool.status} and cannot be loaded`);
+        }
+
+        await this.run(`
+            UPDATE filament_spools SET printer_id = NULL, loaded_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE printer_id = ? AND id != ?
+        `, [printerId, spoolId]);
+        await this.run(`
+            UPDATE filament_spools SET printer_id = ?, loaded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [printerId, spoolId]);
+
+        return this.getSpool(spoolId);
+    }
+
+    async unloadSpool(spoolId) {
+        const spool = await this.getSpool(spoolId);
+        if (!spool) {
+            throw new Error(`Spool ${spoolId} not found`);
+        }
+
+        await this.run('UPDATE filament_spools SET printer_id = NULL, loaded_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [spoolId]);
+        return this.getSpool(spoolId);
+    }
+
+    async getLoadedSpool(printerId) {
+        return this.get(`
+            SELECT s.*, i.name as inventory_item_name, i.unit as inventory_unit
+            FROM filament_spools s
+            LEFT JOIN inventory i ON s.inventory_item_id = i.id
+            WHERE s.printer_id = ? AND s.status = 'active'
+        `, [printerId]);
+    }
+
+    // Whether the spool on a printer can cover a job; unknown needs or no tracked spool are not a problem
+    async checkSpoolForJob(printerId, neededGrams) {
+        const spool = await this.getLoadedSpool(printerId);
+        if (!spool || !neededGrams) {
+            return { sufficient: true, spool: spool, neededGrams: neededGrams || null };
+        }
+
+        const sufficient = spool.remaining_grams >= neededGrams;
+        return {
+            sufficient: sufficient,
+            spool: spool,
+            neededGrams: neededGrams,
+            remainingGrams: spool.remaining_grams,
+            message: sufficient ?
+                `${this.describeSpool(spool)} has ${Math.round(spool.remaining_grams)} g, enough for the ~${Math.round(neededGrams)} g this print needs` :
+                `${this.describeSpool(spool)} only has ${Math.round(spool.remaining_grams)} g left but this print needs ~${Math.round(neededGrams)} g`
+        };
+    }
+
+    // Takes filament off a spool and, when the spool is linked, off its inventory row through the ledger
+    async recordUsage(spoolId, grams, context = {}) {
+        const used = parseFloat(grams);
+        if (isNaN(used) || used <= 0) {
+            throw new Error('Filament used must be a positive number of grams');
+        }
+
+        const spool = await this.getSpool(spoolId);
+        if (!spool) {
+            throw new Error(`Spool ${spoolId} not found`);
+        }
+
+        const remaining = Math.max(0, Math.round((spool.remaining_grams - used) * 10) / 10);
+        await this.run(`
+            UPDATE filament_spools SET remaining_grams = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [remaining, remaining <= 0 ? 'empty' : spool.status, spoolId]);
+
+        let inventory = null;
+        if (spool.inventory_item_id) {
+            const change = this.toInventoryUnits(used, spool);
+            if (change > 0) {
+                inventory = await this.projectManager.updateInventoryQuantity(
+                    spool.inventory_item_id,
+                    -change,
+                    context.reason || `${Math.round(used)} g printed from ${this.describeSpool(spool)}`,
+                    { projectId: context.projectId || null, source: context.source || 'print', user: context.user || null }
+                );
+            }
+        }
+
+        console.log(`🧵 ${Math.round(used)} g used from ${this.describeSpool(spool)}, ${remaining} g left`);
+
+        return {
+            spool: await this.getSpool(spoolId),
+            usedGrams: used,
+            inventory: inventory
+        };
+    }
+
+    toInventoryUnits(grams, spool) {
+        const unit = String(spool.inventory_unit || '').trim().toLowerCase();
+        const change = WEIGHT_UNITS[unit] ? grams / WEIGHT_UNITS[unit] : grams / (spool.initial_grams || 1000);
+        return Math.round(change * 1000) / 1000;
+    }
+
+    describeSpool(spool) {
+        return `spool #${spool.id} (${[spool.brand, spool.color, spool.material].filter(Boolean).join(' ')})`;
+    }
+}
+
+SpoolManager.SPOOL_STATES = SPOOL_STATES;
+
+module.exports = SpoolManager;
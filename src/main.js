@@ -1,11 +1,15 @@
-const { app, BrowserWindow, ipcMain, Menu, Tray, Notification } = require('electron');
+const { app, BrowserWindow, ipcMain, Menu, Tray, Notification, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const GptCore = require('./core/gpt-core');
 const VoiceManager = require('./voice/voice-manager');
 const SecurityManager = require('./security/security-manager');
 const ProjectManager = require('./projects/project-manager');
+const DatabaseBackup = require('./projects/database-backup');
 const CodeRewriter = require('./core/code-rewriter');
+const PrinterTelemetry = require('./fabrication/printer-telemetry');
+const SafetyMonitor = require('./fabrication/safety-monitor');
+const SentenceBuffer = require('./voice/sentence-buffer');
 const config = require('../config/settings.json');
 
 class GptApp {
@@ -18,7 +22,11 @@ class GptApp {
         this.isListening = false;
         this.isInitialized = false;
         this.reminderCheckInterval = null;
-        this.notificationHistory = new Map();
+        this.printerTelemetry = null;
+        this.safetyMonitor = null;
+        this.snoozeOptions = (config.reminders && config.reminders.snoozeMinutes) || [15, 60];
+        // AbortControllers of streaming chat requests, by the request id the renderer chose
+        this.activeCommands = new Map();
     }
 
     async initialize() {
@@ -34,6 +42,7 @@ class GptApp {
             };
             
             this.gptCore = new GptCore(config.openai.apiKey, modelConfig);
+            this.gptCore.setAssistantUser(config.security && config.security.assistantUser);
             this.securityManager = new SecurityManager();
             this.projectManager = new ProjectManager();
             this.codeRewriter = new CodeRewriter();
@@ -47,6 +56,10 @@ class GptApp {
             await this.projectManager.initialize();
             await this.codeRewriter.initialize();
             
+            // Schedule database backups using the shared project database connection
+            this.databaseBackup = new DatabaseBackup(this.projectManager.db, this.projectManager.dbPath, config.database || {});
+            this.databaseBackup.start();
+            
             // Connect codeRewriter to GPT core for adaptive functionality
             this.gptCore.codeRewriter = this.codeRewriter;
             this.gptCore.setCodeRewriter = (codeRewriter) => { this.gptCore.codeRewriter = codeRewriter; };
@@ -60,6 +73,9 @@ class GptApp {
             // Initialize notification system
             this.initializeNotificationSystem();
             
+            // Stream printer temperatures and progress to the renderer
+            this.startPrinterTelemetry();
+            
             // Voice manager will be initialized after window creation
 
         } catch (error) {
@@ -192,8 +208,7 @@ class GptApp {
         
         // Check if notifications are supported
         if (!Notification.isSupported()) {
-            console.log('⚠️ System notifications not supported on this platform');
-            return;
+            console.log('⚠️ System notifications not supported on this platform - reminders will show in-app');
         } else {
             console.log('✅ System notifications are supported');
         }
@@ -211,6 +226,104 @@ class GptApp {
         console.log('✅ Notification system initialized');
     }
     
+    startPrinterTelemetry() {
+        const fabricationManager = this.gptCore.fabricationManager;
+        if (!fabricationManager) {
+            return;
+        }
+
+        // Safety rules see every sample; pauses and cancels they make go to the security audit log
+        this.safetyMonitor = new SafetyMonitor(fabricationManager, {
+            audit: (action, description, metadata) => this.securityManager.logSecurityEvent('SYSTEM', action, description, metadata),
+            onAlert: (intervention) => this.showSafetyNotification(intervention)
+        });
+
+        this.printerTelemetry = new PrinterTelemetry(fabricationManager, {
+            intervalMs: config.ui && config.ui.refreshInterval,
+            onSample: (sample) => {
+                if (this.mainWindow) {
+                    this.mainWindow.webContents.send('printer-telemetry', sample);
+                }
+                this.safetyMonitor.evaluate(sample).catch(error => {
+                    console.error(`❌ Safety rules failed for ${sample.printerName}:`, error.message);
+                });
+            },
+            onPrintEvent: (printEvent) => this.showPrintNotification(printEvent)
+        });
+        this.printerTelemetry.start();
+    }
+
+    showPrintNotification(printEvent) {
+        const finished = printEvent.type === 'finished';
+        console.log(`🖨️ Print ${printEvent.type} on ${printEvent.printerName}${printEvent.fileName ? `: ${printEvent.fileName}` : ''}`);
+
+        // Same rule as reminders: a system notification when possible, otherwise the renderer shows a toast
+        const notify = Notification.isSupported() && !(config.ui && config.ui.notifications === false);
+
+        if (this.mainWindow) {
+            this.mainWindow.webContents.send('print-event', { ...printEvent, notified: notify });
+        }
+
+        if (!notify) {
+            return;
+        }
+
+        const notification = new Notification({
+            title: finished ? `✅ Print finished on ${printEvent.printerName}` : `❌ Print failed on ${printEvent.printerName}`,
+            body: finished ?
+                printEvent.fileName || 'The print is done' :
+                `${printEvent.fileName ? `${printEvent.fileName}\n` : ''}${printEvent.error}`,
+            icon: path.join(__dirname, '../assets/gpt-icon.png'),
+            urgency: finished ? 'normal' : 'critical',
+            tag: `print-${printEvent.printerId}`
+        });
+
+        notification.on('click', () => {
+            if (this.mainWindow) {
+                this.mainWindow.show();
+                this.mainWindow.webContents.send('navigate-to', 'fabrication');
+            }
+        });
+
+        notification.show();
+    }
+    
+    showSafetyNotification(intervention) {
+        const notify = Notification.isSupported() && !(config.ui && config.ui.notifications === false);
+
+        if (this.mainWindow) {
+            this.mainWindow.webContents.send('printer-safety-alert', { ...intervention, notified: notify });
+        }
+
+        if (!notify) {
+            return;
+        }
+
+        const titles = {
+            alert: `⚠️ ${intervention.printerName} needs attention`,
+            pause: `⏸️ Print paused on ${intervention.printerName}`,
+            cancel: `🛑 Print cancelled on ${intervention.printerName}`
+        };
+
+        const notification = new Notification({
+            title: titles[intervention.action],
+            body: intervention.message + (intervention.error ? `\n${intervention.error}` : ''),
+            icon: path.join(__dirname, '../assets/gpt-icon.png'),
+            urgency: 'critical',
+            timeoutType: 'never',
+            tag: `print-safety-${intervention.printerId}-${intervention.rule}`
+        });
+
+        notification.on('click', () => {
+            if (this.mainWindow) {
+                this.mainWindow.show();
+                this.mainWindow.webContents.send('navigate-to', 'fabrication');
+            }
+        });
+
+        notification.show();
+    }
+    
     async checkDueReminders() {
         try {
             // Get all due reminders
@@ -235,145 +348,175 @@ class GptApp {
         try {
             console.log('🔔 Attempting to show notification for reminder:', reminder.title);
             
-            // Check if we've already shown this reminder recently (within last 10 minutes)
-            const reminderKey = `${reminder.id}-${reminder.reminder_date}`;
-            const lastShown = this.notificationHistory.get(reminderKey);
-            const now = new Date();
-            
-            if (lastShown && (now - lastShown) < 10 * 60 * 1000) {
-                console.log('🔔 Skipping notification - already shown recently for:', reminder.title);
-                return; // Don't show again within 10 minutes
-            }
-            
-            // Get project name for context
-            const projectResult = await this.projectManager.executeAction({
+            // Get project name for context; low-stock alerts may not belong to a project
+            const projectResult = reminder.project_id ? await this.projectManager.executeAction({
                 action: 'get_project',
                 data: { id: reminder.project_id }
-            });
+            }) : { success: false };
             
-            const projectName = projectResult.success ? projectResult.data.name : 'Unknown Project';
+            const projectName = projectResult.success ? projectResult.data.name :
+                (reminder.reminder_type === 'low_stock' ? 'Inventory' : 'Unknown Project');
             console.log('🔔 Project name for notification:', projectName);
             
-            // Check if main window exists for debugging
-            console.log('🔔 Main window exists:', !!this.mainWindow);
-            
-            // Create notification options
-            const notificationOptions = {
-                title: `📅 Project Reminder: ${reminder.title}`,
-                body: `${projectName}\n${reminder.description || 'No description'}`,
-                icon: path.join(__dirname, '../assets/gpt-icon.png'),
-                urgency: reminder.priority === 3 ? 'critical' : reminder.priority === 2 ? 'normal' : 'low',
-                timeoutType: 'never', // Don't auto-dismiss
-                sound: 'default',
-                silent: false, // Make sure sound is enabled
-                tag: `reminder-${reminder.id}`, // Unique tag for this reminder
-                renotify: true, // Allow renotification
-                actions: [
-                    {
-                        type: 'button',
-                        text: 'Snooze 15 min'
-                    },
-                    {
-                        type: 'button', 
-                        text: 'Mark Done'
-                    }
-                ]
-            };
-            
-            console.log('🔔 Creating notification with options:', JSON.stringify(notificationOptions, null, 2));
-            
-            // Create the notification
-            const notification = new Notification(notificationOptions);
-            
-            console.log('🔔 Notification object created successfully');
-            
-            // Handle notification events
-            notification.on('click', () => {
-                console.log('🔔 Reminder notification clicked for:', reminder.title);
-                
-                // Show main window and navigate to project
-                if (this.mainWindow) {
-                    this.mainWindow.show();
-                    this.mainWindow.webContents.send('show-project-reminder', {
-                        projectId: reminder.project_id,
-                        reminderId: reminder.id
-                    });
-                    console.log('🔔 Sent show-project-reminder IPC message');
-                } else {
-                    console.log('⚠️ Main window not available for navigation');
+            if (!Notification.isSupported()) {
+                // Fall back to an in-app toast; leave the reminder pending if there is nowhere to show it
+                if (!this.mainWindow) {
+                    console.log('⚠️ No notification channel available, will retry later for:', reminder.title);
+                    return;
                 }
-            });
+                
+                this.mainWindow.webContents.send('reminder-due', {
+                    reminder: reminder,
+                    projectName: projectName,
+                    snoozeOptions: this.snoozeOptions.map(minutes => ({
+                        minutes: minutes,
+                        label: `Snooze ${this.formatSnoozeDuration(minutes)}`
+                    }))
+                });
+                console.log('🔔 Sent reminder-due IPC message for in-app toast');
+            } else {
+                this.showSystemReminderNotification(reminder, projectName);
+            }
             
-            notification.on('action', async (event, index) => {
-                console.log('🔔 Notification action clicked:', index, 'for reminder:', reminder.title);
-                
-                if (index === 0) {
-                    // Snooze for 15 minutes
-                    console.log('🔔 Snoozing reminder for 15 minutes');
-                    const snoozeUntil = new Date(Date.now() + 15 * 60 * 1000);
-                    await this.projectManager.executeAction({
-                        action: 'snooze_reminder',
-                        data: {
-                            id: reminder.id,
-                            snoozeUntil: snoozeUntil.toISOString()
-                        }
-                    });
-                    
-                    // Show confirmation
-                    const snoozeNotification = new Notification({
-                        title: 'Reminder Snoozed',
-                        body: `"${reminder.title}" snoozed for 15 minutes`,
-                        icon: path.join(__dirname, '../assets/gpt-icon.png')
-                    });
-                    snoozeNotification.show();
-                    console.log('🔔 Snooze confirmation notification shown');
-                    
-                } else if (index === 1) {
-                    // Mark as done (deactivate)
-                    console.log('🔔 Marking reminder as done');
-                    await this.projectManager.executeAction({
-                        action: 'update_reminder',
-                        data: {
-                            id: reminder.id,
-                            isActive: false
-                        }
-                    });
-                    
-                    // Show confirmation
-                    const doneNotification = new Notification({
-                        title: 'Reminder Completed',
-                        body: `"${reminder.title}" marked as done`,
-                        icon: path.join(__dirname, '../assets/gpt-icon.png')
-                    });
-                    doneNotification.show();
-                    console.log('🔔 Completion confirmation notification shown');
+            // Persist delivery so the reminder is not shown again after a restart;
+            // recurring reminders roll forward to their next occurrence
+            const delivered = await this.projectManager.markReminderNotified(reminder.id);
+            console.log(`🔔 ${delivered.message}`);
+            
+        } catch (error) {
+            console.error('❌ Error showing reminder notification:', error);
+            console.error('❌ Stack trace:', error.stack);
+        }
+    }
+    
+    showSystemReminderNotification(reminder, projectName) {
+        // Create notification options
+        const notificationOptions = {
+            title: `📅 Project Reminder: ${reminder.title}`,
+            body: `${projectName}\n${reminder.description || 'No description'}`,
+            icon: path.join(__dirname, '../assets/gpt-icon.png'),
+            urgency: reminder.priority === 3 ? 'critical' : reminder.priority === 2 ? 'normal' : 'low',
+            timeoutType: 'never', // Don't auto-dismiss
+            sound: 'default',
+            silent: false, // Make sure sound is enabled
+            tag: `reminder-${reminder.id}`, // Unique tag for this reminder
+            renotify: true, // Allow renotification
+            actions: [
+                ...this.snoozeOptions.map(minutes => ({
+                    type: 'button',
+                    text: `Snooze ${this.formatSnoozeDuration(minutes)}`
+                })),
+                {
+                    type: 'button', 
+                    text: 'Mark Done'
                 }
-            });
+            ]
+        };
+        
+        // Create the notification
+        const notification = new Notification(notificationOptions);
+        
+        // Handle notification events
+        notification.on('click', () => {
+            console.log('🔔 Reminder notification clicked for:', reminder.title);
             
-            notification.on('show', () => {
-                console.log('🔔 Notification successfully shown for:', reminder.title);
-            });
+            // Show main window and navigate to project
+            if (this.mainWindow) {
+                this.mainWindow.show();
+                this.mainWindow.webContents.send('show-project-reminder', {
+                    projectId: reminder.project_id,
+                    reminderId: reminder.id
+                });
+                console.log('🔔 Sent show-project-reminder IPC message');
+            } else {
+                console.log('⚠️ Main window not available for navigation');
+            }
+        });
+        
+        notification.on('action', async (event, index) => {
+            console.log('🔔 Notification action clicked:', index, 'for reminder:', reminder.title);
             
-            notification.on('close', () => {
-                console.log('🔔 Notification closed for:', reminder.title);
-            });
+            const result = index < this.snoozeOptions.length ?
+                await this.snoozeReminder(reminder, this.snoozeOptions[index]) :
+                await this.completeReminder(reminder);
             
-            notification.on('error', (error) => {
-                console.error('🔔 Notification error for:', reminder.title, error);
+            // Show confirmation
+            const confirmation = new Notification({
+                title: result.success ? (index < this.snoozeOptions.length ? 'Reminder Snoozed' : 'Reminder Completed') : 'Reminder Update Failed',
+                body: result.success ? result.message : result.error,
+                icon: path.join(__dirname, '../assets/gpt-icon.png')
             });
+            confirmation.show();
+        });
+        
+        notification.on('show', () => {
+            console.log('🔔 Notification successfully shown for:', reminder.title);
+        });
+        
+        notification.on('close', () => {
+            console.log('🔔 Notification closed for:', reminder.title);
+        });
+        
+        notification.on('error', (error) => {
+            console.error('🔔 Notification error for:', reminder.title, error);
+        });
+        
+        // Show the notification
+        notification.show();
+    }
+    
+    async snoozeReminder(reminder, minutes) {
+        try {
+            const snoozeUntil = new Date(Date.now() + minutes * 60 * 1000);
+            const result = await this.projectManager.snoozeReminder(reminder.id, snoozeUntil.toISOString());
             
-            // Show the notification
-            console.log('🔔 Calling notification.show()...');
-            notification.show();
-            
-            // Remember that we showed this notification
-            this.notificationHistory.set(reminderKey, now);
-            
-            console.log(`🔔 Notification process completed for reminder: ${reminder.title}`);
-            
+            return {
+                ...result,
+                message: `"${reminder.title}" snoozed for ${this.formatSnoozeDuration(minutes)}`
+            };
         } catch (error) {
-            console.error('❌ Error showing reminder notification:', error);
-            console.error('❌ Stack trace:', error.stack);
+            console.error('Error snoozing reminder:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    async completeReminder(reminder) {
+        try {
+            // Pass the occurrence that was shown so an already-advanced series is not skipped ahead twice
+            return await this.projectManager.completeReminder(reminder.id, reminder.reminder_date);
+        } catch (error) {
+            console.error('Error completing reminder:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    formatSnoozeDuration(minutes) {
+        if (minutes % 1440 === 0) {
+            return minutes === 1440 ? '1 day' : `${minutes / 1440} days`;
+        }
+        if (minutes % 60 === 0) {
+            return minutes === 60 ? '1 hour' : `${minutes / 60} hours`;
+        }
+        return `${minutes} min`;
+    }
+
+    shouldSpeakResponses() {
+        const voice = config.voice || {};
+        return Boolean(this.voiceManager && voice.enabled !== false && voice.speakResponses);
+    }
+
+    // Tells the renderer to reload projects after a command that looks like it changed one
+    broadcastProjectUpdate(command, result) {
+        const message = result && typeof result === 'object' ? result.message : result;
+        const projectKeywords = ['project', 'task', 'move', 'stage', 'status', 'create', 'update', 'planning', 'testing', 'completed'];
+        const isProjectCommand = projectKeywords.some(keyword => 
+            command.toLowerCase().includes(keyword) || 
+            (message && message.toLowerCase().includes(keyword))
+        );
+        
+        if (isProjectCommand && this.mainWindow) {
+            console.log('📡 Broadcasting project update to frontend...');
+            this.mainWindow.webContents.send('projects-updated');
         }
     }
 
@@ -434,6 +577,7 @@ class GptApp {
                 
                 // Reinitialize GPT Core with new API key
                 this.gptCore = new GptCore(apiKey);
+                this.gptCore.setAssistantUser(config.security && config.security.assistantUser);
                 await this.gptCore.initialize();
                 
                 return true;
@@ -494,22 +638,153 @@ class GptApp {
         ipcMain.handle('send-command', async (event, command, options = {}) => {
             const modelType = options.modelType || 'chat'; // default to chat model
             const result = await this.gptCore.processCommand(command, modelType);
-            
-            // Check if this was a project management command and broadcast update
-            const projectKeywords = ['project', 'move', 'stage', 'status', 'create', 'update', 'planning', 'testing', 'completed'];
-            const isProjectCommand = projectKeywords.some(keyword => 
-                command.toLowerCase().includes(keyword) || 
-                (result.message && result.message.toLowerCase().includes(keyword))
-            );
-            
-            if (isProjectCommand && this.mainWindow) {
-                console.log('📡 Broadcasting project update to frontend...');
-                this.mainWindow.webContents.send('projects-updated');
-            }
-            
+            this.broadcastProjectUpdate(command, result);
             return result;
         });
 
+        // Same as send-command, but the answer arrives in 'gpt-stream-token' events while it is generated.
+        // Each sentence is spoken as soon as it is complete when voice.speakResponses is on.
+        ipcMain.handle('send-command-stream', async (event, command, options = {}) => {
+            const requestId = options.requestId;
+            const controller = new AbortController();
+            this.activeCommands.set(requestId, controller);
+
+            const speak = this.shouldSpeakResponses();
+            const sentences = new SentenceBuffer();
+            let streamed = false;
+
+            try {
+                const result = await this.gptCore.processCommand(command, options.modelType || 'chat', {
+                    signal: controller.signal,
+                    onToken: (token) => {
+                        streamed = true;
+                        if (!event.sender.isDestroyed()) {
+                            event.sender.send('gpt-stream-token', { requestId: requestId, token: token });
+                        }
+                        if (speak) {
+                            sentences.push(token).forEach(sentence => this.voiceManager.queueSpeech(sentence));
+                        }
+                    }
+                });
+
+                if (speak && !result.cancelled) {
+                    // Answers that did not stream (reminders, help, action summaries) are spoken whole
+                    const rest = streamed ? sentences.flush() : (result.shouldSpeak ? [result.message || String(result)] : []);
+                    rest.forEach(sentence => this.voiceManager.queueSpeech(sentence));
+                }
+
+                this.broadcastProjectUpdate(command, result);
+                return result;
+            } finally {
+                this.activeCommands.delete(requestId);
+            }
+        });
+
+        ipcMain.handle('cancel-command', async (event, requestId) => {
+            const controller = this.activeCommands.get(requestId);
+            if (this.voiceManager) {
+                this.voiceManager.stopSpeaking();
+            }
+            if (!controller) {
+                return { success: false, error: 'No request in progress' };
+            }
+
+            controller.abort();
+            return { success: true };
+        });
+
+        // Chat sessions
+        ipcMain.handle('get-chat-sessions', async (event, options = {}) => {
+            try {
+                const active = await this.gptCore.getActiveSession();
+                return {
+                    success: true,
+                    data: await this.gptCore.listSessions(options),
+                    activeSessionId: active ? active.id : null
+                };
+            } catch (error) {
+                console.error('Error listing chat sessions:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-chat-session-messages', async (event, sessionId = null) => {
+            try {
+                const session = sessionId ? await this.gptCore.resumeSession(sessionId) : await this.gptCore.getActiveSession();
+                return { success: true, data: await this.gptCore.getSessionMessages(), session: session };
+            } catch (error) {
+                console.error('Error loading chat session:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('new-chat-session', async (event, options = {}) => {
+            try {
+                return { success: true, data: await this.gptCore.newSession(options) };
+            } catch (error) {
+                console.error('Error starting chat session:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('rename-chat-session', async (event, sessionId, title) => {
+            try {
+                return await this.gptCore.renameSession(sessionId, title);
+            } catch (error) {
+                console.error('Error renaming chat session:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('pin-chat-session', async (event, sessionId, projectId) => {
+            try {
+                return await this.gptCore.pinSession(sessionId, projectId);
+            } catch (error) {
+                console.error('Error pinning chat session:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('delete-chat-session', async (event, sessionId) => {
+            try {
+                return await this.gptCore.deleteSession(sessionId);
+            } catch (error) {
+                console.error('Error deleting chat session:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('search-chat-history', async (event, query, options = {}) => {
+            try {
+                return { success: true, data: await this.gptCore.searchConversations(query, options) };
+            } catch (error) {
+                console.error('Error searching chat history:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('export-chat-session', async (event, sessionId) => {
+            try {
+                const markdown = await this.gptCore.exportSession(sessionId);
+                const title = markdown.split('\n')[0].replace(/^# /, '').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'chat';
+                const { canceled, filePath } = await dialog.showSaveDialog(this.mainWindow, {
+                    title: 'Export Chat',
+                    defaultPath: `${title.slice(0, 50)}.md`,
+                    filters: [{ name: 'Markdown', extensions: ['md'] }]
+                });
+
+                if (canceled || !filePath) {
+                    return { success: false, canceled: true };
+                }
+
+                fs.writeFileSync(filePath, markdown);
+                return { success: true, message: `Chat saved to ${filePath}`, filePath: filePath };
+            } catch (error) {
+                console.error('Error exporting chat session:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
         // Project management handlers
         ipcMain.handle('get-projects', async () => {
             return await this.projectManager.getAllProjects();
@@ -538,6 +813,15 @@ class GptApp {
             }
         });
 
+        // Reminder actions from the in-app toast
+        ipcMain.handle('snooze-reminder', async (event, reminder, minutes) => {
+            return await this.snoozeReminder(reminder, minutes || this.snoozeOptions[0]);
+        });
+
+        ipcMain.handle('complete-reminder', async (event, reminder) => {
+            return await this.completeReminder(reminder);
+        });
+
         // Notification handlers
         ipcMain.handle('show-notification', async (event, options) => {
             try {
@@ -695,32 +979,364 @@ class GptApp {
             // This will be handled by the frontend
         });
 
-        // Add missing IPC handlers for project management
+        // Task handlers
         ipcMain.handle('get-all-tasks', async () => {
             try {
-                // For now, return empty array since we don't have a dedicated tasks table in use
-                // This can be extended later to include actual task data
-                return [];
+                return await this.projectManager.getTasks();
             } catch (error) {
                 console.error('Error getting tasks:', error);
                 return [];
             }
         });
 
-        ipcMain.handle('get-project-timeline', async (event, projectId = null) => {
+        ipcMain.handle('get-tasks', async (event, projectId, includeCompleted = true) => {
+            try {
+                return await this.projectManager.getTasks(projectId, includeCompleted);
+            } catch (error) {
+                console.error('Error getting project tasks:', error);
+                return [];
+            }
+        });
+
+        ipcMain.handle('create-task', async (event, taskData) => {
+            try {
+                const task = await this.projectManager.createTask(taskData);
+                return { success: true, data: task };
+            } catch (error) {
+                console.error('Error creating task:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('update-task', async (event, taskId, updates) => {
+            try {
+                return await this.projectManager.updateTask(taskId, updates);
+            } catch (error) {
+                console.error('Error updating task:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('complete-task', async (event, taskId, actualHours = null) => {
+            try {
+                return await this.projectManager.completeTask(taskId, actualHours);
+            } catch (error) {
+                console.error('Error completing task:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('reassign-task', async (event, taskId, assignedTo) => {
+            try {
+                return await this.projectManager.reassignTask(taskId, assignedTo);
+            } catch (error) {
+                console.error('Error reassigning task:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('delete-task', async (event, taskId) => {
+            try {
+                return await this.projectManager.deleteTask(taskId);
+            } catch (error) {
+                console.error('Error deleting task:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('add-task-dependency', async (event, taskId, dependsOnTaskId, allowCrossProject = false) => {
+            try {
+                return await this.projectManager.addDependency('task', taskId, dependsOnTaskId, { allowCrossProject });
+            } catch (error) {
+                console.error('Error adding task dependency:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('remove-task-dependency', async (event, taskId, dependsOnTaskId) => {
+            try {
+                return await this.projectManager.removeDependency('task', taskId, dependsOnTaskId);
+            } catch (error) {
+                console.error('Error removing task dependency:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-critical-path', async (event, projectId = null) => {
             try {
                 if (projectId) {
-                    return await this.projectManager.getProjectTimeline(projectId);
-                } else {
-                    // Return all timeline events if no specific project ID
-                    return [];
+                    return await this.projectManager.getCriticalPath(projectId);
                 }
+
+                // Without a project ID, return the critical path of every open project
+                const projects = (await this.projectManager.getAllProjects())
+                    .filter(project => !['completed', 'cancelled'].includes(project.status));
+                return await Promise.all(projects.map(project => this.projectManager.getCriticalPath(project.id)));
+            } catch (error) {
+                console.error('Error getting critical path:', error);
+                return projectId ? null : [];
+            }
+        });
+
+        ipcMain.handle('get-project-timeline', async (event, projectId = null) => {
+            try {
+                // Returns all timeline events when no project ID is given
+                return await this.projectManager.getProjectTimeline(projectId);
             } catch (error) {
                 console.error('Error getting project timeline:', error);
                 return [];
             }
         });
 
+        // Print queue handlers
+        ipcMain.handle('get-fabrication-status', async () => {
+            try {
+                const fabrication = this.gptCore && this.gptCore.fabricationManager;
+                if (!fabrication) {
+                    return { success: false, error: 'Fabrication manager is not initialized' };
+                }
+
+                const queue = await fabrication.getPrintQueue();
+                const spools = await fabrication.listSpools();
+                return {
+                    success: true,
+                    printers: await fabrication.getPrinterSummaries(),
+                    queue: queue.success ? queue.data : { active: [], queued: [], finished: [] },
+                    spools: spools.success ? spools.data : []
+                };
+            } catch (error) {
+                console.error('Error getting fabrication status:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('add-print-job', async (event, jobData) => {
+            try {
+                return await this.gptCore.fabricationManager.addToPrintQueue({ ...jobData, createdBy: 'manual' });
+            } catch (error) {
+                console.error('Error adding print job:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('preflight-print-file', async (event, filePath, options = {}) => {
+            try {
+                return await this.gptCore.fabricationManager.preflightCheck(filePath, options);
+            } catch (error) {
+                console.error('Error running pre-flight check:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('add-spool', async (event, spoolData) => {
+            try {
+                return await this.gptCore.fabricationManager.addSpool(spoolData);
+            } catch (error) {
+                console.error('Error adding spool:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('load-spool', async (event, spoolId, printerId) => {
+            try {
+                return await this.gptCore.fabricationManager.loadSpool(spoolId, printerId);
+            } catch (error) {
+                console.error('Error loading spool:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('unload-spool', async (event, spoolId) => {
+            try {
+                return await this.gptCore.fabricationManager.unloadSpool(spoolId);
+            } catch (error) {
+                console.error('Error unloading spool:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('update-spool', async (event, spoolId, updates) => {
+            try {
+                return await this.gptCore.fabricationManager.updateSpool(spoolId, updates);
+            } catch (error) {
+                console.error('Error updating spool:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('reorder-print-queue', async (event, orderedIds) => {
+            try {
+                return await this.gptCore.fabricationManager.reorderPrintQueue(orderedIds);
+            } catch (error) {
+                console.error('Error reordering print queue:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('cancel-print-job', async (event, jobId) => {
+            try {
+                return await this.gptCore.fabricationManager.cancelQueueJob(jobId);
+            } catch (error) {
+                console.error('Error cancelling print job:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('retry-print-job', async (event, jobId) => {
+            try {
+                return await this.gptCore.fabricationManager.retryPrintJob(jobId);
+            } catch (error) {
+                console.error('Error retrying print job:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-printer-telemetry', async (event, printerId = null) => {
+            try {
+                if (!this.printerTelemetry) {
+                    return { success: true, data: [] };
+                }
+                return { success: true, data: this.printerTelemetry.getSnapshot(printerId) };
+            } catch (error) {
+                console.error('Error getting printer telemetry:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-print-history', async (event, options = {}) => {
+            try {
+                const fabrication = this.gptCore.fabricationManager;
+                const history = await fabrication.getPrintHistory(options);
+                const stats = await fabrication.getPrintStats(options);
+                if (!history.success) {
+                    return history;
+                }
+                return {
+                    success: true,
+                    history: history.data,
+                    stats: stats.success ? stats.data : null
+                };
+            } catch (error) {
+                console.error('Error getting print history:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('annotate-print-job', async (event, jobId, annotations) => {
+            try {
+                return await this.gptCore.fabricationManager.annotatePrintJob(jobId, annotations);
+            } catch (error) {
+                console.error('Error saving print job notes:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Inventory handlers
+        ipcMain.handle('get-inventory', async (event, filters = {}) => {
+            try {
+                return await this.projectManager.getInventory(filters.category || null);
+            } catch (error) {
+                console.error('Error getting inventory:', error);
+                return [];
+            }
+        });
+
+        ipcMain.handle('update-inventory-quantity', async (event, itemId, change, reason) => {
+            try {
+                return await this.projectManager.updateInventoryQuantity(itemId, change, reason, { source: 'ui', user: 'user' });
+            } catch (error) {
+                console.error('Error updating inventory quantity:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-reorder-list', async () => {
+            try {
+                return { success: true, data: await this.projectManager.getReorderList() };
+            } catch (error) {
+                console.error('Error getting reorder list:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('export-reorder-list', async () => {
+            try {
+                const reorderList = await this.projectManager.getReorderList();
+                const { canceled, filePath } = await dialog.showSaveDialog(this.mainWindow, {
+                    title: 'Export Reorder List',
+                    defaultPath: `reorder-list-${new Date().toISOString().split('T')[0]}.csv`,
+                    filters: [{ name: 'CSV', extensions: ['csv'] }]
+                });
+
+                if (canceled || !filePath) {
+                    return { success: false, canceled: true };
+                }
+
+                fs.writeFileSync(filePath, this.projectManager.formatReorderListCsv(reorderList));
+                return { success: true, message: `Reorder list saved to ${filePath}`, filePath: filePath };
+            } catch (error) {
+                console.error('Error exporting reorder list:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-inventory-history', async (event, itemId) => {
+            try {
+                return { success: true, data: await this.projectManager.getInventoryTransactions(itemId) };
+            } catch (error) {
+                console.error('Error getting inventory history:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('reverse-inventory-transaction', async (event, transactionId) => {
+            try {
+                return await this.projectManager.reverseInventoryTransaction(transactionId, { source: 'ui', user: 'user' });
+            } catch (error) {
+                console.error('Error reversing inventory transaction:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Database backup handlers
+        ipcMain.handle('list-db-backups', async () => {
+            try {
+                return {
+                    success: true,
+                    data: this.databaseBackup.listBackups(),
+                    settings: {
+                        backupInterval: this.databaseBackup.backupInterval,
+                        maxBackups: this.databaseBackup.maxBackups
+                    }
+                };
+            } catch (error) {
+                console.error('Error listing database backups:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('create-db-backup', async () => {
+            try {
+                return await this.databaseBackup.createBackup('manual');
+            } catch (error) {
+                console.error('Error creating database backup:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('restore-db-backup', async (event, fileName) => {
+            try {
+                const result = await this.databaseBackup.restoreBackup(fileName);
+                if (result.success) {
+                    this.securityManager.logSecurityEvent('user', 'database_restore', result.message, { fileName });
+                }
+                return result;
+            } catch (error) {
+                console.error('Error restoring database backup:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
         ipcMain.handle('get-notes', async (event, projectId = null) => {
             try {
                 const notes = await this.projectManager.getNotes(projectId);
@@ -1012,6 +1628,18 @@ app.on('before-quit', () => {
     if (gptApp.reminderCheckInterval) {
         clearInterval(gptApp.reminderCheckInterval);
     }
+    
+    if (gptApp.databaseBackup) {
+        gptApp.databaseBackup.stop();
+    }
+    
+    if (gptApp.printerTelemetry) {
+        gptApp.printerTelemetry.stop();
+    }
+    
+    if (gptApp.gptCore && gptApp.gptCore.fabricationManager) {
+        gptApp.gptCore.fabricationManager.stopDispatcher();
+    }
 });
 
 // Export for testing
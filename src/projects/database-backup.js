@@ -0,0 +1,223 @@
+const sqlite3 = require('sqlite3').verbose();
+const cron = require('node-cron');
+const path = require('path');
+const fs = require('fs');
+const MigrationRunner = require('./migration-runner');
+
+class DatabaseBackup {
+    constructor(db, dbPath, options = {}) {
+        this.db = db;
+        this.dbPath = dbPath;
+        this.backupDir = options.backupDir || path.join(path.dirname(dbPath), 'backups');
+        this.backupInterval = options.backupInterval || 24 * 60 * 60 * 1000;
+        this.maxBackups = options.maxBackups || 7;
+        this.task = null;
+        this.isRunning = false;
+    }
+
+    start() {
+        if (!fs.existsSync(this.backupDir)) {
+            fs.mkdirSync(this.backupDir, { recursive: true });
+        }
+
+        // Check hourly rather than scheduling at a fixed time, so a backup that was
+        // missed while the app was closed is taken shortly after the next launch
+        this.task = cron.schedule('0 * * * *', () => this.runScheduledBackup());
+        this.runScheduledBackup();
+
+        console.log(`💾 Database backups scheduled every ${Math.round(this.backupInterval / 3600000)}h (keeping ${this.maxBackups})`);
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    async runScheduledBackup() {
+        try {
+            const latest = this.listBackups().find(backup => backup.reason === 'scheduled');
+            if (latest && Date.now() - new Date(latest.createdAt).getTime() < this.backupInterval) {
+                return;
+            }
+
+            await this.createBackup('scheduled');
+        } catch (error) {
+            console.error('❌ Scheduled database backup failed:', error);
+        }
+    }
+
+    async createBackup(reason = 'manual', options = {}) {
+        const { rotate = true } = options;
+
+        if (this.isRunning) {
+            throw new Error('A database backup or restore is already in progress');
+        }
+        this.isRunning = true;
+
+        if (!fs.existsSync(this.backupDir)) {
+            fs.mkdirSync(this.backupDir, { recursive: true });
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const fileName = `projects-${timestamp}-${reason}.db`;
+        const backupPath = path.join(this.backupDir, fileName);
+
+        try {
+            // Online backup copies a consistent snapshot even while the app keeps writing
+            await this.copyDatabase(backupPath, true);
+
+            const integrity = await this.checkIntegrity(backupPath);
+            if (!integrity.ok) {
+                fs.unlinkSync(backupPath);
+                throw new Error(`Backup failed integrity check: ${integrity.messages.join('; ')}`);
+            }
+
+            const removed = rotate ? this.rotateBackups() : [];
+
+            console.log(`💾 Database backed up to ${fileName}`);
+            return {
+                success: true,
+                data: this.describeBackup(fileName),
+                removed: removed,
+                message: `Database backed up to ${fileName}`
+            };
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async restoreBackup(fileName) {
+        const backupPath = path.join(this.backupDir, path.basename(fileName));
+        if (!fs.existsSync(backupPath)) {
+            return { success: false, error: `Backup ${fileName} not found` };
+        }
+
+        const integrity = await this.checkIntegrity(backupPath);
+        if (!integrity.ok) {
+            return { success: false, error: `Backup ${fileName} is corrupt: ${integrity.messages.join('; ')}` };
+        }
+
+        // Keep the current state around in case the restore was a mistake; skip rotation
+        // so the backup being restored cannot be pruned underneath us
+        const safety = await this.createBackup('pre-restore', { rotate: false });
+
+        this.isRunning = true;
+        let migration;
+        try {
+            await this.copyDatabase(backupPath, false);
+
+            // An older backup lacks the tables later migrations added; bring it up to this build's schema
+            try {
+                migration = await new MigrationRunner(this.db).migrate();
+            } catch (error) {
+                // E.g. a backup taken by a newer build - put back what was there before
+                await this.copyDatabase(path.join(this.backupDir, safety.data.fileName), false);
+                return {
+                    success: false,
+                    error: `Backup ${fileName} could not be brought up to date (${error.message}). The database was left as it was.`
+                };
+            }
+        } finally {
+            this.isRunning = false;
+        }
+
+        const upgraded = migration.applied.length > 0 ?
+            ` Its schema was upgraded from version ${migration.currentVersion} to ${migration.targetVersion}.` : '';
+        console.log(`♻️ Database restored from ${fileName}${upgraded ? ` (schema ${migration.currentVersion} → ${migration.targetVersion})` : ''}`);
+        return {
+            success: true,
+            message: `Database restored from ${fileName}.${upgraded} Previous state saved as ${safety.data.fileName}.`,
+            safetyBackup: safety.data.fileName
+        };
+    }
+
+    listBackups() {
+        if (!fs.existsSync(this.backupDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.backupDir)
+            .filter(file => /^projects-.+\.db$/.test(file))
+            .map(file => this.describeBackup(file))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    describeBackup(fileName) {
+        const stats = fs.statSync(path.join(this.backupDir, fileName));
+        const match = fileName.match(/^projects-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-(.+)\.db$/);
+
+        return {
+            fileName: fileName,
+            size: stats.size,
+            reason: match ? match[6] : 'unknown',
+            createdAt: match ?
+                `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` :
+                stats.mtime.toISOString()
+        };
+    }
+
+    rotateBackups() {
+        const removed = this.listBackups().slice(this.maxBackups);
+
+        removed.forEach(backup => {
+            fs.unlinkSync(path.join(this.backupDir, backup.fileName));
+        });
+
+        return removed.map(backup => backup.fileName);
+    }
+
+    // toFile = true copies the live database into filePath, false copies filePath over it
+    copyDatabase(filePath, toFile) {
+        return new Promise((resolve, reject) => {
+            const backup = this.db.backup(filePath, 'main', 'main', toFile, (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                backup.step(-1, (stepErr) => {
+                    if (stepErr) {
+                        backup.finish(() => reject(stepErr));
+                        return;
+                    }
+
+                    backup.finish((finishErr) => {
+                        if (finishErr) {
+                            reject(finishErr);
+                        } else {
+                            resolve();
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    checkIntegrity(filePath) {
+        return new Promise((resolve, reject) => {
+            // Not read-only: checking an FTS5 index (the chat search) needs a writable connection
+            const backupDb = new sqlite3.Database(filePath, sqlite3.OPEN_READWRITE, (openErr) => {
+                if (openErr) {
+                    reject(openErr);
+                    return;
+                }
+
+                backupDb.all('PRAGMA integrity_check', [], (err, rows) => {
+                    backupDb.close();
+
+                    if (err) {
+                        resolve({ ok: false, messages: [err.message] });
+                        return;
+                    }
+
+                    const messages = rows.map(row => row.integrity_check);
+                    resolve({ ok: messages.length === 1 && messages[0] === 'ok', messages: messages });
+                });
+            });
+        });
+    }
+}
+
+module.exports = DatabaseBackup;
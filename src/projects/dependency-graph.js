@@ -0,0 +1,187 @@
+const HOUR_MS = 60 * 60 * 1000;
+const EPSILON = 0.0001;
+
+class DependencyGraph {
+    constructor(nodes = [], edges = []) {
+        // nodes: [{ id, ... }], edges: [{ from, to }] where "from" depends on "to"
+        this.nodes = new Map();
+        this.predecessors = new Map();
+        this.successors = new Map();
+
+        nodes.forEach(node => this.addNode(node));
+        edges.forEach(edge => this.addEdge(edge.from, edge.to));
+    }
+
+    addNode(node) {
+        this.nodes.set(node.id, node);
+        if (!this.predecessors.has(node.id)) this.predecessors.set(node.id, new Set());
+        if (!this.successors.has(node.id)) this.successors.set(node.id, new Set());
+    }
+
+    addEdge(from, to) {
+        if (!this.predecessors.has(from)) this.predecessors.set(from, new Set());
+        if (!this.successors.has(to)) this.successors.set(to, new Set());
+        this.predecessors.get(from).add(to);
+        this.successors.get(to).add(from);
+    }
+
+    // Returns the dependency chain that adding "from depends on to" would close, or null
+    findCycle(from, to) {
+        if (from === to) {
+            return [from, to];
+        }
+
+        // A cycle exists if "from" is already reachable from "to" through its dependencies
+        const visited = new Set();
+        const stack = [[to, [to]]];
+
+        while (stack.length > 0) {
+            const [current, trail] = stack.pop();
+            if (current === from) {
+                return [from, ...trail];
+            }
+            if (visited.has(current)) continue;
+            visited.add(current);
+
+            (this.predecessors.get(current) || new Set()).forEach(next => {
+                stack.push([next, [...trail, next]]);
+            });
+        }
+
+        return null;
+    }
+
+    topologicalOrder() {
+        const inDegree = new Map();
+        this.nodes.forEach((node, id) => {
+            const deps = [...(this.predecessors.get(id) || [])].filter(dep => this.nodes.has(dep));
+            inDegree.set(id, deps.length);
+        });
+
+        const queue = [...inDegree.keys()].filter(id => inDegree.get(id) === 0);
+        const order = [];
+
+        while (queue.length > 0) {
+            const id = queue.shift();
+            order.push(id);
+
+            (this.successors.get(id) || new Set()).forEach(next => {
+                if (!inDegree.has(next)) return;
+                inDegree.set(next, inDegree.get(next) - 1);
+                if (inDegree.get(next) === 0) {
+                    queue.push(next);
+                }
+            });
+        }
+
+        if (order.length !== this.nodes.size) {
+            throw new Error('Dependency graph contains a cycle');
+        }
+
+        return order;
+    }
+
+    // nodes are expected to carry { duration (hours), deadline (Date|null), done (bool) }
+    computeCriticalPath(startDate = new Date()) {
+        const order = this.topologicalOrder();
+        const origin = startDate.getTime();
+        const schedule = new Map();
+
+        // Forward pass: earliest start/finish in hours from the origin
+        order.forEach(id => {
+            const node = this.nodes.get(id);
+            const duration = node.done ? 0 : Math.max(0, node.duration || 0);
+            let earliestStart = 0;
+
+            (this.predecessors.get(id) || new Set()).forEach(dep => {
+                if (schedule.has(dep)) {
+                    earliestStart = Math.max(earliestStart, schedule.get(dep).earliestFinish);
+                }
+            });
+
+            schedule.set(id, {
+                duration: duration,
+                earliestStart: earliestStart,
+                earliestFinish: earliestStart + duration
+            });
+        });
+
+        const projectDuration = order.reduce((max, id) => Math.max(max, schedule.get(id).earliestFinish), 0);
+
+        // Backward pass: latest start/finish bounded by successors and due dates
+        [...order].reverse().forEach(id => {
+            const node = this.nodes.get(id);
+            const entry = schedule.get(id);
+            let latestFinish = projectDuration;
+
+            (this.successors.get(id) || new Set()).forEach(next => {
+                if (schedule.has(next) && schedule.get(next).latestStart !== undefined) {
+                    latestFinish = Math.min(latestFinish, schedule.get(next).latestStart);
+                }
+            });
+
+            if (node.deadline && !node.done) {
+                latestFinish = Math.min(latestFinish, (node.deadline.getTime() - origin) / HOUR_MS);
+            }
+
+            entry.latestFinish = latestFinish;
+            entry.latestStart = latestFinish - entry.duration;
+            entry.slack = entry.latestStart - entry.earliestStart;
+        });
+
+        // The critical chain is made of the tasks with the least slack (negative when a due date cannot be met)
+        const pending = order.filter(id => !this.nodes.get(id).done);
+        const minSlack = pending.length > 0 ?
+            Math.min(...pending.map(id => schedule.get(id).slack)) : 0;
+
+        pending.forEach(id => {
+            schedule.get(id).isCritical = schedule.get(id).slack <= minSlack + EPSILON;
+        });
+
+        const criticalPath = this.traceCriticalChain(schedule);
+
+        return {
+            order: order,
+            schedule: schedule,
+            projectDuration: projectDuration,
+            minSlack: minSlack,
+            criticalPath: criticalPath
+        };
+    }
+
+    traceCriticalChain(schedule) {
+        // Start from the critical task that finishes last and walk back through the
+        // critical predecessors that actually drive its earliest start
+        let current = null;
+        schedule.forEach((entry, id) => {
+            if (!entry.isCritical) return;
+            if (current === null || entry.earliestFinish > schedule.get(current).earliestFinish) {
+                current = id;
+            }
+        });
+
+        const chain = [];
+        while (current !== null) {
+            chain.unshift(current);
+            const entry = schedule.get(current);
+            let driver = null;
+
+            (this.predecessors.get(current) || new Set()).forEach(dep => {
+                const depEntry = schedule.get(dep);
+                if (depEntry && depEntry.isCritical &&
+                    Math.abs(depEntry.earliestFinish - entry.earliestStart) < EPSILON &&
+                    !chain.includes(dep)) {
+                    driver = dep;
+                }
+            });
+
+            current = driver;
+        }
+
+        return chain;
+    }
+}
+
+DependencyGraph.HOUR_MS = HOUR_MS;
+
+module.exports = DependencyGraph;
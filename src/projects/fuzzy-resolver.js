@@ -0,0 +1,142 @@
+// Words treated as the same thing when matching whole words; the first entry of each group is canonical.
+// Partial words are never expanded, so "pla" does not reach "bed" through "plate".
+const DEFAULT_SYNONYMS = [
+    ['adhesive', 'glue'],
+    ['screw', 'bolt'],
+    ['plate', 'bed', 'sheet'],
+    ['filament', 'spool'],
+    ['wire', 'cable', 'lead'],
+    ['board', 'pcb'],
+    ['led', 'light']
+];
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'for', 'my', 'some', 'item', 'items']);
+
+class FuzzyResolver {
+    constructor(options = {}) {
+        this.threshold = options.threshold || 0.5;
+        // A match only wins outright if it beats the runner-up by this much
+        this.margin = options.margin || 0.15;
+        this.maxCandidates = options.maxCandidates || 5;
+
+        this.synonyms = new Map();
+        [...DEFAULT_SYNONYMS, ...(options.synonyms || [])].forEach(group => {
+            const canonical = this.singularize(group[0].toLowerCase());
+            group.forEach(word => this.synonyms.set(this.singularize(word.toLowerCase()), canonical));
+        });
+    }
+
+    // candidates: rows with a name (or whatever getName returns)
+    // Returns { match, candidates, needsDisambiguation }
+    resolve(query, candidates, getName = (candidate) => candidate.name) {
+        const queryTokens = this.tokenize(query);
+        if (queryTokens.length === 0) {
+            return { match: null, candidates: [], needsDisambiguation: false };
+        }
+
+        // The exact name wins even when longer names ("Drone Frame v2") score close to it
+        const exactName = String(query).trim().toLowerCase();
+        const exact = candidates.filter(candidate => String(getName(candidate) || '').trim().toLowerCase() === exactName);
+        if (exact.length === 1) {
+            return { match: exact[0], score: 1, candidates: [exact[0]], needsDisambiguation: false };
+        }
+
+        const scored = candidates
+            .map(candidate => ({ candidate, score: this.score(queryTokens, this.tokenize(getName(candidate) || '')) }))
+            .filter(entry => entry.score >= this.threshold)
+            .sort((a, b) => b.score - a.score);
+
+        if (scored.length === 0) {
+            return { match: null, candidates: [], needsDisambiguation: false };
+        }
+
+        const [best, runnerUp] = scored;
+        if (!runnerUp || best.score - runnerUp.score >= this.margin) {
+            return { match: best.candidate, score: best.score, candidates: [best.candidate], needsDisambiguation: false };
+        }
+
+        // Several names fit about equally well - hand the choice back to the user
+        const close = scored.filter(entry => best.score - entry.score < this.margin).slice(0, this.maxCandidates);
+        return {
+            match: null,
+            candidates: close.map(entry => entry.candidate),
+            needsDisambiguation: true
+        };
+    }
+
+    score(queryTokens, nameTokens) {
+        if (nameTokens.length === 0) {
+            return 0;
+        }
+
+        const query = queryTokens.join(' ');
+        const name = nameTokens.join(' ');
+        if (query === name || queryTokens.map(token => this.canonical(token)).join(' ') === nameTokens.map(token => this.canonical(token)).join(' ')) {
+            return 1;
+        }
+
+        const matched = queryTokens.filter(token => nameTokens.some(nameToken => this.tokensMatch(token, nameToken)));
+        const coverage = matched.length / queryTokens.length;
+
+        let score = 0;
+        if (coverage === 1) {
+            // Every word the user said is in the name; prefer names without many extra words
+            score = 0.7 + 0.25 * (queryTokens.length / Math.max(queryTokens.length, nameTokens.length));
+        } else if (matched.length > 0) {
+            score = 0.6 * coverage;
+        }
+
+        // Catch typos such as "adhesve" that token matching misses
+        score = Math.max(score, 0.85 * this.similarity(query, name));
+
+        return score;
+    }
+
+    tokensMatch(a, b) {
+        if (a === b || this.canonical(a) === this.canonical(b)) return true;
+        // Allow partial words like "adh" or "screwdriv" once they are long enough to be meaningful
+        if (a.length >= 3 && b.startsWith(a)) return true;
+        return a.length >= 5 && b.length >= 5 && this.similarity(a, b) >= 0.8;
+    }
+
+    tokenize(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word && !STOP_WORDS.has(word))
+            .map(word => this.singularize(word));
+    }
+
+    canonical(word) {
+        return this.synonyms.get(word) || word;
+    }
+
+    singularize(word) {
+        if (word.length <= 3 || word.endsWith('ss')) return word;
+        if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+        if (/(ches|shes|xes|ses|zes)$/.test(word)) return word.slice(0, -2);
+        if (word.endsWith('s')) return word.slice(0, -1);
+        return word;
+    }
+
+    // 1 - normalised Levenshtein distance
+    similarity(a, b) {
+        if (a === b) return 1;
+        if (!a.length || !b.length) return 0;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
+    }
+}
+
+module.exports = FuzzyResolver;
@@ -0,0 +1,166 @@
+const path = require('path');
+const fs = require('fs');
+
+class MigrationRunner {
+    constructor(db, migrationsDir = path.join(__dirname, 'migrations')) {
+        this.db = db;
+        this.migrationsDir = migrationsDir;
+    }
+
+    run(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ lastID: this.lastID, changes: this.changes });
+                }
+            });
+        });
+    }
+
+    all(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    loadMigrations() {
+        const migrations = fs.readdirSync(this.migrationsDir)
+            .filter(file => /^\d+-.+\.js$/.test(file))
+            .map(file => ({ file, ...require(path.join(this.migrationsDir, file)) }))
+            .sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, index) => {
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migration ${migration.file} does not export an up() function`);
+            }
+            if (migration.version !== index + 1) {
+                throw new Error(`Migration ${migration.file} has version ${migration.version}, expected ${index + 1}`);
+            }
+        });
+
+        return migrations;
+    }
+
+    async getCurrentVersion() {
+        const tables = await this.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'");
+        if (tables.length === 0) {
+            return 0;
+        }
+
+        const rows = await this.all('SELECT MAX(version) as version FROM schema_version');
+        return rows[0].version || 0;
+    }
+
+    // Helpers handed to each migration's up()
+    createContext(statements) {
+        return {
+            run: async (query, params = []) => {
+                statements.push(query.trim().replace(/\s+/g, ' '));
+                return this.run(query, params);
+            },
+            all: (query, params = []) => this.all(query, params),
+            hasColumn: async (table, column) => {
+                const columns = await this.all(`PRAGMA table_info(${table})`);
+                return columns.some(col => col.name === column);
+            },
+            addColumnIfMissing: async (table, column, definition) => {
+                const columns = await this.all(`PRAGMA table_info(${table})`);
+                if (columns.some(col => col.name === column)) {
+                    return false;
+                }
+                const query = `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`;
+                statements.push(query);
+                await this.run(query);
+                return true;
+            }
+        };
+    }
+
+    async migrate(options = {}) {
+        const { dryRun = false } = options;
+        const migrations = this.loadMigrations();
+        const targetVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+        const currentVersion = await this.getCurrentVersion();
+
+        if (currentVersion > targetVersion) {
+            throw new Error(
+                `Database schema is at version ${currentVersion} but this build only knows up to version ${targetVersion}. ` +
+                'Refusing to start to avoid corrupting data - update the application or restore a matching backup.'
+            );
+        }
+
+        const pending = migrations.filter(migration => migration.version > currentVersion);
+        const result = {
+            dryRun: dryRun,
+            currentVersion: currentVersion,
+            targetVersion: targetVersion,
+            applied: [],
+            statements: []
+        };
+
+        if (pending.length === 0) {
+            return result;
+        }
+
+        if (dryRun) {
+            // Run everything inside one transaction and roll it back so errors still surface
+            await this.run('BEGIN IMMEDIATE');
+            try {
+                await this.ensureVersionTable();
+                for (const migration of pending) {
+                    await migration.up(this.createContext(result.statements));
+                    result.applied.push({ version: migration.version, name: migration.name });
+                }
+            } finally {
+                await this.run('ROLLBACK');
+            }
+            return result;
+        }
+
+        for (const migration of pending) {
+            await this.run('BEGIN IMMEDIATE');
+            try {
+                await this.ensureVersionTable();
+
+                // Another connection may have applied it while we waited for the lock
+                const rows = await this.all('SELECT version FROM schema_version WHERE version = ?', [migration.version]);
+                if (rows.length > 0) {
+                    await this.run('ROLLBACK');
+                    continue;
+                }
+
+                await migration.up(this.createContext(result.statements));
+                await this.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+                await this.run('COMMIT');
+
+                result.applied.push({ version: migration.version, name: migration.name });
+                console.log(`🗄️ Applied migration ${migration.version}: ${migration.name}`);
+            } catch (error) {
+                await this.run('ROLLBACK').catch(() => {});
+                throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+            }
+        }
+
+        return result;
+    }
+
+    async ensureVersionTable() {
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS schema_version (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+}
+
+module.exports = MigrationRunner;
@@ -0,0 +1,120 @@
+// Baseline schema as it existed before versioned migrations were introduced.
+// Uses IF NOT EXISTS so databases created by older builds are adopted as-is.
+module.exports = {
+    version: 1,
+    name: 'initial-schema',
+
+    async up(migration) {
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS projects (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                description TEXT,
+                type TEXT,
+                status TEXT DEFAULT 'active',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                deadline DATETIME,
+                priority INTEGER DEFAULT 1,
+                progress REAL DEFAULT 0.0,
+                tags TEXT,
+                file_path TEXT,
+                metadata TEXT
+            )
+        `);
+
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS tasks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER,
+                title TEXT NOT NULL,
+                description TEXT,
+                status TEXT DEFAULT 'pending',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                due_date DATETIME,
+                priority INTEGER DEFAULT 1,
+                estimated_hours REAL,
+                actual_hours REAL,
+                assigned_to TEXT,
+                dependencies TEXT,
+                FOREIGN KEY (project_id) REFERENCES projects (id)
+            )
+        `);
+
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS notes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER,
+                content TEXT NOT NULL,
+                context TEXT,
+                tags TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                note_type TEXT DEFAULT 'general',
+                attachments TEXT,
+                FOREIGN KEY (project_id) REFERENCES projects (id)
+            )
+        `);
+
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS inventory (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                description TEXT,
+                category TEXT,
+                quantity REAL DEFAULT 0,
+                unit TEXT,
+                cost_per_unit REAL,
+                supplier TEXT,
+                location TEXT,
+                min_quantity REAL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used DATETIME,
+                project_id INTEGER,
+                FOREIGN KEY (project_id) REFERENCES projects (id)
+            )
+        `);
+
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS timeline_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER,
+                event_type TEXT NOT NULL,
+                title TEXT NOT NULL,
+                description TEXT,
+                start_date DATETIME NOT NULL,
+                end_date DATETIME,
+                status TEXT DEFAULT 'scheduled',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                dependencies TEXT,
+                resources_needed TEXT,
+                FOREIGN KEY (project_id) REFERENCES projects (id)
+            )
+        `);
+
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS reminders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER,
+                title TEXT NOT NULL,
+                description TEXT,
+                reminder_type TEXT DEFAULT 'one_time',
+                reminder_date DATETIME NOT NULL,
+                is_recurring INTEGER DEFAULT 0,
+                recurrence_pattern TEXT,
+                recurrence_end_date DATETIME,
+                status TEXT DEFAULT 'active',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                created_by TEXT DEFAULT 'manual',
+                priority INTEGER DEFAULT 1,
+                notification_sent INTEGER DEFAULT 0,
+                last_reminded DATETIME,
+                snooze_until DATETIME,
+                FOREIGN KEY (project_id) REFERENCES projects (id)
+            )
+        `);
+    }
+};
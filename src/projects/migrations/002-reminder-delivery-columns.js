@@ -0,0 +1,14 @@
+// Reminder delivery columns were added to CREATE TABLE after some databases
+// already existed, so those never received them.
+module.exports = {
+    version: 2,
+    name: 'reminder-delivery-columns',
+
+    async up(migration) {
+        await migration.addColumnIfMissing('reminders', 'created_by', "TEXT DEFAULT 'manual'");
+        await migration.addColumnIfMissing('reminders', 'priority', 'INTEGER DEFAULT 1');
+        await migration.addColumnIfMissing('reminders', 'notification_sent', 'INTEGER DEFAULT 0');
+        await migration.addColumnIfMissing('reminders', 'last_reminded', 'DATETIME');
+        await migration.addColumnIfMissing('reminders', 'snooze_until', 'DATETIME');
+    }
+};
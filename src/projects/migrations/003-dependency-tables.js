@@ -0,0 +1,77 @@
+const DependencyGraph = require('../dependency-graph');
+
+// Dependencies used to be free text on the row. The ids in it become rows in the join tables when those
+// are first created; anything that does not name another row of the same table, or would close a cycle,
+// is dropped. Databases that already had the tables converted their text back then.
+const LEGACY_DEPENDENCIES = [
+    { source: 'tasks', table: 'task_dependencies', column: 'task_id', dependsOnColumn: 'depends_on_task_id' },
+    { source: 'timeline_events', table: 'timeline_dependencies', column: 'event_id', dependsOnColumn: 'depends_on_event_id' }
+];
+
+// Accepts "3,4", "3, 4", "[3,4]" and the like; words are not ids
+function parseLegacyIds(value) {
+    let list;
+    try {
+        const parsed = JSON.parse(value);
+        list = Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+        list = String(value).split(/[,;\s]+/);
+    }
+    return [...new Set(list.map(id => String(id).trim()).filter(id => /^\d+$/.test(id)).map(Number))];
+}
+
+module.exports = {
+    version: 3,
+    name: 'dependency-tables',
+
+    async up(migration) {
+        const existing = await migration.all(
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('task_dependencies', 'timeline_dependencies')"
+        );
+        const alreadyCreated = new Set(existing.map(row => row.name));
+
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS task_dependencies (
+                task_id INTEGER NOT NULL,
+                depends_on_task_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (task_id, depends_on_task_id),
+                FOREIGN KEY (task_id) REFERENCES tasks (id) ON DELETE CASCADE,
+                FOREIGN KEY (depends_on_task_id) REFERENCES tasks (id) ON DELETE CASCADE
+            )
+        `);
+
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS timeline_dependencies (
+                event_id INTEGER NOT NULL,
+                depends_on_event_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (event_id, depends_on_event_id),
+                FOREIGN KEY (event_id) REFERENCES timeline_events (id) ON DELETE CASCADE,
+                FOREIGN KEY (depends_on_event_id) REFERENCES timeline_events (id) ON DELETE CASCADE
+            )
+        `);
+
+        for (const legacy of LEGACY_DEPENDENCIES) {
+            if (alreadyCreated.has(legacy.table) || !await migration.hasColumn(legacy.source, 'dependencies')) continue;
+
+            const rows = await migration.all(`SELECT id, dependencies FROM ${legacy.source}`);
+            const ids = new Set(rows.map(row => row.id));
+            const graph = new DependencyGraph([], []);
+
+            for (const row of rows) {
+                if (row.dependencies === null || row.dependencies === '') continue;
+
+                for (const dependsOnId of parseLegacyIds(row.dependencies)) {
+                    if (!ids.has(dependsOnId) || graph.findCycle(row.id, dependsOnId)) continue;
+
+                    await migration.run(
+                        `INSERT OR IGNORE INTO ${legacy.table} (${legacy.column}, ${legacy.dependsOnColumn}) VALUES (?, ?)`,
+                        [row.id, dependsOnId]
+                    );
+                    graph.addEdge(row.id, dependsOnId);
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,12 @@
+// recurrence_anchor keeps the first occurrence so monthly rules can return to the
+// 31st after a short month; occurrence_count backs COUNT-limited rules.
+module.exports = {
+    version: 4,
+    name: 'reminder-recurrence',
+
+    async up(migration) {
+        await migration.addColumnIfMissing('reminders', 'recurrence_anchor', 'DATETIME');
+        await migration.addColumnIfMissing('reminders', 'occurrence_count', 'INTEGER DEFAULT 0');
+        await migration.run('UPDATE reminders SET recurrence_anchor = reminder_date WHERE is_recurring = 1 AND recurrence_anchor IS NULL');
+    }
+};
@@ -0,0 +1,36 @@
+module.exports = {
+    version: 5,
+    name: 'inventory-transactions',
+
+    async up(migration) {
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS inventory_transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                item_id INTEGER NOT NULL,
+                delta REAL NOT NULL,
+                quantity_before REAL,
+                quantity_after REAL,
+                reason TEXT,
+                project_id INTEGER,
+                user TEXT,
+                source TEXT DEFAULT 'ui',
+                reverses_transaction_id INTEGER,
+                reversed_by_transaction_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (item_id) REFERENCES inventory (id),
+                FOREIGN KEY (project_id) REFERENCES projects (id),
+                FOREIGN KEY (reverses_transaction_id) REFERENCES inventory_transactions (id)
+            )
+        `);
+
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_inventory_transactions_item ON inventory_transactions (item_id, created_at)');
+
+        // Seed the ledger with current stock so history adds up to today's quantities
+        await migration.run(`
+            INSERT INTO inventory_transactions (item_id, delta, quantity_before, quantity_after, reason, source)
+            SELECT id, quantity, 0, quantity, 'Opening balance', 'migration'
+            FROM inventory
+            WHERE quantity != 0
+        `);
+    }
+};
@@ -0,0 +1,11 @@
+// Low-stock alerts are raised as reminders linked back to the inventory item,
+// and the item remembers when it last alerted so a dip below the threshold only alerts once.
+module.exports = {
+    version: 6,
+    name: 'low-stock-alerts',
+
+    async up(migration) {
+        await migration.addColumnIfMissing('inventory', 'low_stock_alerted_at', 'DATETIME');
+        await migration.addColumnIfMissing('reminders', 'inventory_item_id', 'INTEGER REFERENCES inventory (id)');
+    }
+};
@@ -0,0 +1,26 @@
+module.exports = {
+    version: 7,
+    name: 'project-bom',
+
+    async up(migration) {
+        // reserved_quantity is stock set aside but still on the shelf; consumed_quantity has left inventory
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS project_bom (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER NOT NULL,
+                item_id INTEGER NOT NULL,
+                required_quantity REAL NOT NULL DEFAULT 0,
+                reserved_quantity REAL NOT NULL DEFAULT 0,
+                consumed_quantity REAL NOT NULL DEFAULT 0,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (project_id, item_id),
+                FOREIGN KEY (project_id) REFERENCES projects (id),
+                FOREIGN KEY (item_id) REFERENCES inventory (id)
+            )
+        `);
+
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_project_bom_item ON project_bom (item_id)');
+    }
+};
@@ -0,0 +1,33 @@
+module.exports = {
+    version: 8,
+    name: 'print-queue',
+
+    async up(migration) {
+        // printer_id NULL means "any compatible printer"; position orders queued jobs
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS print_jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                file_name TEXT NOT NULL,
+                file_path TEXT,
+                printer_id TEXT,
+                assigned_printer_id TEXT,
+                material TEXT,
+                priority INTEGER DEFAULT 3,
+                position INTEGER NOT NULL DEFAULT 0,
+                status TEXT NOT NULL DEFAULT 'queued',
+                project_id INTEGER,
+                notes TEXT,
+                error TEXT,
+                attempts INTEGER DEFAULT 0,
+                created_by TEXT DEFAULT 'manual',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                started_at DATETIME,
+                finished_at DATETIME,
+                FOREIGN KEY (project_id) REFERENCES projects (id)
+            )
+        `);
+
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_print_jobs_status ON print_jobs (status, position)');
+    }
+};
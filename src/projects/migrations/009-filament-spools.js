@@ -0,0 +1,34 @@
+// Spools are tracked individually by weight; inventory_item_id links a spool to the stock row it counts against.
+// print_jobs remember the spool they ran on and how much filament they were expected to use and did use.
+module.exports = {
+    version: 9,
+    name: 'filament-spools',
+
+    async up(migration) {
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS filament_spools (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                inventory_item_id INTEGER,
+                material TEXT NOT NULL,
+                color TEXT,
+                brand TEXT,
+                diameter REAL DEFAULT 1.75,
+                initial_grams REAL NOT NULL DEFAULT 1000,
+                remaining_grams REAL NOT NULL DEFAULT 1000,
+                printer_id TEXT,
+                loaded_at DATETIME,
+                status TEXT NOT NULL DEFAULT 'active',
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (inventory_item_id) REFERENCES inventory (id)
+            )
+        `);
+
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_filament_spools_printer ON filament_spools (printer_id)');
+
+        await migration.addColumnIfMissing('print_jobs', 'spool_id', 'INTEGER REFERENCES filament_spools (id)');
+        await migration.addColumnIfMissing('print_jobs', 'estimated_grams', 'REAL');
+        await migration.addColumnIfMissing('print_jobs', 'used_grams', 'REAL');
+    }
+};
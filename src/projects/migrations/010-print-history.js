@@ -0,0 +1,14 @@
+// print_jobs doubles as the print history: direct prints get a row too, and finished jobs can be annotated.
+// printer_name is kept so history still reads right after a printer is renamed or removed from the config.
+module.exports = {
+    version: 10,
+    name: 'print-history',
+
+    async up(migration) {
+        await migration.addColumnIfMissing('print_jobs', 'printer_name', 'TEXT');
+        await migration.addColumnIfMissing('print_jobs', 'failure_reason', 'TEXT');
+        await migration.addColumnIfMissing('print_jobs', 'operator_notes', 'TEXT');
+
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_print_jobs_finished ON print_jobs (finished_at)');
+    }
+};
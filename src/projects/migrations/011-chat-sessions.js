@@ -0,0 +1,61 @@
+// Chat conversations as named sessions. in_context marks messages that were part of the model's context;
+// quick commands (reminders, notes, help) are kept for the transcript only. chat_messages_fts is an
+// external-content FTS5 index over the message text, kept in sync by triggers.
+module.exports = {
+    version: 11,
+    name: 'chat-sessions',
+
+    async up(migration) {
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS chat_sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                title TEXT,
+                project_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (project_id) REFERENCES projects (id)
+            )
+        `);
+
+        await migration.run(`
+            CREATE TABLE IF NOT EXISTS chat_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id INTEGER NOT NULL,
+                role TEXT NOT NULL,
+                content TEXT NOT NULL DEFAULT '',
+                in_context INTEGER NOT NULL DEFAULT 1,
+                metadata TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (session_id) REFERENCES chat_sessions (id) ON DELETE CASCADE
+            )
+        `);
+
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_chat_messages_session ON chat_messages (session_id, id)');
+        await migration.run('CREATE INDEX IF NOT EXISTS idx_chat_sessions_updated ON chat_sessions (updated_at)');
+
+        await migration.run(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS chat_messages_fts USING fts5 (
+                content,
+                content = 'chat_messages',
+                content_rowid = 'id'
+            )
+        `);
+
+        await migration.run(`
+            CREATE TRIGGER IF NOT EXISTS chat_messages_fts_insert AFTER INSERT ON chat_messages BEGIN
+                INSERT INTO chat_messages_fts (rowid, content) VALUES (new.id, new.content);
+            END
+        `);
+        await migration.run(`
+            CREATE TRIGGER IF NOT EXISTS chat_messages_fts_delete AFTER DELETE ON chat_messages BEGIN
+                INSERT INTO chat_messages_fts (chat_messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+            END
+        `);
+        await migration.run(`
+            CREATE TRIGGER IF NOT EXISTS chat_messages_fts_update AFTER UPDATE OF content ON chat_messages BEGIN
+                INSERT INTO chat_messages_fts (chat_messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+                INSERT INTO chat_messages_fts (rowid, content) VALUES (new.id, new.content);
+            END
+        `);
+    }
+};
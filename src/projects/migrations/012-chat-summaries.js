@@ -0,0 +1,11 @@
+// Long chats are compressed into a rolling summary. summarized_through is the id of the last message the
+// summary covers; resuming a session loads the summary plus the messages after it.
+module.exports = {
+    version: 12,
+    name: 'chat-summaries',
+
+    async up(migration) {
+        await migration.addColumnIfMissing('chat_sessions', 'summary', 'TEXT');
+        await migration.addColumnIfMissing('chat_sessions', 'summarized_through', 'INTEGER');
+    }
+};
@@ -1,12 +1,57 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const DependencyGraph = require('./dependency-graph');
+const MigrationRunner = require('./migration-runner');
+const RecurrenceRule = require('./recurrence');
+const FuzzyResolver = require('./fuzzy-resolver');
+const ActionRegistry = require('../core/action-registry');
+
+// Join tables that back task and timeline dependencies ("item depends on depends_on")
+const DEPENDENCY_TABLES = {
+    task: {
+        table: 'task_dependencies',
+        column: 'task_id',
+        dependsOnColumn: 'depends_on_task_id',
+        sourceTable: 'tasks',
+        label: 'Task'
+    },
+    timeline: {
+        table: 'timeline_dependencies',
+        column: 'event_id',
+        dependsOnColumn: 'depends_on_event_id',
+        sourceTable: 'timeline_events',
+        label: 'Timeline event'
+    }
+};
+
+const BUSY_TIMEOUT_MS = 5000;
+const BUSY_RETRY_MS = 20;
+
+// Reminder times are stored as UTC ISO strings. Older rows can hold local "YYYY-MM-DD HH:MM" times,
+// so queries compare them through datetime() instead of as text.
+const reminderTime = (column) =>
+    `CASE WHEN ${column} LIKE '%Z' OR ${column} GLOB '*[+-][0-9][0-9]:[0-9][0-9]' THEN datetime(${column}) ELSE datetime(${column}, 'utc') END`;
+
+function toStoredTime(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date "${value}"`);
+    }
+    return date.toISOString();
+}
 
 class ProjectManager {
     constructor() {
         this.db = null;
+        // Transactions get a connection of their own, so writes made elsewhere in the meantime are not
+        // swept into them; SQLite's lock makes those wait for the COMMIT instead
+        this.transactionDb = null;
         this.dbPath = path.join(__dirname, '../../database/projects.db');
         this.isInitialized = false;
+        this.nameResolver = new FuzzyResolver();
+        // A connection holds one transaction at a time, so inTransaction() calls take turns
+        this.transactionChain = Promise.resolve();
     }
 
     async initialize() {
@@ -21,9 +66,16 @@ class ProjectManager {
             
             // Initialize SQLite database
             this.db = new sqlite3.Database(this.dbPath);
+            this.transactionDb = new sqlite3.Database(this.dbPath);
+            // The main process and the assistant each open the file; wait for the other's write lock
+            this.db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+            this.transactionDb.configure('busyTimeout', BUSY_TIMEOUT_MS);
             
-            // Create tables
-            await this.createTables();
+            // Bring the schema up to date
+            await this.runMigrations();
+
+            // Items that went low while nothing was watching, e.g. before low-stock alerts existed
+            await this.checkAllLowStock();
             
             this.isInitialized = true;
             console.log('✅ Project Manager initialized successfully');
@@ -34,135 +86,15 @@ class ProjectManager {
         }
     }
 
-    async createTables() {
-        return new Promise((resolve, reject) => {
-            const createProjectsTable = `
-                CREATE TABLE IF NOT EXISTS projects (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL,
-                    description TEXT,
-                    type TEXT,
-                    status TEXT DEFAULT 'active',
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    deadline DATETIME,
-                    priority INTEGER DEFAULT 1,
-                    progress REAL DEFAULT 0.0,
-                    tags TEXT,
-                    file_path TEXT,
-                    metadata TEXT
-                )
-            `;
-
-            const createTasksTable = `
-                CREATE TABLE IF NOT EXISTS tasks (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    project_id INTEGER,
-                    title TEXT NOT NULL,
-                    description TEXT,
-                    status TEXT DEFAULT 'pending',
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    due_date DATETIME,
-                    priority INTEGER DEFAULT 1,
-                    estimated_hours REAL,
-                    actual_hours REAL,
-                    assigned_to TEXT,
-                    dependencies TEXT,
-                    FOREIGN KEY (project_id) REFERENCES projects (id)
-                )
-            `;
-
-            const createNotesTable = `
-                CREATE TABLE IF NOT EXISTS notes (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    project_id INTEGER,
-                    content TEXT NOT NULL,
-                    context TEXT,
-                    tags TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    note_type TEXT DEFAULT 'general',
-                    attachments TEXT,
-                    FOREIGN KEY (project_id) REFERENCES projects (id)
-                )
-            `;
-
-            const createInventoryTable = `
-                CREATE TABLE IF NOT EXISTS inventory (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL,
-                    description TEXT,
-                    category TEXT,
-                    quantity REAL DEFAULT 0,
-                    unit TEXT,
-                    cost_per_unit REAL,
-                    supplier TEXT,
-                    location TEXT,
-                    min_quantity REAL DEFAULT 0,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    last_used DATETIME,
-                    project_id INTEGER,
-                    FOREIGN KEY (project_id) REFERENCES projects (id)
-                )
-            `;
-
-            const createTimelineTable = `
-                CREATE TABLE IF NOT EXISTS timeline_events (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    project_id INTEGER,
-                    event_type TEXT NOT NULL,
-                    title TEXT NOT NULL,
-                    description TEXT,
-                    start_date DATETIME NOT NULL,
-                    end_date DATETIME,
-                    status TEXT DEFAULT 'scheduled',
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    dependencies TEXT,
-                    resources_needed TEXT,
-                    FOREIGN KEY (project_id) REFERENCES projects (id)
-                )
-            `;
+    async runMigrations(options = {}) {
+        const runner = new MigrationRunner(this.db);
+        const result = await runner.migrate(options);
 
-            const createRemindersTable = `
-                CREATE TABLE IF NOT EXISTS reminders (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    project_id INTEGER,
-                    title TEXT NOT NULL,
-                    description TEXT,
-                    reminder_type TEXT DEFAULT 'one_time',
-                    reminder_date DATETIME NOT NULL,
-                    is_recurring INTEGER DEFAULT 0,
-                    recurrence_pattern TEXT,
-                    recurrence_end_date DATETIME,
-                    status TEXT DEFAULT 'active',
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    created_by TEXT DEFAULT 'manual',
-                    priority INTEGER DEFAULT 1,
-                    notification_sent INTEGER DEFAULT 0,
-                    last_reminded DATETIME,
-                    snooze_until DATETIME,
-                    FOREIGN KEY (project_id) REFERENCES projects (id)
-                )
-            `;
+        if (result.applied.length > 0 && !result.dryRun) {
+            console.log(`🗄️ Database schema migrated from version ${result.currentVersion} to ${result.targetVersion}`);
+        }
 
-            this.db.serialize(() => {
-                this.db.run(createProjectsTable);
-                this.db.run(createTasksTable);
-                this.db.run(createNotesTable);
-                this.db.run(createInventoryTable);
-                this.db.run(createTimelineTable);
-                this.db.run(createRemindersTable, (err) => {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve();
-                    }
-                });
-            });
-        });
+        return result;
     }
 
     async getAllProjects() {
@@ -266,7 +198,19 @@ class ProjectManager {
         });
     }
 
+    // Completing a project uses up its BOM, whether it is moved there, edited or changed from chat
     async updateProject(projectId, updates) {
+        const previous = updates.status === 'completed' ? await this.getProjectById(projectId) : null;
+        const result = await this.writeProjectUpdates(projectId, updates);
+
+        if (result.success && previous && previous.status !== 'completed') {
+            result.bomConsumption = await this.consumeProjectBom(projectId);
+            result.message += this.describeBomConsumption(result.bomConsumption);
+        }
+        return result;
+    }
+
+    async writeProjectUpdates(projectId, updates) {
         return new Promise((resolve, reject) => {
             const allowedFields = ['name', 'description', 'status', 'deadline', 'priority', 'progress', 'tags'];
             const updateFields = [];
@@ -406,6 +350,52 @@ class ProjectManager {
         });
     }
 
+    async updateNote(noteData) {
+        const noteId = noteData.id || noteData.noteId;
+        const updates = [];
+        const values = [];
+
+        if (noteData.content !== undefined) {
+            updates.push('content = ?');
+            values.push(noteData.content);
+        }
+        if (noteData.tags !== undefined) {
+            updates.push('tags = ?');
+            values.push(Array.isArray(noteData.tags) ? noteData.tags.join(',') : noteData.tags);
+        }
+        if (noteData.projectId !== undefined) {
+            updates.push('project_id = ?');
+            values.push(noteData.projectId);
+        }
+
+        if (!noteId) {
+            return { success: false, error: 'Note ID is required' };
+        }
+        if (updates.length === 0) {
+            return { success: false, error: 'No valid fields to update' };
+        }
+
+        const result = await this.runQuery(
+            `UPDATE notes SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...values, noteId]
+        );
+        return result.changes > 0 ?
+            { success: true, message: `Note ${noteId} updated` } :
+            { success: false, error: `Note ${noteId} not found` };
+    }
+
+    async deleteNote(noteData) {
+        const noteId = typeof noteData === 'object' ? noteData.id || noteData.noteId : noteData;
+        if (!noteId) {
+            return { success: false, error: 'Note ID is required' };
+        }
+
+        const result = await this.runQuery('DELETE FROM notes WHERE id = ?', [noteId]);
+        return result.changes > 0 ?
+            { success: true, message: `Note ${noteId} deleted` } :
+            { success: false, error: `Note ${noteId} not found` };
+    }
+
     async addReminder(reminderData) {
         return new Promise((resolve, reject) => {
             const {
@@ -425,15 +415,35 @@ class ProjectManager {
                 return;
             }
 
+            let storedDate;
+            try {
+                storedDate = toStoredTime(reminderDate);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
+            // Validate the pattern up front so a typo fails now instead of at notification time
+            const recurring = Boolean(isRecurring || recurrencePattern);
+            if (recurring) {
+                try {
+                    new RecurrenceRule(recurrencePattern);
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+            }
+
             const query = `
                 INSERT INTO reminders (project_id, title, description, reminder_date, is_recurring, 
-                                     recurrence_pattern, recurrence_end_date, priority, created_by)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                                     recurrence_pattern, recurrence_end_date, priority, created_by, recurrence_anchor)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
 
             this.db.run(query, [
-                projectId, title, description, reminderDate, isRecurring ? 1 : 0, 
-                recurrencePattern, recurrenceEndDate, priority, createdBy
+                projectId, title, description, storedDate, recurring ? 1 : 0, 
+                recurring ? JSON.stringify(recurrencePattern) : null, recurrenceEndDate, priority, createdBy,
+                recurring ? storedDate : null
             ], function(err) {
                 if (err) {
                     reject(err);
@@ -442,8 +452,8 @@ class ProjectManager {
                         id: this.lastID,
                         projectId: projectId,
                         title: title,
-                        reminderDate: reminderDate,
-                        isRecurring: isRecurring
+                        reminderDate: storedDate,
+                        isRecurring: recurring
                     });
                 }
             });
@@ -474,18 +484,22 @@ class ProjectManager {
                 query += ' WHERE ' + conditions.join(' AND ');
             }
             
-            query += ' ORDER BY r.reminder_date ASC';
+            query += ` ORDER BY ${reminderTime('r.reminder_date')} ASC`;
 
             this.db.all(query, params, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
                     // Parse recurrence pattern if it exists
-                    const remindersWithParsedData = rows.map(reminder => ({
-                        ...reminder,
-                        is_recurring: Boolean(reminder.is_recurring),
-                        recurrence_pattern: reminder.recurrence_pattern ? JSON.parse(reminder.recurrence_pattern) : null
-                    }));
+                    const remindersWithParsedData = rows.map(reminder => {
+                        const pattern = this.parseRecurrencePattern(reminder.recurrence_pattern);
+                        return {
+                            ...reminder,
+                            is_recurring: Boolean(reminder.is_recurring),
+                            recurrence_pattern: pattern,
+                            recurrence_description: pattern ? this.describeRecurrence(pattern) : null
+                        };
+                    });
                     resolve(remindersWithParsedData);
                 }
             });
@@ -499,6 +513,24 @@ class ProjectManager {
             const updateFields = [];
             const values = [];
 
+            if (updates.recurrence_pattern) {
+                try {
+                    new RecurrenceRule(updates.recurrence_pattern);
+                } catch (error) {
+                    resolve({ success: false, error: error.message });
+                    return;
+                }
+            }
+
+            if (updates.reminder_date) {
+                try {
+                    updates = { ...updates, reminder_date: toStoredTime(updates.reminder_date) };
+                } catch (error) {
+                    resolve({ success: false, error: error.message });
+                    return;
+                }
+            }
+
             Object.keys(updates).forEach(key => {
                 if (allowedFields.includes(key)) {
                     updateFields.push(`${key} = ?`);
@@ -508,13 +540,19 @@ class ProjectManager {
                         value = value ? 1 : 0;
                     }
                     // Handle JSON stringification for recurrence_pattern
-                    if (key === 'recurrence_pattern' && typeof value === 'object') {
+                    if (key === 'recurrence_pattern' && value !== null) {
                         value = JSON.stringify(value);
                     }
                     values.push(value);
                 }
             });
 
+            // A new date restarts the series from that date
+            if (updates.reminder_date) {
+                updateFields.push('recurrence_anchor = ?', 'occurrence_count = 0', 'notification_sent = 0');
+                values.push(updates.reminder_date);
+            }
+
             if (updateFields.length === 0) {
                 resolve({ success: false, error: 'No valid fields to update' });
                 return;
@@ -559,6 +597,13 @@ class ProjectManager {
 
     async snoozeReminder(reminderId, snoozeUntil) {
         return new Promise((resolve, reject) => {
+            try {
+                snoozeUntil = toStoredTime(snoozeUntil);
+            } catch (error) {
+                resolve({ success: false, error: error.message });
+                return;
+            }
+
             const query = `UPDATE reminders SET snooze_until = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
 
             this.db.run(query, [snoozeUntil, reminderId], function(err) {
@@ -576,8 +621,28 @@ class ProjectManager {
     }
 
     async markReminderNotified(reminderId) {
+        const reminder = await this.getReminderById(reminderId);
+        if (!reminder) {
+            return { success: false, error: `Reminder ${reminderId} not found` };
+        }
+
+        // A snoozed occurrence coming back only needs its snooze cleared
+        const isNewOccurrence = !reminder.notification_sent && new Date(reminder.reminder_date) <= new Date();
+        if (!isNewOccurrence) {
+            await this.runQuery(
+                'UPDATE reminders SET snooze_until = NULL, last_reminded = CURRENT_TIMESTAMP WHERE id = ?',
+                [reminderId]
+            );
+            return { success: true, message: `Snoozed reminder ${reminderId} shown again` };
+        }
+
+        // Recurring reminders move on to their next occurrence instead of staying flagged
+        if (reminder.is_recurring) {
+            return await this.advanceReminder(reminder);
+        }
+
         return new Promise((resolve, reject) => {
-            const query = `UPDATE reminders SET notification_sent = 1, last_reminded = CURRENT_TIMESTAMP WHERE id = ?`;
+            const query = `UPDATE reminders SET notification_sent = 1, snooze_until = NULL, last_reminded = CURRENT_TIMESTAMP WHERE id = ?`;
 
             this.db.run(query, [reminderId], function(err) {
                 if (err) {
@@ -592,20 +657,127 @@ class ProjectManager {
         });
     }
 
+    async completeReminder(reminderId, occurrenceDate = null) {
+        const reminder = await this.getReminderById(reminderId);
+        if (!reminder) {
+            return { success: false, error: `Reminder ${reminderId} not found` };
+        }
+
+        if (!reminder.is_recurring) {
+            const result = await this.updateReminder(reminderId, { status: 'completed' });
+            return { ...result, message: `Reminder "${reminder.title}" marked as done` };
+        }
+
+        // The occurrence being acknowledged may already have been rolled forward when it was shown
+        if (occurrenceDate && new Date(reminder.reminder_date) > new Date(occurrenceDate)) {
+            await this.runQuery('UPDATE reminders SET snooze_until = NULL WHERE id = ?', [reminderId]);
+            return {
+                success: true,
+                message: `Reminder "${reminder.title}" marked as done; next on ${new Date(reminder.reminder_date).toLocaleString()}`,
+                nextOccurrence: reminder.reminder_date
+            };
+        }
+
+        return await this.advanceReminder(reminder);
+    }
+
+    async advanceReminder(reminder) {
+        const pattern = this.parseRecurrencePattern(reminder.recurrence_pattern);
+        const occurrenceCount = (reminder.occurrence_count || 0) + 1;
+        const now = new Date();
+        const current = new Date(reminder.reminder_date);
+        let next = null;
+
+        try {
+            // Skip occurrences missed while the app was closed rather than replaying them
+            next = new RecurrenceRule(pattern).next(current > now ? current : now, reminder.recurrence_anchor || reminder.reminder_date, {
+                occurrenceCount: occurrenceCount,
+                endDate: reminder.recurrence_end_date
+            });
+        } catch (error) {
+            console.error(`❌ Invalid recurrence pattern on reminder ${reminder.id}:`, error.message);
+        }
+
+        if (!next) {
+            await this.runQuery(`
+                UPDATE reminders
+                SET status = 'completed', occurrence_count = ?, notification_sent = 1,
+                    last_reminded = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [occurrenceCount, reminder.id]);
+
+            return {
+                success: true,
+                message: `Reminder "${reminder.title}" has no further occurrences`,
+                nextOccurrence: null
+            };
+        }
+
+        await this.runQuery(`
+            UPDATE reminders
+            SET reminder_date = ?, occurrence_count = ?, notification_sent = 0, snooze_until = NULL,
+                last_reminded = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [next.toISOString(), occurrenceCount, reminder.id]);
+
+        return {
+            success: true,
+            message: `Reminder "${reminder.title}" rescheduled for ${next.toLocaleString()}`,
+            nextOccurrence: next.toISOString()
+        };
+    }
+
+    async getReminderById(reminderId) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM reminders WHERE id = ?', [reminderId], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    parseRecurrencePattern(value) {
+        if (!value) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            // Older rows may hold a bare pattern string such as "weekly"
+            return value;
+        }
+    }
+
+    describeRecurrence(pattern) {
+        try {
+            return new RecurrenceRule(pattern).describe();
+        } catch (error) {
+            return null;
+        }
+    }
+
     async getDueReminders() {
         return new Promise((resolve, reject) => {
-            const now = new Date().toISOString();
             const query = `
                 SELECT r.*, p.name as project_name
                 FROM reminders r
                 LEFT JOIN projects p ON r.project_id = p.id
                 WHERE r.status = 'active' 
-                  AND r.reminder_date <= ?
-                  AND (r.snooze_until IS NULL OR r.snooze_until <= ?)
-                ORDER BY r.reminder_date ASC
+                  AND (
+                      -- an occurrence that has not been delivered yet
+                      (${reminderTime('r.reminder_date')} <= datetime('now') AND COALESCE(r.notification_sent, 0) = 0
+                          AND (r.snooze_until IS NULL OR ${reminderTime('r.snooze_until')} <= datetime('now')))
+                      -- or a delivered one whose snooze has run out
+                      OR (r.last_reminded IS NOT NULL AND r.snooze_until IS NOT NULL AND ${reminderTime('r.snooze_until')} <= datetime('now'))
+                  )
+                ORDER BY ${reminderTime('r.reminder_date')} ASC
             `;
 
-            this.db.all(query, [now, now], (err, rows) => {
+            this.db.all(query, [], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -675,21 +847,21 @@ class ProjectManager {
         });
     }
 
-    async addInventoryItem(itemData) {
-        return new Promise((resolve, reject) => {
-            const {
-                name,
-                description = '',
-                category = 'general',
-                quantity = 0,
-                unit = 'pcs',
-                costPerUnit = 0,
-                supplier = '',
-                location = '',
-                minQuantity = 0,
-                projectId = null
-            } = itemData;
-
+    async addInventoryItem(itemData, context = {}) {
+        const {
+            name,
+            description = '',
+            category = 'general',
+            quantity = 0,
+            unit = 'pcs',
+            costPerUnit = 0,
+            supplier = '',
+            location = '',
+            minQuantity = 0,
+            projectId = null
+        } = itemData;
+
+        const item = await new Promise((resolve, reject) => {
             const query = `
                 INSERT INTO inventory (name, description, category, quantity, unit, cost_per_unit, supplier, location, min_quantity, project_id)
                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
@@ -708,6 +880,22 @@ class ProjectManager {
                 }
             });
         });
+
+        if (quantity) {
+            await this.recordInventoryTransaction({
+                itemId: item.id,
+                delta: quantity,
+                quantityBefore: 0,
+                quantityAfter: quantity,
+                reason: 'Initial stock',
+                projectId: projectId,
+                ...context
+            });
+        }
+
+        await this.checkLowStock(item.id);
+
+        return item;
     }
 
     async getInventory(category = null) {
@@ -743,87 +931,156 @@ class ProjectManager {
         });
     }
 
-    async updateInventoryQuantity(itemId, quantityChange, reason = '') {
-        return new Promise((resolve, reject) => {
-            this.db.serialize(() => {
-                // First get current quantity
-                this.db.get('SELECT quantity, name FROM inventory WHERE id = ?', [itemId], (err, row) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-                    
-                    if (!row) {
-                        reject(new Error('Inventory item not found'));
-                        return;
-                    }
-                    
-                    const newQuantity = row.quantity + quantityChange;
-                    
-                    // Update quantity
-                    this.db.run(
-                        'UPDATE inventory SET quantity = ?, last_used = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                        [newQuantity, itemId],
-                        function(err) {
-                            if (err) {
-                                reject(err);
-                            } else {
-                                resolve({
-                                    success: true,
-                                    message: `${row.name} quantity updated from ${row.quantity} to ${newQuantity}`,
-                                    oldQuantity: row.quantity,
-                                    newQuantity: newQuantity,
-                                    change: quantityChange
-                                });
-                            }
-                        }
-                    );
-                });
-            });
-        });
+    async updateInventoryQuantity(itemId, quantityChange, reason = '', context = {}) {
+        const change = parseFloat(quantityChange);
+        if (isNaN(change) || change === 0) {
+            throw new Error('Quantity change must be a non-zero number');
+        }
+
+        const { row, newQuantity, transaction } = await this.inTransaction(tx =>
+            tx.applyInventoryChange(itemId, change, reason, context)
+        );
+
+        const lowStock = await this.checkLowStock(itemId);
+
+        return {
+            success: true,
+            message: `${row.name} quantity updated from ${row.quantity} to ${newQuantity}` +
+                (lowStock.alerted ? ` - now at or below its minimum of ${lowStock.minQuantity}, added to the reorder list` : ''),
+            oldQuantity: row.quantity,
+            newQuantity: newQuantity,
+            change: change,
+            transactionId: transaction.id,
+            lowStock: lowStock.isLow
+        };
     }
 
-    async addTimelineEvent(eventData) {
-        return new Promise((resolve, reject) => {
-            const {
-                projectId,
-                eventType,
-                title,
-                description = '',
-                startDate,
-                endDate = null,
-                dependencies = '',
-                resourcesNeeded = ''
-            } = eventData;
+    // The stock change and its ledger row, called on the tx handed out by inTransaction(). The write lock is held from the
+    // read on, so the quantities in the ledger are the ones the update actually went from and to.
+    async applyInventoryChange(itemId, change, reason = '', context = {}) {
+        const row = await this.getQuery('SELECT quantity, name FROM inventory WHERE id = ?', [itemId]);
+        if (!row) {
+            throw new Error('Inventory item not found');
+        }
 
-            const query = `
-                INSERT INTO timeline_events (project_id, event_type, title, description, start_date, end_date, dependencies, resources_needed)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `;
+        await this.runQuery(
+            'UPDATE inventory SET quantity = quantity + ?, last_used = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [change, itemId]
+        );
+        const newQuantity = row.quantity + change;
+
+        const transaction = await this.recordInventoryTransaction({
+            itemId: itemId,
+            delta: change,
+            quantityBefore: row.quantity,
+            quantityAfter: newQuantity,
+            reason: reason,
+            ...context
+        });
+
+        return { row: row, newQuantity: newQuantity, transaction: transaction };
+    }
 
-            this.db.run(query, [projectId, eventType, title, description, startDate, endDate, dependencies, resourcesNeeded], function(err) {
+    // Raises a reminder the first time an item drops to its minimum, and re-arms once it is restocked
+    async checkLowStock(itemId) {
+        const item = await new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM inventory WHERE id = ?', [itemId], (err, row) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve({
-                        id: this.lastID,
-                        title: title,
-                        startDate: startDate
-                    });
+                    resolve(row);
                 }
             });
         });
+
+        if (!item) {
+            return { isLow: false, alerted: false };
+        }
+
+        const isLow = item.min_quantity > 0 && item.quantity <= item.min_quantity;
+        const result = { isLow: isLow, alerted: false, minQuantity: item.min_quantity };
+
+        if (isLow && !item.low_stock_alerted_at) {
+            const now = new Date().toISOString();
+
+            // The other connection to this database may have raised it first
+            const open = await this.getQuery(`
+                SELECT id FROM reminders
+                WHERE inventory_item_id = ? AND reminder_type = 'low_stock' AND status = 'active'
+            `, [item.id]);
+            if (open) {
+                await this.runQuery('UPDATE inventory SET low_stock_alerted_at = ? WHERE id = ?', [now, item.id]);
+                return result;
+            }
+
+            await this.runQuery(`
+                INSERT INTO reminders (project_id, inventory_item_id, title, description, reminder_type, reminder_date, priority, created_by)
+                VALUES (?, ?, ?, ?, 'low_stock', ?, 2, 'inventory')
+            `, [
+                item.project_id, item.id,
+                `Low stock: ${item.name}`,
+                `${item.quantity} ${item.unit || ''} left (minimum ${item.min_quantity}).` +
+                    (item.supplier ? ` Reorder from ${item.supplier}.` : ''),
+                now
+            ]);
+            await this.runQuery('UPDATE inventory SET low_stock_alerted_at = ? WHERE id = ?', [now, item.id]);
+
+            console.log(`⚠️ Low stock alert raised for ${item.name}`);
+            result.alerted = true;
+        } else if (!isLow && item.low_stock_alerted_at) {
+            await this.runQuery('UPDATE inventory SET low_stock_alerted_at = NULL WHERE id = ?', [item.id]);
+            await this.runQuery(`
+                UPDATE reminders SET status = 'completed', updated_at = CURRENT_TIMESTAMP
+                WHERE inventory_item_id = ? AND reminder_type = 'low_stock' AND status = 'active'
+            `, [item.id]);
+        }
+
+        return result;
     }
 
-    async getProjectTimeline(projectId) {
-        return new Promise((resolve, reject) => {
+    async checkAllLowStock() {
+        const items = await this.allQuery(
+            'SELECT id FROM inventory WHERE (min_quantity > 0 AND quantity <= min_quantity) OR low_stock_alerted_at IS NOT NULL'
+        );
+        for (const item of items) {
+            await this.checkLowStock(item.id);
+        }
+    }
+
+    async setInventoryMinimum(itemId, minQuantity) {
+        const minimum = parseFloat(minQuantity);
+        if (isNaN(minimum) || minimum < 0) {
+            return { success: false, error: 'Minimum quantity must be zero or a positive number' };
+        }
+
+        const result = await this.runQuery(
+            'UPDATE inventory SET min_quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [minimum, itemId]
+        );
+        if (result.changes === 0) {
+            return { success: false, error: 'Inventory item not found' };
+        }
+
+        // An item already below its new minimum is alerted now, not at its next stock change
+        const lowStock = await this.checkLowStock(itemId);
+        const item = await this.getQuery('SELECT name, quantity, unit FROM inventory WHERE id = ?', [itemId]);
+        return {
+            success: true,
+            message: `${item.name} minimum set to ${minimum}` +
+                (lowStock.isLow ? ` - ${item.quantity} ${item.unit || ''} left is at or below it, added to the reorder list` : ''),
+            lowStock: lowStock.isLow
+        };
+    }
+
+    async getReorderList() {
+        const items = await new Promise((resolve, reject) => {
             const query = `
-                SELECT * FROM timeline_events
-                WHERE project_id = ?
-                ORDER BY start_date ASC
+                SELECT * FROM inventory
+                WHERE min_quantity > 0 AND quantity <= min_quantity
+                ORDER BY supplier ASC, name ASC
             `;
 
-            this.db.all(query, [projectId], (err, rows) => {
+            this.db.all(query, [], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -831,198 +1088,1456 @@ class ProjectManager {
                 }
             });
         });
-    }
 
-    async executeAction(parameters) {
-        console.log('📊 Project Manager executeAction called with:', parameters);
-        try {
-            const { action, data } = parameters;
-            console.log('📊 Action:', action, 'Data:', data);
-            
-            switch (action) {
-                case 'create_project':
-                    const result = await this.createProject(data);
-                    return { success: true, data: result, message: `Project "${data.name}" created successfully` };
-                  case 'update_project':
-                    return await this.updateProject(data.id, data.updates);
-
-                case 'add_note':
-                    return await this.addNote(data);
-                
-                case 'get_projects':
-                    return { success: true, data: await this.getAllProjects() };
-                
-                case 'get_project':
-                    return { success: true, data: await this.getProjectById(data.id) };
-                
-                case 'get_inventory':
-                    return { success: true, data: await this.getInventory(data.category) };
-                
-                case 'add_inventory':
-                    return await this.addInventoryItem(data);
-                
-                case 'update_inventory':
-                    return await this.updateInventoryQuantity(data.id, data.change, data.reason);
-                
-                case 'edit_project':
-                case 'update_project':
-                    // Handle both projectId and projectName
-                    let projectIdToEdit = data.projectId || data.id;
-                    if (!projectIdToEdit && data.projectName) {
-                        const project = await this.findProjectByName(data.projectName);
-                        if (project) {
-                            projectIdToEdit = project.id;
-                        } else {
-                            return {
-                                success: false,
-                                error: `Project "${data.projectName}" not found`
-                            };
-                        }
-                    }
-                    
-                    if (!projectIdToEdit) {
-                        return {
-                            success: false,
-                            error: 'Project ID or name is required for editing'
-                        };
-                    }
-                    
-                    // Extract updates from data (exclude projectId, projectName)
-                    const updates = { ...data };
-                    delete updates.projectId;
-                    delete updates.projectName;
-                    delete updates.id;
-                    delete updates.action;
-                    
-                    return await this.updateProject(projectIdToEdit, updates);
-
-                case 'delete_project':
-                    // Handle both projectId and projectName
-                    let projectIdToDelete = data.projectId || data.id;
-                    if (!projectIdToDelete && data.projectName) {
-                        const project = await this.findProjectByName(data.projectName);
-                        if (project) {
-                            projectIdToDelete = project.id;
-                        } else {
-                            return {
-                                success: false,
-                                error: `Project "${data.projectName}" not found`
-                            };
-                        }
-                    }
-                    
-                    if (!projectIdToDelete) {
-                        return {
-                            success: false,
-                            error: 'Project ID or name is required for deletion'
-                        };
-                    }
-                    
-                    return await this.deleteProject(projectIdToDelete);
-                
-                case 'add_timeline_event':
-                    return await this.addTimelineEvent(data);
-                
-                case 'get_timeline':
-                    return { success: true, data: await this.getProjectTimeline(data.projectId) };
-                
-                // Reminder actions
-                case 'add_reminder':
-                    return { success: true, data: await this.addReminder(data), message: `Reminder "${data.title}" added successfully` };
-                
-                case 'get_reminders':
-                    return { success: true, data: await this.getReminders(data.projectId, data.includeInactive) };
-                
-                case 'update_reminder':
-                    return await this.updateReminder(data.id, data.updates);
-                
-                case 'delete_reminder':
-                    return await this.deleteReminder(data.id);
-                
-                case 'snooze_reminder':
-                    return await this.snoozeReminder(data.id, data.snoozeUntil);
-                
-                case 'get_due_reminders':
-                    return { success: true, data: await this.getDueReminders() };
-                
-                case 'add_project_note':
-                    return { success: true, data: await this.addProjectNote(data), message: `Note added to project successfully` };
-                
-                case 'get_project_notes':
-                    return { success: true, data: await this.getProjectNotes(data.projectId, data.limit) };
-                
-                // Handle common project management actions that aren't implemented yet
-                case 'move_project_stage':
-                case 'update_project_status':
-                case 'change_project_stage':
-                case 'set_project_phase':
-                    return await this.moveProjectStage(data);
-                
-                default:
-                    console.log('❌ Unknown action:', action);
-                    return {
-                        success: true,
-                        message: `Project management action "${action}" is noted and logged. You can manage projects directly in the Projects tab for now.`
-                    };
-            }
-            
-        } catch (error) {
-            console.error('❌ Project Manager executeAction error:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
-    }
+        const suppliers = new Map();
+        items.forEach(item => {
+            const supplier = item.supplier || 'No supplier';
+            // Order enough to get back to twice the minimum so the item doesn't alert again straight away
+            const orderQuantity = Math.max(item.min_quantity * 2 - item.quantity, 0);
+            const estimatedCost = orderQuantity * (item.cost_per_unit || 0);
 
-    async getProjectAnalytics(projectId = null) {
-        return new Promise((resolve, reject) => {
-            let query;
-            let params;
-            
-            if (projectId) {
-                query = `
-                    SELECT 
-                        COUNT(*) as total_tasks,
-                        COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_tasks,
-                        COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_progress_tasks,
-                        AVG(progress) as avg_progress
-                    FROM tasks 
-                    WHERE project_id = ?
-                `;
-                params = [projectId];
-            } else {
-                query = `
-                    SELECT 
-                        COUNT(DISTINCT p.id) as total_projects,
-                        COUNT(CASE WHEN p.status = 'active' THEN 1 END) as active_projects,
-                        COUNT(CASE WHEN p.status = 'completed' THEN 1 END) as completed_projects,
-                        COUNT(t.id) as total_tasks,
-                        COUNT(CASE WHEN t.status = 'completed' THEN 1 END) as completed_tasks
-                    FROM projects p
-                    LEFT JOIN tasks t ON p.id = t.project_id
-                    WHERE p.status != 'deleted'
-                `;
-                params = [];
+            if (!suppliers.has(supplier)) {
+                suppliers.set(supplier, { supplier: supplier, items: [], estimatedCost: 0 });
             }
 
-            this.db.get(query, params, (err, row) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(row);
-                }
+            const group = suppliers.get(supplier);
+            group.items.push({
+                id: item.id,
+                name: item.name,
+                category: item.category,
+                quantity: item.quantity,
+                minQuantity: item.min_quantity,
+                unit: item.unit,
+                orderQuantity: orderQuantity,
+                costPerUnit: item.cost_per_unit || 0,
+                estimatedCost: estimatedCost,
+                missingCost: !item.cost_per_unit
             });
+            group.estimatedCost += estimatedCost;
         });
+
+        const groups = [...suppliers.values()];
+
+        return {
+            generatedAt: new Date().toISOString(),
+            itemCount: items.length,
+            totalEstimatedCost: groups.reduce((total, group) => total + group.estimatedCost, 0),
+            suppliers: groups
+        };
     }
 
-    async cleanup() {
-        if (this.db) {
-            this.db.close();
-        }
+    formatReorderListCsv(reorderList) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [['Supplier', 'Item', 'Category', 'In Stock', 'Minimum', 'Order Quantity', 'Unit', 'Cost Per Unit', 'Estimated Cost']];
+        reorderList.suppliers.forEach(group => {
+            group.items.forEach(item => {
+                rows.push([
+                    group.supplier, item.name, item.category, item.quantity, item.minQuantity,
+                    item.orderQuantity, item.unit, item.costPerUnit.toFixed(2), item.estimatedCost.toFixed(2)
+                ]);
+            });
+        });
+        rows.push(['Total', '', '', '', '', '', '', '', reorderList.totalEstimatedCost.toFixed(2)]);
+
+        return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
     }
 
-    async moveProjectStage(data) {
+    async addBomItem(data) {
+        const projectId = await this.resolveProjectId(data);
+        if (!projectId) {
+            return { success: false, error: data.projectName ? `Project "${data.projectName}" not found` : 'Project ID or name is required' };
+        }
+
+        const item = await this.findInventoryItem(data);
+        if (!item) {
+            return { success: false, error: `Inventory item "${data.itemName || data.name || data.itemId}" not found` };
+        }
+
+        const requiredQuantity = parseFloat(data.requiredQuantity ?? data.quantity);
+        if (isNaN(requiredQuantity) || requiredQuantity <= 0) {
+            return { success: false, error: 'Required quantity must be a positive number' };
+        }
+
+        // Adding an item that is already on the BOM updates its required quantity
+        await this.runQuery(`
+            INSERT INTO project_bom (project_id, item_id, required_quantity, notes)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT (project_id, item_id) DO UPDATE SET
+                required_quantity = excluded.required_quantity,
+                notes = COALESCE(excluded.notes, notes),
+                updated_at = CURRENT_TIMESTAMP
+        `, [projectId, item.id, requiredQuantity, data.notes || null]);
+
+        return {
+            success: true,
+            message: `${item.name} × ${requiredQuantity} ${item.unit || ''} added to the bill of materials`,
+            data: { projectId: projectId, itemId: item.id, requiredQuantity: requiredQuantity }
+        };
+    }
+
+    async updateBomItem(bomId, updates) {
+        const fields = [];
+        const values = [];
+
+        if (updates.requiredQuantity !== undefined) {
+            const requiredQuantity = parseFloat(updates.requiredQuantity);
+            if (isNaN(requiredQuantity) || requiredQuantity <= 0) {
+                return { success: false, error: 'Required quantity must be a positive number' };
+            }
+            fields.push('required_quantity = ?');
+            values.push(requiredQuantity);
+        }
+        if (updates.notes !== undefined) {
+            fields.push('notes = ?');
+            values.push(updates.notes);
+        }
+
+        if (fields.length === 0) {
+            return { success: false, error: 'No valid fields to update' };
+        }
+
+        const result = await this.runQuery(
+            `UPDATE project_bom SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...values, bomId]
+        );
+
+        return result.changes > 0 ?
+            { success: true, message: 'Bill of materials updated' } :
+            { success: false, error: `BOM line ${bomId} not found` };
+    }
+
+    async removeBomItem(bomId) {
+        const result = await this.runQuery('DELETE FROM project_bom WHERE id = ?', [bomId]);
+        return result.changes > 0 ?
+            { success: true, message: 'Item removed from the bill of materials' } :
+            { success: false, error: `BOM line ${bomId} not found` };
+    }
+
+    async getProjectBom(projectId) {
+        // Only open projects hold on to their reservations
+        const rows = await this.allQuery(`
+            SELECT b.*, i.name, i.unit, i.category, i.supplier, i.cost_per_unit,
+                   i.quantity as stock_quantity,
+                   (SELECT COALESCE(SUM(other.reserved_quantity), 0)
+                    FROM project_bom other
+                    JOIN projects op ON other.project_id = op.id
+                    WHERE other.item_id = b.item_id
+                      AND op.status NOT IN ('completed', 'cancelled', 'deleted')) as total_reserved
+            FROM project_bom b
+            JOIN inventory i ON b.item_id = i.id
+            WHERE b.project_id = ?
+            ORDER BY i.name ASC
+        `, [projectId]);
+
+        return rows.map(row => {
+            const outstanding = Math.max(row.required_quantity - row.consumed_quantity, 0);
+            const unreserved = Math.max(outstanding - row.reserved_quantity, 0);
+            const available = Math.max(row.stock_quantity - row.total_reserved, 0);
+            const shortfall = Math.max(unreserved - available, 0);
+
+            return {
+                ...row,
+                outstanding: outstanding,
+                available: available,
+                shortfall: shortfall,
+                shortfallCost: shortfall * (row.cost_per_unit || 0)
+            };
+        });
+    }
+
+    async reserveProjectBom(projectId) {
+        const lines = await this.getProjectBom(projectId);
+        const reserved = [];
+
+        for (const line of lines) {
+            const amount = Math.min(Math.max(line.outstanding - line.reserved_quantity, 0), line.available);
+            if (amount <= 0) continue;
+
+            await this.runQuery(
+                'UPDATE project_bom SET reserved_quantity = reserved_quantity + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [amount, line.id]
+            );
+            reserved.push({ itemId: line.item_id, name: line.name, quantity: amount, unit: line.unit });
+        }
+
+        const short = lines.filter(line => line.shortfall > 0);
+
+        return {
+            success: true,
+            data: { reserved: reserved, shortfall: short },
+            message: (reserved.length > 0 ?
+                `Reserved ${reserved.map(entry => `${entry.quantity} ${entry.unit || ''} ${entry.name}`).join(', ')}` :
+                'Nothing new to reserve') +
+                (short.length > 0 ? `. Still short: ${short.map(line => `${line.shortfall} ${line.unit || ''} ${line.name}`).join(', ')}` : '')
+        };
+    }
+
+    async releaseProjectBom(projectId) {
+        const result = await this.runQuery(
+            'UPDATE project_bom SET reserved_quantity = 0, updated_at = CURRENT_TIMESTAMP WHERE project_id = ? AND reserved_quantity > 0',
+            [projectId]
+        );
+        return { success: true, message: `Released reservations on ${result.changes} item(s)` };
+    }
+
+    async getBomShortfall(projectId = null) {
+        const projects = projectId ?
+            await this.allQuery('SELECT id, name FROM projects WHERE id = ?', [projectId]) :
+            await this.allQuery(`
+                SELECT DISTINCT p.id, p.name FROM projects p
+                JOIN project_bom b ON b.project_id = p.id
+                WHERE p.status NOT IN ('completed', 'cancelled', 'deleted')
+                ORDER BY p.name ASC
+            `);
+
+        const report = [];
+        for (const project of projects) {
+            const items = (await this.getProjectBom(project.id)).filter(line => line.shortfall > 0);
+            if (items.length > 0) {
+                report.push({
+                    projectId: project.id,
+                    projectName: project.name,
+                    items: items,
+                    estimatedCost: items.reduce((total, line) => total + line.shortfallCost, 0)
+                });
+            }
+        }
+
+        return {
+            projects: report,
+            totalEstimatedCost: report.reduce((total, entry) => total + entry.estimatedCost, 0)
+        };
+    }
+
+    // Takes whatever the BOM still needs out of stock when a project is finished. Stock and BOM move in one
+    // transaction, so a failure part-way leaves both as they were and a retry does not count a line twice.
+    async consumeProjectBom(projectId) {
+        const project = await this.getProjectById(projectId);
+        const reason = `Used in project "${project ? project.name : projectId}"`;
+
+        const consumption = await this.inTransaction(async (tx) => {
+            const lines = await tx.getProjectBom(projectId);
+            const consumed = [];
+            const missing = [];
+
+            for (const line of lines) {
+                if (line.outstanding <= 0) continue;
+
+                const amount = Math.min(line.outstanding, Math.max(line.stock_quantity, 0));
+                if (amount > 0) {
+                    await tx.applyInventoryChange(line.item_id, -amount, reason, {
+                        projectId: projectId,
+                        source: 'project'
+                    });
+                    consumed.push({ itemId: line.item_id, name: line.name, quantity: amount, unit: line.unit });
+                }
+                if (amount < line.outstanding) {
+                    missing.push({ itemId: line.item_id, name: line.name, quantity: line.outstanding - amount, unit: line.unit });
+                }
+
+                await tx.runQuery(`
+                    UPDATE project_bom
+                    SET consumed_quantity = consumed_quantity + ?, reserved_quantity = 0, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [amount, line.id]);
+            }
+
+            return { consumed: consumed, missing: missing };
+        });
+
+        for (const entry of consumption.consumed) {
+            await this.checkLowStock(entry.itemId);
+        }
+
+        return consumption;
+    }
+
+    describeBomConsumption(consumption) {
+        const describe = (entries) => entries.map(entry => `${entry.quantity} ${entry.unit || ''} ${entry.name}`).join(', ');
+        let message = '';
+        if (consumption.consumed.length > 0) {
+            message += `. Took ${describe(consumption.consumed)} out of inventory`;
+        }
+        if (consumption.missing.length > 0) {
+            message += `. Not enough stock to cover ${describe(consumption.missing)}`;
+        }
+        return message;
+    }
+
+    describeReorderList(reorderList) {
+        if (reorderList.itemCount === 0) {
+            return 'Nothing needs reordering - every item is above its minimum quantity.';
+        }
+
+        const lines = reorderList.suppliers.map(group => {
+            const items = group.items.map(item =>
+                `  - ${item.name}: order ${item.orderQuantity} ${item.unit || ''} (have ${item.quantity}, min ${item.minQuantity})`
+            );
+            return `${group.supplier} (~$${group.estimatedCost.toFixed(2)}):\n${items.join('\n')}`;
+        });
+
+        return `${reorderList.itemCount} item(s) need reordering, estimated $${reorderList.totalEstimatedCost.toFixed(2)}:\n${lines.join('\n')}`;
+    }
+
+    async recordInventoryTransaction(entry) {
+        const {
+            itemId,
+            delta,
+            quantityBefore = null,
+            quantityAfter = null,
+            reason = '',
+            projectId = null,
+            user = null,
+            source = 'ui',
+            reversesTransactionId = null
+        } = entry;
+
+        const result = await this.runQuery(`
+            INSERT INTO inventory_transactions (item_id, delta, quantity_before, quantity_after, reason, project_id, user, source, reverses_transaction_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [itemId, delta, quantityBefore, quantityAfter, reason, projectId, user, source, reversesTransactionId]);
+
+        return { id: result.lastID };
+    }
+
+    async getInventoryTransactions(itemId, limit = 50) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT t.*, p.name as project_name
+                FROM inventory_transactions t
+                LEFT JOIN projects p ON t.project_id = p.id
+                WHERE t.item_id = ?
+                ORDER BY t.created_at DESC, t.id DESC
+                LIMIT ?
+            `;
+
+            this.db.all(query, [itemId, limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // The already-reversed check and the reversal share one transaction, so a double click reverses once
+    async reverseInventoryTransaction(transactionId, context = {}) {
+        const outcome = await this.inTransaction(async (tx) => {
+            const transaction = await tx.getQuery('SELECT * FROM inventory_transactions WHERE id = ?', [transactionId]);
+
+            if (!transaction) {
+                return { error: `Transaction ${transactionId} not found` };
+            }
+            if (transaction.reversed_by_transaction_id) {
+                return { error: `Transaction ${transactionId} was already reversed` };
+            }
+            if (transaction.reverses_transaction_id) {
+                return { error: `Transaction ${transactionId} is itself a reversal` };
+            }
+
+            const change = await tx.applyInventoryChange(
+                transaction.item_id,
+                -transaction.delta,
+                context.reason || `Reversal of #${transaction.id}${transaction.reason ? ` (${transaction.reason})` : ''}`,
+                {
+                    projectId: transaction.project_id,
+                    user: context.user || null,
+                    source: context.source || 'ui',
+                    reversesTransactionId: transaction.id
+                }
+            );
+
+            await tx.runQuery(
+                'UPDATE inventory_transactions SET reversed_by_transaction_id = ? WHERE id = ?',
+                [change.transaction.id, transaction.id]
+            );
+            return { transaction: transaction, change: change };
+        });
+
+        if (outcome.error) {
+            return { success: false, error: outcome.error };
+        }
+
+        const { transaction, change } = outcome;
+        const lowStock = await this.checkLowStock(transaction.item_id);
+        return {
+            success: true,
+            message: `Reversed transaction #${transaction.id}: ${change.row.name} quantity updated from ${change.row.quantity} to ${change.newQuantity}` +
+                (lowStock.alerted ? ` - now at or below its minimum of ${lowStock.minQuantity}, added to the reorder list` : ''),
+            oldQuantity: change.row.quantity,
+            newQuantity: change.newQuantity,
+            change: -transaction.delta,
+            transactionId: change.transaction.id,
+            lowStock: lowStock.isLow
+        };
+    }
+
+    async addTimelineEvent(eventData) {
+        const {
+            projectId,
+            eventType,
+            title,
+            description = '',
+            startDate,
+            endDate = null,
+            status = 'scheduled',
+            dependencies = [],
+            resourcesNeeded = '',
+            allowCrossProject = false
+        } = eventData;
+
+        const event = await new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO timeline_events (project_id, event_type, title, description, start_date, end_date, status, resources_needed)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+
+            this.db.run(query, [projectId, eventType, title, description, startDate, endDate, status, resourcesNeeded], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({
+                        id: this.lastID,
+                        title: title,
+                        startDate: startDate
+                    });
+                }
+            });
+        });
+
+        for (const dependsOnId of this.parseDependencyIds(dependencies)) {
+            const link = await this.addDependency('timeline', event.id, dependsOnId, { allowCrossProject });
+            if (!link.success) {
+                await this.runQuery('DELETE FROM timeline_events WHERE id = ?', [event.id]);
+                throw new Error(link.error);
+            }
+        }
+
+        return event;
+    }
+
+    async getProjectTimeline(projectId = null) {
+        return new Promise((resolve, reject) => {
+            let query = `
+                SELECT e.*, GROUP_CONCAT(d.depends_on_event_id) as depends_on
+                FROM timeline_events e
+                LEFT JOIN timeline_dependencies d ON d.event_id = e.id
+                LEFT JOIN projects p ON e.project_id = p.id
+                WHERE (p.status IS NULL OR p.status != 'deleted')
+            `;
+            const params = [];
+
+            if (projectId) {
+                query += ' AND e.project_id = ?';
+                params.push(projectId);
+            }
+
+            query += ' GROUP BY e.id ORDER BY e.start_date ASC';
+
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        ...row,
+                        depends_on: this.parseDependencyIds(row.depends_on)
+                    })));
+                }
+            });
+        });
+    }
+
+    async createTask(taskData) {
+        const {
+            projectId,
+            title,
+            description = '',
+            status = 'pending',
+            dueDate = null,
+            priority = 1,
+            estimatedHours = null,
+            assignedTo = null,
+            dependencies = [],
+            allowCrossProject = false
+        } = taskData;
+
+        if (!projectId || !title) {
+            throw new Error('Project ID and title are required');
+        }
+
+        const result = await new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO tasks (project_id, title, description, status, due_date, priority, estimated_hours, assigned_to)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+
+            this.db.run(query, [projectId, title, description, status, dueDate, priority, estimatedHours, assignedTo], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({
+                        id: this.lastID,
+                        projectId: projectId,
+                        title: title,
+                        status: status,
+                        dueDate: dueDate,
+                        assignedTo: assignedTo
+                    });
+                }
+            });
+        });
+
+        const dependsOn = this.parseDependencyIds(dependencies);
+        for (const dependsOnId of dependsOn) {
+            const link = await this.addDependency('task', result.id, dependsOnId, { allowCrossProject });
+            if (!link.success) {
+                await this.runQuery('DELETE FROM tasks WHERE id = ?', [result.id]);
+                throw new Error(link.error);
+            }
+        }
+        result.dependsOn = dependsOn;
+
+        await this.updateProjectProgress(projectId);
+        return result;
+    }
+
+    async getTasks(projectId = null, includeCompleted = true) {
+        return new Promise((resolve, reject) => {
+            let query = `
+                SELECT t.*, p.name as project_name,
+                       (SELECT GROUP_CONCAT(depends_on_task_id) FROM task_dependencies WHERE task_id = t.id) as depends_on
+                FROM tasks t
+                LEFT JOIN projects p ON t.project_id = p.id
+                WHERE (p.status IS NULL OR p.status != 'deleted')
+            `;
+
+            const params = [];
+
+            if (projectId) {
+                query += ' AND t.project_id = ?';
+                params.push(projectId);
+            }
+
+            if (!includeCompleted) {
+                query += " AND t.status != 'completed'";
+            }
+
+            query += ' ORDER BY t.due_date IS NULL, t.due_date ASC, t.priority DESC, t.created_at ASC';
+
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        ...row,
+                        depends_on: this.parseDependencyIds(row.depends_on)
+                    })));
+                }
+            });
+        });
+    }
+
+    async getTaskById(taskId) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT t.*, p.name as project_name
+                FROM tasks t
+                LEFT JOIN projects p ON t.project_id = p.id
+                WHERE t.id = ?
+            `;
+
+            this.db.get(query, [taskId], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    async updateTask(taskId, updates) {
+        const allowedFields = ['title', 'description', 'status', 'due_date', 'priority',
+                               'estimated_hours', 'actual_hours', 'assigned_to'];
+        const updateFields = [];
+        const values = [];
+
+        Object.keys(updates).forEach(key => {
+            if (allowedFields.includes(key)) {
+                updateFields.push(`${key} = ?`);
+                values.push(updates[key]);
+            }
+        });
+
+        if (updateFields.length === 0) {
+            return { success: false, error: 'No valid fields to update' };
+        }
+
+        const task = await this.getTaskById(taskId);
+        if (!task) {
+            return { success: false, error: `Task ${taskId} not found` };
+        }
+
+        updateFields.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(taskId);
+
+        const changes = await new Promise((resolve, reject) => {
+            const query = `UPDATE tasks SET ${updateFields.join(', ')} WHERE id = ?`;
+
+            this.db.run(query, values, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+
+        if (updates.status !== undefined) {
+            await this.updateProjectProgress(task.project_id);
+        }
+
+        return {
+            success: true,
+            message: `Task "${task.title}" updated successfully`,
+            changes: changes
+        };
+    }
+
+    async completeTask(taskId, actualHours = null) {
+        const updates = { status: 'completed' };
+        if (actualHours !== null && actualHours !== undefined) {
+            updates.actual_hours = actualHours;
+        }
+
+        const result = await this.updateTask(taskId, updates);
+        if (result.success) {
+            result.message = result.message.replace('updated', 'completed');
+        }
+        return result;
+    }
+
+    async reassignTask(taskId, assignedTo) {
+        const result = await this.updateTask(taskId, { assigned_to: assignedTo || null });
+        if (result.success) {
+            result.message = assignedTo ?
+                result.message.replace('updated successfully', `assigned to ${assignedTo}`) :
+                result.message.replace('updated successfully', 'unassigned');
+        }
+        return result;
+    }
+
+    async deleteTask(taskId) {
+        const task = await this.getTaskById(taskId);
+        if (!task) {
+            return { success: false, error: `Task ${taskId} not found` };
+        }
+
+        await this.runQuery('DELETE FROM task_dependencies WHERE task_id = ? OR depends_on_task_id = ?', [taskId, taskId]);
+        await this.runQuery('DELETE FROM tasks WHERE id = ?', [taskId]);
+
+        await this.updateProjectProgress(task.project_id);
+
+        return {
+            success: true,
+            message: `Task "${task.title}" deleted successfully`,
+            id: taskId
+        };
+    }
+
+    async updateProjectProgress(projectId) {
+        if (!projectId) return;
+
+        return new Promise((resolve, reject) => {
+            // Progress is the percentage of completed tasks; projects without tasks keep 0
+            const query = `
+                UPDATE projects SET progress = (
+                    SELECT CASE WHEN COUNT(*) = 0 THEN 0
+                                ELSE ROUND(100.0 * COUNT(CASE WHEN status = 'completed' THEN 1 END) / COUNT(*), 1)
+                           END
+                    FROM tasks WHERE project_id = ?
+                ), updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+
+            this.db.run(query, [projectId, projectId], (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    runQuery(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ lastID: this.lastID, changes: this.changes });
+                }
+            });
+        });
+    }
+
+    getQuery(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    // Runs work(tx) between BEGIN IMMEDIATE and COMMIT on the transaction connection, rolling back if it
+    // throws. tx is this manager with its queries pointed at that connection, so only what work() does
+    // through tx is part of the transaction. IMMEDIATE takes the write lock up front, so other
+    // connections wait rather than reading a value that is about to change.
+    inTransaction(work) {
+        const run = this.transactionChain.then(async () => {
+            const tx = Object.create(this, { db: { value: this.transactionDb } });
+            await tx.beginImmediate();
+            try {
+                const result = await work(tx);
+                await tx.runQuery('COMMIT');
+                return result;
+            } catch (error) {
+                await tx.runQuery('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        });
+        this.transactionChain = run.catch(() => {});
+        return run;
+    }
+
+    // SQLite can answer BEGIN with SQLITE_BUSY without waiting on busyTimeout, e.g. while the other
+    // connection is committing, so it is retried here for as long as the timeout would have waited
+    async beginImmediate() {
+        const startedAt = Date.now();
+        for (;;) {
+            try {
+                return await this.runQuery('BEGIN IMMEDIATE');
+            } catch (error) {
+                if (error.code !== 'SQLITE_BUSY' || Date.now() - startedAt > BUSY_TIMEOUT_MS) {
+                    throw error;
+                }
+                await new Promise(resolve => setTimeout(resolve, BUSY_RETRY_MS));
+            }
+        }
+    }
+
+    allQuery(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    parseDependencyIds(value) {
+        if (value === null || value === undefined || value === '') {
+            return [];
+        }
+
+        const list = Array.isArray(value) ? value : String(value).split(',');
+        return [...new Set(list.map(id => parseInt(id, 10)).filter(id => !isNaN(id)))];
+    }
+
+    async getDependencyEdges(kind) {
+        const config = DEPENDENCY_TABLES[kind];
+
+        return new Promise((resolve, reject) => {
+            const query = `SELECT ${config.column} as "from", ${config.dependsOnColumn} as "to" FROM ${config.table}`;
+
+            this.db.all(query, [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async addDependency(kind, itemId, dependsOnId, options = {}) {
+        const config = DEPENDENCY_TABLES[kind];
+        if (!config) {
+            return { success: false, error: `Unknown dependency type "${kind}"` };
+        }
+
+        const lookup = (id) => new Promise((resolve, reject) => {
+            this.db.get(`SELECT id, project_id, title FROM ${config.sourceTable} WHERE id = ?`, [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+
+        const item = await lookup(itemId);
+        const dependsOn = await lookup(dependsOnId);
+
+        if (!item) {
+            return { success: false, error: `${config.label} ${itemId} not found` };
+        }
+        if (!dependsOn) {
+            return { success: false, error: `${config.label} ${dependsOnId} not found` };
+        }
+
+        if (item.project_id !== dependsOn.project_id && !options.allowCrossProject) {
+            return {
+                success: false,
+                error: `"${item.title}" and "${dependsOn.title}" belong to different projects. Pass allowCrossProject to link them anyway.`
+            };
+        }
+
+        const graph = new DependencyGraph([], await this.getDependencyEdges(kind));
+        const cycle = graph.findCycle(item.id, dependsOn.id);
+        if (cycle) {
+            return {
+                success: false,
+                error: `Dependency would create a cycle: ${cycle.join(' → ')}`,
+                cycle: cycle
+            };
+        }
+
+        await this.runQuery(
+            `INSERT OR IGNORE INTO ${config.table} (${config.column}, ${config.dependsOnColumn}) VALUES (?, ?)`,
+            [item.id, dependsOn.id]
+        );
+
+        return {
+            success: true,
+            message: `"${item.title}" now depends on "${dependsOn.title}"`,
+            data: { id: item.id, dependsOn: dependsOn.id }
+        };
+    }
+
+    async removeDependency(kind, itemId, dependsOnId) {
+        const config = DEPENDENCY_TABLES[kind];
+        if (!config) {
+            return { success: false, error: `Unknown dependency type "${kind}"` };
+        }
+
+        const result = await this.runQuery(
+            `DELETE FROM ${config.table} WHERE ${config.column} = ? AND ${config.dependsOnColumn} = ?`,
+            [itemId, dependsOnId]
+        );
+
+        if (result.changes === 0) {
+            return { success: false, error: `${config.label} ${itemId} does not depend on ${dependsOnId}` };
+        }
+
+        return { success: true, message: 'Dependency removed successfully' };
+    }
+
+    async getCriticalPath(projectId, startDate = new Date()) {
+        const project = await this.getProjectById(projectId);
+        if (!project) {
+            throw new Error(`Project ${projectId} not found`);
+        }
+
+        const tasks = await this.getTasks(projectId);
+        const taskIds = new Set(tasks.map(task => task.id));
+
+        // Tasks from other projects that this project waits on are scheduled too
+        const externalIds = [...new Set(tasks.flatMap(task => task.depends_on))].filter(id => !taskIds.has(id));
+        for (const id of externalIds) {
+            const external = await this.getTaskById(id);
+            if (external) {
+                tasks.push({ ...external, depends_on: [], external: true });
+                taskIds.add(external.id);
+            }
+        }
+
+        const nodes = tasks.map(task => ({
+            id: task.id,
+            duration: task.estimated_hours || 0,
+            deadline: task.due_date ? new Date(task.due_date) : null,
+            done: task.status === 'completed'
+        }));
+        const edges = tasks.flatMap(task => task.depends_on
+            .filter(id => taskIds.has(id))
+            .map(id => ({ from: task.id, to: id })));
+
+        const result = new DependencyGraph(nodes, edges).computeCriticalPath(startDate);
+        const toDate = (hours) => new Date(startDate.getTime() + hours * DependencyGraph.HOUR_MS).toISOString();
+        const round = (value) => Math.round(value * 100) / 100;
+
+        const scheduled = tasks.map(task => {
+            const entry = result.schedule.get(task.id);
+            return {
+                id: task.id,
+                title: task.title,
+                projectId: task.project_id,
+                status: task.status,
+                external: !!task.external,
+                dependsOn: task.depends_on,
+                dueDate: task.due_date,
+                estimatedHours: task.estimated_hours,
+                earliestStart: toDate(entry.earliestStart),
+                earliestFinish: toDate(entry.earliestFinish),
+                latestStart: toDate(entry.latestStart),
+                latestFinish: toDate(entry.latestFinish),
+                slackHours: round(entry.slack),
+                isCritical: !!entry.isCritical
+            };
+        }).sort((a, b) => new Date(a.earliestStart) - new Date(b.earliestStart));
+
+        return {
+            projectId: project.id,
+            projectName: project.name,
+            startDate: startDate.toISOString(),
+            estimatedCompletion: toDate(result.projectDuration),
+            totalHours: round(result.projectDuration),
+            deadlineAtRisk: result.minSlack < 0,
+            criticalPath: result.criticalPath,
+            tasks: scheduled
+        };
+    }
+
+    async resolveTaskId(data) {
+        const taskId = data.taskId || data.id;
+        if (taskId) {
+            return taskId;
+        }
+
+        if (!data.taskTitle) {
+            return null;
+        }
+
+        const projectId = await this.resolveProjectId(data);
+        const tasks = await new Promise((resolve, reject) => {
+            let query = `
+                SELECT t.id, t.title as name FROM tasks t
+                LEFT JOIN projects p ON t.project_id = p.id
+                WHERE (p.status IS NULL OR p.status != 'deleted')
+            `;
+            const params = [];
+
+            if (projectId) {
+                query += ' AND t.project_id = ?';
+                params.push(projectId);
+            }
+
+            query += " ORDER BY t.status = 'completed', t.updated_at DESC";
+
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        const task = this.resolveByName('task', data.taskTitle, tasks);
+        return task ? task.id : null;
+    }
+
+    async resolveProjectId(data) {
+        if (data.projectId) {
+            return data.projectId;
+        }
+
+        if (data.projectName) {
+            const project = await this.findProjectByName(data.projectName);
+            return project ? project.id : null;
+        }
+
+        return null;
+    }
+
+    // Runs a project_management action; the assistant goes through the shared registry in GptCore instead
+    async executeAction(parameters) {
+        console.log('📊 Project Manager executeAction called with:', parameters);
+        if (!this.actions) {
+            this.actions = this.registerActions(new ActionRegistry());
+        }
+        return await this.actions.execute('project_management', parameters);
+    }
+
+    registerActions(registry) {
+        registry.defineFamily('project_management', {
+            title: 'Projects',
+            description: 'Manage projects, tasks, notes, reminders, timelines, inventory and bills of materials.',
+            dataKey: 'data'
+        });
+        registry.defineFamily('note_taking', {
+            title: 'Notes',
+            description: 'Save, edit or delete general notes, optionally linked to a project.',
+            dataKey: 'data'
+        });
+
+        const projectRequired = (data) => data.projectName ? `Project "${data.projectName}" not found` : 'Project ID or name is required';
+        const itemNotFound = (data) => `Inventory item "${data.itemName || data.name || data.itemId || data.id}" not found`;
+        const action = (name, definition) => registry.register('project_management', name, definition);
+
+        // Projects
+        action('create_project', {
+            description: 'Create new projects',
+            params: { name: 'string', 'description?': 'string', 'type?': 'string - general, software, hardware or research', 'priority?': 'integer - 1 (highest) to 5', 'deadline?': 'string - ISO date' },
+            handler: async (data) => {
+                const project = await this.createProject(data);
+                return { success: true, data: project, message: `Project "${data.name}" created successfully` };
+            }
+        });
+        action('edit_project', {
+            description: 'Edit/update existing projects',
+            aliases: ['update_project'],
+            params: { 'projectId?': 'integer', 'projectName?': 'string', 'name?': 'string', 'description?': 'string', 'type?': 'string', 'priority?': 'integer', 'deadline?': 'string', 'status?': 'string', 'updates?': 'object - the fields to change, instead of passing them directly' },
+            handler: async (data) => {
+                const projectId = await this.resolveProjectId({ ...data, projectId: data.projectId || data.id });
+                if (!projectId) {
+                    return { success: false, error: data.projectName ? `Project "${data.projectName}" not found` : 'Project ID or name is required for editing' };
+                }
+
+                const updates = data.updates || { ...data };
+                ['projectId', 'projectName', 'id', 'action'].forEach(key => delete updates[key]);
+                return await this.updateProject(projectId, updates);
+            }
+        });
+        action('delete_project', {
+            description: 'Delete/remove projects',
+            params: { 'projectId?': 'integer', 'projectName?': 'string' },
+            handler: async (data) => {
+                const projectId = await this.resolveProjectId({ ...data, projectId: data.projectId || data.id });
+                if (!projectId) {
+                    return { success: false, error: data.projectName ? `Project "${data.projectName}" not found` : 'Project ID or name is required for deletion' };
+                }
+                return await this.deleteProject(projectId);
+            }
+        });
+        action('get_projects', {
+            description: 'List all projects',
+            params: { 'status?': 'string', 'limit?': 'integer' },
+            handler: async () => ({ success: true, data: await this.getAllProjects() })
+        });
+        action('get_project', {
+            description: 'Get one project',
+            params: { id: 'integer' },
+            handler: async (data) => ({ success: true, data: await this.getProjectById(data.id) })
+        });
+        action('move_project_stage', {
+            description: 'Move project between stages (planning, in_progress, active, testing, review, completed, on_hold, cancelled)',
+            aliases: ['update_project_status', 'change_project_stage', 'set_project_phase'],
+            oneOf: [['projectId', 'projectName']],
+            params: { 'projectId?': 'integer', 'projectName?': 'string', 'targetStage?': 'string', 'targetStatus?': 'string' },
+            handler: async (data) => await this.moveProjectStage(data)
+        });
+
+        // Notes
+        action('add_note', {
+            description: 'Add notes to projects',
+            params: { content: 'string', 'projectId?': 'integer', 'noteType?': 'string', 'tags?': 'string[]' },
+            handler: async (data) => ({ success: true, data: await this.addNote(data), message: 'Note added' })
+        });
+        action('add_project_note', {
+            description: 'Add project-specific notes',
+            params: { projectId: 'integer', content: 'string', 'tags?': 'string[]', 'createdBy?': 'string' },
+            handler: async (data) => ({ success: true, data: await this.addProjectNote(data), message: `Note added to project successfully` })
+        });
+        action('get_project_notes', {
+            description: 'Get project notes',
+            params: { projectId: 'integer', 'limit?': 'integer' },
+            handler: async (data) => ({ success: true, data: await this.getProjectNotes(data.projectId, data.limit) })
+        });
+
+        // Reminders
+        action('add_reminder', {
+            description: 'Add project reminders',
+            params: { projectId: 'integer', title: 'string', 'description?': 'string', reminderDate: 'string - ISO date and time', 'isRecurring?': 'boolean', 'recurrencePattern?': 'object', 'priority?': 'integer' },
+            handler: async (data) => ({ success: true, data: await this.addReminder(data), message: `Reminder "${data.title}" added successfully` })
+        });
+        action('get_reminders', {
+            description: 'Get project reminders',
+            params: { 'projectId?': 'integer', 'includeInactive?': 'boolean' },
+            handler: async (data) => ({ success: true, data: await this.getReminders(data.projectId, data.includeInactive) })
+        });
+        action('update_reminder', {
+            description: 'Update reminder',
+            params: { id: 'integer', updates: 'object - title, description, reminder_date, is_recurring, recurrence_pattern, priority or status' },
+            handler: async (data) => await this.updateReminder(data.id, data.updates)
+        });
+        action('delete_reminder', {
+            description: 'Delete reminder',
+            params: { id: 'integer' },
+            handler: async (data) => await this.deleteReminder(data.id)
+        });
+        action('snooze_reminder', {
+            description: 'Snooze reminder',
+            params: { id: 'integer', snoozeUntil: 'string - ISO date and time' },
+            handler: async (data) => await this.snoozeReminder(data.id, data.snoozeUntil)
+        });
+        action('complete_reminder', {
+            description: 'Mark a reminder done; recurring reminders move to their next occurrence',
+            params: { id: 'integer', 'occurrenceDate?': 'string' },
+            handler: async (data) => await this.completeReminder(data.id, data.occurrenceDate)
+        });
+        action('get_due_reminders', {
+            description: 'Get due/overdue reminders',
+            handler: async () => ({ success: true, data: await this.getDueReminders() })
+        });
+
+        // Timeline
+        action('add_timeline_event', {
+            description: 'Add timeline events',
+            params: { title: 'string', 'description?': 'string', 'eventType?': 'string', 'projectId?': 'integer', 'startDate?': 'string', 'endDate?': 'string' },
+            handler: async (data) => await this.addTimelineEvent(data)
+        });
+        action('get_timeline', {
+            description: 'Get project timeline',
+            params: { 'projectId?': 'integer' },
+            handler: async (data) => ({ success: true, data: await this.getProjectTimeline(data.projectId) })
+        });
+        action('add_timeline_dependency', {
+            description: 'Make a timeline event wait on another',
+            params: { eventId: 'integer', dependsOnEventId: 'integer', 'allowCrossProject?': 'boolean' },
+            handler: async (data) => await this.addDependency('timeline', data.eventId, data.dependsOnEventId, { allowCrossProject: data.allowCrossProject })
+        });
+        action('remove_timeline_dependency', {
+            description: 'Remove a timeline dependency',
+            params: { eventId: 'integer', dependsOnEventId: 'integer' },
+            handler: async (data) => await this.removeDependency('timeline', data.eventId, data.dependsOnEventId)
+        });
+
+        // Tasks
+        const taskLookup = (data) => ({ ...data, taskTitle: data.taskTitle || data.title });
+        const resolveTask = async (lookup) => {
+            const taskId = await this.resolveTaskId(lookup);
+            if (!taskId) {
+                throw new Error(lookup.taskTitle ? `Task "${lookup.taskTitle}" not found` : 'Task ID or title is required');
+            }
+            return taskId;
+        };
+        action('create_task', {
+            description: 'Add a task to a project',
+            aliases: ['add_task'],
+            oneOf: [['projectId', 'projectName']],
+            params: { 'projectId?': 'integer', 'projectName?': 'string', title: 'string', 'description?': 'string', 'dueDate?': 'string', 'priority?': 'integer', 'estimatedHours?': 'number', 'assignedTo?': 'string', 'dependencies?': 'integer[] - ids of tasks this one waits on' },
+            handler: async (data) => {
+                const projectId = await this.resolveProjectId(data);
+                if (!projectId) {
+                    return { success: false, error: data.projectName ? `Project "${data.projectName}" not found` : 'Project ID or name is required to create a task' };
+                }
+                const task = await this.createTask({ ...data, projectId: projectId });
+                return { success: true, data: task, message: `Task "${task.title}" added successfully` };
+            }
+        });
+        action('get_tasks', {
+            description: 'List tasks',
+            params: { 'projectId?': 'integer', 'projectName?': 'string', 'includeCompleted?': 'boolean' },
+            handler: async (data) => {
+                const projectId = await this.resolveProjectId(data);
+                if (data.projectName && !projectId) {
+                    return { success: false, error: `Project "${data.projectName}" not found` };
+                }
+                return { success: true, data: await this.getTasks(projectId, data.includeCompleted !== false) };
+            }
+        });
+        action('update_task', {
+            description: 'Update a task (statuses: pending, in_progress, blocked, completed)',
+            params: { 'taskId?': 'integer', 'taskTitle?': 'string', 'projectName?': 'string', 'title?': 'string', 'description?': 'string', 'status?': 'string', 'dueDate?': 'string', 'priority?': 'integer', 'estimatedHours?': 'number', 'actualHours?': 'number', 'assignedTo?': 'string' },
+            handler: async (data) => {
+                const taskId = await resolveTask(data);
+                // Accept both { updates: {...} } and flat camelCase fields
+                const updates = data.updates || {
+                    title: data.title,
+                    description: data.description,
+                    status: data.status,
+                    due_date: data.dueDate,
+                    priority: data.priority,
+                    estimated_hours: data.estimatedHours,
+                    actual_hours: data.actualHours,
+                    assigned_to: data.assignedTo
+                };
+                Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+                return await this.updateTask(taskId, updates);
+            }
+        });
+        action('complete_task', {
+            description: 'Mark a task done',
+            params: { 'taskId?': 'integer', 'taskTitle?': 'string', 'title?': 'string', 'projectName?': 'string', 'actualHours?': 'number' },
+            handler: async (data) => await this.completeTask(await resolveTask(taskLookup(data)), data.actualHours)
+        });
+        action('reassign_task', {
+            description: 'Change who a task is assigned to',
+            params: { 'taskId?': 'integer', 'taskTitle?': 'string', 'title?': 'string', 'projectName?': 'string', assignedTo: 'string' },
+            handler: async (data) => await this.reassignTask(await resolveTask(taskLookup(data)), data.assignedTo)
+        });
+        action('delete_task', {
+            description: 'Delete a task',
+            params: { 'taskId?': 'integer', 'taskTitle?': 'string', 'title?': 'string', 'projectName?': 'string' },
+            handler: async (data) => await this.deleteTask(await resolveTask(taskLookup(data)))
+        });
+
+        const dependencyParams = { 'taskId?': 'integer', 'taskTitle?': 'string', 'dependsOnTaskId?': 'integer', 'dependsOnTitle?': 'string', 'projectName?': 'string' };
+        const resolveDependency = async (data) => {
+            const taskId = await this.resolveTaskId(taskLookup(data));
+            const dependsOnId = await this.resolveTaskId({ ...data, taskId: data.dependsOnTaskId, id: null, taskTitle: data.dependsOnTitle });
+            return { taskId, dependsOnId };
+        };
+        action('add_task_dependency', {
+            description: 'Make a task wait on another',
+            oneOf: [['dependsOnTaskId', 'dependsOnTitle']],
+            params: { ...dependencyParams, 'allowCrossProject?': 'boolean' },
+            handler: async (data) => {
+                const { taskId, dependsOnId } = await resolveDependency(data);
+                if (!taskId || !dependsOnId) {
+                    return { success: false, error: 'Both the task and the task it depends on are required' };
+                }
+                return await this.addDependency('task', taskId, dependsOnId, { allowCrossProject: data.allowCrossProject });
+            }
+        });
+        action('remove_task_dependency', {
+            description: 'Remove a task dependency',
+            oneOf: [['dependsOnTaskId', 'dependsOnTitle']],
+            params: dependencyParams,
+            handler: async (data) => {
+                const { taskId, dependsOnId } = await resolveDependency(data);
+                if (!taskId || !dependsOnId) {
+                    return { success: false, error: 'Both the task and the task it depends on are required' };
+                }
+                return await this.removeDependency('task', taskId, dependsOnId);
+            }
+        });
+        action('get_critical_path', {
+            description: 'Show which tasks drive the project deadline and how much slack the others have',
+            oneOf: [['projectId', 'projectName']],
+            params: { 'projectId?': 'integer', 'projectName?': 'string' },
+            handler: async (data) => {
+                const projectId = await this.resolveProjectId(data);
+                if (!projectId) {
+                    return { success: false, error: 'Project ID or name is required' };
+                }
+                const criticalPath = await this.getCriticalPath(projectId);
+                const chain = criticalPath.criticalPath
+                    .map(id => criticalPath.tasks.find(task => task.id === id)?.title)
+                    .join(' → ');
+                return {
+                    success: true,
+                    data: criticalPath,
+                    message: chain ?
+                        `Critical path for "${criticalPath.projectName}": ${chain} (${criticalPath.totalHours}h)` :
+                        `"${criticalPath.projectName}" has no open tasks on a critical path`
+                };
+            }
+        });
+
+        // Inventory
+        action('get_inventory', {
+            description: 'List inventory items',
+            params: { 'category?': 'string' },
+            handler: async (data) => ({ success: true, data: await this.getInventory(data.category) })
+        });
+        action('add_inventory', {
+            description: 'Add inventory items',
+            params: { name: 'string', 'category?': 'string', 'quantity?': 'number', 'unit?': 'string', 'costPerUnit?': 'number', 'supplier?': 'string', 'location?': 'string', 'minQuantity?': 'number', 'description?': 'string' },
+            handler: async (data) => {
+                const item = await this.addInventoryItem(data, { user: data.user, source: data.source || 'chat' });
+                return { success: true, data: item, message: `Added ${item.quantity} ${item.unit} of ${item.name} to inventory` };
+            }
+        });
+        action('update_inventory', {
+            description: 'Change stock; always include a short reason so the item\'s history explains the change',
+            oneOf: [['change', 'quantity']],
+            params: { 'itemId?': 'integer', 'itemName?': 'string', 'change?': 'number - e.g. -2 used, +10 restocked', 'quantity?': 'number - new total', 'reason?': 'string', 'projectId?': 'integer' },
+            handler: async (data) => {
+                const item = await this.findInventoryItem(data);
+                if (!item) {
+                    return { success: false, error: itemNotFound(data) };
+                }
+
+                // Accept an absolute quantity too ("I have 3 left") and turn it into a change
+                const change = data.change !== undefined ? data.change : data.quantity - item.quantity;
+                return await this.updateInventoryQuantity(item.id, change, data.reason, {
+                    projectId: data.projectId,
+                    user: data.user,
+                    source: data.source || 'chat'
+                });
+            }
+        });
+        action('set_inventory_minimum', {
+            description: 'Set the quantity below which an item is reordered (0 turns low-stock alerts off)',
+            params: { 'itemId?': 'integer', 'itemName?': 'string', minQuantity: 'number' },
+            handler: async (data) => {
+                const item = await this.findInventoryItem(data);
+                if (!item) {
+                    return { success: false, error: itemNotFound(data) };
+                }
+                return await this.setInventoryMinimum(item.id, data.minQuantity);
+            }
+        });
+        action('get_inventory_history', {
+            description: 'Show why an item\'s stock changed',
+            params: { 'itemId?': 'integer', 'itemName?': 'string', 'limit?': 'integer' },
+            handler: async (data) => {
+                const item = await this.findInventoryItem(data);
+                if (!item) {
+                    return { success: false, error: itemNotFound(data) };
+                }
+                return { success: true, data: await this.getInventoryTransactions(item.id, data.limit) };
+            }
+        });
+        action('reverse_inventory_transaction', {
+            description: 'Undo a recorded stock change',
+            params: { transactionId: 'integer', 'reason?': 'string' },
+            handler: async (data) => await this.reverseInventoryTransaction(data.transactionId, {
+                reason: data.reason,
+                user: data.user,
+                source: data.source || 'chat'
+            })
+        });
+        action('get_reorder_list', {
+            description: 'What needs reordering, grouped by supplier with estimated cost (use for "what do I need to reorder/buy?")',
+            handler: async () => {
+                const reorderList = await this.getReorderList();
+                return { success: true, data: reorderList, message: this.describeReorderList(reorderList) };
+            }
+        });
+
+        // Bills of materials
+        action('add_bom_item', {
+            description: 'Add a part to a project\'s bill of materials',
+            oneOf: [['projectId', 'projectName']],
+            params: { 'projectId?': 'integer', 'projectName?': 'string', 'itemId?': 'integer', 'itemName?': 'string', 'requiredQuantity?': 'number', 'notes?': 'string' },
+            handler: async (data) => await this.addBomItem(data)
+        });
+        action('get_bom', {
+            description: 'Show a project\'s bill of materials with reserved/used/short quantities',
+            oneOf: [['projectId', 'projectName']],
+            params: { 'projectId?': 'integer', 'projectName?': 'string' },
+            handler: async (data) => {
+                const projectId = await this.resolveProjectId(data);
+                if (!projectId) {
+                    return { success: false, error: projectRequired(data) };
+                }
+                return { success: true, data: await this.getProjectBom(projectId) };
+            }
+        });
+        action('remove_bom_item', {
+            description: 'Remove a bill of materials line',
+            oneOf: [['bomId', 'id']],
+            params: { 'bomId?': 'integer', 'id?': 'integer' },
+            handler: async (data) => await this.removeBomItem(data.bomId || data.id)
+        });
+        action('reserve_bom', {
+            description: 'Set aside stock for a project\'s bill of materials',
+            oneOf: [['projectId', 'projectName']],
+            params: { 'projectId?': 'integer', 'projectName?': 'string' },
+            handler: async (data) => {
+                const projectId = await this.resolveProjectId(data);
+                if (!projectId) {
+                    return { success: false, error: projectRequired(data) };
+                }
+                return await this.reserveProjectBom(projectId);
+            }
+        });
+        action('get_bom_shortfall', {
+            description: 'Which parts are missing for planned projects; moving a project to completed uses up its remaining bill of materials',
+            params: { 'projectId?': 'integer', 'projectName?': 'string' },
+            handler: async (data) => {
+                const shortfall = await this.getBomShortfall(await this.resolveProjectId(data));
+                const lines = shortfall.projects.map(entry =>
+                    `${entry.projectName}: ${entry.items.map(line => `${line.shortfall} ${line.unit || ''} ${line.name}`).join(', ')}`
+                );
+                return {
+                    success: true,
+                    data: shortfall,
+                    message: lines.length > 0 ?
+                        `Short on parts (~$${shortfall.totalEstimatedCost.toFixed(2)}):\n${lines.join('\n')}` :
+                        'Inventory covers every bill of materials'
+                };
+            }
+        });
+
+        // General notes
+        registry.register('note_taking', 'add_note', {
+            description: 'Save a note',
+            params: { content: 'string', 'tags?': 'string[]', 'projectId?': 'integer' },
+            handler: async (data) => ({ success: true, data: await this.addNote(data), message: 'Note saved' })
+        });
+        registry.register('note_taking', 'edit_note', {
+            description: 'Change a note\'s text, tags or project',
+            params: { id: 'integer', 'content?': 'string', 'tags?': 'string[]', 'projectId?': 'integer' },
+            handler: async (data) => await this.updateNote(data)
+        });
+        registry.register('note_taking', 'delete_note', {
+            description: 'Delete a note',
+            params: { id: 'integer' },
+            handler: async (data) => await this.deleteNote(data)
+        });
+
+        return registry;
+    }
+
+    async getProjectAnalytics(projectId = null) {
+        return new Promise((resolve, reject) => {
+            let query;
+            let params;
+            
+            if (projectId) {
+                query = `
+                    SELECT 
+                        COUNT(*) as total_tasks,
+                        COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_tasks,
+                        COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_progress_tasks,
+                        SUM(estimated_hours) as estimated_hours,
+                        SUM(actual_hours) as actual_hours
+                    FROM tasks 
+                    WHERE project_id = ?
+                `;
+                params = [projectId];
+            } else {
+                query = `
+                    SELECT 
+                        COUNT(DISTINCT p.id) as total_projects,
+                        COUNT(CASE WHEN p.status = 'active' THEN 1 END) as active_projects,
+                        COUNT(CASE WHEN p.status = 'completed' THEN 1 END) as completed_projects,
+                        COUNT(t.id) as total_tasks,
+                        COUNT(CASE WHEN t.status = 'completed' THEN 1 END) as completed_tasks
+                    FROM projects p
+                    LEFT JOIN tasks t ON p.id = t.project_id
+                    WHERE p.status != 'deleted'
+                `;
+                params = [];
+            }
+
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    async cleanup() {
+        if (this.transactionDb) {
+            this.transactionDb.close();
+        }
+        if (this.db) {
+            this.db.close();
+        }
+    }
+
+    async moveProjectStage(data) {
         console.log('📊 Moving project stage with data:', data);
         
         try {
@@ -1084,23 +2599,31 @@ class ProjectManager {
                 };
             }
             
-            // Update the project status
+            // Update the project status; completing it consumes the BOM
             const updateResult = await this.updateProject(finalProjectId, { 
                 status: normalizedStatus,
                 updated_at: new Date().toISOString()
             });
             
             if (updateResult.success) {
+                const consumption = updateResult.bomConsumption || null;
+                const message = `Project moved to "${normalizedStatus}" stage successfully` +
+                    (consumption ? this.describeBomConsumption(consumption) : '');
+
                 return {
                     success: true,
-                    message: `Project moved to "${normalizedStatus}" stage successfully`,
-                    data: { projectId: finalProjectId, newStatus: normalizedStatus }
+                    message: message,
+                    data: { projectId: finalProjectId, newStatus: normalizedStatus, bomConsumption: consumption }
                 };
             } else {
                 return updateResult;
             }
             
         } catch (error) {
+            if (error.needsDisambiguation) {
+                throw error;
+            }
+
             console.error('❌ Error moving project stage:', error);
             return {
                 success: false,
@@ -1110,22 +2633,56 @@ class ProjectManager {
     }
 
     async findProjectByName(projectName) {
-        return new Promise((resolve, reject) => {
-            const query = `
-                SELECT * FROM projects 
-                WHERE name LIKE ? AND status != 'deleted'
-                ORDER BY updated_at DESC
-                LIMIT 1
-            `;
-            
-            this.db.get(query, [`%${projectName}%`], (err, row) => {
+        const projects = await new Promise((resolve, reject) => {
+            this.db.all("SELECT * FROM projects WHERE status != 'deleted' ORDER BY updated_at DESC", [], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(row);
+                    resolve(rows);
                 }
             });
         });
+
+        return this.resolveByName('project', projectName, projects);
+    }
+
+    async findInventoryItem(data) {
+        const itemId = data.itemId || data.id;
+        if (itemId && !isNaN(itemId)) {
+            return new Promise((resolve, reject) => {
+                this.db.get('SELECT * FROM inventory WHERE id = ?', [itemId], (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row || null);
+                    }
+                });
+            });
+        }
+
+        // GPT sometimes puts the item name in the id field
+        const itemName = data.itemName || data.name || data.item || itemId;
+        if (!itemName) {
+            return null;
+        }
+
+        const items = await this.getInventory();
+        return this.resolveByName('inventory item', itemName, items);
+    }
+
+    // Returns the single best match or null, and throws with the candidates when the name is ambiguous
+    resolveByName(kind, name, rows) {
+        const resolution = this.nameResolver.resolve(name, rows);
+
+        if (resolution.needsDisambiguation) {
+            const options = resolution.candidates.map(row => `"${row.name}" (id ${row.id})`).join(', ');
+            const error = new Error(`"${name}" matches several ${kind}s: ${options}. Which one did you mean?`);
+            error.needsDisambiguation = true;
+            error.candidates = resolution.candidates.map(row => ({ id: row.id, name: row.name, kind: kind }));
+            throw error;
+        }
+
+        return resolution.match;
     }
 }
 
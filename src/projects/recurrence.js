@@ -0,0 +1,413 @@
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_CODES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const MAX_PERIODS = 5000;
+const MAX_CRON_DAYS = 366 * 8;
+
+const SIMPLE_PATTERNS = {
+    daily: { freq: 'daily', interval: 1 },
+    weekly: { freq: 'weekly', interval: 1 },
+    biweekly: { freq: 'weekly', interval: 2 },
+    monthly: { freq: 'monthly', interval: 1 },
+    quarterly: { freq: 'monthly', interval: 3 },
+    yearly: { freq: 'yearly', interval: 1 },
+    annually: { freq: 'yearly', interval: 1 },
+    weekdays: { freq: 'weekly', interval: 1, byDay: [1, 2, 3, 4, 5].map(day => ({ day, n: null })) }
+};
+
+// All calculations use local wall-clock time: "every day at 9:00" stays at 9:00
+// across DST changes, and monthly/yearly rules keep the anchor's day of month,
+// clamped to the last day of shorter months (Jan 31 -> Feb 28 -> Mar 31).
+class RecurrenceRule {
+    constructor(pattern) {
+        this.pattern = pattern;
+        this.rule = RecurrenceRule.parse(pattern);
+    }
+
+    static parse(pattern) {
+        if (pattern === null || pattern === undefined || pattern === '') {
+            throw new Error('Recurrence pattern is required');
+        }
+
+        if (typeof pattern === 'string') {
+            const text = pattern.trim();
+
+            if (/^(RRULE:)?FREQ=/i.test(text)) {
+                return RecurrenceRule.parseRRule(text);
+            }
+            if (text.split(/\s+/).length === 5) {
+                return RecurrenceRule.parseCron(text);
+            }
+            if (SIMPLE_PATTERNS[text.toLowerCase()]) {
+                return RecurrenceRule.normalize({ ...SIMPLE_PATTERNS[text.toLowerCase()] });
+            }
+
+            throw new Error(`Unrecognized recurrence pattern "${pattern}"`);
+        }
+
+        const type = String(pattern.type || pattern.frequency || pattern.freq || '').toLowerCase();
+
+        if (type === 'cron') {
+            return RecurrenceRule.parseCron(pattern.expression || pattern.cron);
+        }
+        if (type === 'rrule') {
+            return RecurrenceRule.parseRRule(pattern.rule || pattern.rrule);
+        }
+        if (SIMPLE_PATTERNS[type] && !FREQUENCIES.includes(type)) {
+            return RecurrenceRule.normalize({ ...SIMPLE_PATTERNS[type], count: pattern.count, until: pattern.until || pattern.endDate });
+        }
+        if (!FREQUENCIES.includes(type)) {
+            throw new Error(`Unsupported recurrence type "${type}" (use daily, weekly, monthly, yearly, cron or rrule)`);
+        }
+
+        const time = pattern.time ? String(pattern.time).match(/^(\d{1,2}):(\d{2})$/) : null;
+        const daysOfWeek = pattern.daysOfWeek || pattern.byDay;
+        const daysOfMonth = pattern.dayOfMonth || pattern.daysOfMonth;
+
+        return RecurrenceRule.normalize({
+            freq: type,
+            interval: pattern.interval,
+            byDay: daysOfWeek ? [].concat(daysOfWeek).map(day => RecurrenceRule.parseWeekday(day)) : null,
+            byMonthDay: daysOfMonth ? [].concat(daysOfMonth).map(Number) : null,
+            byMonth: pattern.month ? [].concat(pattern.month).map(Number) : null,
+            byHour: time ? parseInt(time[1], 10) : null,
+            byMinute: time ? parseInt(time[2], 10) : null,
+            count: pattern.count,
+            until: pattern.until || pattern.endDate
+        });
+    }
+
+    static normalize(rule) {
+        const interval = parseInt(rule.interval || 1, 10);
+        if (!(interval >= 1)) {
+            throw new Error('Recurrence interval must be a positive number');
+        }
+
+        const until = rule.until ? new Date(rule.until) : null;
+        if (until && isNaN(until.getTime())) {
+            throw new Error(`Invalid recurrence end date "${rule.until}"`);
+        }
+
+        (rule.byMonthDay || []).forEach(day => {
+            if (!Number.isInteger(day) || day === 0 || day < -31 || day > 31) {
+                throw new Error(`Invalid day of month "${day}"`);
+            }
+        });
+
+        return {
+            freq: rule.freq,
+            interval: interval,
+            byDay: rule.byDay && rule.byDay.length > 0 ? rule.byDay : null,
+            byMonthDay: rule.byMonthDay && rule.byMonthDay.length > 0 ? rule.byMonthDay : null,
+            byMonth: rule.byMonth && rule.byMonth.length > 0 ? rule.byMonth : null,
+            byHour: rule.byHour !== undefined ? rule.byHour : null,
+            byMinute: rule.byMinute !== undefined ? rule.byMinute : null,
+            count: rule.count ? parseInt(rule.count, 10) : null,
+            until: until
+        };
+    }
+
+    static parseWeekday(value) {
+        if (typeof value === 'number') {
+            if (value < 0 || value > 7) throw new Error(`Invalid weekday "${value}"`);
+            return { day: value % 7, n: null };
+        }
+
+        // Accepts "MO", "monday", "1MO" (first Monday) and "-1FR" (last Friday)
+        const match = String(value).trim().toUpperCase().match(/^([+-]?\d+)?([A-Z]{2})[A-Z]*$/);
+        const day = match ? DAY_CODES.indexOf(match[2]) : -1;
+        if (day === -1) {
+            throw new Error(`Invalid weekday "${value}"`);
+        }
+
+        return { day: day, n: match[1] ? parseInt(match[1], 10) : null };
+    }
+
+    static parseRRule(text) {
+        if (!text) {
+            throw new Error('RRULE is empty');
+        }
+
+        const parts = {};
+        String(text).replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+            const [key, value] = part.split('=');
+            parts[key.trim().toUpperCase()] = (value || '').trim();
+        });
+
+        const freq = (parts.FREQ || '').toLowerCase();
+        if (!FREQUENCIES.includes(freq)) {
+            throw new Error(`Unsupported RRULE FREQ "${parts.FREQ}"`);
+        }
+
+        const list = (value) => value ? value.split(',').map(item => parseInt(item, 10)) : null;
+        let until = null;
+        if (parts.UNTIL) {
+            const m = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+            if (!m) throw new Error(`Invalid RRULE UNTIL "${parts.UNTIL}"`);
+            until = m[7] ?
+                new Date(Date.UTC(+m[1], m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0))) :
+                new Date(+m[1], m[2] - 1, +m[3], m[4] !== undefined ? +m[4] : 23, m[5] !== undefined ? +m[5] : 59, m[6] !== undefined ? +m[6] : 59);
+        }
+
+        return RecurrenceRule.normalize({
+            freq: freq,
+            interval: parts.INTERVAL,
+            byDay: parts.BYDAY ? parts.BYDAY.split(',').map(day => RecurrenceRule.parseWeekday(day)) : null,
+            byMonthDay: list(parts.BYMONTHDAY),
+            byMonth: list(parts.BYMONTH),
+            byHour: parts.BYHOUR !== undefined ? parseInt(parts.BYHOUR, 10) : null,
+            byMinute: parts.BYMINUTE !== undefined ? parseInt(parts.BYMINUTE, 10) : null,
+            count: parts.COUNT,
+            until: until
+        });
+    }
+
+    static parseCron(expression) {
+        const fields = String(expression || '').trim().split(/\s+/);
+        if (fields.length !== 5) {
+            throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+        }
+
+        const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+
+        return {
+            freq: 'cron',
+            expression: fields.join(' '),
+            minutes: RecurrenceRule.parseCronField(minute, 0, 59),
+            hours: RecurrenceRule.parseCronField(hour, 0, 23),
+            daysOfMonth: RecurrenceRule.parseCronField(dayOfMonth, 1, 31),
+            months: RecurrenceRule.parseCronField(month, 1, 12, MONTH_CODES, 1),
+            daysOfWeek: RecurrenceRule.parseCronField(dayOfWeek, 0, 7, DAY_NAMES.map(name => name.toUpperCase()), 0)
+                .map(day => day % 7),
+            dayOfMonthRestricted: dayOfMonth !== '*',
+            dayOfWeekRestricted: dayOfWeek !== '*',
+            count: null,
+            until: null
+        };
+    }
+
+    static parseCronField(field, min, max, names = null, nameOffset = 0) {
+        const values = new Set();
+        const resolve = (token) => {
+            const index = names ? names.indexOf(token.toUpperCase()) : -1;
+            const value = index !== -1 ? index + nameOffset : parseInt(token, 10);
+            if (isNaN(value) || value < min || value > max) {
+                throw new Error(`Invalid cron value "${token}" (expected ${min}-${max})`);
+            }
+            return value;
+        };
+
+        field.split(',').forEach(part => {
+            const [range, stepText] = part.split('/');
+            const step = stepText ? parseInt(stepText, 10) : 1;
+            if (!(step >= 1)) {
+                throw new Error(`Invalid cron step "${part}"`);
+            }
+
+            let start = min;
+            let end = max;
+            if (range !== '*') {
+                const [from, to] = range.split('-');
+                start = resolve(from);
+                end = to !== undefined ? resolve(to) : (stepText ? max : start);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        });
+
+        return [...values].sort((a, b) => a - b);
+    }
+
+    // Returns the first occurrence strictly after `after`, or null when the series has ended.
+    // `anchor` is the first occurrence of the series and fixes the time of day and day of month.
+    next(after, anchor, options = {}) {
+        const { occurrenceCount = 0, endDate = null } = options;
+        const rule = this.rule;
+
+        if (rule.count && occurrenceCount >= rule.count) {
+            return null;
+        }
+
+        const candidate = rule.freq === 'cron' ?
+            this.nextCron(new Date(after)) :
+            this.nextCalendar(new Date(after), new Date(anchor));
+
+        const limits = [rule.until, endDate ? new Date(endDate) : null].filter(limit => limit && !isNaN(limit.getTime()));
+        if (!candidate || limits.some(limit => candidate > limit)) {
+            return null;
+        }
+
+        return candidate;
+    }
+
+    nextCalendar(after, anchor) {
+        const rule = this.rule;
+        const hour = rule.byHour !== null ? rule.byHour : anchor.getHours();
+        const minute = rule.byMinute !== null ? rule.byMinute : anchor.getMinutes();
+        const second = rule.byHour !== null || rule.byMinute !== null ? 0 : anchor.getSeconds();
+        const from = after > anchor ? after : anchor;
+
+        // Skip whole periods that are certainly before `from`
+        const elapsed = {
+            daily: Math.floor((from - anchor) / 86400000),
+            weekly: Math.floor((from - anchor) / (7 * 86400000)),
+            monthly: (from.getFullYear() - anchor.getFullYear()) * 12 + from.getMonth() - anchor.getMonth(),
+            yearly: from.getFullYear() - anchor.getFullYear()
+        }[rule.freq];
+        const firstPeriod = Math.max(0, Math.floor(elapsed / rule.interval) - 1);
+
+        for (let period = firstPeriod; period < firstPeriod + MAX_PERIODS; period++) {
+            const candidates = this.periodCandidates(period * rule.interval, anchor, hour, minute, second)
+                .filter(date => date >= anchor && date > after && this.matchesFilters(date))
+                .sort((a, b) => a - b);
+
+            if (candidates.length > 0) {
+                return candidates[0];
+            }
+        }
+
+        return null;
+    }
+
+    periodCandidates(offset, anchor, hour, minute, second) {
+        const rule = this.rule;
+        const year = anchor.getFullYear();
+        const month = anchor.getMonth();
+        const date = anchor.getDate();
+        const at = (y, m, d) => new Date(y, m, d, hour, minute, second);
+
+        switch (rule.freq) {
+            case 'daily':
+                return [at(year, month, date + offset)];
+
+            case 'weekly': {
+                // Weeks start on Monday, as in RRULE's default WKST
+                const weekStart = date - ((anchor.getDay() + 6) % 7) + offset * 7;
+                const days = rule.byDay ? rule.byDay.map(entry => entry.day) : [anchor.getDay()];
+                return days.map(day => at(year, month, weekStart + (day + 6) % 7));
+            }
+
+            case 'monthly': {
+                const first = new Date(year, month + offset, 1);
+                return this.monthCandidates(first.getFullYear(), first.getMonth(), date, at);
+            }
+
+            case 'yearly': {
+                const months = rule.byMonth ? rule.byMonth.map(m => m - 1) : [month];
+                return months.flatMap(m => this.monthCandidates(year + offset, m, date, at));
+            }
+
+            default:
+                return [];
+        }
+    }
+
+    monthCandidates(year, month, anchorDay, at) {
+        const rule = this.rule;
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+        if (rule.byDay && !rule.byMonthDay) {
+            const matches = [];
+            rule.byDay.forEach(({ day, n }) => {
+                const sameWeekday = [];
+                for (let d = 1; d <= daysInMonth; d++) {
+                    if (new Date(year, month, d).getDay() === day) sameWeekday.push(d);
+                }
+                if (n === null) {
+                    matches.push(...sameWeekday);
+                } else {
+                    const picked = n > 0 ? sameWeekday[n - 1] : sameWeekday[sameWeekday.length + n];
+                    if (picked) matches.push(picked);
+                }
+            });
+            return matches.map(d => at(year, month, d));
+        }
+
+        const days = rule.byMonthDay || [anchorDay];
+        return days.map(day => {
+            const resolved = day < 0 ? daysInMonth + 1 + day : Math.min(day, daysInMonth);
+            return at(year, month, Math.max(1, resolved));
+        });
+    }
+
+    matchesFilters(date) {
+        const rule = this.rule;
+
+        if (rule.byMonth && rule.freq !== 'yearly' && !rule.byMonth.includes(date.getMonth() + 1)) {
+            return false;
+        }
+        if (rule.byDay && rule.freq === 'daily' && !rule.byDay.some(entry => entry.day === date.getDay())) {
+            return false;
+        }
+        if (rule.byDay && rule.byMonthDay && (rule.freq === 'monthly' || rule.freq === 'yearly') &&
+            !rule.byDay.some(entry => entry.day === date.getDay())) {
+            return false;
+        }
+
+        return true;
+    }
+
+    nextCron(after) {
+        const rule = this.rule;
+        const start = new Date(after);
+        start.setSeconds(0, 0);
+        start.setMinutes(start.getMinutes() + 1);
+
+        for (let offset = 0; offset < MAX_CRON_DAYS; offset++) {
+            const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+            if (!rule.months.includes(day.getMonth() + 1)) continue;
+
+            // Standard cron: when both day fields are restricted, either one may match
+            const domMatch = rule.daysOfMonth.includes(day.getDate());
+            const dowMatch = rule.daysOfWeek.includes(day.getDay());
+            const dayMatches = rule.dayOfMonthRestricted && rule.dayOfWeekRestricted ?
+                domMatch || dowMatch : domMatch && dowMatch;
+            if (!dayMatches) continue;
+
+            for (const hour of rule.hours) {
+                for (const minute of rule.minutes) {
+                    const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+                    if (candidate >= start) {
+                        return candidate;
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    describe() {
+        const rule = this.rule;
+        if (rule.freq === 'cron') {
+            return `cron "${rule.expression}"`;
+        }
+
+        const unit = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' }[rule.freq];
+        let text = rule.interval === 1 ? `every ${unit}` : `every ${rule.interval} ${unit}s`;
+
+        if (rule.byDay) {
+            const ordinal = (n) => n === -1 ? 'last ' : n ? `${['', '1st', '2nd', '3rd', '4th', '5th'][n] || `${n}th`} ` : '';
+            text += ` on ${rule.byDay.map(entry => ordinal(entry.n) + DAY_NAMES[entry.day]).join(', ')}`;
+        }
+        if (rule.byMonthDay) {
+            text += ` on ${rule.byMonthDay.map(day => day === -1 ? 'the last day' : `day ${day}`).join(', ')}`;
+        }
+        if (rule.byHour !== null) {
+            text += ` at ${String(rule.byHour).padStart(2, '0')}:${String(rule.byMinute || 0).padStart(2, '0')}`;
+        }
+        if (rule.count) {
+            text += `, ${rule.count} times`;
+        }
+        if (rule.until) {
+            text += `, until ${rule.until.toLocaleDateString()}`;
+        }
+
+        return text;
+    }
+}
+
+module.exports = RecurrenceRule;
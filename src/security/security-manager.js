@@ -86,10 +86,12 @@ class SecurityManager {
                         level: this.accessLevels.ADMIN,
                         capabilities: [
                             'project_management',
+                            'note_taking',
                             'fabrication_control',
                             'computer_operations',
                             'file_management',
-                            'browser_control'
+                            'browser_control',
+                            'admin_functions'
                         ],
                         restrictions: ['system_critical_operations']
                     },
@@ -185,6 +187,43 @@ class SecurityManager {
         }
     }
 
+    // Only the read-only operations are registered; encryption and secure storage stay out of the assistant's reach
+    registerActions(registry) {
+        registry.defineFamily('security_check', {
+            title: 'Security',
+            description: 'Check user permissions, whether an action is authorized, a session token, or read the security audit log.',
+            selector: 'operation',
+            capability: 'admin_functions'
+        });
+
+        const operation = (name, definition) => registry.register('security_check', name, definition);
+        operation('check_permissions', {
+            description: 'Capabilities and restrictions of a user',
+            params: { 'user?': 'string - defaults to system' },
+            handler: async (args) => await this.checkUserPermissions(args.user || 'system')
+        });
+        operation('authorize_action', {
+            description: 'Whether a user may perform an action on a resource',
+            params: { 'user?': 'string', 'resource?': 'string', 'data?': 'object - { action }' },
+            handler: async (args) => ({
+                success: true,
+                data: await this.authorizeAction(args.user || 'system', args.resource, (args.data || {}).action)
+            })
+        });
+        operation('validate_session', {
+            description: 'Whether a session token is still valid',
+            params: { data: 'object - { token }' },
+            handler: async (args) => ({ success: true, data: await this.validateSession(args.data.token) })
+        });
+        operation('audit_log', {
+            description: 'Recent security events, newest first',
+            params: { 'data?': 'object - { limit }' },
+            handler: async (args) => ({ success: true, data: this.getAuditLog((args.data || {}).limit) })
+        });
+
+        return registry;
+    }
+
     async authorizeAction(user, resource, action) {
         try {
             const userPermissions = this.userPermissions.get(user) || this.userPermissions.get('default');
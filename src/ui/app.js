@@ -169,10 +169,18 @@ class GptUI {
         this.isListening = false;
         this.isGptInitialized = false;
         this.chatMessages = [];
+        // The chat request whose answer is streaming in, so Stop can cancel it
+        this.activeChatRequest = null;
+        // Saved conversation shown in the chat; loaded from the database on the first visit
+        this.chatSessionId = null;
+        this.chatHistoryLoaded = false;
+        this.chatSearchTimer = null;
         this.projects = [];
         this.notes = [];
         this.performanceTimer = new PerformanceTimer();
         this.loadingManager = new LoadingManager();
+        // Latest sample and temperature history per printer, pushed from the main process
+        this.printerTelemetry = new Map();
     }
 
     async initialize() {
@@ -303,7 +311,41 @@ class GptUI {
         });
 
         document.getElementById('sendBtn').addEventListener('click', () => {
-            this.sendChatMessage();
+            if (this.activeChatRequest) {
+                this.cancelChatMessage();
+            } else {
+                this.sendChatMessage();
+            }
+        });
+
+        // Chat sessions
+        document.getElementById('chatSessionSelect').addEventListener('change', (e) => {
+            this.openChatSession(parseInt(e.target.value, 10));
+        });
+
+        document.getElementById('newChatSessionBtn').addEventListener('click', () => {
+            this.startNewChatSession();
+        });
+
+        document.getElementById('renameChatSessionBtn').addEventListener('click', () => {
+            this.renameChatSession();
+        });
+
+        document.getElementById('chatSessionProject').addEventListener('change', (e) => {
+            this.pinChatSession(e.target.value ? parseInt(e.target.value, 10) : null);
+        });
+
+        document.getElementById('exportChatSessionBtn').addEventListener('click', () => {
+            this.exportChatSession();
+        });
+
+        document.getElementById('deleteChatSessionBtn').addEventListener('click', () => {
+            this.deleteChatSession();
+        });
+
+        document.getElementById('chatSearchInput').addEventListener('input', (e) => {
+            clearTimeout(this.chatSearchTimer);
+            this.chatSearchTimer = setTimeout(() => this.searchChatHistory(e.target.value), 300);
         });
 
         // ========================
@@ -361,6 +403,27 @@ class GptUI {
             });
         });
 
+        // Print queue
+        document.getElementById('addPrintJobBtn').addEventListener('click', () => {
+            this.addPrintJob();
+        });
+
+        document.getElementById('preflightPrintJobBtn').addEventListener('click', () => {
+            this.checkPrintFile();
+        });
+
+        document.getElementById('addSpoolBtn').addEventListener('click', () => {
+            this.addSpool();
+        });
+
+        document.getElementById('printHistoryPeriod').addEventListener('change', () => {
+            this.loadPrintHistory();
+        });
+
+        document.getElementById('refreshPrintQueueBtn').addEventListener('click', () => {
+            this.loadFabricationStatus();
+        });
+
         // Inventory filters
         document.getElementById('categoryFilter').addEventListener('change', () => {
             this.loadInventory();
@@ -370,6 +433,10 @@ class GptUI {
             this.loadInventory();
         });
 
+        document.getElementById('reorderListBtn').addEventListener('click', () => {
+            this.showReorderList();
+        });
+
         // Timeline navigation
         document.getElementById('timelinePrev').addEventListener('click', () => {
             this.navigateTimeline(-1);
@@ -410,6 +477,10 @@ class GptUI {
         document.getElementById('savePrinterBtn').addEventListener('click', () => {
             this.savePrinterSettings();
         });
+
+        document.getElementById('createBackupBtn').addEventListener('click', () => {
+            this.createDatabaseBackup();
+        });
     }
 
     setupIPCListeners() {
@@ -418,6 +489,11 @@ class GptUI {
             this.handleGptResponse(data);
         });
 
+        // Tokens of a streaming answer, appended to its message as they arrive
+        ipcRenderer.on('gpt-stream-token', (event, data) => {
+            this.appendStreamToken(data.requestId, data.token);
+        });
+
         // Listen for navigation requests
         ipcRenderer.on('navigate-to', (event, page) => {
             this.navigateToPage(page);
@@ -436,6 +512,38 @@ class GptUI {
             }
         });
         
+        // Reminders delivered in-app when OS notifications are unavailable
+        ipcRenderer.on('reminder-due', (event, data) => {
+            this.showReminderToast(data);
+        });
+        
+        // Live printer telemetry
+        ipcRenderer.on('printer-telemetry', (event, sample) => {
+            this.handlePrinterTelemetry(sample);
+        });
+        
+        ipcRenderer.on('print-event', (event, printEvent) => {
+            if (!printEvent.notified) {
+                const message = printEvent.type === 'finished' ?
+                    `✅ Print finished on ${printEvent.printerName}${printEvent.fileName ? `: ${printEvent.fileName}` : ''}` :
+                    `❌ Print failed on ${printEvent.printerName}: ${printEvent.error}`;
+                this.showNotification(message, printEvent.type === 'finished' ? 'success' : 'error');
+            }
+            if (this.currentPage === 'fabrication') {
+                this.loadFabricationStatus();
+            }
+        });
+        
+        ipcRenderer.on('printer-safety-alert', (event, intervention) => {
+            if (!intervention.notified) {
+                const prefix = { alert: '⚠️', pause: '⏸️ Paused:', cancel: '🛑 Cancelled:' }[intervention.action];
+                this.showNotification(`${prefix} ${intervention.printerName} - ${intervention.message}`, 'error');
+            }
+            if (this.currentPage === 'fabrication' && intervention.action !== 'alert') {
+                this.loadFabricationStatus();
+            }
+        });
+        
         // Listen for notification click events
         ipcRenderer.on('show-project-reminder', (event, data) => {
             console.log('🔔 Received show-project-reminder event:', data);
@@ -500,9 +608,15 @@ class GptUI {
             case 'fabrication':
                 await this.loadFabricationStatus();
                 break;
+            case 'inventory':
+                await this.loadInventory();
+                break;
             case 'notes':
                 await this.loadNotes();
                 break;
+            case 'settings':
+                await this.loadDatabaseBackups();
+                break;
         }
     }
 
@@ -515,8 +629,11 @@ class GptUI {
             document.getElementById('activeProjects').textContent = 
                 projects?.filter(p => p.status === 'active')?.length || 0;
             
+            const tasks = await ipcRenderer.invoke('get-all-tasks');
+            document.getElementById('completedTasksCount').textContent = 
+                tasks?.filter(t => t.status === 'completed')?.length || 0;
+            
             // TODO: Load other dashboard data
-            document.getElementById('completedTasks').textContent = '0';
             document.getElementById('printsInProgress').textContent = '0';
             document.getElementById('totalNotes').textContent = '0';
             
@@ -647,24 +764,601 @@ class GptUI {
 
     async loadFabricationStatus() {
         try {
-            // TODO: Implement fabrication status loading
             const printerStatus = document.getElementById('printerStatus');
-            printerStatus.innerHTML = `
-                <div class="stat-card">
-                    <div class="stat-value">Not Connected</div>
-                    <div class="stat-label">Bambu Lab Printer</div>
+            const status = await ipcRenderer.invoke('get-fabrication-status');
+
+            if (!status?.success || status.printers.length === 0) {
+                printerStatus.innerHTML = `
+                    <div class="stat-card">
+                        <div class="stat-value">Not Connected</div>
+                        <div class="stat-label">3D Printer</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-value">Configure</div>
+                        <div class="stat-label">Setup Required</div>
+                    </div>
+                `;
+            } else {
+                printerStatus.innerHTML = status.printers.map(printer => `
+                    <div class="stat-card">
+                        <div class="stat-value">${printer.connected ? this.escapeHtml(printer.state) : 'Offline'}</div>
+                        <div class="stat-label">${this.escapeHtml(printer.name)}${printer.material ? ` · ${this.escapeHtml(printer.material)}` : ''}</div>
+                    </div>
+                `).join('');
+            }
+
+            const printerSelect = document.getElementById('printJobPrinter');
+            const selected = printerSelect.value;
+            printerSelect.innerHTML = '<option value="">Any compatible printer</option>' +
+                (status?.printers || []).map(printer =>
+                    `<option value="${this.escapeHtml(printer.id)}">${this.escapeHtml(printer.name)}</option>`
+                ).join('');
+            printerSelect.value = selected;
+
+            this.renderPrintQueue(status?.queue || { active: [], queued: [], finished: [] }, status?.printers || []);
+            this.renderSpools(status?.spools || [], status?.printers || []);
+            this.loadPrintHistory();
+            this.loadPrinterTelemetry();
+        } catch (error) {
+            console.error('Error loading fabrication status:', error);
+        }
+    }
+
+    // Seeds the charts with the history the main process already has, live samples take over from there
+    async loadPrinterTelemetry() {
+        try {
+            const result = await ipcRenderer.invoke('get-printer-telemetry');
+            if (!result?.success) return;
+
+            result.data.forEach(({ latest, history }) => {
+                this.printerTelemetry.set(latest.printerId, { latest: latest, history: history });
+            });
+            this.renderPrinterTelemetry();
+        } catch (error) {
+            console.error('Error loading printer telemetry:', error);
+        }
+    }
+
+    handlePrinterTelemetry(sample) {
+        const telemetry = this.printerTelemetry.get(sample.printerId) || { latest: null, history: [] };
+        telemetry.latest = sample;
+
+        if (sample.connected) {
+            const time = Date.parse(sample.timestamp);
+            telemetry.history.push({
+                time: time,
+                nozzle: sample.nozzleTemperature,
+                nozzleTarget: sample.nozzleTarget,
+                bed: sample.bedTemperature,
+                bedTarget: sample.bedTarget
+            });
+            telemetry.history = telemetry.history.filter(point => point.time >= time - 30 * 60 * 1000);
+        }
+        this.printerTelemetry.set(sample.printerId, telemetry);
+
+        if (this.currentPage === 'fabrication') {
+            this.renderPrinterTelemetry(sample.printerId);
+        }
+    }
+
+    renderPrinterTelemetry(onlyPrinterId = null) {
+        const container = document.getElementById('printerTelemetry');
+
+        this.printerTelemetry.forEach((telemetry, printerId) => {
+            if (onlyPrinterId && printerId !== onlyPrinterId) return;
+
+            let card = [...container.children].find(element => element.dataset.printerId === printerId);
+            if (!card) {
+                card = document.createElement('div');
+                card.dataset.printerId = printerId;
+                container.appendChild(card);
+            }
+
+            const sample = telemetry.latest;
+            const running = ['printing', 'paused', 'preparing'].includes(sample.state);
+            const temperature = (actual, target) => actual === null ? '-' :
+                `${Math.round(actual)}°C${target ? ` / ${Math.round(target)}°C` : ''}`;
+
+            card.className = `telemetry-card ${sample.error ? 'error' : ''}`;
+            card.innerHTML = `
+                <div style="display: flex; justify-content: space-between;">
+                    <span style="color: #fff;">${this.escapeHtml(sample.printerName)}</span>
+                    <span style="color: #999; font-size: 12px;">${sample.connected ? this.escapeHtml(sample.state) : 'offline'}</span>
+                </div>
+                ${running ? `
+                    <div class="telemetry-progress">
+                        <div class="telemetry-progress-fill" style="width: ${sample.progress || 0}%;"></div>
+                    </div>
+                    <div style="font-size: 12px; color: #999;">
+                        ${sample.progress || 0}%
+                        ${sample.layer !== null ? `· layer ${sample.layer}${sample.totalLayers ? `/${sample.totalLayers}` : ''}` : ''}
+                        ${sample.remainingMinutes !== null ? `· ${Math.floor(sample.remainingMinutes / 60)}h ${sample.remainingMinutes % 60}m left` : ''}
+                        ${sample.fileName ? `· ${this.escapeHtml(sample.fileName)}` : ''}
+                    </div>
+                ` : ''}
+                <div style="font-size: 12px; color: #ccc; margin-top: 8px;">
+                    <span style="color: #ff9f43;">Nozzle ${temperature(sample.nozzleTemperature, sample.nozzleTarget)}</span>
+                    · <span style="color: #00d4ff;">Bed ${temperature(sample.bedTemperature, sample.bedTarget)}</span>
+                    ${sample.chamberTemperature !== null ? `· Chamber ${Math.round(sample.chamberTemperature)}°C` : ''}
+                </div>
+                ${sample.error ? `<div style="font-size: 11px; color: #ff6b6b; margin-top: 6px;">${this.escapeHtml(sample.error)}</div>` : ''}
+                <canvas class="telemetry-chart"></canvas>
+            `;
+
+            this.drawTemperatureChart(card.querySelector('canvas'), telemetry.history);
+        });
+    }
+
+    drawTemperatureChart(canvas, history) {
+        const width = canvas.width = canvas.clientWidth || 300;
+        const height = canvas.height = canvas.clientHeight || 90;
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, width, height);
+
+        if (history.length < 2) return;
+
+        const start = history[0].time;
+        const span = Math.max(history[history.length - 1].time - start, 1);
+        const maxTemperature = Math.max(60, ...history.map(point => Math.max(point.nozzle || 0, point.nozzleTarget || 0))) * 1.1;
+        const x = (point) => ((point.time - start) / span) * width;
+        const y = (value) => height - (value / maxTemperature) * height;
+
+        const line = (key, color, dashed) => {
+            context.beginPath();
+            context.strokeStyle = color;
+            context.setLineDash(dashed ? [4, 4] : []);
+            history.forEach((point, index) => {
+                const value = point[key] || 0;
+                if (index === 0) {
+                    context.moveTo(x(point), y(value));
+                } else {
+                    context.lineTo(x(point), y(value));
+                }
+            });
+            context.stroke();
+        };
+
+        line('nozzleTarget', 'rgba(255, 159, 67, 0.5)', true);
+        line('bedTarget', 'rgba(0, 212, 255, 0.5)', true);
+        line('nozzle', '#ff9f43', false);
+        line('bed', '#00d4ff', false);
+    }
+
+    async loadPrintHistory() {
+        const days = document.getElementById('printHistoryPeriod').value;
+
+        try {
+            const result = await ipcRenderer.invoke('get-print-history', { days: days ? parseInt(days) : null, limit: 30 });
+            if (!result?.success) {
+                document.getElementById('printHistoryList').innerHTML =
+                    `<div style="text-align: center; color: #666; padding: 20px;">${this.escapeHtml(result?.error || 'Print history is not available')}</div>`;
+                return;
+            }
+
+            this.renderPrintStats(result.stats);
+            this.renderPrintHistory(result.history);
+        } catch (error) {
+            console.error('Error loading print history:', error);
+        }
+    }
+
+    renderPrintStats(stats) {
+        const statsContainer = document.getElementById('printStats');
+        const breakdown = document.getElementById('printStatsBreakdown');
+        if (!stats) {
+            statsContainer.innerHTML = '';
+            breakdown.innerHTML = '';
+            return;
+        }
+
+        statsContainer.innerHTML = `
+            <div class="stat-card">
+                <div class="stat-value">${stats.jobs}</div>
+                <div class="stat-label">Prints (${stats.done} done, ${stats.failed} failed)</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${stats.successRate !== null ? `${stats.successRate}%` : '-'}</div>
+                <div class="stat-label">Success Rate</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${stats.hours} h</div>
+                <div class="stat-label">Printer Hours</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${stats.grams} g</div>
+                <div class="stat-label">Filament Used</div>
+            </div>
+        `;
+
+        breakdown.innerHTML = [
+            stats.printers.length > 0 ? '🖨️ ' + stats.printers.map(printer =>
+                `${this.escapeHtml(printer.printer_name || printer.printer_id)}: ${printer.hours} h` +
+                (printer.successRate !== null ? `, ${printer.successRate}%` : '')
+            ).join(' · ') : '',
+            stats.materials.length > 0 ? '🧵 ' + stats.materials.map(material =>
+                `${this.escapeHtml(material.material)}: ${material.grams} g (${material.jobs} prints)`
+            ).join(' · ') : ''
+        ].filter(Boolean).join('<br>');
+    }
+
+    renderPrintHistory(history) {
+        const list = document.getElementById('printHistoryList');
+        if (history.length === 0) {
+            list.innerHTML = '<div style="text-align: center; color: #666; padding: 20px;">No finished prints in this period</div>';
+            return;
+        }
+
+        const inputStyle = 'width: 100%; margin-top: 6px; padding: 4px 8px; background: #1a1a1a; border: 1px solid #444; border-radius: 4px; color: #fff; font-size: 12px;';
+
+        list.innerHTML = history.map(job => `
+            <div class="print-job ${job.status}">
+                <div style="flex: 1;">
+                    <div style="color: #fff;">${this.escapeHtml(job.file_name)}
+                        <span style="color: #999; font-size: 12px;">#${job.id}</span>
+                    </div>
+                    <div style="font-size: 11px; color: #999; margin-top: 4px;">
+                        ${job.status}
+                        · ${this.escapeHtml(job.printer_name || job.assigned_printer_id || 'unknown printer')}
+                        ${job.material ? `· ${this.escapeHtml(job.material)}` : ''}
+                        ${job.duration_minutes !== null ? `· ${Math.floor(job.duration_minutes / 60)}h ${job.duration_minutes % 60}m` : ''}
+                        ${job.used_grams ? `· 🧵 ${Math.round(job.used_grams)} g` : ''}
+                        ${job.project_name ? `· 📁 ${this.escapeHtml(job.project_name)}` : ''}
+                        · ${new Date(job.finished_at + 'Z').toLocaleString()}
+                    </div>
+                    ${job.error ? `<div style="font-size: 11px; color: #ff6b6b; margin-top: 4px;">${this.escapeHtml(job.error)}</div>` : ''}
+                    ${job.status === 'failed' ? `
+                        <input type="text" placeholder="Failure reason (e.g. bed adhesion)" value="${this.escapeHtml(job.failure_reason || '')}"
+                               style="${inputStyle}" onchange="window.gptUI.annotatePrintJob(${job.id}, { failureReason: this.value })">
+                    ` : ''}
+                    <input type="text" placeholder="Notes" value="${this.escapeHtml(job.operator_notes || '')}"
+                           style="${inputStyle}" onchange="window.gptUI.annotatePrintJob(${job.id}, { operatorNotes: this.value })">
                 </div>
-                <div class="stat-card">
-                    <div class="stat-value">Configure</div>
-                    <div class="stat-label">Setup Required</div>
+            </div>
+        `).join('');
+    }
+
+    async annotatePrintJob(jobId, annotations) {
+        try {
+            const result = await ipcRenderer.invoke('annotate-print-job', jobId, annotations);
+            if (result?.success) {
+                this.showNotification(result.message, 'success');
+            } else {
+                this.showError('Failed to save notes: ' + (result?.error || 'Unknown error'));
+            }
+        } catch (error) {
+            console.error('Error saving print job notes:', error);
+            this.showError('Failed to save notes: ' + error.message);
+        }
+    }
+
+    renderSpools(spools, printers) {
+        const list = document.getElementById('spoolList');
+        if (spools.length === 0) {
+            list.innerHTML = '<div style="text-align: center; color: #666; padding: 20px;">No spools tracked yet</div>';
+            return;
+        }
+
+        list.innerHTML = spools.map(spool => {
+            const percent = Math.max(0, Math.min(100, Math.round((spool.remaining_grams / spool.initial_grams) * 100)));
+            const label = [spool.brand, spool.color, spool.material].filter(Boolean).join(' ');
+
+            return `
+                <div class="spool-item ${spool.status}">
+                    <div style="flex: 1;">
+                        <div style="color: #fff;">🧵 ${this.escapeHtml(label)}
+                            <span style="color: #999; font-size: 12px;">#${spool.id}</span>
+                        </div>
+                        <div style="font-size: 11px; color: #999; margin-top: 4px;">
+                            ${Math.round(spool.remaining_grams)} g of ${Math.round(spool.initial_grams)} g
+                            ${spool.inventory_item_name ? `· 📦 ${this.escapeHtml(spool.inventory_item_name)}` : ''}
+                            ${spool.status !== 'active' ? `· ${spool.status}` : ''}
+                        </div>
+                        <div class="spool-remaining">
+                            <div class="spool-remaining-fill ${percent < 15 ? 'low' : ''}" style="width: ${percent}%;"></div>
+                        </div>
+                    </div>
+                    ${spool.status === 'active' ? `
+                        <select onchange="window.gptUI.loadSpool(${spool.id}, this.value)"
+                                style="padding: 6px; background: #1a1a1a; border: 1px solid #444; border-radius: 4px; color: #fff;">
+                            <option value="">Not loaded</option>
+                            ${printers.map(printer => `
+                                <option value="${this.escapeHtml(printer.id)}" ${spool.printer_id === printer.id ? 'selected' : ''}>
+                                    ${this.escapeHtml(printer.name)}
+                                </option>
+                            `).join('')}
+                        </select>
+                    ` : ''}
+                    <button class="btn btn-secondary" style="padding: 4px 10px; font-size: 12px;"
+                            onclick="window.gptUI.archiveSpool(${spool.id})">Archive</button>
                 </div>
             `;
+        }).join('');
+    }
+
+    async addSpool() {
+        const material = document.getElementById('spoolMaterial').value.trim();
+        if (!material) {
+            this.showError('Enter the spool material');
+            return;
+        }
+
+        const grams = parseFloat(document.getElementById('spoolGrams').value);
+        const inventoryItem = document.getElementById('spoolInventoryItem').value.trim();
+
+        try {
+            const result = await ipcRenderer.invoke('add-spool', {
+                material: material,
+                color: document.getElementById('spoolColor').value.trim() || null,
+                brand: document.getElementById('spoolBrand').value.trim() || null,
+                initialGrams: isNaN(grams) ? 1000 : Math.max(grams, 1000),
+                remainingGrams: isNaN(grams) ? null : grams,
+                inventoryItemName: inventoryItem || null
+            });
+
+            if (result?.success) {
+                ['spoolMaterial', 'spoolColor', 'spoolBrand', 'spoolGrams', 'spoolInventoryItem']
+                    .forEach(id => { document.getElementById(id).value = ''; });
+                this.showNotification(result.message, 'success');
+                this.loadFabricationStatus();
+            } else {
+                this.showError('Failed to add spool: ' + (result?.error || 'Unknown error'));
+            }
         } catch (error) {
-            console.error('Error loading fabrication status:', error);
+            console.error('Error adding spool:', error);
+            this.showError('Failed to add spool: ' + error.message);
+        }
+    }
+
+    async loadSpool(spoolId, printerId) {
+        try {
+            const result = printerId ?
+                await ipcRenderer.invoke('load-spool', spoolId, printerId) :
+                await ipcRenderer.invoke('unload-spool', spoolId);
+
+            if (result?.success) {
+                this.showNotification(result.message, 'success');
+            } else {
+                this.showError('Failed to update spool: ' + (result?.error || 'Unknown error'));
+            }
+            this.loadFabricationStatus();
+        } catch (error) {
+            console.error('Error loading spool:', error);
+            this.showError('Failed to update spool: ' + error.message);
+        }
+    }
+
+    async archiveSpool(spoolId) {
+        if (!confirm('Archive this spool? It will no longer be tracked on a printer.')) return;
+
+        try {
+            const result = await ipcRenderer.invoke('update-spool', spoolId, { status: 'archived' });
+            if (result?.success) {
+                this.showNotification(result.message, 'success');
+            } else {
+                this.showError('Failed to archive spool: ' + (result?.error || 'Unknown error'));
+            }
+            this.loadFabricationStatus();
+        } catch (error) {
+            console.error('Error archiving spool:', error);
+            this.showError('Failed to archive spool: ' + error.message);
+        }
+    }
+
+    renderPrintQueue(queue, printers) {
+        const list = document.getElementById('printQueueList');
+        const printerName = (id) => (printers.find(printer => printer.id === id) || {}).name || id;
+
+        if (queue.active.length + queue.queued.length + queue.finished.length === 0) {
+            list.innerHTML = '<div style="text-align: center; color: #666; padding: 20px;">The print queue is empty</div>';
+            return;
+        }
+
+        const renderJob = (job, index = null) => `
+            <div class="print-job ${job.status} ${job.status === 'queued' ? 'draggable' : ''}"
+                 data-job-id="${job.id}" ${job.status === 'queued' ? 'draggable="true"' : ''}>
+                ${index !== null ? `<span style="color: #666; width: 20px;">${index + 1}</span>` : ''}
+                <div style="flex: 1;">
+                    <div style="color: #fff;">${this.escapeHtml(job.file_name)}</div>
+                    <div style="font-size: 11px; color: #999; margin-top: 4px;">
+                        ${job.status}
+                        · ${job.assigned_printer_id ? this.escapeHtml(printerName(job.assigned_printer_id)) :
+                            job.printer_id ? this.escapeHtml(printerName(job.printer_id)) : 'any printer'}
+                        ${job.material ? `· ${this.escapeHtml(job.material)}` : ''}
+                        · priority ${job.priority}
+                        ${job.used_grams ? `· 🧵 ${Math.round(job.used_grams)} g` : job.estimated_grams ? `· ~${Math.round(job.estimated_grams)} g` : ''}
+                        ${job.project_name ? `· 📁 ${this.escapeHtml(job.project_name)}` : ''}
+                    </div>
+                    ${job.error ? `<div style="font-size: 11px; color: #ff6b6b; margin-top: 4px;">${this.escapeHtml(job.error)}</div>` : ''}
+                </div>
+                ${['queued', 'uploading', 'printing'].includes(job.status) ? `
+                    <button class="btn btn-secondary" style="padding: 4px 10px; font-size: 12px;"
+                            onclick="window.gptUI.cancelPrintJob(${job.id})">Cancel</button>
+                ` : ''}
+                ${['failed', 'cancelled'].includes(job.status) ? `
+                    <button class="btn btn-secondary" style="padding: 4px 10px; font-size: 12px;"
+                            onclick="window.gptUI.retryPrintJob(${job.id})">Retry</button>
+                ` : ''}
+            </div>
+        `;
+
+        list.innerHTML = `
+            ${queue.active.map(job => renderJob(job)).join('')}
+            <div id="printQueueQueued">${queue.queued.map((job, index) => renderJob(job, index)).join('')}</div>
+            ${queue.finished.length > 0 ? `
+                <div style="font-size: 12px; color: #666; margin: 20px 0 8px;">Recently finished</div>
+                ${queue.finished.map(job => renderJob(job)).join('')}
+            ` : ''}
+        `;
+
+        this.setupPrintQueueDragAndDrop(document.getElementById('printQueueQueued'));
+    }
+
+    setupPrintQueueDragAndDrop(container) {
+        let dragged = null;
+
+        container.querySelectorAll('.print-job.draggable').forEach(item => {
+            item.addEventListener('dragstart', () => {
+                dragged = item;
+                item.classList.add('dragging');
+            });
+
+            item.addEventListener('dragend', async () => {
+                item.classList.remove('dragging');
+                dragged = null;
+
+                const orderedIds = [...container.querySelectorAll('.print-job')].map(job => parseInt(job.dataset.jobId));
+                const result = await ipcRenderer.invoke('reorder-print-queue', orderedIds);
+                if (!result?.success) {
+                    this.showError('Failed to reorder print queue: ' + (result?.error || 'Unknown error'));
+                }
+                this.loadFabricationStatus();
+            });
+
+            item.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                if (!dragged || dragged === item) return;
+
+                // Drop above or below depending on which half of the card the pointer is over
+                const rect = item.getBoundingClientRect();
+                const after = e.clientY > rect.top + rect.height / 2;
+                container.insertBefore(dragged, after ? item.nextSibling : item);
+            });
+        });
+    }
+
+    async addPrintJob() {
+        const fileInput = document.getElementById('printJobFile');
+        const file = fileInput.value.trim();
+        if (!file) {
+            this.showError('Enter the file to print');
+            return;
+        }
+
+        // Anything that looks like a path is uploaded from this machine first
+        const isPath = /[\\/]/.test(file);
+
+        try {
+            const result = await ipcRenderer.invoke('add-print-job', {
+                fileName: isPath ? file.split(/[\\/]/).pop() : file,
+                filePath: isPath ? file : null,
+                printerId: document.getElementById('printJobPrinter').value || null,
+                material: document.getElementById('printJobMaterial').value.trim() || null,
+                priority: parseInt(document.getElementById('printJobPriority').value)
+            });
+
+            this.renderPreflightReport(result?.preflight);
+
+            if (result?.success) {
+                fileInput.value = '';
+                this.showNotification(result.message, 'success');
+                this.loadFabricationStatus();
+            } else {
+                this.showError('Failed to queue print: ' + (result?.error || 'Unknown error'));
+            }
+        } catch (error) {
+            console.error('Error adding print job:', error);
+            this.showError('Failed to queue print: ' + error.message);
+        }
+    }
+
+    async checkPrintFile() {
+        const file = document.getElementById('printJobFile').value.trim();
+        if (!/[\\/]/.test(file)) {
+            this.showError('Enter the full path of a local G-code or 3MF file to check it');
+            return;
+        }
+
+        try {
+            const result = await ipcRenderer.invoke('preflight-print-file', file, {
+                printerId: document.getElementById('printJobPrinter').value || null,
+                material: document.getElementById('printJobMaterial').value.trim() || null
+            });
+
+            if (result?.success) {
+                this.renderPreflightReport(result.data);
+            } else {
+                this.renderPreflightReport(null);
+                this.showError(result?.error || 'Pre-flight check failed');
+            }
+        } catch (error) {
+            console.error('Error checking print file:', error);
+            this.showError('Pre-flight check failed: ' + error.message);
+        }
+    }
+
+    renderPreflightReport(report) {
+        const container = document.getElementById('preflightReport');
+        if (!report) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        const icons = { pass: '✅', warn: '⚠️', fail: '❌' };
+        const analysis = report.analysis;
+        const box = analysis.boundingBox ? analysis.boundingBox.size : null;
+
+        container.className = `preflight-report ${report.passed ? '' : 'failed'}`;
+        container.innerHTML = `
+            <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+                <strong>${report.passed ? 'Ready to print' : 'Not safe to print'}: ${this.escapeHtml(report.file || '')}</strong>
+                <span style="color: #888; font-size: 12px;">${report.printer ? this.escapeHtml(report.printer) : 'Any printer'}</span>
+            </div>
+            <div style="color: #aaa; font-size: 12px; margin-bottom: 8px;">
+                ${analysis.filamentLengthMm} mm · ${analysis.filamentWeightG} g${report.material ? ` ${this.escapeHtml(report.material)}` : ''}
+                · ${analysis.layerCount} layers
+                · nozzle ${analysis.maxNozzleTemp}°C / bed ${analysis.maxBedTemp}°C
+                ${box ? `· ${box.x}×${box.y}×${box.z} mm` : ''}
+            </div>
+            ${report.checks.map(check => `
+                <div class="preflight-check ${check.status}">
+                    <span>${icons[check.status]}</span>
+                    <span>${this.escapeHtml(check.message)}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    async cancelPrintJob(jobId) {
+        if (!confirm('Cancel this print job?')) return;
+
+        try {
+            const result = await ipcRenderer.invoke('cancel-print-job', jobId);
+            if (result?.success) {
+                this.showNotification(result.message, 'success');
+            } else {
+                this.showError('Failed to cancel print job: ' + (result?.error || 'Unknown error'));
+            }
+            this.loadFabricationStatus();
+        } catch (error) {
+            console.error('Error cancelling print job:', error);
+            this.showError('Failed to cancel print job: ' + error.message);
+        }
+    }
+
+    async retryPrintJob(jobId) {
+        try {
+            const result = await ipcRenderer.invoke('retry-print-job', jobId);
+            if (result?.success) {
+                this.showNotification(result.message, 'success');
+            } else {
+                this.showError('Failed to retry print job: ' + (result?.error || 'Unknown error'));
+            }
+            this.loadFabricationStatus();
+        } catch (error) {
+            console.error('Error retrying print job:', error);
+            this.showError('Failed to retry print job: ' + error.message);
         }
     }
 
     async loadChatHistory() {
+        if (!this.chatHistoryLoaded) {
+            this.chatHistoryLoaded = true;
+            await this.loadChatProjects();
+            await this.openChatSession();
+            return;
+        }
+
         const messagesContainer = document.getElementById('chatMessages');
         
         // Add existing messages from memory
@@ -672,12 +1366,215 @@ class GptUI {
             messagesContainer.innerHTML = this.chatMessages.map(msg => 
                 this.createMessageHTML(msg)
             ).join('');
+        } else {
+            messagesContainer.innerHTML = this.createMessageHTML({
+                sender: 'gpt',
+                message: "Hello! I'm GPT, your AI assistant. How can I help you today?",
+                timestamp: new Date().toISOString()
+            });
         }
         
         // Scroll to bottom
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
     }
 
+    // sessionId null shows the session the assistant is currently in
+    async openChatSession(sessionId = null) {
+        try {
+            const result = await ipcRenderer.invoke('get-chat-session-messages', sessionId);
+            if (!result.success) {
+                this.showError('Failed to load conversation: ' + result.error);
+                return;
+            }
+
+            this.chatSessionId = result.session ? result.session.id : null;
+            // SQLite timestamps are UTC without a zone
+            this.chatMessages = result.data.map(message => ({
+                sender: message.role === 'user' ? 'user' : 'gpt',
+                message: message.content,
+                timestamp: `${message.created_at.replace(' ', 'T')}Z`
+            }));
+            document.getElementById('chatSessionProject').value = result.session && result.session.project_id ? result.session.project_id : '';
+            await this.loadChatHistory();
+            await this.loadChatSessions();
+        } catch (error) {
+            console.error('Error loading chat session:', error);
+            this.showError('Failed to load conversation');
+        }
+    }
+
+    async loadChatSessions() {
+        try {
+            const result = await ipcRenderer.invoke('get-chat-sessions');
+            if (!result.success) return;
+
+            this.chatSessionId = result.activeSessionId;
+            const select = document.getElementById('chatSessionSelect');
+            const options = result.data.map(session => {
+                const title = session.title || 'Untitled chat';
+                const project = session.project_name ? ` · ${session.project_name}` : '';
+                return `<option value="${session.id}">${this.escapeHtml(title + project)} (${session.message_count})</option>`;
+            });
+            if (!this.chatSessionId) {
+                options.unshift('<option value="">New chat</option>');
+            }
+            select.innerHTML = options.join('');
+            select.value = this.chatSessionId || '';
+        } catch (error) {
+            console.error('Error loading chat sessions:', error);
+        }
+    }
+
+    async loadChatProjects() {
+        try {
+            const projects = await ipcRenderer.invoke('get-projects');
+            const select = document.getElementById('chatSessionProject');
+            select.innerHTML = '<option value="">No project</option>' + projects.map(project =>
+                `<option value="${project.id}">📌 ${this.escapeHtml(project.name)}</option>`
+            ).join('');
+        } catch (error) {
+            console.error('Error loading projects for chat:', error);
+        }
+    }
+
+    async startNewChatSession() {
+        if (this.activeChatRequest) return;
+
+        try {
+            const result = await ipcRenderer.invoke('new-chat-session');
+            if (result.success) {
+                await this.openChatSession(result.data.id);
+            } else {
+                this.showError('Failed to start a new chat: ' + result.error);
+            }
+        } catch (error) {
+            console.error('Error starting chat session:', error);
+            this.showError('Failed to start a new chat');
+        }
+    }
+
+    async renameChatSession() {
+        if (!this.chatSessionId) {
+            this.showInfo('Send a message first - new chats are named after it');
+            return;
+        }
+
+        const select = document.getElementById('chatSessionSelect');
+        const current = select.options[select.selectedIndex] ? select.options[select.selectedIndex].textContent : '';
+        const title = prompt('Rename this chat:', current.replace(/ \(\d+\)$/, '').replace(/ · .*$/, ''));
+        if (!title) return;
+
+        const result = await ipcRenderer.invoke('rename-chat-session', this.chatSessionId, title);
+        if (result.success) {
+            await this.loadChatSessions();
+        } else {
+            this.showError(result.error);
+        }
+    }
+
+    // A chat pinned to a project keeps that project in the assistant's context
+    async pinChatSession(projectId) {
+        try {
+            if (!this.chatSessionId) {
+                const created = await ipcRenderer.invoke('new-chat-session', { projectId: projectId });
+                if (!created.success) {
+                    this.showError('Failed to start a new chat: ' + created.error);
+                    return;
+                }
+                await this.openChatSession(created.data.id);
+                return;
+            }
+
+            const result = await ipcRenderer.invoke('pin-chat-session', this.chatSessionId, projectId);
+            if (result.success) {
+                this.showSuccess(result.message);
+                await this.loadChatSessions();
+            } else {
+                this.showError(result.error);
+            }
+        } catch (error) {
+            console.error('Error pinning chat session:', error);
+            this.showError('Failed to pin the chat');
+        }
+    }
+
+    async exportChatSession() {
+        if (!this.chatSessionId) {
+            this.showInfo('Nothing to export yet');
+            return;
+        }
+
+        try {
+            const result = await ipcRenderer.invoke('export-chat-session', this.chatSessionId);
+            if (result.success) {
+                this.showSuccess(`Chat exported to ${result.filePath}`);
+            } else if (!result.canceled) {
+                this.showError('Failed to export chat: ' + result.error);
+            }
+        } catch (error) {
+            console.error('Error exporting chat session:', error);
+            this.showError('Failed to export chat');
+        }
+    }
+
+    async deleteChatSession() {
+        if (!this.chatSessionId || this.activeChatRequest) return;
+        if (!confirm('Delete this chat and all of its messages?')) return;
+
+        try {
+            const result = await ipcRenderer.invoke('delete-chat-session', this.chatSessionId);
+            if (result.success) {
+                this.chatMessages = [];
+                this.chatSessionId = null;
+                await this.loadChatHistory();
+                await this.loadChatSessions();
+            } else {
+                this.showError(result.error);
+            }
+        } catch (error) {
+            console.error('Error deleting chat session:', error);
+            this.showError('Failed to delete chat');
+        }
+    }
+
+    async searchChatHistory(query) {
+        const resultsContainer = document.getElementById('chatSearchResults');
+        if (!query.trim()) {
+            resultsContainer.classList.add('hidden');
+            resultsContainer.innerHTML = '';
+            return;
+        }
+
+        try {
+            const result = await ipcRenderer.invoke('search-chat-history', query);
+            if (!result.success) {
+                this.showError('Search failed: ' + result.error);
+                return;
+            }
+
+            resultsContainer.innerHTML = result.data.length === 0 ?
+                '<div class="chat-search-result">No matching messages</div>' :
+                result.data.map(match => `
+                    <div class="chat-search-result" data-session-id="${match.session_id}">
+                        <div class="message-header">${this.escapeHtml(match.session_title || 'Untitled chat')}${match.project_name ? ` · ${this.escapeHtml(match.project_name)}` : ''} - ${new Date(`${match.created_at.replace(' ', 'T')}Z`).toLocaleString()}</div>
+                        <div>${match.role === 'user' ? 'You' : 'GPT'}: ${this.escapeHtml(match.snippet)}</div>
+                    </div>
+                `).join('');
+            resultsContainer.classList.remove('hidden');
+
+            resultsContainer.querySelectorAll('[data-session-id]').forEach(element => {
+                element.addEventListener('click', () => {
+                    document.getElementById('chatSearchInput').value = '';
+                    resultsContainer.classList.add('hidden');
+                    this.openChatSession(parseInt(element.getAttribute('data-session-id'), 10));
+                });
+            });
+        } catch (error) {
+            console.error('Error searching chat history:', error);
+            this.showError('Search failed');
+        }
+    }
+
     async toggleVoiceListening() {
         try {
             if (this.isListening) {
@@ -765,12 +1662,19 @@ class GptUI {
                     });
                 }
             } else {
-                // Use regular chat mode
-                response = await ipcRenderer.invoke('send-command', message);
+                // Use regular chat mode, streaming the answer into a message that grows in place
+                const requestId = `chat-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+                this.startStreamingMessage(requestId);
+                try {
+                    response = await ipcRenderer.invoke('send-command-stream', message, { requestId: requestId });
+                } finally {
+                    this.finishStreamingMessage(requestId);
+                }
                 this.handleGptResponse({
                     command: message,
                     response: response,
-                    timestamp: new Date().toISOString()
+                    timestamp: new Date().toISOString(),
+                    requestId: requestId
                 });
             }
         } catch (error) {
@@ -784,16 +1688,25 @@ class GptUI {
     }
 
     handleGptResponse(data) {
-        this.addChatMessage({
-            sender: 'gpt',
-            message: data.response.message || data.response,
-            timestamp: data.timestamp
-        });
+        const text = this.getResponseText(data.response);
+        const streamedMessage = data.requestId ? this.chatMessages.find(entry => entry.requestId === data.requestId) : null;
+        if (streamedMessage) {
+            // The final message replaces what streamed in, e.g. with action summaries when the model said nothing
+            streamedMessage.message = text;
+            streamedMessage.streaming = false;
+            this.renderStreamingMessage(streamedMessage);
+        } else {
+            this.addChatMessage({
+                sender: 'gpt',
+                message: text,
+                timestamp: data.timestamp
+            });
+        }
         
         // Check if this was a project management command and refresh projects
-        const projectKeywords = ['project', 'move', 'stage', 'status', 'create', 'update', 'planning', 'testing', 'completed'];
+        const projectKeywords = ['project', 'task', 'move', 'stage', 'status', 'create', 'update', 'planning', 'testing', 'completed'];
         const command = data.command ? data.command.toLowerCase() : '';
-        const response = data.response ? (data.response.message || data.response).toLowerCase() : '';
+        const response = text.toLowerCase();
         
         const isProjectCommand = projectKeywords.some(keyword => 
             command.includes(keyword) || response.includes(keyword)
@@ -806,10 +1719,89 @@ class GptUI {
                 setTimeout(() => this.loadProjects(), 500); // Small delay to ensure DB is updated
             }
         }
-        
-        // Update current page if we're on chat
-        if (this.currentPage === 'chat') {
-            this.loadChatHistory();
+        
+        // Update current page if we're on chat
+        if (this.currentPage === 'chat') {
+            this.loadChatHistory();
+            // The first message of a new chat creates and names its session
+            this.loadChatSessions();
+        }
+    }
+
+    // Responses are plain strings (code generation) or result objects; a cancelled one may have no text at all
+    getResponseText(response) {
+        if (!response) return '';
+        if (typeof response === 'string') return response;
+
+        const message = response.message || '';
+        return response.cancelled ? `${message}${message ? ' ' : ''}⏹️ Stopped` : message;
+    }
+
+    startStreamingMessage(requestId) {
+        this.activeChatRequest = requestId;
+        this.addChatMessage({
+            sender: 'gpt',
+            message: '',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            streaming: true
+        });
+        this.updateSendButton();
+    }
+
+    appendStreamToken(requestId, token) {
+        const messageData = this.chatMessages.find(entry => entry.requestId === requestId);
+        if (!messageData || !messageData.streaming) return;
+
+        messageData.message += token;
+        this.renderStreamingMessage(messageData);
+    }
+
+    finishStreamingMessage(requestId) {
+        // Nothing streamed (a reminder, help or an error): drop the placeholder, the answer is added whole
+        const messageData = this.chatMessages.find(entry => entry.requestId === requestId);
+        if (messageData && messageData.streaming && !messageData.message) {
+            this.chatMessages = this.chatMessages.filter(entry => entry !== messageData);
+            const element = document.querySelector(`#chatMessages [data-request-id="${requestId}"]`);
+            if (element) element.remove();
+        }
+
+        if (this.activeChatRequest === requestId) {
+            this.activeChatRequest = null;
+            this.updateSendButton();
+        }
+    }
+
+    // Re-renders one message in place instead of the whole chat, keeping the view pinned to the bottom
+    renderStreamingMessage(messageData) {
+        if (this.currentPage !== 'chat') return;
+
+        const messagesContainer = document.getElementById('chatMessages');
+        const element = messagesContainer.querySelector(`[data-request-id="${messageData.requestId}"]`);
+        if (!element) return;
+
+        const pinned = messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight < 40;
+        element.outerHTML = this.createMessageHTML(messageData);
+        if (pinned) {
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
+    }
+
+    async cancelChatMessage() {
+        const requestId = this.activeChatRequest;
+        if (!requestId) return;
+
+        try {
+            await ipcRenderer.invoke('cancel-command', requestId);
+        } catch (error) {
+            console.error('Error cancelling chat request:', error);
+        }
+    }
+
+    updateSendButton() {
+        const sendBtn = document.getElementById('sendBtn');
+        if (sendBtn) {
+            sendBtn.textContent = this.activeChatRequest ? 'Stop' : 'Send';
         }
     }
 
@@ -850,10 +1842,12 @@ class GptUI {
         // Check if this is a system status message (contains the ASCII box art)
         const isSystemStatus = messageData.message && messageData.message.includes('╭─────────── 🖥️ System Status ───────────╮');
         
+        const requestAttribute = messageData.requestId ? ` data-request-id="${messageData.requestId}"` : '';
+        
         // For system status messages, use monospace font and preserve formatting
         if (isSystemStatus) {
             return `
-                <div class="message ${senderClass}">
+                <div class="message ${senderClass}"${requestAttribute}>
                     <div class="message-header">${senderName} - ${time}</div>
                     <pre style="font-family: 'Courier New', Consolas, monospace; white-space: pre; margin: 0; background: rgba(0,0,0,0.3); padding: 10px; border-radius: 5px; overflow-x: auto;">${messageData.message}</pre>
                 </div>
@@ -861,10 +1855,11 @@ class GptUI {
         }
         
         // For regular messages, use normal HTML escaping
+        const body = messageData.streaming && !messageData.message ? '…' : this.escapeHtml(messageData.message);
         return `
-            <div class="message ${senderClass}">
+            <div class="message ${senderClass}${messageData.streaming ? ' streaming' : ''}"${requestAttribute}>
                 <div class="message-header">${senderName} - ${time}</div>
-                <div>${this.escapeHtml(messageData.message)}</div>
+                <div style="white-space: pre-wrap;">${body}</div>
             </div>
         `;
     }
@@ -1058,6 +2053,75 @@ class GptUI {
         }
     }
 
+    async loadDatabaseBackups() {
+        try {
+            const response = await ipcRenderer.invoke('list-db-backups');
+            if (!response.success) {
+                document.getElementById('backupSchedule').textContent = 'Backups unavailable: ' + response.error;
+                return;
+            }
+
+            const { backupInterval, maxBackups } = response.settings;
+            document.getElementById('backupSchedule').textContent =
+                `Automatic backup every ${Math.round(backupInterval / 3600000)}h, keeping the last ${maxBackups}.`;
+
+            const backupList = document.getElementById('backupList');
+            if (response.data.length === 0) {
+                backupList.innerHTML = '<div style="color: #666; padding: 10px 0;">No backups yet</div>';
+                return;
+            }
+
+            backupList.innerHTML = response.data.map(backup => `
+                <div class="setting-item" style="
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                ">
+                    <span>
+                        ${new Date(backup.createdAt).toLocaleString()}
+                        <span style="color: #888; font-size: 12px;">
+                            • ${backup.reason} • ${(backup.size / 1024).toFixed(0)} KB
+                        </span>
+                    </span>
+                    <button class="btn btn-secondary" onclick="window.gptUI.restoreDatabaseBackup('${backup.fileName}')">Restore</button>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading database backups:', error);
+        }
+    }
+
+    async createDatabaseBackup() {
+        try {
+            const response = await ipcRenderer.invoke('create-db-backup');
+            if (response.success) {
+                this.showNotification('Database backed up successfully', 'success');
+                await this.loadDatabaseBackups();
+            } else {
+                this.showNotification('Backup failed: ' + response.error, 'error');
+            }
+        } catch (error) {
+            this.showNotification('Backup failed: ' + error.message, 'error');
+        }
+    }
+
+    async restoreDatabaseBackup(fileName) {
+        if (!confirm('Restore the database from this backup? Current data will be replaced (a safety backup is taken first).')) return;
+
+        try {
+            const response = await ipcRenderer.invoke('restore-db-backup', fileName);
+            if (response.success) {
+                this.showNotification(response.message, 'success');
+                await this.loadDatabaseBackups();
+                await this.loadDashboardData();
+            } else {
+                this.showNotification('Restore failed: ' + response.error, 'error');
+            }
+        } catch (error) {
+            this.showNotification('Restore failed: ' + error.message, 'error');
+        }
+    }
+
     showNotification(message, type = 'info') {
         // Create a simple notification system
         const notification = document.createElement('div');
@@ -1082,6 +2146,68 @@ class GptUI {
         }, 4000);
     }
 
+    showReminderToast({ reminder, projectName, snoozeOptions }) {
+        const container = document.getElementById('reminderToasts') || (() => {
+            const element = document.createElement('div');
+            element.id = 'reminderToasts';
+            element.style.cssText = `
+                position: fixed;
+                bottom: 20px;
+                right: 20px;
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+                z-index: 2000;
+            `;
+            document.body.appendChild(element);
+            return element;
+        })();
+        
+        const toast = document.createElement('div');
+        toast.className = 'notification reminder-toast';
+        toast.style.cssText = `
+            background: #1a1a1a;
+            border: 1px solid #333;
+            border-left: 3px solid ${reminder.priority === 3 ? '#ff4444' : reminder.priority === 2 ? '#ffaa00' : '#00d4ff'};
+            border-radius: 8px;
+            padding: 15px 20px;
+            color: white;
+            width: 320px;
+            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+        `;
+        toast.innerHTML = `
+            <div style="font-weight: 500; margin-bottom: 4px;">📅 ${this.escapeHtml(reminder.title)}</div>
+            <div style="color: #ccc; font-size: 12px; margin-bottom: 12px;">
+                ${this.escapeHtml(projectName)}${reminder.description ? ` • ${this.escapeHtml(reminder.description)}` : ''}
+            </div>
+            <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+                ${snoozeOptions.map(option => `
+                    <button class="btn btn-secondary" data-snooze="${option.minutes}" style="font-size: 12px; padding: 4px 10px;">${option.label}</button>
+                `).join('')}
+                <button class="btn btn-primary" data-action="done" style="font-size: 12px; padding: 4px 10px;">Mark Done</button>
+                <button class="btn btn-secondary" data-action="dismiss" style="font-size: 12px; padding: 4px 10px;">✕</button>
+            </div>
+        `;
+        
+        toast.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', async () => {
+                let result = null;
+                if (button.dataset.snooze) {
+                    result = await ipcRenderer.invoke('snooze-reminder', reminder, parseInt(button.dataset.snooze));
+                } else if (button.dataset.action === 'done') {
+                    result = await ipcRenderer.invoke('complete-reminder', reminder);
+                }
+                
+                toast.remove();
+                if (result) {
+                    this.showNotification(result.success ? result.message : result.error, result.success ? 'success' : 'error');
+                }
+            });
+        });
+        
+        container.appendChild(toast);
+    }
+
     switchProjectView(view) {
         // Update tab buttons
         document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -1113,18 +2239,29 @@ class GptUI {
 
     async loadProjectTimeline() {
         try {
-            const projects = await ipcRenderer.invoke('get-projects');
             const timelineData = await ipcRenderer.invoke('get-project-timeline');
-            this.renderTimeline(timelineData || []);
+            const criticalPaths = await ipcRenderer.invoke('get-critical-path');
+            this.renderTimeline(timelineData || [], criticalPaths || []);
         } catch (error) {
             console.error('Error loading timeline:', error);
         }
     }
 
-    renderTimeline(events) {
+    renderTimeline(events, criticalPaths = []) {
         const timelineContent = document.getElementById('timelineContent');
+
+        // Scheduled (open) tasks are shown alongside timeline events
+        const taskItems = criticalPaths.flatMap(path => path.tasks
+            .filter(task => task.status !== 'completed' && !task.external)
+            .map(task => ({
+                title: task.title,
+                start_date: task.earliestStart,
+                description: `${path.projectName} • ${task.slackHours}h slack`,
+                isCritical: task.isCritical
+            })));
+        const items = [...events, ...taskItems];
         
-        if (events.length === 0) {
+        if (items.length === 0) {
             timelineContent.innerHTML = `
                 <div style="text-align: center; color: #666; padding: 40px;">
                     No timeline events yet. Create a project to get started!
@@ -1134,18 +2271,38 @@ class GptUI {
         }
 
         // Sort events by date
-        events.sort((a, b) => new Date(a.start_date) - new Date(b.start_date));
+        items.sort((a, b) => new Date(a.start_date) - new Date(b.start_date));
+
+        const criticalSummary = criticalPaths
+            .filter(path => path.criticalPath.length > 0)
+            .map(path => {
+                const chain = path.criticalPath
+                    .map(id => path.tasks.find(task => task.id === id))
+                    .filter(Boolean)
+                    .map(task => this.escapeHtml(task.title))
+                    .join(' → ');
+                return `
+                    <div class="critical-path-summary">
+                        <strong>${this.escapeHtml(path.projectName)}</strong>: ${chain}
+                        <span style="color: var(--text-secondary);">
+                            • ${path.totalHours}h • est. ${new Date(path.estimatedCompletion).toLocaleDateString()}
+                        </span>
+                        ${path.deadlineAtRisk ? '<span style="color: #ff4444;"> • ⚠️ Due date at risk</span>' : ''}
+                    </div>
+                `;
+            }).join('');
 
         // Create timeline visualization
         const timelineHTML = `
+            ${criticalSummary}
             <div class="timeline-track"></div>
-            ${events.map((event, index) => {
-                const position = (index / (events.length - 1)) * 100;
+            ${items.map((event, index) => {
+                const position = items.length > 1 ? (index / (items.length - 1)) * 100 : 50;
                 return `
-                    <div class="timeline-event" style="left: ${position}%">
-                        <div class="timeline-event-title">${event.title}</div>
+                    <div class="timeline-event${event.isCritical ? ' critical' : ''}" style="left: ${position}%">
+                        <div class="timeline-event-title">${event.isCritical ? '🔴 ' : ''}${this.escapeHtml(event.title)}</div>
                         <div class="timeline-event-date">${new Date(event.start_date).toLocaleDateString()}</div>
-                        <div style="font-size: 12px; margin-top: 5px;">${event.description || ''}</div>
+                        <div style="font-size: 12px; margin-top: 5px;">${this.escapeHtml(event.description || '')}</div>
                     </div>
                 `;
             }).join('')}
@@ -1268,8 +2425,245 @@ class GptUI {
                         ⚠️ Low Stock Alert! (${item.quantity} remaining)
                     </div>
                 ` : ''}
+
+                <button class="btn btn-secondary" style="margin-top: 10px; padding: 4px 10px; font-size: 12px;"
+                        onclick="window.gptUI.showInventoryHistory(${item.id})">📜 History</button>
             </div>
         `).join('');
+
+        this.inventoryItems = items;
+    }
+
+    // Side drawer shared by the item history and reorder list views
+    openInventoryDrawer() {
+        let drawer = document.getElementById('inventoryDrawer');
+
+        if (!drawer) {
+            drawer = document.createElement('div');
+            drawer.id = 'inventoryDrawer';
+            drawer.style.cssText = `
+                position: fixed;
+                top: 0;
+                right: 0;
+                width: 420px;
+                max-width: 100vw;
+                height: 100vh;
+                background: #1a1a1a;
+                border-left: 1px solid #333;
+                box-shadow: -10px 0 30px rgba(0, 0, 0, 0.5);
+                z-index: 1000;
+                display: flex;
+                flex-direction: column;
+            `;
+            document.body.appendChild(drawer);
+        }
+
+        return drawer;
+    }
+
+    async showReorderList() {
+        try {
+            const result = await ipcRenderer.invoke('get-reorder-list');
+            if (!result?.success) {
+                this.showError('Failed to build reorder list: ' + (result?.error || 'Unknown error'));
+                return;
+            }
+
+            const reorderList = result.data;
+            const drawer = this.openInventoryDrawer();
+
+            drawer.innerHTML = `
+                <div style="display: flex; justify-content: space-between; align-items: center; padding: 20px; border-bottom: 1px solid #333;">
+                    <div>
+                        <h3 style="margin: 0; color: #ffffff;">🛒 Reorder List</h3>
+                        <div style="font-size: 12px; color: #999; margin-top: 4px;">
+                            ${reorderList.itemCount} item(s) · estimated $${reorderList.totalEstimatedCost.toFixed(2)}
+                        </div>
+                    </div>
+                    <button id="closeInventoryDrawer" style="background: none; border: none; font-size: 24px; cursor: pointer; color: #ccc;">&times;</button>
+                </div>
+
+                <div style="flex: 1; overflow-y: auto; padding: 20px;">
+                    ${reorderList.itemCount === 0 ? `
+                        <div style="color: #666; text-align: center;">Everything is above its minimum quantity 🎉</div>
+                    ` : reorderList.suppliers.map(group => `
+                        <div style="margin-bottom: 20px;">
+                            <div style="display: flex; justify-content: space-between; color: #00d4ff; font-weight: bold; margin-bottom: 8px;">
+                                <span>${this.escapeHtml(group.supplier)}</span>
+                                <span>$${group.estimatedCost.toFixed(2)}</span>
+                            </div>
+                            ${group.items.map(item => `
+                                <div style="padding: 10px; margin-bottom: 6px; background: #2a2a2a; border-radius: 6px; font-size: 13px;">
+                                    <div style="display: flex; justify-content: space-between;">
+                                        <span style="color: #fff;">${this.escapeHtml(item.name)}</span>
+                                        <span style="color: #ccc;">${item.orderQuantity} ${this.escapeHtml(item.unit || '')}</span>
+                                    </div>
+                                    <div style="font-size: 11px; color: #999; margin-top: 4px;">
+                                        Have ${item.quantity}, minimum ${item.minQuantity}
+                                        · ${item.missingCost ? 'no unit cost set' : `$${item.estimatedCost.toFixed(2)}`}
+                                    </div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+
+                ${reorderList.itemCount > 0 ? `
+                    <div style="padding: 16px 20px; border-top: 1px solid #333;">
+                        <button class="btn btn-primary" id="exportReorderListBtn" style="width: 100%;">📄 Export CSV</button>
+                    </div>
+                ` : ''}
+            `;
+
+            drawer.querySelector('#closeInventoryDrawer').addEventListener('click', () => drawer.remove());
+
+            const exportBtn = drawer.querySelector('#exportReorderListBtn');
+            if (exportBtn) {
+                exportBtn.addEventListener('click', async () => {
+                    const exported = await ipcRenderer.invoke('export-reorder-list');
+                    if (exported?.success) {
+                        this.showNotification(exported.message, 'success');
+                    } else if (!exported?.canceled) {
+                        this.showError('Failed to export reorder list: ' + (exported?.error || 'Unknown error'));
+                    }
+                });
+            }
+        } catch (error) {
+            console.error('Error loading reorder list:', error);
+            this.showError('Failed to build reorder list: ' + error.message);
+        }
+    }
+
+    async showInventoryHistory(itemId) {
+        const item = (this.inventoryItems || []).find(entry => entry.id === itemId);
+        const drawer = this.openInventoryDrawer();
+
+        drawer.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 20px; border-bottom: 1px solid #333;">
+                <div>
+                    <h3 style="margin: 0; color: #ffffff;">📜 ${this.escapeHtml(item ? item.name : `Item #${itemId}`)}</h3>
+                    <div style="font-size: 12px; color: #999; margin-top: 4px;">
+                        ${item ? `${item.quantity} ${this.escapeHtml(item.unit || '')} in stock` : ''}
+                    </div>
+                </div>
+                <button id="closeInventoryDrawer" style="background: none; border: none; font-size: 24px; cursor: pointer; color: #ccc;">&times;</button>
+            </div>
+
+            <div style="padding: 16px 20px; border-bottom: 1px solid #333; display: flex; gap: 8px;">
+                <input type="number" id="inventoryAdjustChange" placeholder="+/-" step="any"
+                       style="width: 80px; padding: 6px; background: #2a2a2a; border: 1px solid #444; border-radius: 4px; color: #fff;">
+                <input type="text" id="inventoryAdjustReason" placeholder="Reason (e.g. used for bracket)"
+                       style="flex: 1; padding: 6px; background: #2a2a2a; border: 1px solid #444; border-radius: 4px; color: #fff;">
+                <button class="btn btn-primary" id="inventoryAdjustBtn" style="padding: 6px 12px;">Apply</button>
+            </div>
+
+            <div id="inventoryHistoryList" style="flex: 1; overflow-y: auto; padding: 20px;">
+                <div style="color: #666; text-align: center;">Loading history...</div>
+            </div>
+        `;
+
+        drawer.querySelector('#closeInventoryDrawer').addEventListener('click', () => drawer.remove());
+        drawer.querySelector('#inventoryAdjustBtn').addEventListener('click', () => this.adjustInventoryQuantity(itemId));
+
+        await this.loadInventoryHistory(itemId);
+    }
+
+    async loadInventoryHistory(itemId) {
+        const list = document.getElementById('inventoryHistoryList');
+        if (!list) return;
+
+        try {
+            const result = await ipcRenderer.invoke('get-inventory-history', itemId);
+            if (!result?.success) {
+                list.innerHTML = `<div style="color: #ff6b6b; text-align: center;">${this.escapeHtml(result?.error || 'Failed to load history')}</div>`;
+                return;
+            }
+
+            if (result.data.length === 0) {
+                list.innerHTML = '<div style="color: #666; text-align: center;">No stock changes recorded yet</div>';
+                return;
+            }
+
+            list.innerHTML = result.data.map(entry => {
+                const reversed = !!entry.reversed_by_transaction_id;
+                const canReverse = !reversed && !entry.reverses_transaction_id;
+                const deltaColor = entry.delta > 0 ? '#00ff88' : '#ff6b6b';
+
+                return `
+                    <div style="padding: 12px; margin-bottom: 10px; background: #2a2a2a; border-radius: 8px; ${reversed ? 'opacity: 0.5;' : ''}">
+                        <div style="display: flex; justify-content: space-between; align-items: center;">
+                            <span style="font-weight: bold; color: ${deltaColor};">${entry.delta > 0 ? '+' : ''}${entry.delta}</span>
+                            <span style="font-size: 11px; color: #999;">#${entry.id} · ${new Date(entry.created_at + 'Z').toLocaleString()}</span>
+                        </div>
+                        <div style="font-size: 13px; color: #ccc; margin: 6px 0;">
+                            ${this.escapeHtml(entry.reason || 'No reason given')}
+                        </div>
+                        <div style="font-size: 11px; color: #999;">
+                            ${entry.quantity_before ?? '?'} → ${entry.quantity_after ?? '?'}
+                            · via ${this.escapeHtml(entry.source || 'unknown')}
+                            ${entry.user ? `· ${this.escapeHtml(entry.user)}` : ''}
+                            ${entry.project_name ? `· 📁 ${this.escapeHtml(entry.project_name)}` : ''}
+                            ${reversed ? `· reversed by #${entry.reversed_by_transaction_id}` : ''}
+                        </div>
+                        ${canReverse ? `
+                            <button class="btn btn-secondary" style="margin-top: 8px; padding: 2px 8px; font-size: 11px;"
+                                    onclick="window.gptUI.reverseInventoryTransaction(${entry.id}, ${itemId})">↩️ Reverse</button>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading inventory history:', error);
+            list.innerHTML = '<div style="color: #ff6b6b; text-align: center;">Failed to load history</div>';
+        }
+    }
+
+    async adjustInventoryQuantity(itemId) {
+        const change = parseFloat(document.getElementById('inventoryAdjustChange').value);
+        const reason = document.getElementById('inventoryAdjustReason').value.trim();
+
+        if (isNaN(change) || change === 0) {
+            this.showError('Enter a non-zero quantity change');
+            return;
+        }
+        if (!reason) {
+            this.showError('Please give a reason for the stock change');
+            return;
+        }
+
+        try {
+            const result = await ipcRenderer.invoke('update-inventory-quantity', itemId, change, reason);
+            if (result?.success) {
+                this.showNotification(result.message, 'success');
+                await this.loadInventory();
+                await this.showInventoryHistory(itemId);
+            } else {
+                this.showError('Failed to update stock: ' + (result?.error || 'Unknown error'));
+            }
+        } catch (error) {
+            console.error('Error updating inventory:', error);
+            this.showError('Failed to update stock: ' + error.message);
+        }
+    }
+
+    async reverseInventoryTransaction(transactionId, itemId) {
+        if (!confirm(`Reverse stock change #${transactionId}?`)) {
+            return;
+        }
+
+        try {
+            const result = await ipcRenderer.invoke('reverse-inventory-transaction', transactionId);
+            if (result?.success) {
+                this.showNotification(result.message, 'success');
+                await this.loadInventory();
+                await this.showInventoryHistory(itemId);
+            } else {
+                this.showError('Failed to reverse change: ' + (result?.error || 'Unknown error'));
+            }
+        } catch (error) {
+            console.error('Error reversing inventory transaction:', error);
+            this.showError('Failed to reverse change: ' + error.message);
+        }
     }
 
     updateInventoryStats(items) {
@@ -1592,6 +2986,14 @@ class GptUI {
                             border-bottom: 2px solid #00d4ff;
                             font-weight: 500;
                         ">Details</button>
+                        <button class="tab-button" data-tab="tasks" style="
+                            padding: 12px 20px;
+                            border: none;
+                            background: none;
+                            color: #ccc;
+                            cursor: pointer;
+                            border-bottom: 2px solid transparent;
+                        ">Tasks</button>
                         <button class="tab-button" data-tab="notes" style="
                             padding: 12px 20px;
                             border: none;
@@ -1608,6 +3010,14 @@ class GptUI {
                             cursor: pointer;
                             border-bottom: 2px solid transparent;
                         ">Reminders</button>
+                        <button class="tab-button" data-tab="bom" style="
+                            padding: 12px 20px;
+                            border: none;
+                            background: none;
+                            color: #ccc;
+                            cursor: pointer;
+                            border-bottom: 2px solid transparent;
+                        ">BOM</button>
                     </div>
                     
                     <div class="tab-content">
@@ -1704,38 +3114,124 @@ class GptUI {
                                     ">
                                 </div>
                                 
-                                <div class="form-actions" style="
-                                    display: flex;
-                                    gap: 12px;
-                                    margin-top: 24px;
-                                    padding-top: 16px;
-                                    border-top: 1px solid #333;
+                                <div class="form-actions" style="
+                                    display: flex;
+                                    gap: 12px;
+                                    margin-top: 24px;
+                                    padding-top: 16px;
+                                    border-top: 1px solid #333;
+                                ">
+                                    <button type="button" id="cancelEditProject" style="
+                                        flex: 1;
+                                        padding: 12px 20px;
+                                        border: 1px solid #333;
+                                        border-radius: 6px;
+                                        background: #2a2a2a;
+                                        color: #ffffff;
+                                        cursor: pointer;
+                                        font-size: 14px;
+                                        transition: all 0.3s ease;
+                                    ">Cancel</button>
+                                    <button type="submit" id="saveEditProject" style="
+                                        flex: 1;
+                                        padding: 12px 20px;
+                                        border: none;
+                                        border-radius: 6px;
+                                        background: #00d4ff;
+                                        color: white;
+                                        cursor: pointer;
+                                        font-size: 14px;
+                                        font-weight: 500;
+                                        transition: all 0.3s ease;
+                                    ">Save Changes</button>
+                                </div>
+                            </form>
+                        </div>
+                        
+                        <div id="tasks-tab" class="tab-pane" style="display: none;">
+                            <div class="tasks-section">
+                                <div class="add-task-form" style="
+                                    background: #2a2a2a;
+                                    padding: 16px;
+                                    border-radius: 8px;
+                                    margin-bottom: 20px;
+                                ">
+                                    <h3 style="margin: 0 0 16px 0; color: #ffffff; font-size: 16px;">Add New Task</h3>
+                                    <div class="form-group" style="margin-bottom: 12px;">
+                                        <input type="text" id="newTaskTitle" placeholder="Task title..." style="
+                                            width: 100%;
+                                            padding: 12px;
+                                            border: 1px solid #333;
+                                            border-radius: 6px;
+                                            background: #1a1a1a;
+                                            color: #ffffff;
+                                            font-size: 14px;
+                                        ">
+                                    </div>
+                                    <div style="
+                                        display: flex;
+                                        gap: 12px;
+                                        margin-bottom: 12px;
+                                    ">
+                                        <div style="flex: 1;">
+                                            <label style="display: block; margin-bottom: 4px; color: #ccc; font-size: 12px;">Due Date</label>
+                                            <input type="date" id="newTaskDueDate" style="
+                                                width: 100%;
+                                                padding: 8px;
+                                                border: 1px solid #333;
+                                                border-radius: 4px;
+                                                background: #1a1a1a;
+                                                color: #ffffff;
+                                                font-size: 12px;
+                                            ">
+                                        </div>
+                                        <div style="flex: 1;">
+                                            <label style="display: block; margin-bottom: 4px; color: #ccc; font-size: 12px;">Estimate (hours)</label>
+                                            <input type="number" id="newTaskEstimate" min="0" step="0.5" style="
+                                                width: 100%;
+                                                padding: 8px;
+                                                border: 1px solid #333;
+                                                border-radius: 4px;
+                                                background: #1a1a1a;
+                                                color: #ffffff;
+                                                font-size: 12px;
+                                            ">
+                                        </div>
+                                    </div>
+                                    <div style="
+                                        display: flex;
+                                        gap: 8px;
+                                        align-items: center;
+                                    ">
+                                        <input type="text" id="newTaskAssignee" placeholder="Assignee (optional)" style="
+                                            flex: 1;
+                                            padding: 8px;
+                                            border: 1px solid #333;
+                                            border-radius: 4px;
+                                            background: #1a1a1a;
+                                            color: #ffffff;
+                                            font-size: 12px;
+                                        ">
+                                        <button type="button" id="addProjectTask" style="
+                                            padding: 8px 16px;
+                                            border: none;
+                                            border-radius: 4px;
+                                            background: #00d4ff;
+                                            color: white;
+                                            cursor: pointer;
+                                            font-size: 12px;
+                                            font-weight: 500;
+                                        ">Add Task</button>
+                                    </div>
+                                </div>
+                                
+                                <div class="tasks-list" id="projectTasksList" style="
+                                    max-height: 300px;
+                                    overflow-y: auto;
                                 ">
-                                    <button type="button" id="cancelEditProject" style="
-                                        flex: 1;
-                                        padding: 12px 20px;
-                                        border: 1px solid #333;
-                                        border-radius: 6px;
-                                        background: #2a2a2a;
-                                        color: #ffffff;
-                                        cursor: pointer;
-                                        font-size: 14px;
-                                        transition: all 0.3s ease;
-                                    ">Cancel</button>
-                                    <button type="submit" id="saveEditProject" style="
-                                        flex: 1;
-                                        padding: 12px 20px;
-                                        border: none;
-                                        border-radius: 6px;
-                                        background: #00d4ff;
-                                        color: white;
-                                        cursor: pointer;
-                                        font-size: 14px;
-                                        font-weight: 500;
-                                        transition: all 0.3s ease;
-                                    ">Save Changes</button>
+                                    <!-- Tasks will be loaded here -->
                                 </div>
-                            </form>
+                            </div>
                         </div>
                         
                         <div id="notes-tab" class="tab-pane" style="display: none;">
@@ -1886,6 +3382,7 @@ class GptUI {
                                             display: none;
                                         ">
                                             <option value="daily">Daily</option>
+                                            <option value="weekdays">Weekdays</option>
                                             <option value="weekly">Weekly</option>
                                             <option value="monthly">Monthly</option>
                                             <option value="yearly">Yearly</option>
@@ -1929,6 +3426,67 @@ class GptUI {
                                 </div>
                             </div>
                         </div>
+                        
+                        <div id="bom-tab" class="tab-pane" style="display: none;">
+                            <div class="add-bom-form" style="
+                                background: #2a2a2a;
+                                padding: 16px;
+                                border-radius: 8px;
+                                margin-bottom: 20px;
+                            ">
+                                <h3 style="margin: 0 0 16px 0; color: #ffffff; font-size: 16px;">Bill of Materials</h3>
+                                <div style="
+                                    display: flex;
+                                    gap: 8px;
+                                    align-items: center;
+                                ">
+                                    <select id="newBomItem" style="
+                                        flex: 1;
+                                        padding: 8px;
+                                        border: 1px solid #333;
+                                        border-radius: 4px;
+                                        background: #1a1a1a;
+                                        color: #ffffff;
+                                        font-size: 12px;
+                                    "></select>
+                                    <input type="number" id="newBomQuantity" min="0" step="any" placeholder="Qty" style="
+                                        width: 80px;
+                                        padding: 8px;
+                                        border: 1px solid #333;
+                                        border-radius: 4px;
+                                        background: #1a1a1a;
+                                        color: #ffffff;
+                                        font-size: 12px;
+                                    ">
+                                    <button type="button" onclick="window.gptUI.addBomItem()" style="
+                                        padding: 8px 16px;
+                                        border: none;
+                                        border-radius: 4px;
+                                        background: #00d4ff;
+                                        color: white;
+                                        cursor: pointer;
+                                        font-size: 12px;
+                                        font-weight: 500;
+                                    ">Add</button>
+                                </div>
+                            </div>
+                            
+                            <div id="projectBomSummary" style="
+                                display: flex;
+                                justify-content: space-between;
+                                align-items: center;
+                                margin-bottom: 12px;
+                                font-size: 12px;
+                                color: #ccc;
+                            "></div>
+                            
+                            <div class="bom-list" id="projectBomList" style="
+                                max-height: 300px;
+                                overflow-y: auto;
+                            ">
+                                <!-- BOM lines will be loaded here -->
+                            </div>
+                        </div>
                     </div>
                 </div>
             `;
@@ -1957,11 +3515,15 @@ class GptUI {
                     });
                     document.getElementById(`${targetTab}-tab`).style.display = 'block';
                     
-                    // Load content when switching to notes or reminders
-                    if (targetTab === 'notes') {
+                    // Load content when switching to tasks, notes or reminders
+                    if (targetTab === 'tasks') {
+                        this.loadProjectTasks(project.id);
+                    } else if (targetTab === 'notes') {
                         this.loadProjectNotes(project.id);
                     } else if (targetTab === 'reminders') {
                         this.loadProjectReminders(project.id);
+                    } else if (targetTab === 'bom') {
+                        this.loadProjectBom(modal.dataset.projectId);
                     }
                 });
             });
@@ -1986,8 +3548,10 @@ class GptUI {
         modal.dataset.projectId = project.id;
         
         // Load initial content
+        this.loadProjectTasks(project.id);
         this.loadProjectNotes(project.id);
         this.loadProjectReminders(project.id);
+        this.loadProjectBom(project.id);
         
         // Show modal
         modal.style.display = 'flex';
@@ -1997,6 +3561,49 @@ class GptUI {
     }
 
     addProjectModalEventListeners(modal, project) {
+        // Add task functionality
+        const addTaskBtn = document.getElementById('addProjectTask');
+        const taskTitle = document.getElementById('newTaskTitle');
+        const taskDueDate = document.getElementById('newTaskDueDate');
+        const taskEstimate = document.getElementById('newTaskEstimate');
+        const taskAssignee = document.getElementById('newTaskAssignee');
+        
+        if (addTaskBtn) {
+            addTaskBtn.addEventListener('click', async () => {
+                const title = taskTitle.value.trim();
+                if (!title) {
+                    this.showNotification('Please enter a task title', 'error');
+                    return;
+                }
+                
+                const projectId = parseInt(modal.dataset.projectId);
+                
+                try {
+                    const response = await ipcRenderer.invoke('create-task', {
+                        projectId: projectId,
+                        title: title,
+                        dueDate: taskDueDate.value ? new Date(`${taskDueDate.value}T17:00`).toISOString() : null,
+                        estimatedHours: taskEstimate.value ? parseFloat(taskEstimate.value) : null,
+                        assignedTo: taskAssignee.value.trim() || null
+                    });
+                    
+                    if (response.success) {
+                        taskTitle.value = '';
+                        taskDueDate.value = '';
+                        taskEstimate.value = '';
+                        taskAssignee.value = '';
+                        this.loadProjectTasks(projectId);
+                        this.showNotification('Task added successfully', 'success');
+                    } else {
+                        this.showNotification('Failed to add task: ' + response.error, 'error');
+                    }
+                } catch (error) {
+                    console.error('Error adding task:', error);
+                    this.showNotification('Error adding task', 'error');
+                }
+            });
+        }
+        
         // Add note functionality
         const addNoteBtn = document.getElementById('addProjectNote');
         const noteContent = document.getElementById('newNoteContent');
@@ -2179,7 +3786,8 @@ class GptUI {
             console.log('Edit result:', result);
             
             if (result && result.success) {
-                this.showSuccess('Project updated successfully!');
+                // Completing a project reports what it took out of inventory
+                this.showSuccess(result.bomConsumption ? result.message : 'Project updated successfully!');
                 modal.style.display = 'none';
                 await this.loadProjects(); // Refresh the projects list
             } else {
@@ -2191,6 +3799,277 @@ class GptUI {
         }
     }
 
+    async loadProjectTasks(projectId) {
+        try {
+            const tasks = await ipcRenderer.invoke('get-tasks', projectId);
+            this.displayProjectTasks(tasks || []);
+        } catch (error) {
+            console.error('Error loading project tasks:', error);
+        }
+    }
+    
+    displayProjectTasks(tasks) {
+        const tasksList = document.getElementById('projectTasksList');
+        if (!tasksList) return;
+        
+        if (tasks.length === 0) {
+            tasksList.innerHTML = '<div style="text-align: center; color: #666; padding: 20px;">No tasks yet</div>';
+            return;
+        }
+        
+        tasksList.innerHTML = tasks.map(task => {
+            const isCompleted = task.status === 'completed';
+            const dueDate = task.due_date ? new Date(task.due_date) : null;
+            const isOverdue = dueDate && !isCompleted && dueDate < new Date();
+            const statusColor = isCompleted ? '#00c851' :
+                               task.status === 'in_progress' ? '#ffaa00' :
+                               task.status === 'blocked' ? '#ff4444' : '#00d4ff';
+            
+            return `
+                <div class="task-card" data-task-id="${task.id}" style="
+                    border-left: 3px solid ${statusColor};
+                    ${isOverdue ? 'border: 2px solid #ff4444;' : ''}
+                    ${isCompleted ? 'opacity: 0.6;' : ''}
+                ">
+                    <div style="
+                        display: flex;
+                        justify-content: space-between;
+                        align-items: flex-start;
+                        gap: 8px;
+                    ">
+                        <div class="task-title" style="${isCompleted ? 'text-decoration: line-through;' : ''}">${this.escapeHtml(task.title)}</div>
+                        <div style="
+                            display: flex;
+                            gap: 8px;
+                            align-items: center;
+                        ">
+                            ${!isCompleted ? `<button onclick="window.gptUI.completeTask(${task.id})" style="
+                                background: #00c851;
+                                color: white;
+                                border: none;
+                                padding: 4px 8px;
+                                border-radius: 3px;
+                                cursor: pointer;
+                                font-size: 10px;
+                            ">Complete</button>` : ''}
+                            <button onclick="window.gptUI.deleteTask(${task.id})" style="
+                                background: #ff4444;
+                                color: white;
+                                border: none;
+                                padding: 4px 8px;
+                                border-radius: 3px;
+                                cursor: pointer;
+                                font-size: 10px;
+                            ">Delete</button>
+                        </div>
+                    </div>
+                    <div class="task-meta">
+                        ${task.status.replace('_', ' ')} • Priority: ${task.priority || 1}
+                        ${task.assigned_to ? ` • 👤 ${this.escapeHtml(task.assigned_to)}` : ''}
+                    </div>
+                    <div class="task-meta">
+                        ${dueDate ? `📅 Due ${dueDate.toLocaleDateString()}` : 'No due date'}
+                        ${task.estimated_hours ? ` • ⏱️ ${task.estimated_hours}h est.` : ''}
+                        ${task.actual_hours ? ` / ${task.actual_hours}h actual` : ''}
+                        ${isOverdue ? ' • <span style="color: #ff4444;">Overdue</span>' : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    async completeTask(taskId) {
+        try {
+            const response = await ipcRenderer.invoke('complete-task', taskId);
+            
+            if (response.success) {
+                this.showNotification('Task completed', 'success');
+                const modal = document.getElementById('editProjectModal');
+                if (modal) {
+                    this.loadProjectTasks(modal.dataset.projectId);
+                }
+            } else {
+                this.showNotification('Failed to complete task: ' + response.error, 'error');
+            }
+        } catch (error) {
+            console.error('Error completing task:', error);
+            this.showNotification('Error completing task', 'error');
+        }
+    }
+    
+    async deleteTask(taskId) {
+        if (!confirm('Are you sure you want to delete this task?')) return;
+        
+        try {
+            const response = await ipcRenderer.invoke('delete-task', taskId);
+            
+            if (response.success) {
+                this.showNotification('Task deleted', 'success');
+                const modal = document.getElementById('editProjectModal');
+                if (modal) {
+                    this.loadProjectTasks(modal.dataset.projectId);
+                }
+            } else {
+                this.showNotification('Failed to delete task: ' + response.error, 'error');
+            }
+        } catch (error) {
+            console.error('Error deleting task:', error);
+            this.showNotification('Error deleting task', 'error');
+        }
+    }
+
+    async loadProjectBom(projectId) {
+        try {
+            const [bom, inventory] = await Promise.all([
+                ipcRenderer.invoke('project-action', { action: 'get_bom', data: { projectId: parseInt(projectId) } }),
+                ipcRenderer.invoke('get-inventory', {})
+            ]);
+
+            const itemSelect = document.getElementById('newBomItem');
+            if (itemSelect) {
+                itemSelect.innerHTML = (inventory || []).map(item =>
+                    `<option value="${item.id}">${this.escapeHtml(item.name)} (${item.quantity} ${this.escapeHtml(item.unit || '')})</option>`
+                ).join('') || '<option value="">Add inventory items first</option>';
+            }
+
+            if (bom.success) {
+                this.displayProjectBom(bom.data);
+            } else {
+                this.showNotification('Failed to load bill of materials: ' + bom.error, 'error');
+            }
+        } catch (error) {
+            console.error('Error loading bill of materials:', error);
+        }
+    }
+
+    displayProjectBom(lines) {
+        const bomList = document.getElementById('projectBomList');
+        const summary = document.getElementById('projectBomSummary');
+        if (!bomList) return;
+
+        if (lines.length === 0) {
+            summary.innerHTML = '';
+            bomList.innerHTML = '<div style="text-align: center; color: #666; padding: 20px;">No materials listed yet</div>';
+            return;
+        }
+
+        const shortLines = lines.filter(line => line.shortfall > 0);
+        const canReserve = lines.some(line => line.outstanding > line.reserved_quantity && line.available > 0);
+
+        summary.innerHTML = `
+            <span>${shortLines.length > 0 ?
+                `<span style="color: #ff4444;">⚠️ Short on ${shortLines.length} item(s), ~$${shortLines.reduce((total, line) => total + line.shortfallCost, 0).toFixed(2)}</span>` :
+                '<span style="color: #00c851;">✅ Inventory covers this BOM</span>'}</span>
+            ${canReserve ? `<button onclick="window.gptUI.reserveProjectBom()" style="
+                background: #00d4ff;
+                color: white;
+                border: none;
+                padding: 4px 10px;
+                border-radius: 3px;
+                cursor: pointer;
+                font-size: 11px;
+            ">Reserve stock</button>` : ''}
+        `;
+
+        bomList.innerHTML = lines.map(line => `
+            <div class="task-card" style="border-left: 3px solid ${line.shortfall > 0 ? '#ff4444' : line.outstanding === 0 ? '#666' : '#00c851'};">
+                <div style="
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    gap: 8px;
+                ">
+                    <div class="task-title">${this.escapeHtml(line.name)}</div>
+                    <button onclick="window.gptUI.removeBomItem(${line.id})" style="
+                        background: #ff4444;
+                        color: white;
+                        border: none;
+                        padding: 4px 8px;
+                        border-radius: 3px;
+                        cursor: pointer;
+                        font-size: 10px;
+                    ">Remove</button>
+                </div>
+                <div class="task-meta">
+                    Need ${line.required_quantity} ${this.escapeHtml(line.unit || '')}
+                    • Reserved ${line.reserved_quantity}
+                    • Used ${line.consumed_quantity}
+                    • ${line.available} free in stock
+                </div>
+                ${line.shortfall > 0 ? `
+                    <div class="task-meta" style="color: #ff4444;">
+                        Short ${line.shortfall} ${this.escapeHtml(line.unit || '')}${line.supplier ? ` • order from ${this.escapeHtml(line.supplier)}` : ''}
+                    </div>
+                ` : ''}
+            </div>
+        `).join('');
+    }
+
+    async addBomItem() {
+        const modal = document.getElementById('editProjectModal');
+        const itemId = parseInt(document.getElementById('newBomItem').value);
+        const quantityInput = document.getElementById('newBomQuantity');
+        const quantity = parseFloat(quantityInput.value);
+
+        if (!itemId || isNaN(quantity) || quantity <= 0) {
+            this.showNotification('Pick an item and enter the quantity needed', 'error');
+            return;
+        }
+
+        try {
+            const response = await ipcRenderer.invoke('project-action', {
+                action: 'add_bom_item',
+                data: { projectId: parseInt(modal.dataset.projectId), itemId: itemId, requiredQuantity: quantity }
+            });
+
+            if (response.success) {
+                quantityInput.value = '';
+                this.loadProjectBom(modal.dataset.projectId);
+            } else {
+                this.showNotification('Failed to add material: ' + response.error, 'error');
+            }
+        } catch (error) {
+            console.error('Error adding BOM item:', error);
+            this.showNotification('Error adding material', 'error');
+        }
+    }
+
+    async removeBomItem(bomId) {
+        const modal = document.getElementById('editProjectModal');
+
+        try {
+            const response = await ipcRenderer.invoke('project-action', { action: 'remove_bom_item', data: { bomId: bomId } });
+            if (response.success) {
+                this.loadProjectBom(modal.dataset.projectId);
+            } else {
+                this.showNotification('Failed to remove material: ' + response.error, 'error');
+            }
+        } catch (error) {
+            console.error('Error removing BOM item:', error);
+            this.showNotification('Error removing material', 'error');
+        }
+    }
+
+    async reserveProjectBom() {
+        const modal = document.getElementById('editProjectModal');
+
+        try {
+            const response = await ipcRenderer.invoke('project-action', {
+                action: 'reserve_bom',
+                data: { projectId: parseInt(modal.dataset.projectId) }
+            });
+            if (response.success) {
+                this.showNotification(response.message, 'success');
+                this.loadProjectBom(modal.dataset.projectId);
+            } else {
+                this.showNotification('Failed to reserve stock: ' + response.error, 'error');
+            }
+        } catch (error) {
+            console.error('Error reserving BOM stock:', error);
+            this.showNotification('Error reserving stock', 'error');
+        }
+    }
+
     async loadProjectNotes(projectId) {
         try {
             const response = await ipcRenderer.invoke('project-action', {
@@ -2337,6 +4216,15 @@ class GptUI {
                                 cursor: pointer;
                                 font-size: 10px;
                             ">Snooze</button>
+                            <button onclick="window.gptUI.completeReminder(${reminder.id})" style="
+                                background: #00c851;
+                                color: white;
+                                border: none;
+                                padding: 4px 8px;
+                                border-radius: 3px;
+                                cursor: pointer;
+                                font-size: 10px;
+                            ">Done</button>
                             <button onclick="window.gptUI.deleteReminder(${reminder.id})" style="
                                 background: #ff4444;
                                 color: white;
@@ -2354,6 +4242,7 @@ class GptUI {
                         margin-bottom: 8px;
                     ">
                         📅 ${reminderDate.toLocaleDateString()} ${reminderDate.toLocaleTimeString()}
+                        ${reminder.recurrence_description ? ` • 🔁 ${reminder.recurrence_description}` : ''}
                     </div>
                     ${reminder.description ? `<div style="
                         color: #fff;
@@ -2365,6 +4254,28 @@ class GptUI {
         }).join('');
     }
     
+    async completeReminder(reminderId) {
+        try {
+            const response = await ipcRenderer.invoke('project-action', {
+                action: 'complete_reminder',
+                data: { id: reminderId }
+            });
+            
+            if (response.success) {
+                this.showNotification(response.message, 'success');
+                const modal = document.getElementById('editProjectModal');
+                if (modal) {
+                    this.loadProjectReminders(modal.dataset.projectId);
+                }
+            } else {
+                this.showNotification('Failed to complete reminder: ' + response.error, 'error');
+            }
+        } catch (error) {
+            console.error('Error completing reminder:', error);
+            this.showNotification('Error completing reminder', 'error');
+        }
+    }
+    
     async snoozeReminder(reminderId) {
         const snoozeMinutes = prompt('Snooze for how many minutes?', '60');
         if (!snoozeMinutes) return;
@@ -0,0 +1,42 @@
+// Collects streamed text and hands back whole sentences, so speech can start before the answer is complete.
+// A sentence ends at ., ! or ? followed by whitespace, or at a line break; fragments shorter than
+// MIN_SENTENCE_LENGTH are held back and spoken with the next sentence ("Sure.", "1.").
+const MIN_SENTENCE_LENGTH = 12;
+const SENTENCE_END = /[.!?…]+["')\]]*\s+|\n+/g;
+// A period after one of these does not end the sentence
+const ABBREVIATION = /\b(?:e\.g|i\.e|etc|vs|approx|Mr|Mrs|Ms|Dr|St|No)\.$/i;
+
+class SentenceBuffer {
+    constructor() {
+        this.text = '';
+    }
+
+    push(token) {
+        this.text += token;
+
+        const sentences = [];
+        let start = 0;
+        let match;
+        SENTENCE_END.lastIndex = 0;
+        while ((match = SENTENCE_END.exec(this.text)) !== null) {
+            const end = match.index + match[0].length;
+            const sentence = this.text.slice(start, end).trim();
+            if (sentence.length >= MIN_SENTENCE_LENGTH && !ABBREVIATION.test(sentence)) {
+                sentences.push(sentence);
+                start = end;
+            }
+        }
+
+        this.text = this.text.slice(start);
+        return sentences;
+    }
+
+    // Whatever is left once the stream ends
+    flush() {
+        const rest = this.text.trim();
+        this.text = '';
+        return rest ? [rest] : [];
+    }
+}
+
+module.exports = SentenceBuffer;
@@ -15,6 +15,10 @@ class VoiceManager {
         this.currentRecording = null;
         this.currentRecognition = null; // For Web Speech API
         this.mainWindow = mainWindow; // Reference to main window for IPC
+        this.currentSpeech = null;
+        this.speechQueue = Promise.resolve();
+        // Bumped by stopSpeaking() so sentences queued before it are dropped
+        this.speechGeneration = 0;
     }
 
     async initialize() {
@@ -287,17 +291,11 @@ class VoiceManager {
                      $synth.Speak('${text.replace(/'/g, "''")}');`
                 ]);
 
-                return new Promise((resolve) => {
-                    powershell.on('close', () => resolve());
-                    powershell.on('error', () => resolve());
-                });
+                return this.waitForSpeech(powershell);
             } else {
                 // Use espeak or similar for other platforms
                 const espeak = spawn('espeak', [text]);
-                return new Promise((resolve) => {
-                    espeak.on('close', () => resolve());
-                    espeak.on('error', () => resolve());
-                });
+                return this.waitForSpeech(espeak);
             }
             
         } catch (error) {
@@ -305,6 +303,39 @@ class VoiceManager {
         }
     }
 
+    waitForSpeech(child) {
+        this.currentSpeech = child;
+        return new Promise((resolve) => {
+            const done = () => {
+                if (this.currentSpeech === child) {
+                    this.currentSpeech = null;
+                }
+                resolve();
+            };
+            child.on('close', done);
+            child.on('error', done);
+        });
+    }
+
+    // Speaks queued texts one after another, e.g. sentences of an answer that is still streaming in
+    queueSpeech(text, options = {}) {
+        const generation = this.speechGeneration;
+        this.speechQueue = this.speechQueue.then(() => {
+            if (generation === this.speechGeneration && text.trim()) {
+                return this.speak(text, options);
+            }
+        });
+        return this.speechQueue;
+    }
+
+    stopSpeaking() {
+        this.speechGeneration++;
+        if (this.currentSpeech) {
+            this.currentSpeech.kill();
+            this.currentSpeech = null;
+        }
+    }
+
     async stopListening() {
         if (!this.isListening) {
             return;
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeBambuPrinter = require('../../scripts/fake-bambu-printer');
+const BambuLabPrinter = require('../../src/fabrication/drivers/bambu-lab-printer');
+
+const SERIAL = 'FAKE0000000001';
+const ACCESS_CODE = '12345678';
+
+jest.setTimeout(30000);
+
+// Resolves with the first report from the fake that matches, while the driver keeps its own listener
+function waitForMessage(driver, match, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            driver.client.removeListener('message', onMessage);
+            reject(new Error('No matching report from the fake printer'));
+        }, timeout);
+
+        function onMessage(topic, payload) {
+            const message = JSON.parse(payload.toString());
+            if (match(message)) {
+                clearTimeout(timer);
+                driver.client.removeListener('message', onMessage);
+                resolve(message);
+            }
+        }
+
+        driver.client.on('message', onMessage);
+    });
+}
+
+function waitForState(driver, gcodeState) {
+    if (driver.report.gcode_state === gcodeState) {
+        return Promise.resolve();
+    }
+    return waitForMessage(driver, message => message.print && message.print.gcode_state === gcodeState);
+}
+
+// Sends a command through the driver and returns the printer's answer to that command's sequence_id
+async function commandReply(driver, command, send) {
+    const sequenceId = String(driver.sequenceId + 1);
+    const reply = waitForMessage(driver, message =>
+        message.print && message.print.command === command && message.print.sequence_id === sequenceId);
+
+    const result = await send();
+    expect(result.success).toBe(true);
+    return (await reply).print;
+}
+
+describe('BambuLabPrinter against the fake LAN-mode printer', () => {
+    let storage;
+    let fake;
+    let driver;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        storage = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-bambu-'));
+
+        // Port 0 lets the OS pick free ports, read back once the servers are listening
+        fake = new FakeBambuPrinter({
+            host: '127.0.0.1',
+            serial: SERIAL,
+            accessCode: ACCESS_CODE,
+            mqttPort: 0,
+            ftpPort: 0,
+            printSeconds: 60,
+            material: 'PETG',
+            storage: storage
+        });
+        await fake.start();
+
+        driver = new BambuLabPrinter({
+            id: 'fake',
+            name: 'Fake P1S',
+            ip: '127.0.0.1',
+            accessCode: ACCESS_CODE,
+            serialNumber: SERIAL,
+            mqttPort: fake.mqttServer.address().port,
+            ftpPort: fake.ftpServer.server.address().port
+        });
+    });
+
+    afterAll(async () => {
+        if (driver) await driver.disconnect();
+        if (fake) await fake.stop();
+        fs.rmSync(storage, { recursive: true, force: true });
+        console.log.mockRestore();
+    });
+
+    test('connects and receives the full report it asks for', async () => {
+        const result = await driver.connect();
+
+        expect(result.success).toBe(true);
+        expect(driver.isConnected).toBe(true);
+        expect(driver.lastReportAt).not.toBeNull();
+        expect(driver.report.gcode_state).toBe('IDLE');
+    });
+
+    test('parses the pushall report into a status', async () => {
+        const status = await driver.getStatus();
+
+        expect(status).toMatchObject({
+            printer_id: 'fake',
+            printer_type: 'bambu',
+            connection_status: 'connected',
+            state: 'idle',
+            gcode_state: 'IDLE',
+            progress: 0,
+            nozzle_temperature: 25,
+            bed_temperature: 25,
+            current_material: 'PETG',
+            filament_detected: true,
+            filament_sensor_enabled: true
+        });
+    });
+
+    test('answers get_version with the same sequence_id', async () => {
+        const info = await driver.getInfo();
+
+        expect(info.success).toBe(true);
+        expect(info.data.modules.map(module => module.sn)).toEqual([SERIAL, SERIAL]);
+    });
+
+    test('uploads over implicit FTPS', async () => {
+        const source = path.join(os.tmpdir(), `bambu-upload-${process.pid}.gcode`);
+        fs.writeFileSync(source, 'G28\nG1 X10 Y10\n');
+
+        try {
+            const result = await driver.uploadFile(source);
+
+            expect(result.success).toBe(true);
+            expect(result.fileName).toBe(path.basename(source));
+            expect(fs.readFileSync(path.join(storage, result.fileName), 'utf8')).toBe('G28\nG1 X10 Y10\n');
+        } finally {
+            fs.unlinkSync(source);
+        }
+    });
+
+    test('starts the uploaded file and merges the partial reports', async () => {
+        const fileName = `bambu-upload-${process.pid}.gcode`;
+        const reply = await commandReply(driver, 'gcode_file', () => driver.startPrint(fileName));
+
+        expect(reply.result).toBe('success');
+        await waitForState(driver, 'RUNNING');
+
+        const status = await driver.getStatus();
+        expect(status.state).toBe('printing');
+        expect(status.file_name).toBe(fileName);
+        expect(status.nozzle_target_temperature).toBe(220);
+        // Fields the partial reports left out are still there from the pushall
+        expect(status.current_material).toBe('PETG');
+    });
+
+    test('pauses and resumes, each answered under its own sequence_id', async () => {
+        const pause = await commandReply(driver, 'pause', () => driver.pausePrint());
+        expect(pause.result).toBe('success');
+        await waitForState(driver, 'PAUSE');
+        expect((await driver.getStatus()).state).toBe('paused');
+
+        const resume = await commandReply(driver, 'resume', () => driver.resumePrint());
+        expect(resume.result).toBe('success');
+        expect(Number(resume.sequence_id)).toBeGreaterThan(Number(pause.sequence_id));
+        await waitForState(driver, 'RUNNING');
+        expect((await driver.getStatus()).state).toBe('printing');
+    });
+
+    test('stops the print', async () => {
+        const stop = await commandReply(driver, 'stop', () => driver.cancelPrint());
+
+        expect(stop.result).toBe('success');
+        await waitForState(driver, 'FAILED');
+
+        const status = await driver.getStatus();
+        expect(status.state).toBe('failed');
+        expect(status.nozzle_target_temperature).toBe(0);
+    });
+
+    test('reports a missing file as a failed command', async () => {
+        const reply = await commandReply(driver, 'gcode_file', () => driver.startPrint('missing.gcode'));
+
+        expect(reply.result).toBe('fail');
+        expect(reply.reason).toMatch(/missing\.gcode not found/);
+    });
+
+    test('disconnects', async () => {
+        await driver.disconnect();
+
+        expect(driver.isConnected).toBe(false);
+        expect((await driver.getStatus()).state).toBe('disconnected');
+    });
+});
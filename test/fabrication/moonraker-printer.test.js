@@ -0,0 +1,192 @@
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const MoonrakerPrinter = require('../../src/fabrication/drivers/moonraker-printer');
+
+const printing = () => ({
+    webhooks: { state: 'ready', state_message: 'Printer is ready' },
+    print_stats: { state: 'printing', filename: 'bracket.gcode', print_duration: 600, filament_used: 812.5, info: { current_layer: 12, total_layer: 80 } },
+    display_status: { progress: 0.25 },
+    virtual_sdcard: { progress: 0.22 },
+    extruder: { temperature: 214.6, target: 215 },
+    heater_bed: { temperature: 60.1, target: 60 },
+    'filament_switch_sensor runout': { enabled: true, filament_detected: true }
+});
+
+// Moonraker's websocket: answers JSON-RPC calls from a table and can push notifications or drop the client
+function startStubMoonraker() {
+    const stub = {
+        calls: [],
+        objects: printing(),
+        results: {
+            'printer.info': { state: 'ready', software_version: 'v0.12.0', hostname: 'voron' },
+            'server.info': { moonraker_version: 'v0.8.0' }
+        },
+        errors: {}
+    };
+
+    stub.server = http.createServer();
+    stub.wss = new WebSocketServer({ server: stub.server, path: '/websocket' });
+    stub.wss.on('connection', (socket) => {
+        stub.client = socket;
+        socket.on('message', (data) => {
+            const call = JSON.parse(data.toString());
+            stub.calls.push(call);
+
+            if (stub.errors[call.method]) {
+                socket.send(JSON.stringify({ jsonrpc: '2.0', id: call.id, error: stub.errors[call.method] }));
+            } else if (call.method === 'printer.objects.subscribe') {
+                socket.send(JSON.stringify({ jsonrpc: '2.0', id: call.id, result: { eventtime: 1, status: stub.objects } }));
+            } else {
+                socket.send(JSON.stringify({ jsonrpc: '2.0', id: call.id, result: stub.results[call.method] || 'ok' }));
+            }
+        });
+    });
+
+    stub.notify = (method, params) => stub.client.send(JSON.stringify({ jsonrpc: '2.0', method: method, params: params }));
+
+    return new Promise(resolve => stub.server.listen(0, '127.0.0.1', () => resolve(stub)));
+}
+
+// Real socket traffic has to get through while the reconnect delay is on fake timers
+const nextTurn = () => new Promise(resolve => setImmediate(resolve));
+
+async function until(condition) {
+    for (let attempt = 0; attempt < 500 && !condition(); attempt++) {
+        await nextTurn();
+    }
+    expect(condition()).toBe(true);
+}
+
+describe('MoonrakerPrinter against a stub Moonraker websocket', () => {
+    let stub;
+    let driver;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        stub = await startStubMoonraker();
+    });
+
+    afterAll(async () => {
+        stub.wss.close();
+        await new Promise(resolve => stub.server.close(resolve));
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        stub.calls = [];
+        stub.objects = printing();
+        stub.errors = {};
+        driver = new MoonrakerPrinter({
+            id: 'voron',
+            name: 'Voron 2.4',
+            ip: '127.0.0.1',
+            port: stub.server.address().port,
+            filamentSensor: 'runout',
+            material: 'abs'
+        });
+        await driver.connect();
+    });
+
+    afterEach(async () => {
+        jest.useRealTimers();
+        await driver.disconnect();
+    });
+
+    test('subscribes on connect and reads the status it is sent', async () => {
+        const [subscribe] = stub.calls;
+        expect(subscribe.method).toBe('printer.objects.subscribe');
+        expect(Object.keys(subscribe.params.objects)).toEqual(expect.arrayContaining(['print_stats', 'extruder', 'filament_switch_sensor runout']));
+
+        expect(await driver.getStatus()).toMatchObject({
+            printer_type: 'moonraker',
+            connection_status: 'connected',
+            state: 'printing',
+            progress: 25,
+            remaining_minutes: 30,
+            layer: 12,
+            total_layers: 80,
+            file_name: 'bracket.gcode',
+            filament_used_mm: 812.5,
+            nozzle_temperature: 214.6,
+            bed_target_temperature: 60,
+            current_material: 'ABS',
+            filament_sensor_enabled: true,
+            has_filament: true
+        });
+    });
+
+    test('merges partial updates into what it already knows', async () => {
+        stub.notify('notify_status_update', [{ extruder: { temperature: 190.2 }, print_stats: { print_duration: 900 } }, 2]);
+        await until(() => driver.objects.extruder.temperature === 190.2);
+
+        const status = await driver.getStatus();
+        expect(status).toMatchObject({ nozzle_temperature: 190.2, nozzle_target_temperature: 215, file_name: 'bracket.gcode', progress: 25, remaining_minutes: 45 });
+
+        stub.notify('notify_status_update', [{ 'filament_switch_sensor runout': { filament_detected: false } }, 3]);
+        await until(() => driver.objects['filament_switch_sensor runout'].filament_detected === false);
+        expect(await driver.getStatus()).toMatchObject({ filament_detected: false, has_filament: false, filament_sensor_enabled: true });
+    });
+
+    test('tells a finished print from a cancelled or failed one', async () => {
+        const stateAfter = async (fields) => {
+            stub.notify('notify_status_update', [{ print_stats: fields }, 4]);
+            await until(() => driver.objects.print_stats.state === fields.state);
+            return driver.getStatus();
+        };
+
+        expect(await stateAfter({ state: 'complete' })).toMatchObject({ state: 'finished', remaining_minutes: null });
+        expect(await stateAfter({ state: 'cancelled' })).toMatchObject({ state: 'cancelled', print_error: 0 });
+        expect(await stateAfter({ state: 'error', message: 'Move out of range' })).toMatchObject({ state: 'failed', print_error: 'Move out of range' });
+        expect(await stateAfter({ state: 'standby' })).toMatchObject({ state: 'idle' });
+    });
+
+    test('reports a Klipper shutdown as an error until Klipper is ready again', async () => {
+        stub.notify('notify_klippy_shutdown');
+        await until(() => driver.objects.webhooks.state === 'shutdown');
+        expect(await driver.getStatus()).toMatchObject({ state: 'error' });
+
+        stub.notify('notify_klippy_ready');
+        await until(() => driver.objects.webhooks.state === 'ready');
+        expect((await driver.getStatus()).state).toBe('printing');
+    });
+
+    test('reconnects and subscribes again after the connection drops', async () => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick', 'queueMicrotask'] });
+        stub.client.terminate();
+        await until(() => !driver.isConnected);
+
+        expect((await driver.getStatus()).state).toBe('disconnected');
+        expect(driver.reconnectTimer).not.toBeNull();
+
+        // The printer finished while the link was down; the new subscription says so
+        stub.objects = { ...printing(), print_stats: { state: 'complete', filename: 'bracket.gcode' } };
+        jest.advanceTimersByTime(5000);
+        await until(() => stub.calls.filter(call => call.method === 'printer.objects.subscribe').length === 2 && driver.objects.print_stats.state === 'complete');
+
+        expect(driver.isConnected).toBe(true);
+        expect((await driver.getStatus()).state).toBe('finished');
+    });
+
+    test('does not reconnect once disconnected on purpose', async () => {
+        await driver.disconnect();
+        await until(() => stub.wss.clients.size === 0);
+
+        expect(driver.reconnectTimer).toBeNull();
+        expect((await driver.getStatus()).state).toBe('disconnected');
+    });
+
+    test('sends commands over JSON-RPC and passes on Moonraker errors', async () => {
+        expect(await driver.startPrint('lid.gcode')).toMatchObject({ success: true, jobId: 'lid.gcode' });
+        expect(await driver.sendGcode('G28')).toMatchObject({ success: true });
+        expect(stub.calls.slice(1).map(call => [call.method, call.params])).toEqual([
+            ['printer.print.start', { filename: 'lid.gcode' }],
+            ['printer.gcode.script', { script: 'G28' }]
+        ]);
+
+        stub.errors['printer.print.cancel'] = { code: 400, message: 'No active print' };
+        expect(await driver.cancelPrint()).toEqual({ success: false, error: 'Failed to cancel print: No active print' });
+
+        expect(await driver.getInfo()).toMatchObject({ success: true, data: { klipper_version: 'v0.12.0', moonraker_version: 'v0.8.0' } });
+    });
+});
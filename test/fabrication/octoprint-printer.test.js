@@ -0,0 +1,189 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const OctoPrintPrinter = require('../../src/fabrication/drivers/octoprint-printer');
+
+const API_KEY = 'test-api-key';
+
+const operational = (completion, file = 'benchy.gcode') => ({
+    printer: {
+        state: { text: 'Operational', flags: { operational: true, ready: true } },
+        temperature: { tool0: { actual: 41.2, target: 0 }, bed: { actual: 30.5, target: 0 } }
+    },
+    job: { job: { file: { name: completion === null ? null : file } }, progress: { completion: completion, printTimeLeft: null } }
+});
+
+// Answers the OctoPrint endpoints the driver uses from a table the tests change as they go
+function startStubOctoPrint() {
+    const stub = {
+        requests: [],
+        routes: {
+            'GET /api/version': [200, { server: '1.10.2', api: '0.1' }],
+            'GET /api/printer': [200, operational(null).printer],
+            'GET /api/job': [200, operational(null).job],
+            'GET /api/connection': [200, { current: { state: 'Operational', port: '/dev/ttyACM0' } }]
+        }
+    };
+
+    stub.server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString();
+            stub.requests.push({ method: req.method, url: req.url, headers: req.headers, body: body });
+
+            if (req.headers['x-api-key'] !== API_KEY) {
+                res.writeHead(403, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Invalid API key' }));
+                return;
+            }
+
+            const [status, reply] = stub.routes[`${req.method} ${req.url}`] || (req.method === 'POST' ? [204, null] : [404, { error: 'Not found' }]);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(reply === null ? '' : JSON.stringify(reply));
+        });
+    });
+
+    return new Promise(resolve => stub.server.listen(0, '127.0.0.1', () => resolve(stub)));
+}
+
+describe('OctoPrintPrinter against a stub OctoPrint server', () => {
+    let stub;
+    let driver;
+
+    const setJob = ({ printer, job }) => {
+        stub.routes['GET /api/printer'] = [200, printer];
+        stub.routes['GET /api/job'] = [200, job];
+    };
+
+    beforeAll(async () => {
+        stub = await startStubOctoPrint();
+        driver = new OctoPrintPrinter({
+            id: 'octo',
+            name: 'Prusa MK3S',
+            url: `http://127.0.0.1:${stub.server.address().port}/`,
+            apiKey: API_KEY,
+            material: 'petg'
+        });
+        await driver.connect();
+    });
+
+    afterAll(() => new Promise(resolve => stub.server.close(resolve)));
+
+    beforeEach(() => {
+        stub.requests = [];
+        setJob(operational(null));
+    });
+
+    test('connects with the API key and reports the server version', () => {
+        expect(driver.isConnected).toBe(true);
+        expect(driver.version.server).toBe('1.10.2');
+    });
+
+    test('refuses a wrong API key with OctoPrint\'s own explanation', async () => {
+        const wrongKey = new OctoPrintPrinter({ id: 'bad', name: 'Bad key', url: driver.baseUrl, apiKey: 'nope' });
+
+        await expect(wrongKey.connect()).rejects.toThrow('Failed to connect to Bad key: HTTP 403 - Invalid API key');
+        expect(wrongKey.isConnected).toBe(false);
+        await expect(new OctoPrintPrinter({ id: 'none', ip: '127.0.0.1' }).connect()).rejects.toThrow('needs url (or ip) and apiKey');
+    });
+
+    test('reads a print in progress from the printer and job endpoints', async () => {
+        setJob({
+            printer: {
+                state: { text: 'Printing', flags: { operational: true, printing: true } },
+                temperature: { tool0: { actual: 214.8, target: 215 }, bed: { actual: 59.9, target: 60 } }
+            },
+            job: { job: { file: { name: 'bracket.gcode' } }, progress: { completion: 42.6, printTimeLeft: 1830 } }
+        });
+
+        const status = await driver.getStatus();
+
+        expect(status).toMatchObject({
+            printer_id: 'octo',
+            printer_type: 'octoprint',
+            connection_status: 'connected',
+            state: 'printing',
+            state_text: 'Printing',
+            progress: 43,
+            remaining_minutes: 31,
+            file_name: 'bracket.gcode',
+            nozzle_temperature: 214.8,
+            nozzle_target_temperature: 215,
+            bed_temperature: 59.9,
+            bed_target_temperature: 60,
+            current_material: 'PETG',
+            print_error: 0
+        });
+    });
+
+    test('tells a finished job from one cancelled part-way', async () => {
+        setJob(operational(100));
+        expect(await driver.getStatus()).toMatchObject({ state: 'idle', progress: 100, file_name: 'benchy.gcode' });
+
+        setJob(operational(37.2));
+        expect(await driver.getStatus()).toMatchObject({ state: 'cancelled', progress: 37 });
+
+        setJob(operational(null));
+        expect(await driver.getStatus()).toMatchObject({ state: 'idle', progress: null, file_name: null });
+    });
+
+    test('maps paused, error and offline flags', () => {
+        const job = operational(50).job;
+        const withFlags = (flags, extra = {}) => driver.parseStatus({ state: { text: 'State', flags: flags, ...extra } }, job).state;
+
+        expect(withFlags({ operational: true, paused: true })).toBe('paused');
+        expect(withFlags({ operational: true, cancelling: true })).toBe('printing');
+        expect(withFlags({ closedOrError: true, error: true }, { error: 'Thermal runaway' })).toBe('error');
+        expect(driver.parseStatus({ state: { text: 'Error', flags: { error: true }, error: 'Thermal runaway' } }, job).print_error).toBe('Thermal runaway');
+        expect(withFlags({})).toBe('unknown');
+    });
+
+    test('reports OctoPrint without a printer connection as disconnected', async () => {
+        stub.routes['GET /api/printer'] = [409, { error: 'Printer is not operational' }];
+
+        const status = await driver.getStatus();
+
+        expect(status.state).toBe('disconnected');
+        expect(status.error).toBe('OctoPrint on Prusa MK3S is not connected to the printer');
+    });
+
+    test('uploads a file and starts it by name', async () => {
+        const storage = fs.mkdtempSync(path.join(os.tmpdir(), 'octoprint-'));
+        const filePath = path.join(storage, 'lid v2.gcode');
+        fs.writeFileSync(filePath, 'G28\nG1 X10 Y10\n');
+
+        try {
+            const upload = await driver.uploadFile(filePath);
+            const start = await driver.startPrint(upload.fileName);
+
+            expect(upload).toMatchObject({ success: true, fileName: 'lid v2.gcode' });
+            expect(start).toMatchObject({ success: true, jobId: 'lid v2.gcode' });
+
+            const [uploadRequest, startRequest] = stub.requests;
+            expect(uploadRequest.url).toBe('/api/files/local');
+            expect(uploadRequest.body).toContain('filename="lid v2.gcode"');
+            expect(uploadRequest.body).toContain('G1 X10 Y10');
+            expect(startRequest.url).toBe('/api/files/local/lid%20v2.gcode');
+            expect(JSON.parse(startRequest.body)).toEqual({ command: 'select', print: true });
+        } finally {
+            fs.rmSync(storage, { recursive: true, force: true });
+        }
+    });
+
+    test('sends job commands and passes on why OctoPrint refused one', async () => {
+        expect((await driver.pausePrint()).success).toBe(true);
+        expect((await driver.resumePrint()).success).toBe(true);
+        expect(stub.requests.map(request => JSON.parse(request.body))).toEqual([
+            { command: 'pause', action: 'pause' },
+            { command: 'pause', action: 'resume' }
+        ]);
+
+        stub.routes['POST /api/job'] = [409, { error: 'Printer is not operational' }];
+        const cancel = await driver.cancelPrint();
+        delete stub.routes['POST /api/job'];
+
+        expect(cancel).toEqual({ success: false, error: 'Failed to cancel print: HTTP 409 - Printer is not operational' });
+    });
+});
@@ -0,0 +1,317 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProjectManager = require('../../src/projects/project-manager');
+const FabricationManager = require('../../src/fabrication/fabrication-manager');
+const PrintQueue = require('../../src/fabrication/print-queue');
+const PrinterTelemetry = require('../../src/fabrication/printer-telemetry');
+const SafetyMonitor = require('../../src/fabrication/safety-monitor');
+const SimulatedPrinter = require('../../src/fabrication/drivers/simulated-printer');
+
+const PRINT_MINUTES = 30;
+// Longer than FabricationManager's start grace period, so a finished printer settles its job
+const PAST_GRACE_MS = 3 * 60 * 1000;
+
+// Near-zero speed so the wall clock does not move the model; only advance() does
+function createPrinter(config = {}) {
+    return new SimulatedPrinter({
+        id: 'sim',
+        name: 'Sim',
+        speed: 1e-9,
+        printMinutes: PRINT_MINUTES,
+        seed: 42,
+        ...config
+    });
+}
+
+// Steps the printer a second at a time until its state is one of states, or gives up after limitSeconds
+async function advanceUntil(printer, states, limitSeconds = 2 * 60 * 60) {
+    for (let elapsed = 0; elapsed < limitSeconds; elapsed += 1) {
+        const status = await printer.getStatus();
+        if (states.includes(status.state)) {
+            return status;
+        }
+        printer.advance(1);
+    }
+    throw new Error(`${printer.name} did not reach ${states.join(' or ')} within ${limitSeconds}s`);
+}
+
+describe('SimulatedPrinter', () => {
+    let silenced;
+
+    beforeAll(() => {
+        silenced = ['log', 'warn', 'error'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+    });
+
+    afterAll(() => {
+        silenced.forEach(spy => spy.mockRestore());
+    });
+
+    describe('on its own', () => {
+        test('heats up, prints and finishes on simulated time', async () => {
+            const printer = createPrinter();
+            await printer.connect();
+            await printer.startPrint('cube.gcode');
+
+            const printing = await advanceUntil(printer, ['printing']);
+            expect(printing.nozzle_temperature).toBeGreaterThanOrEqual(208);
+            expect(printing.bed_temperature).toBeGreaterThanOrEqual(58);
+
+            printer.advance(PRINT_MINUTES * 60 / 2);
+            expect((await printer.getStatus()).progress).toBe(50);
+
+            const finished = await advanceUntil(printer, ['finished']);
+            expect(finished.progress).toBe(100);
+            expect(finished.nozzle_target_temperature).toBe(0);
+        });
+
+        test('fails the same prints at the same point for the same seed', async () => {
+            const failures = [];
+            for (let run = 0; run < 2; run++) {
+                const printer = createPrinter({ failureRate: 0.5, seed: 7 });
+                await printer.connect();
+
+                const outcomes = [];
+                for (let print = 0; print < 4; print++) {
+                    await printer.startPrint(`part-${print}.gcode`);
+                    const status = await advanceUntil(printer, ['finished', 'failed']);
+                    outcomes.push(status.state === 'failed' ? status.progress : 'finished');
+                }
+                failures.push(outcomes);
+            }
+
+            expect(failures[0]).toEqual(failures[1]);
+            expect(failures[0]).toContain('finished');
+            expect(failures[0].some(outcome => typeof outcome === 'number')).toBe(true);
+        });
+    });
+
+    describe('with the print queue, telemetry and safety monitor', () => {
+        let storage;
+        let projectManager;
+        let fabricationManager;
+        let printer;
+        let now;
+        let clock = null;
+
+        beforeAll(async () => {
+            storage = fs.mkdtempSync(path.join(os.tmpdir(), 'simulated-printer-'));
+            projectManager = new ProjectManager();
+            projectManager.dbPath = path.join(storage, 'projects.db');
+            await projectManager.initialize();
+        });
+
+        afterAll(async () => {
+            await projectManager.cleanup();
+            fs.rmSync(storage, { recursive: true, force: true });
+        });
+
+        beforeEach(async () => {
+            await projectManager.runQuery('DELETE FROM print_jobs');
+
+            // Set up by hand rather than initialize(), which reads config/fabrication.json and starts timers
+            fabricationManager = new FabricationManager(projectManager);
+            fabricationManager.config = { queue: { auto_dispatch: false }, safety: {} };
+            fabricationManager.printQueue = new PrintQueue(projectManager.db);
+
+            printer = createPrinter();
+            await printer.connect();
+            fabricationManager.printers.set(printer.id, printer);
+
+            now = Date.now();
+        });
+
+        afterEach(() => {
+            if (clock) {
+                clock.mockRestore();
+                clock = null;
+            }
+        });
+
+        // Moves the wall clock the queue sees; the printer itself is moved with advance()
+        function passTime(ms) {
+            now += ms;
+            clock = clock || jest.spyOn(Date, 'now');
+            clock.mockReturnValue(now);
+        }
+
+        // Polls like the telemetry timer would, once every intervalSeconds of simulated time
+        async function pollUntil(telemetry, states, intervalSeconds = 60) {
+            for (let elapsed = 0; elapsed < 2 * 60 * 60; elapsed += intervalSeconds) {
+                const sample = await telemetry.poll(printer.id, printer);
+                if (states.includes(sample.state)) {
+                    return sample;
+                }
+                printer.advance(intervalSeconds);
+            }
+            throw new Error(`${printer.name} did not reach ${states.join(' or ')}`);
+        }
+
+        async function queueAndDispatch(fileName) {
+            const { job } = await fabricationManager.printQueue.addJob({ fileName: fileName, printerId: printer.id });
+            const dispatched = await fabricationManager.dispatchQueue();
+            expect(dispatched.data).toEqual([job.id]);
+            return job;
+        }
+
+        test('dispatches a queued job and settles it as done once the printer finishes', async () => {
+            const job = await queueAndDispatch('bracket.gcode');
+
+            let stored = await fabricationManager.printQueue.getJob(job.id);
+            expect(stored.status).toBe('printing');
+            expect(stored.assigned_printer_id).toBe('sim');
+            expect((await printer.getStatus()).file_name).toBe('bracket.gcode');
+
+            await advanceUntil(printer, ['finished']);
+            passTime(PAST_GRACE_MS);
+            await fabricationManager.dispatchQueue();
+
+            stored = await fabricationManager.printQueue.getJob(job.id);
+            expect(stored.status).toBe('done');
+            expect(stored.finished_at).not.toBeNull();
+            expect(await fabricationManager.printQueue.getActiveJob('sim')).toBeNull();
+        });
+
+        test('hands the next queued job to the printer after the first is done', async () => {
+            const first = await queueAndDispatch('first.gcode');
+            const { job: second } = await fabricationManager.printQueue.addJob({ fileName: 'second.gcode', printerId: printer.id });
+
+            await advanceUntil(printer, ['finished']);
+            passTime(PAST_GRACE_MS);
+            // One pass settles the finished job, the next starts the waiting one
+            await fabricationManager.dispatchQueue();
+            const dispatched = await fabricationManager.dispatchQueue();
+
+            expect(dispatched.data).toEqual([second.id]);
+            expect((await fabricationManager.printQueue.getJob(first.id)).status).toBe('done');
+            expect((await printer.getStatus()).file_name).toBe('second.gcode');
+        });
+
+        test('a printer that throws does not stop the others being dispatched', async () => {
+            const broken = createPrinter({ id: 'broken', name: 'Broken' });
+            broken.getStatus = () => Promise.reject(new Error('socket hang up'));
+            fabricationManager.printers = new Map([[broken.id, broken], [printer.id, printer]]);
+            const { job } = await fabricationManager.printQueue.addJob({ fileName: 'anywhere.gcode' });
+
+            const dispatched = await fabricationManager.dispatchQueue();
+
+            expect(dispatched.data).toEqual([job.id]);
+            expect((await fabricationManager.printQueue.getJob(job.id)).assigned_printer_id).toBe('sim');
+        });
+
+        test('a start that throws fails the job and frees the printer', async () => {
+            printer.startPrint = () => Promise.reject(new Error('printer rebooted'));
+            const { job } = await fabricationManager.printQueue.addJob({ fileName: 'doomed.gcode', printerId: printer.id });
+
+            const dispatched = await fabricationManager.dispatchQueue();
+
+            expect(dispatched.data).toEqual([]);
+            const stored = await fabricationManager.printQueue.getJob(job.id);
+            expect(stored.status).toBe('failed');
+            expect(stored.error).toBe('Failed to start print: printer rebooted');
+            expect(await fabricationManager.printQueue.getActiveJob(printer.id)).toBeNull();
+        });
+
+        test('a job named differently from its file starts the file that was uploaded', async () => {
+            const filePath = path.join(storage, 'bracket_v3_final.gcode');
+            fs.writeFileSync(filePath, 'G28\nG1 X10 Y10\n');
+            fabricationManager.preflightCheck = async () => ({ success: true, data: { passed: true, analysis: { filamentWeightG: 5 } } });
+            const { job } = await fabricationManager.printQueue.addJob({ fileName: 'Bracket', filePath: filePath, printerId: printer.id });
+
+            await fabricationManager.dispatchQueue();
+
+            expect((await fabricationManager.printQueue.getJob(job.id)).status).toBe('printing');
+            expect((await printer.getStatus()).file_name).toBe('bracket_v3_final.gcode');
+        });
+
+        test('telemetry reports a finished print', async () => {
+            const events = [];
+            const telemetry = new PrinterTelemetry(fabricationManager, { onPrintEvent: event => events.push(event) });
+
+            await queueAndDispatch('finished.gcode');
+            await pollUntil(telemetry, ['finished']);
+
+            expect(events).toEqual([expect.objectContaining({
+                type: 'finished',
+                printerId: 'sim',
+                fileName: 'finished.gcode',
+                progress: 100
+            })]);
+        });
+
+        test('telemetry reports a failed print with the progress it reached', async () => {
+            printer.failureRate = 1;
+            const events = [];
+            const telemetry = new PrinterTelemetry(fabricationManager, { onPrintEvent: event => events.push(event) });
+
+            await queueAndDispatch('failing.gcode');
+            const failed = await pollUntil(telemetry, ['failed']);
+
+            expect(events).toEqual([expect.objectContaining({
+                type: 'failed',
+                fileName: 'failing.gcode',
+                error: expect.stringMatching(/^Print failed at \d+% \(simulated\)$/)
+            })]);
+            // The event carries the last progress seen while the print was still running
+            expect(events[0].progress).toBeGreaterThan(0);
+            expect(events[0].progress).toBeLessThanOrEqual(failed.progress);
+        });
+
+        // Samples the printer every intervalSeconds of simulated time until the monitor steps in
+        async function monitorUntilIntervention(monitor, telemetry, intervalSeconds, limitSeconds) {
+            for (let elapsed = 0; elapsed <= limitSeconds; elapsed += intervalSeconds) {
+                const status = await printer.getStatus();
+                const sample = {
+                    ...telemetry.toSample(printer.id, printer, status),
+                    timestamp: new Date(now + elapsed * 1000).toISOString()
+                };
+                const interventions = await monitor.evaluate(sample);
+                if (interventions.length > 0) {
+                    return interventions;
+                }
+                printer.advance(intervalSeconds);
+            }
+            throw new Error(`Safety monitor did not step in within ${limitSeconds}s`);
+        }
+
+        test('safety monitor cancels a print when the nozzle runs away', async () => {
+            const telemetry = new PrinterTelemetry(fabricationManager);
+            const monitor = new SafetyMonitor(fabricationManager);
+            const job = await queueAndDispatch('runaway.gcode');
+            await advanceUntil(printer, ['printing']);
+
+            printer.injectFault('thermal_runaway');
+            const interventions = await monitorUntilIntervention(monitor, telemetry, 2, 300);
+
+            expect(interventions).toEqual([expect.objectContaining({
+                rule: 'thermal_runaway',
+                action: 'cancel',
+                success: true
+            })]);
+            expect(interventions[0].message).toMatch(/^Nozzle at \d+°C is more than 15°C over its 210°C target/);
+            expect((await printer.getStatus()).state).toBe('idle');
+            expect((await fabricationManager.printQueue.getJob(job.id)).status).toBe('cancelled');
+        });
+
+        test('safety monitor alerts when progress stalls', async () => {
+            const telemetry = new PrinterTelemetry(fabricationManager);
+            const monitor = new SafetyMonitor(fabricationManager);
+            const job = await queueAndDispatch('stalled.gcode');
+            await advanceUntil(printer, ['printing']);
+            printer.advance(60);
+
+            printer.injectFault('stall');
+            const interventions = await monitorUntilIntervention(monitor, telemetry, 60, 60 * 60);
+
+            expect(interventions).toEqual([expect.objectContaining({
+                rule: 'progress_stalled',
+                action: 'alert',
+                success: true
+            })]);
+            expect(interventions[0].message).toMatch(/^Progress has been stuck at \d+% for 20 minutes/);
+            // An alert leaves the print running
+            expect((await printer.getStatus()).state).toBe('printing');
+            expect((await fabricationManager.printQueue.getJob(job.id)).status).toBe('printing');
+        });
+    });
+});
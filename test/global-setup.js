@@ -0,0 +1,6 @@
+// Runs once before the test workers start. Date picks up TZ when a process starts, and a test file
+// cannot change it for its own worker, so the zone has to be set here. New York has DST, which the
+// recurrence tests depend on.
+module.exports = () => {
+    process.env.TZ = 'America/New_York';
+};
@@ -0,0 +1,112 @@
+const DependencyGraph = require('../../src/projects/dependency-graph');
+
+const START = new Date('2026-03-02T09:00:00Z');
+const hoursFromStart = (hours) => new Date(START.getTime() + hours * DependencyGraph.HOUR_MS);
+
+// nodes as [id, duration, extra], edges as [from, dependsOn]
+function graph(nodes, edges) {
+    return new DependencyGraph(
+        nodes.map(([id, duration, extra = {}]) => ({ id, duration, deadline: null, done: false, ...extra })),
+        edges.map(([from, to]) => ({ from, to }))
+    );
+}
+
+function entries(result) {
+    const table = {};
+    result.schedule.forEach((entry, id) => {
+        table[id] = [entry.earliestStart, entry.earliestFinish, entry.latestStart, entry.latestFinish, entry.slack];
+    });
+    return table;
+}
+
+describe('DependencyGraph', () => {
+    describe('computeCriticalPath', () => {
+        // 1 → 2 → 4 and 1 → 3 → 4: the 5 hour branch drives the finish, the 1 hour branch can slip 4 hours
+        const diamond = (extra = {}) => graph(
+            [[1, 2], [2, 5], [3, 1], [4, 3, extra]],
+            [[2, 1], [3, 1], [4, 2], [4, 3]]
+        );
+
+        test('earliest and latest starts through parallel branches', () => {
+            const result = diamond().computeCriticalPath(START);
+
+            expect(result.order).toEqual([1, 2, 3, 4]);
+            expect(result.projectDuration).toBe(10);
+            expect(entries(result)).toEqual({
+                1: [0, 2, 0, 2, 0],
+                2: [2, 7, 2, 7, 0],
+                3: [2, 3, 6, 7, 4],
+                4: [7, 10, 7, 10, 0]
+            });
+            expect(result.minSlack).toBe(0);
+            expect(result.criticalPath).toEqual([1, 2, 4]);
+        });
+
+        test('a due date that cannot be met gives the chain leading to it negative slack', () => {
+            const result = diamond({ deadline: hoursFromStart(8) }).computeCriticalPath(START);
+
+            expect(result.schedule.get(4).latestFinish).toBe(8);
+            expect(result.minSlack).toBe(-2);
+            expect([1, 2, 3, 4].map(id => result.schedule.get(id).slack)).toEqual([-2, -2, 2, -2]);
+            expect(result.criticalPath).toEqual([1, 2, 4]);
+        });
+
+        test('a due date later than the finish leaves slack where it was', () => {
+            const result = diamond({ deadline: hoursFromStart(12) }).computeCriticalPath(START);
+
+            expect(result.schedule.get(4).slack).toBe(0);
+            expect(result.criticalPath).toEqual([1, 2, 4]);
+        });
+
+        test('a due date on a side branch can make it the critical one', () => {
+            const result = graph(
+                [[1, 4], [2, 4], [3, 3, { deadline: hoursFromStart(2) }]],
+                [[2, 1]]
+            ).computeCriticalPath(START);
+
+            expect(result.schedule.get(3).slack).toBe(-1);
+            expect(result.schedule.get(1).slack).toBe(0);
+            expect(result.criticalPath).toEqual([3]);
+        });
+
+        test('independent chains run side by side and the shorter one has slack', () => {
+            const result = graph([[1, 4], [2, 4], [3, 3]], [[2, 1]]).computeCriticalPath(START);
+
+            expect(result.projectDuration).toBe(8);
+            expect(result.schedule.get(3)).toMatchObject({ earliestStart: 0, latestStart: 5, slack: 5, isCritical: false });
+            expect(result.criticalPath).toEqual([1, 2]);
+        });
+
+        test('finished tasks take no time and are never critical', () => {
+            const result = graph([[1, 6, { done: true }], [2, 2], [3, 1]], [[2, 1], [3, 2]]).computeCriticalPath(START);
+
+            expect(result.schedule.get(2).earliestStart).toBe(0);
+            expect(result.projectDuration).toBe(3);
+            expect(result.schedule.get(1).isCritical).toBeUndefined();
+            expect(result.criticalPath).toEqual([2, 3]);
+        });
+
+        test('refuses a graph with a cycle', () => {
+            const cyclic = graph([[1, 1], [2, 1], [3, 1]], [[2, 1], [3, 2], [1, 3]]);
+
+            expect(() => cyclic.computeCriticalPath(START)).toThrow('Dependency graph contains a cycle');
+        });
+    });
+
+    describe('findCycle', () => {
+        const chain = () => graph([[1, 1], [2, 1], [3, 1]], [[2, 1], [3, 2]]);
+
+        test('returns the chain a new dependency would close', () => {
+            expect(chain().findCycle(1, 3)).toEqual([1, 3, 2, 1]);
+        });
+
+        test('a task depending on itself is a cycle', () => {
+            expect(chain().findCycle(2, 2)).toEqual([2, 2]);
+        });
+
+        test('allows dependencies that keep the graph acyclic', () => {
+            expect(chain().findCycle(3, 1)).toBeNull();
+            expect(chain().findCycle(4, 3)).toBeNull();
+        });
+    });
+});
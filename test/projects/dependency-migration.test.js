@@ -0,0 +1,68 @@
+const sqlite3 = require('sqlite3').verbose();
+const MigrationRunner = require('../../src/projects/migration-runner');
+const initialSchema = require('../../src/projects/migrations/001-initial-schema');
+const dependencyTables = require('../../src/projects/migrations/003-dependency-tables');
+
+describe('dependency tables migration', () => {
+    let db;
+    let runner;
+    let migration;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        runner = new MigrationRunner(db);
+        migration = runner.createContext([]);
+        await initialSchema.up(migration);
+    });
+
+    afterEach(() => new Promise(resolve => db.close(resolve)));
+
+    async function insertTasks(dependencies) {
+        for (const [index, value] of dependencies.entries()) {
+            await runner.run('INSERT INTO tasks (id, title, dependencies) VALUES (?, ?, ?)', [index + 1, `Task ${index + 1}`, value]);
+        }
+    }
+
+    test('turns the ids in the old text column into rows, whatever the separator', async () => {
+        await insertTasks([null, '1', '1, 2', '[2,3]', '2;3 1', '']);
+
+        await dependencyTables.up(migration);
+
+        const rows = await runner.all('SELECT task_id, depends_on_task_id FROM task_dependencies ORDER BY task_id, depends_on_task_id');
+        expect(rows.map(row => [row.task_id, row.depends_on_task_id])).toEqual([
+            [2, 1], [3, 1], [3, 2], [4, 2], [4, 3], [5, 1], [5, 2], [5, 3]
+        ]);
+    });
+
+    test('skips ids that do not resolve and dependencies that would close a cycle', async () => {
+        await insertTasks(['2', '3', '1', '99, Design, 0', '4']);
+
+        await dependencyTables.up(migration);
+
+        const rows = await runner.all('SELECT task_id, depends_on_task_id FROM task_dependencies ORDER BY task_id');
+        expect(rows.map(row => [row.task_id, row.depends_on_task_id])).toEqual([[1, 2], [2, 3], [5, 4]]);
+    });
+
+    test('leaves tables that already existed alone, so removed dependencies stay removed', async () => {
+        await insertTasks([null, '1']);
+        await runner.run('CREATE TABLE task_dependencies (task_id INTEGER NOT NULL, depends_on_task_id INTEGER NOT NULL)');
+
+        await dependencyTables.up(migration);
+
+        expect(await runner.all('SELECT * FROM task_dependencies')).toEqual([]);
+    });
+
+    test('carries timeline event dependencies over too', async () => {
+        for (const [id, value] of [[1, null], [2, '1'], [3, '[1, 2, 7]']]) {
+            await runner.run(
+                `INSERT INTO timeline_events (id, event_type, title, start_date, dependencies) VALUES (?, 'milestone', ?, '2026-03-02', ?)`,
+                [id, `Event ${id}`, value]
+            );
+        }
+
+        await dependencyTables.up(migration);
+
+        const rows = await runner.all('SELECT event_id, depends_on_event_id FROM timeline_dependencies ORDER BY event_id, depends_on_event_id');
+        expect(rows.map(row => [row.event_id, row.depends_on_event_id])).toEqual([[2, 1], [3, 1], [3, 2]]);
+    });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProjectManager = require('../../src/projects/project-manager');
+
+const MINUTE_MS = 60 * 1000;
+
+// The "YYYY-MM-DD HH:MM" local form older rows and hand-written dates use
+function localText(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+const fromNow = (minutes) => new Date(Date.now() + minutes * MINUTE_MS);
+
+describe('ProjectManager due reminders', () => {
+    let storage;
+    let projectManager;
+    let project;
+    let silenced;
+
+    beforeAll(async () => {
+        silenced = ['log', 'warn'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+        storage = fs.mkdtempSync(path.join(os.tmpdir(), 'due-reminders-'));
+        projectManager = new ProjectManager();
+        projectManager.dbPath = path.join(storage, 'projects.db');
+        await projectManager.initialize();
+        project = await projectManager.createProject({ name: 'Workshop' });
+    });
+
+    afterAll(async () => {
+        await projectManager.cleanup();
+        fs.rmSync(storage, { recursive: true, force: true });
+        silenced.forEach(spy => spy.mockRestore());
+    });
+
+    beforeEach(() => projectManager.runQuery('DELETE FROM reminders'));
+
+    async function insertRaw(title, reminderDate, snoozeUntil = null) {
+        await projectManager.runQuery(
+            `INSERT INTO reminders (project_id, title, reminder_date, snooze_until, created_by) VALUES (?, ?, ?, ?, 'user')`,
+            [project.id, title, reminderDate, snoozeUntil]
+        );
+    }
+
+    const dueTitles = async () => (await projectManager.getDueReminders()).map(reminder => reminder.title);
+
+    test('compares local and UTC rows as the same clock', async () => {
+        // Behind UTC, a local time an hour ahead still sorts before the UTC "now" as text
+        await insertRaw('Local, an hour ago', localText(fromNow(-60)));
+        await insertRaw('Local, in an hour', localText(fromNow(60)));
+        await insertRaw('UTC, ten minutes ago', fromNow(-10).toISOString());
+        await insertRaw('UTC, in ten minutes', fromNow(10).toISOString());
+
+        expect(await dueTitles()).toEqual(['Local, an hour ago', 'UTC, ten minutes ago']);
+    });
+
+    test('a local snooze keeps the reminder back until it has passed', async () => {
+        await insertRaw('Snoozed for an hour', localText(fromNow(-120)), localText(fromNow(60)));
+        await insertRaw('Snooze over', localText(fromNow(-120)), localText(fromNow(-5)));
+
+        expect(await dueTitles()).toEqual(['Snooze over']);
+    });
+
+    test('stores new dates as UTC and rejects ones it cannot read', async () => {
+        const due = fromNow(-30);
+        const reminder = await projectManager.addReminder({ projectId: project.id, title: 'Check the resin', reminderDate: localText(due) });
+
+        expect(reminder.reminderDate).toBe(new Date(localText(due)).toISOString());
+        expect(await dueTitles()).toEqual(['Check the resin']);
+
+        const snooze = await projectManager.snoozeReminder(reminder.id, localText(fromNow(45)));
+        expect(snooze.success).toBe(true);
+        expect(await dueTitles()).toEqual([]);
+
+        await expect(projectManager.addReminder({ projectId: project.id, title: 'Never', reminderDate: 'someday' }))
+            .rejects.toThrow('Invalid date "someday"');
+        expect(await projectManager.updateReminder(reminder.id, { reminder_date: 'someday' }))
+            .toEqual({ success: false, error: 'Invalid date "someday"' });
+    });
+});
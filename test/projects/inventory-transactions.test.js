@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProjectManager = require('../../src/projects/project-manager');
+
+describe('ProjectManager inventory transactions', () => {
+    let storage;
+    let projectManager;
+    let silenced;
+
+    beforeAll(async () => {
+        silenced = ['log', 'warn'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+        storage = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-transactions-'));
+        projectManager = new ProjectManager();
+        projectManager.dbPath = path.join(storage, 'projects.db');
+        await projectManager.initialize();
+    });
+
+    afterAll(async () => {
+        await projectManager.cleanup();
+        fs.rmSync(storage, { recursive: true, force: true });
+        silenced.forEach(spy => spy.mockRestore());
+    });
+
+    // Oldest first
+    async function ledger(itemId) {
+        return (await projectManager.getInventoryTransactions(itemId)).reverse();
+    }
+
+    test('a write made outside a failing transaction is kept while the transaction rolls back', async () => {
+        const item = await projectManager.addInventoryItem({ name: 'M3 screws', quantity: 100, unit: 'pcs' });
+        let outside = null;
+
+        const failing = projectManager.inTransaction(async (tx) => {
+            await tx.applyInventoryChange(item.id, -40, 'Doomed change');
+            // Unrelated work elsewhere in the app, on the shared connection, while the transaction is open
+            outside = projectManager.runQuery(
+                `INSERT INTO reminders (title, reminder_type, reminder_date, created_by) VALUES (?, 'general', ?, 'user')`,
+                ['Order more screws', new Date().toISOString()]
+            );
+            await new Promise(resolve => setTimeout(resolve, 50));
+            throw new Error('Something went wrong part-way');
+        });
+
+        await expect(failing).rejects.toThrow('Something went wrong part-way');
+        await outside;
+
+        const stored = await projectManager.getQuery('SELECT quantity FROM inventory WHERE id = ?', [item.id]);
+        expect(stored.quantity).toBe(100);
+        expect((await ledger(item.id)).map(entry => entry.reason)).toEqual(['Initial stock']);
+        expect(await projectManager.getQuery(`SELECT id FROM reminders WHERE title = 'Order more screws'`)).not.toBeNull();
+    });
+
+    test('concurrent changes all apply and the ledger chains from one to the next', async () => {
+        const item = await projectManager.addInventoryItem({ name: 'PLA', quantity: 50, unit: 'g' });
+
+        await Promise.all(Array.from({ length: 20 }, (_, index) =>
+            projectManager.updateInventoryQuantity(item.id, index % 2 === 0 ? -3 : 1, `Change ${index}`)
+        ));
+
+        const stored = await projectManager.getQuery('SELECT quantity FROM inventory WHERE id = ?', [item.id]);
+        expect(stored.quantity).toBe(50 - 10 * 3 + 10);
+
+        const entries = await ledger(item.id);
+        expect(entries).toHaveLength(21);
+        entries.slice(1).forEach((entry, index) => {
+            expect(entry.quantity_before).toBe(entries[index].quantity_after);
+            expect(entry.quantity_after).toBe(entry.quantity_before + entry.delta);
+        });
+    });
+
+    test('a transaction is reversed only once, however many times it is asked', async () => {
+        const item = await projectManager.addInventoryItem({ name: 'Heat inserts', quantity: 10, unit: 'pcs' });
+        const change = await projectManager.updateInventoryQuantity(item.id, -4, 'Used in a print');
+
+        const results = await Promise.all([1, 2, 3].map(() => projectManager.reverseInventoryTransaction(change.transactionId)));
+
+        expect(results.filter(result => result.success)).toHaveLength(1);
+        expect(results.filter(result => !result.success).map(result => result.error))
+            .toEqual([`Transaction ${change.transactionId} was already reversed`, `Transaction ${change.transactionId} was already reversed`]);
+        const stored = await projectManager.getQuery('SELECT quantity FROM inventory WHERE id = ?', [item.id]);
+        expect(stored.quantity).toBe(10);
+    });
+});
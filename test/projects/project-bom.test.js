@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProjectManager = require('../../src/projects/project-manager');
+
+describe('ProjectManager bill of materials', () => {
+    let storage;
+    let projectManager;
+    let silenced;
+
+    beforeAll(async () => {
+        silenced = ['log', 'warn'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+        storage = fs.mkdtempSync(path.join(os.tmpdir(), 'project-bom-'));
+        projectManager = new ProjectManager();
+        projectManager.dbPath = path.join(storage, 'projects.db');
+        await projectManager.initialize();
+    });
+
+    afterAll(async () => {
+        await projectManager.cleanup();
+        fs.rmSync(storage, { recursive: true, force: true });
+        silenced.forEach(spy => spy.mockRestore());
+    });
+
+    async function projectWithBom(name, lines) {
+        const project = await projectManager.createProject({ name: name });
+        const items = [];
+        for (const [itemName, stock, required] of lines) {
+            const item = await projectManager.addInventoryItem({ name: itemName, quantity: stock, unit: 'pcs' });
+            await projectManager.addBomItem({ projectId: project.id, itemId: item.id, requiredQuantity: required });
+            items.push(item);
+        }
+        return { project, items };
+    }
+
+    async function quantities(items) {
+        const rows = await Promise.all(items.map(item =>
+            projectManager.getQuery('SELECT quantity FROM inventory WHERE id = ?', [item.id])
+        ));
+        return rows.map(row => row.quantity);
+    }
+
+    test('completing a project takes its BOM out of stock and reports what was short', async () => {
+        const { project, items } = await projectWithBom('Lamp', [['Lamp shade', 5, 2], ['LED strip', 1, 3]]);
+
+        const result = await projectManager.updateProject(project.id, { status: 'completed' });
+
+        expect(result.success).toBe(true);
+        expect(result.bomConsumption.consumed.map(entry => [entry.name, entry.quantity])).toEqual([['LED strip', 1], ['Lamp shade', 2]]);
+        expect(result.bomConsumption.missing.map(entry => [entry.name, entry.quantity])).toEqual([['LED strip', 2]]);
+        expect(await quantities(items)).toEqual([3, 0]);
+    });
+
+    test('a failure part-way leaves stock and BOM untouched, and a retry consumes each line once', async () => {
+        const { project, items } = await projectWithBom('Shelf', [['Bracket', 10, 4], ['Wood screw', 20, 8]]);
+        const apply = ProjectManager.prototype.applyInventoryChange;
+        const failSecondLine = jest.spyOn(ProjectManager.prototype, 'applyInventoryChange')
+            .mockImplementationOnce(apply)
+            .mockImplementationOnce(() => Promise.reject(new Error('Disk full')));
+
+        await expect(projectManager.consumeProjectBom(project.id)).rejects.toThrow('Disk full');
+
+        expect(await quantities(items)).toEqual([10, 20]);
+        const bom = await projectManager.getProjectBom(project.id);
+        expect(bom.map(line => line.consumed_quantity)).toEqual([0, 0]);
+
+        failSecondLine.mockRestore();
+        const consumption = await projectManager.consumeProjectBom(project.id);
+
+        expect(consumption.consumed.map(entry => entry.quantity)).toEqual([4, 8]);
+        expect(await quantities(items)).toEqual([6, 12]);
+        expect(await projectManager.consumeProjectBom(project.id)).toEqual({ consumed: [], missing: [] });
+    });
+});
@@ -0,0 +1,264 @@
+// Recurrence works in local time. test/global-setup.js runs the tests with
+// TZ=America/New_York, which in 2026 springs forward on March 8 and falls back on November 1.
+
+const RecurrenceRule = require('../../src/projects/recurrence');
+
+// Local wall-clock time, which is what the rules promise to keep
+function local(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// The anchor and the occurrences after it, the way reminders advance: each from the previous one
+function series(pattern, anchor, limit = 10) {
+    const rule = new RecurrenceRule(pattern);
+    const occurrences = [anchor];
+    while (occurrences.length < limit) {
+        const next = rule.next(occurrences[occurrences.length - 1], anchor, { occurrenceCount: occurrences.length });
+        if (!next) break;
+        occurrences.push(next);
+    }
+    return occurrences.map(local);
+}
+
+describe('RecurrenceRule', () => {
+    test('runs in the zone the tests pin', () => {
+        expect(new Date(2026, 0, 15).getTimezoneOffset()).toBe(300);
+        expect(new Date(2026, 6, 15).getTimezoneOffset()).toBe(240);
+    });
+
+    describe('daily across DST changes', () => {
+        test('keeps 9:00 when the clocks spring forward', () => {
+            const occurrences = series('daily', new Date(2026, 2, 6, 9, 0), 5);
+
+            expect(occurrences).toEqual([
+                '2026-03-06 09:00',
+                '2026-03-07 09:00',
+                '2026-03-08 09:00',
+                '2026-03-09 09:00',
+                '2026-03-10 09:00'
+            ]);
+        });
+
+        test('keeps 9:00 when the clocks fall back', () => {
+            const occurrences = series('daily', new Date(2026, 9, 30, 9, 0), 5);
+
+            expect(occurrences).toEqual([
+                '2026-10-30 09:00',
+                '2026-10-31 09:00',
+                '2026-11-01 09:00',
+                '2026-11-02 09:00',
+                '2026-11-03 09:00'
+            ]);
+        });
+
+        test('moves a time the spring change skips to after the gap, then back', () => {
+            const occurrences = series({ type: 'daily', time: '02:30' }, new Date(2026, 2, 7, 2, 30), 3);
+
+            expect(occurrences).toEqual([
+                '2026-03-07 02:30',
+                '2026-03-08 03:30',
+                '2026-03-09 02:30'
+            ]);
+        });
+
+        test('does not repeat a time the autumn change passes twice', () => {
+            const occurrences = series({ type: 'daily', time: '01:30' }, new Date(2026, 9, 31, 1, 30), 3);
+
+            expect(occurrences).toEqual([
+                '2026-10-31 01:30',
+                '2026-11-01 01:30',
+                '2026-11-02 01:30'
+            ]);
+        });
+
+        test('finds the next day from any time after a 23 or 25 hour day', () => {
+            const rule = new RecurrenceRule('daily');
+            const anchor = new Date(2026, 2, 1, 9, 0);
+
+            expect(local(rule.next(new Date(2026, 2, 8, 12, 0), anchor))).toBe('2026-03-09 09:00');
+            expect(local(rule.next(new Date(2026, 10, 1, 8, 59), anchor))).toBe('2026-11-01 09:00');
+        });
+
+        test('every other day stays on the anchor\'s cadence across the change', () => {
+            const occurrences = series({ type: 'daily', interval: 2 }, new Date(2026, 2, 5, 18, 0), 4);
+
+            expect(occurrences).toEqual([
+                '2026-03-05 18:00',
+                '2026-03-07 18:00',
+                '2026-03-09 18:00',
+                '2026-03-11 18:00'
+            ]);
+        });
+    });
+
+    describe('monthly and yearly month ends', () => {
+        test('the 31st falls back to the last day of shorter months and returns after', () => {
+            const occurrences = series('monthly', new Date(2026, 0, 31, 10, 0), 6);
+
+            expect(occurrences).toEqual([
+                '2026-01-31 10:00',
+                '2026-02-28 10:00',
+                '2026-03-31 10:00',
+                '2026-04-30 10:00',
+                '2026-05-31 10:00',
+                '2026-06-30 10:00'
+            ]);
+        });
+
+        test('the 31st lands on February 29 in a leap year', () => {
+            const occurrences = series('monthly', new Date(2028, 0, 31, 10, 0), 3);
+
+            expect(occurrences).toEqual([
+                '2028-01-31 10:00',
+                '2028-02-29 10:00',
+                '2028-03-31 10:00'
+            ]);
+        });
+
+        test('monthly from February 29 keeps the 29th', () => {
+            const occurrences = series('monthly', new Date(2024, 1, 29, 8, 0), 4);
+
+            expect(occurrences).toEqual([
+                '2024-02-29 08:00',
+                '2024-03-29 08:00',
+                '2024-04-29 08:00',
+                '2024-05-29 08:00'
+            ]);
+        });
+
+        test('yearly from February 29 uses February 28 until the next leap year', () => {
+            const occurrences = series('yearly', new Date(2024, 1, 29, 8, 0), 5);
+
+            expect(occurrences).toEqual([
+                '2024-02-29 08:00',
+                '2025-02-28 08:00',
+                '2026-02-28 08:00',
+                '2027-02-28 08:00',
+                '2028-02-29 08:00'
+            ]);
+        });
+
+        test('BYMONTHDAY=-1 is the last day of every month', () => {
+            const occurrences = series('FREQ=MONTHLY;BYMONTHDAY=-1', new Date(2026, 0, 31, 17, 0), 4);
+
+            expect(occurrences).toEqual([
+                '2026-01-31 17:00',
+                '2026-02-28 17:00',
+                '2026-03-31 17:00',
+                '2026-04-30 17:00'
+            ]);
+        });
+    });
+
+    describe('RRULE', () => {
+        test('COUNT includes the first occurrence and then ends the series', () => {
+            const occurrences = series('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3', new Date(2026, 2, 2, 9, 0));
+
+            expect(occurrences).toEqual([
+                '2026-03-02 09:00',
+                '2026-03-04 09:00',
+                '2026-03-09 09:00'
+            ]);
+        });
+
+        test('COUNT stops next() once that many have happened', () => {
+            const rule = new RecurrenceRule('FREQ=DAILY;COUNT=2');
+            const anchor = new Date(2026, 2, 2, 9, 0);
+
+            expect(rule.next(anchor, anchor, { occurrenceCount: 1 })).not.toBeNull();
+            expect(rule.next(anchor, anchor, { occurrenceCount: 2 })).toBeNull();
+        });
+
+        test('a date-only UNTIL includes that whole local day', () => {
+            const occurrences = series('FREQ=DAILY;UNTIL=20260310', new Date(2026, 2, 7, 21, 0));
+
+            expect(occurrences).toEqual([
+                '2026-03-07 21:00',
+                '2026-03-08 21:00',
+                '2026-03-09 21:00',
+                '2026-03-10 21:00'
+            ]);
+        });
+
+        test('a UTC UNTIL is compared as an instant, after the clocks fall back', () => {
+            // 14:00Z on November 2 is 09:00 EST, so the 09:00 occurrence that day is the last one
+            const occurrences = series('FREQ=DAILY;BYHOUR=9;BYMINUTE=0;UNTIL=20261102T140000Z', new Date(2026, 9, 30, 9, 0));
+
+            expect(occurrences).toEqual([
+                '2026-10-30 09:00',
+                '2026-10-31 09:00',
+                '2026-11-01 09:00',
+                '2026-11-02 09:00'
+            ]);
+        });
+
+        test('an end date passed to next() limits the series like UNTIL', () => {
+            const rule = new RecurrenceRule('FREQ=WEEKLY;INTERVAL=2');
+            const anchor = new Date(2026, 2, 2, 9, 0);
+
+            expect(local(rule.next(anchor, anchor, { endDate: new Date(2026, 2, 16, 9, 0) }))).toBe('2026-03-16 09:00');
+            expect(rule.next(anchor, anchor, { endDate: new Date(2026, 2, 16, 8, 59) })).toBeNull();
+        });
+
+        test('BYDAY with an ordinal picks that weekday of the month', () => {
+            const occurrences = series('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3', new Date(2026, 0, 30, 16, 0));
+
+            expect(occurrences).toEqual([
+                '2026-01-30 16:00',
+                '2026-02-27 16:00',
+                '2026-03-27 16:00'
+            ]);
+        });
+
+        test('rejects a frequency it does not support', () => {
+            expect(() => new RecurrenceRule('FREQ=HOURLY')).toThrow('Unsupported RRULE FREQ "HOURLY"');
+            expect(() => new RecurrenceRule('FREQ=DAILY;UNTIL=tomorrow')).toThrow('Invalid RRULE UNTIL "tomorrow"');
+        });
+    });
+
+    describe('cron', () => {
+        const nextCron = (expression, after) => local(new RecurrenceRule(expression).next(after, after));
+
+        test('weekday mornings skip the weekend the clocks change on', () => {
+            expect(nextCron('30 9 * * 1-5', new Date(2026, 2, 6, 10, 0))).toBe('2026-03-09 09:30');
+        });
+
+        test('steps within the hour', () => {
+            expect(nextCron('*/15 * * * *', new Date(2026, 2, 6, 10, 7))).toBe('2026-03-06 10:15');
+            expect(nextCron('*/15 * * * *', new Date(2026, 2, 6, 10, 45))).toBe('2026-03-06 11:00');
+        });
+
+        test('is strictly after the given time', () => {
+            expect(nextCron('0 9 * * *', new Date(2026, 2, 6, 9, 0))).toBe('2026-03-07 09:00');
+        });
+
+        test('day 31 skips months without one', () => {
+            expect(nextCron('0 0 31 * *', new Date(2026, 3, 1))).toBe('2026-05-31 00:00');
+        });
+
+        test('matches either day field when both are restricted, as cron does', () => {
+            expect(nextCron('0 12 13 * FRI', new Date(2026, 2, 1))).toBe('2026-03-06 12:00');
+            expect(nextCron('0 12 13 * FRI', new Date(2026, 2, 11))).toBe('2026-03-13 12:00');
+        });
+
+        test('accepts month and weekday names, and 7 for Sunday', () => {
+            expect(nextCron('0 8 1 JAN *', new Date(2026, 2, 1))).toBe('2027-01-01 08:00');
+            expect(nextCron('0 8 * * 7', new Date(2026, 2, 1, 9, 0))).toBe('2026-03-08 08:00');
+        });
+
+        test('accepts an object pattern and describes itself', () => {
+            const rule = new RecurrenceRule({ type: 'cron', expression: '0 18 * * MON-FRI' });
+
+            expect(rule.describe()).toBe('cron "0 18 * * MON-FRI"');
+            expect(local(rule.next(new Date(2026, 10, 1, 12, 0), null))).toBe('2026-11-02 18:00');
+        });
+
+        test('rejects malformed expressions', () => {
+            expect(() => new RecurrenceRule({ type: 'cron', expression: '0 9 * *' })).toThrow('must have 5 fields');
+            expect(() => new RecurrenceRule('61 9 * * *')).toThrow('Invalid cron value "61" (expected 0-59)');
+            expect(() => new RecurrenceRule('*/0 9 * * *')).toThrow('Invalid cron step "*/0"');
+        });
+    });
+});